@@ -0,0 +1,43 @@
+// backend/controllers/alerts.js
+// Low-balance alerts. When a balance change takes totalBalance below the friend's
+// lowBalanceThreshold, the friend and the owner (User.whatsapp) are told. The ledger calls
+// this after every committed totalBalance change (debits, credits, reversals, manual edits).
+const User = require('../models/User');
+const { deliver } = require('./outbox');
+const { renderMessage, lowBalanceVars } = require('./templates');
+const { friendTimezone } = require('./timezones');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const isSet = (n) => n !== null && n !== undefined;
+
+function crossesThreshold(threshold, before, after) {
+  return isSet(threshold) && before >= threshold && after < threshold;
+}
+
+/**
+ * After a balance change from `previousBalance` to friend.totalBalance: when it crossed
+ * lowBalanceThreshold, alert the friend and the owner. Resolves to the outbox results ([] if not crossed).
+ * The change is already committed, so a failure here is logged rather than thrown.
+ */
+async function alertLowBalance({ friend, previousBalance, transaction = null }) {
+  if (!friend || !crossesThreshold(friend.lowBalanceThreshold, Number(previousBalance || 0), Number(friend.totalBalance || 0))) return [];
+
+  try {
+    const timezone = await friendTimezone(friend);
+    const results = [];
+    const body = await renderMessage(friend.owner, 'low_balance', lowBalanceVars({ friend, timezone }), friend.language);
+    results.push(await deliver({ to: friend.whatsapp, body, owner: friend.owner, friend: friend._id, transaction }));
+
+    const owner = await User.findById(friend.owner).select('whatsapp').lean();
+    if (owner && owner.whatsapp) {
+      const ownerBody = await renderMessage(friend.owner, 'low_balance_owner', lowBalanceVars({ friend, language: DEFAULT_LANGUAGE, timezone }), DEFAULT_LANGUAGE);
+      results.push(await deliver({ to: owner.whatsapp, body: ownerBody, owner: friend.owner, friend: friend._id, transaction }));
+    }
+    return results;
+  } catch (err) {
+    console.error(`low-balance alert for friend ${friend._id} error:`, err && (err.stack || err));
+    return [];
+  }
+}
+
+module.exports = { crossesThreshold, alertLowBalance };
@@ -0,0 +1,271 @@
+// backend/controllers/analytics.js
+// Spending trends over the ledger: debits per day / ISO week / month (overall and per
+// friend), average daily spend, the largest debits, and what friends owed over time.
+// Reversed debits (controllers/ledger.js reverseTransaction) do not count as spending.
+//
+// Periods are local calendar days in one timezone: the friend's when a friend is picked,
+// else the account timezone. Amounts of different currencies are never added together,
+// so every total is a { INR: 1200, USD: 35 } map (see utils/money.js totalsByCurrency).
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { LEDGER_ORDER, owedFromSimulation } = require('./ledger');
+const { accountTimezone, friendTimezone } = require('./timezones');
+const { statementPeriod } = require('./statements');
+const { simulateLoans, round2 } = require('../utils/interest');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+const { zonedParts, zonedDate } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 400;
+const DEFAULT_DAYS = 30;
+const LARGEST_LIMIT = 10;
+
+// $dateToString formats matching periodKey below
+const MONGO_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// "2026-10-19", ISO week "2026-W43" or "2026-10" for a local calendar day
+function periodKey({ year, month, day }, interval) {
+  if (interval === 'day') return `${year}-${pad(month)}-${pad(day)}`;
+  if (interval === 'month') return `${year}-${pad(month)}`;
+  // ISO week: the week (Monday first) belongs to the year of its Thursday
+  const thursday = new Date(Date.UTC(year, month - 1, day));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const isoYear = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(isoYear, 0, 1)) / DAY_MS + 1) / 7);
+  return `${isoYear}-W${pad(week)}`;
+}
+
+/**
+ * Every period between `from` and `to` as [{ period, start, end }] (local day boundaries;
+ * the first and last may be partial). Throws 400 past MAX_BUCKETS.
+ */
+function buckets(from, to, interval, timeZone) {
+  const first = zonedParts(from, timeZone);
+  const result = [];
+  for (let utc = Date.UTC(first.year, first.month - 1, first.day); ; utc += DAY_MS) {
+    const d = new Date(utc);
+    const day = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    const start = zonedDate(day, timeZone);
+    if (start >= to) break;
+
+    const period = periodKey(day, interval);
+    const last = result[result.length - 1];
+    if (last && last.period === period) continue;
+    if (last) last.end = start;
+    if (result.length === MAX_BUCKETS) throw badRequest(`Too many ${interval}s in this range; pick a longer interval or a shorter range`);
+    result.push({ period, start: start < from ? from : start, end: to });
+  }
+  return result;
+}
+
+function addTo(totals, currency, amount) {
+  const code = currency || DEFAULT_CURRENCY;
+  totals[code] = round2((totals[code] || 0) + amount);
+}
+
+/**
+ * Resolve ?friendId=&from=&to= (YYYY-MM-DD, `to` inclusive) for `owner`.
+ * Resolves to { friends, timezone, from, to, match } where `match` selects the owner's
+ * (or one friend's) transactions in the range. Without `from`: the last DEFAULT_DAYS days.
+ */
+async function analyticsScope(owner, { friendId, from, to } = {}) {
+  let friends;
+  let timezone;
+  if (friendId) {
+    if (!mongoose.isValidObjectId(friendId)) throw badRequest('Invalid friendId');
+    const friend = await Friend.findOne({ _id: friendId, owner }).select('name currency timezone owner').lean();
+    if (!friend) {
+      const err = new Error('Friend not found');
+      err.status = 404;
+      throw err;
+    }
+    friends = [friend];
+    timezone = await friendTimezone(friend);
+  } else {
+    friends = await Friend.find({ owner, archivedAt: null }).select('name currency timezone').sort({ name: 1 }).lean();
+    timezone = await accountTimezone(owner);
+  }
+
+  const period = statementPeriod({ from, to }, timezone);
+  if (!period.from) {
+    const today = zonedParts(period.to, timezone);
+    const back = new Date(Date.UTC(today.year, today.month - 1, today.day - (DEFAULT_DAYS - 1)));
+    period.from = zonedDate({ year: back.getUTCFullYear(), month: back.getUTCMonth() + 1, day: back.getUTCDate() }, timezone);
+  }
+
+  const match = {
+    owner: new mongoose.Types.ObjectId(String(owner)),
+    friend: { $in: friends.map(f => f._id) },
+    date: { $gte: period.from, $lt: period.to }
+  };
+  return { friends, timezone, from: period.from, to: period.to, match };
+}
+
+/**
+ * Debits per period, overall and per friend, with empty periods filled in.
+ * Resolves to {
+ *   interval, timezone, from, to,
+ *   series: [{ period, totals, count }],
+ *   friends: [{ friend: { _id, name, currency }, total, count, series: [{ period, total, count }] }]
+ * }
+ */
+async function spendSeries(owner, query = {}) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) throw badRequest(`interval must be one of ${INTERVALS.join(', ')}`);
+
+  const { friends, timezone, from, to, match } = await analyticsScope(owner, query);
+  const periods = buckets(from, to, interval, timezone).map(b => b.period);
+
+  const rows = await Transaction.aggregate([
+    { $match: { ...match, type: 'debit', reversedBy: null } },
+    {
+      $group: {
+        _id: { friend: '$friend', period: { $dateToString: { date: '$date', format: MONGO_FORMATS[interval], timezone } } },
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const overall = new Map(periods.map(p => [p, { period: p, totals: {}, count: 0 }]));
+  const perFriend = new Map(friends.map(f => [String(f._id), {
+    friend: { _id: f._id, name: f.name, currency: f.currency || DEFAULT_CURRENCY },
+    total: 0,
+    count: 0,
+    byPeriod: new Map()
+  }]));
+
+  for (const row of rows) {
+    const entry = perFriend.get(String(row._id.friend));
+    const bucket = overall.get(row._id.period);
+    if (!entry || !bucket) continue;
+    addTo(bucket.totals, entry.friend.currency, row.total);
+    bucket.count += row.count;
+    entry.total = round2(entry.total + row.total);
+    entry.count += row.count;
+    entry.byPeriod.set(row._id.period, { total: round2(row.total), count: row.count });
+  }
+
+  return {
+    interval,
+    timezone,
+    from,
+    to,
+    series: [...overall.values()],
+    friends: [...perFriend.values()]
+      .filter(f => f.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .map(({ byPeriod, ...f }) => ({
+        ...f,
+        series: periods.map(p => ({ period: p, ...(byPeriod.get(p) || { total: 0, count: 0 }) }))
+      }))
+  };
+}
+
+/**
+ * Total and average daily spend per currency, and the largest debits in the range.
+ * Resolves to { timezone, from, to, days, count, totals, averageDaily, largest: [transaction + friend] }
+ */
+async function spendSummary(owner, query = {}) {
+  const { friends, timezone, from, to, match } = await analyticsScope(owner, query);
+  const byId = new Map(friends.map(f => [String(f._id), f]));
+
+  const [rows, largest] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...match, type: 'debit', reversedBy: null } },
+      { $group: { _id: '$friend', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    Transaction.find({ ...match, type: 'debit', reversedBy: null }).sort({ amount: -1, date: -1 }).limit(LARGEST_LIMIT).lean()
+  ]);
+
+  const totals = {};
+  let count = 0;
+  for (const row of rows) {
+    const friend = byId.get(String(row._id));
+    if (!friend) continue;
+    addTo(totals, friend.currency, row.total);
+    count += row.count;
+  }
+
+  // average over the local days of the range that have started (today counts, the future does not)
+  const localDay = (date) => {
+    const p = zonedParts(date, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day);
+  };
+  const last = new Date(Math.max(Math.min(to.getTime(), Date.now()) - 1, from.getTime()));
+  const days = Math.round((localDay(last) - localDay(from)) / DAY_MS) + 1;
+  const averageDaily = Object.fromEntries(Object.entries(totals).map(([code, total]) => [code, round2(total / days)]));
+
+  return {
+    timezone,
+    from,
+    to,
+    days,
+    count,
+    totals,
+    averageDaily,
+    largest: largest.map(t => {
+      const friend = byId.get(String(t.friend));
+      return {
+        _id: t._id,
+        amount: t.amount,
+        note: t.note || '',
+        date: t.date,
+        friend: { _id: t.friend, name: friend.name, currency: friend.currency || DEFAULT_CURRENCY }
+      };
+    })
+  };
+}
+
+/**
+ * What friends owed (principal + accrued interest) at the end of each period.
+ * Resolves to { interval, timezone, from, to, series: [{ period, totals }] }
+ */
+async function loanSeries(owner, query = {}) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) throw badRequest(`interval must be one of ${INTERVALS.join(', ')}`);
+
+  const { friends, timezone, from, to, match } = await analyticsScope(owner, query);
+  const periods = buckets(from, to, interval, timezone);
+
+  // the whole loan history up to `to`: what is owed depends on entries before the range too
+  const entries = await Transaction.find({
+    owner: match.owner,
+    friend: match.friend,
+    type: { $in: ['loan', 'repay'] },
+    date: { $lt: to }
+  }).sort(LEDGER_ORDER).lean();
+
+  const byFriend = new Map();
+  for (const t of entries) {
+    const key = String(t.friend);
+    if (!byFriend.has(key)) byFriend.set(key, []);
+    byFriend.get(key).push(t);
+  }
+  const currencies = new Map(friends.map(f => [String(f._id), f.currency || DEFAULT_CURRENCY]));
+
+  const now = Date.now();
+  const series = periods.map(({ period, end }) => {
+    const asOf = new Date(Math.min(end.getTime(), now));
+    const totals = {};
+    for (const [key, list] of byFriend) {
+      const owed = owedFromSimulation(simulateLoans(list.filter(t => t.date < asOf), asOf));
+      if (owed) addTo(totals, currencies.get(key), owed);
+    }
+    return { period, totals };
+  });
+
+  return { interval, timezone, from, to, series };
+}
+
+module.exports = { spendSeries, spendSummary, loanSeries, periodKey, buckets };
@@ -0,0 +1,151 @@
+// backend/controllers/audit.js
+// The audit trail (models/AuditEvent.js): every mutation made through server.js,
+// routes/loans.js and routes/transactions.js appends one event with the documents it
+// touched before and after, so any balance can be explained to a friend who disputes it.
+//
+// Snapshots are { friend, transaction, reversal, duplicate, schedule } objects holding the fields below.
+// An event is written in the session (withTransaction) of the mutation it describes, so the
+// two commit together: a mutation whose event cannot be written is rolled back.
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { accountTimezone } = require('./timezones');
+const { statementPeriod } = require('./statements');
+
+const ACTIONS = {
+  'friend.create': 'Friend added',
+  'friend.archive': 'Friend archived',
+  'friend.restore': 'Friend restored',
+  'friend.purge': 'Friend purged',
+  'friend.merge': 'Duplicate friend merged',
+  'friend.saved': 'Saved amount changed',
+  'friend.balance': 'Balance overwritten',
+  'friend.reconcile': 'Balances rebuilt from ledger',
+  'friend.language': 'Language changed',
+  'friend.monthly_statement': 'Monthly statement toggled',
+  'friend.limits': 'Limits changed',
+  'reminder.update': 'Reminder schedule saved',
+  'transaction.debit': 'Money sent (debit)',
+  'transaction.credit': 'Money added (credit)',
+  'transaction.reverse': 'Entry reversed',
+  'loan.create': 'Loan recorded',
+  'loan.repay': 'Repayment recorded',
+  'loan.update': 'Loan edited',
+  'loan.reverse': 'Loan reversed'
+};
+
+const FRIEND_FIELDS = [
+  'name', 'whatsapp', 'language', 'currency', 'timezone',
+  'totalBalance', 'savedAmount', 'openingBalance', 'owedAmount',
+  'dailyLimit', 'monthlyLimit', 'lowBalanceThreshold', 'monthlyStatement', 'archivedAt'
+];
+const TRANSACTION_FIELDS = [
+  'type', 'amount', 'note', 'reason', 'category', 'tags', 'date',
+  'previousBalance', 'newBalance', 'outstanding', 'dueDate',
+  'interestType', 'interestRate', 'interestStartDate', 'reversalOf', 'reversedBy'
+];
+
+const SCHEDULE_FIELDS = [
+  'enabled', 'cadence', 'intervalDays', 'sendTime', 'quietHoursStart', 'quietHoursEnd',
+  'maxReminders', 'remindersSent', 'nextRunAt'
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function pick(doc, fields) {
+  if (!doc) return undefined;
+  const src = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const out = { _id: src._id };
+  for (const f of fields) if (src[f] !== undefined) out[f] = src[f];
+  return out;
+}
+
+/**
+ * A before / after snapshot of the documents a mutation touched.
+ * snapshot({ friend, transaction, reversal, duplicate, schedule }) keeps the balance-relevant fields
+ * of each given one (`duplicate`: the friend merged into `friend`; `schedule`: a ReminderSchedule).
+ */
+function snapshot({ friend, transaction, reversal, duplicate, schedule } = {}) {
+  const out = {};
+  if (friend) out.friend = pick(friend, FRIEND_FIELDS);
+  if (transaction) out.transaction = pick(transaction, TRANSACTION_FIELDS);
+  if (reversal) out.reversal = pick(reversal, TRANSACTION_FIELDS);
+  if (duplicate) out.duplicate = pick(duplicate, FRIEND_FIELDS);
+  if (schedule) out.schedule = pick(schedule, SCHEDULE_FIELDS);
+  return out;
+}
+
+/**
+ * Append one audit event for the mutation `req` is making, inside that mutation's `session`.
+ * event: { action (a key of ACTIONS), friend (document), target: { kind, id } (defaults to the friend),
+ *          before, after (snapshot() results; null for creations and deletions) }
+ */
+async function recordAudit(req, { action, friend = null, target = null, before = null, after = null }, session = null) {
+  const [event] = await AuditEvent.create([{
+    owner: req.user.id,
+    actor: { user: req.user.id, email: req.user.email || null },
+    action,
+    method: req.method,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl,
+    path: req.originalUrl,
+    friend: friend ? friend._id : null,
+    friendName: friend ? friend.name : null,
+    target: target || (friend ? { kind: 'Friend', id: friend._id } : undefined),
+    before,
+    after,
+    ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+    userAgent: req.get('user-agent') || null
+  }], { session });
+  return event;
+}
+
+/**
+ * The owner's audit events, newest first.
+ * query: { friendId, action (comma list), targetId (a friend or transaction), from, to (YYYY-MM-DD
+ *          in the account timezone, `to` inclusive), limit, cursor }
+ * Resolves to { events, nextCursor } (nextCursor null on the last page).
+ */
+async function listAuditEvents(owner, query = {}) {
+  const filter = { owner: new mongoose.Types.ObjectId(String(owner)) };
+
+  if (query.friendId) {
+    if (!mongoose.isValidObjectId(query.friendId)) throw badRequest('Invalid friendId');
+    filter.friend = new mongoose.Types.ObjectId(String(query.friendId));
+  }
+  if (query.targetId) {
+    if (!mongoose.isValidObjectId(query.targetId)) throw badRequest('Invalid targetId');
+    filter['target.id'] = new mongoose.Types.ObjectId(String(query.targetId));
+  }
+  if (query.action) {
+    const actions = String(query.action).split(',').map(a => a.trim()).filter(Boolean);
+    const unknown = actions.find(a => !ACTIONS[a]);
+    if (unknown) throw badRequest(`Unknown action "${unknown}"`);
+    if (actions.length) filter.action = { $in: actions };
+  }
+  if (query.from || query.to) {
+    const period = statementPeriod({ from: query.from, to: query.to }, await accountTimezone(owner));
+    filter.createdAt = { $lt: period.to };
+    if (period.from) filter.createdAt.$gte = period.from;
+  }
+  // ObjectIds grow with creation time, so _id order is newest-first order
+  if (query.cursor) {
+    if (!mongoose.isValidObjectId(query.cursor)) throw badRequest('Invalid cursor');
+    filter._id = { $lt: new mongoose.Types.ObjectId(String(query.cursor)) };
+  }
+
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const docs = await AuditEvent.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+  const events = docs.slice(0, limit);
+  return {
+    events,
+    nextCursor: docs.length > limit ? String(events[events.length - 1]._id) : null
+  };
+}
+
+module.exports = { ACTIONS, snapshot, recordAudit, listAuditEvents };
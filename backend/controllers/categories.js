@@ -0,0 +1,73 @@
+// backend/controllers/categories.js
+// Validation of the category and tags a transaction is labelled with.
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { round2 } = require('../utils/interest');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Tags from an array or a comma-separated string: lower-cased, without a leading "#",
+ * de-duplicated. Throws (err.status = 400) past MAX_TAGS or MAX_TAG_LENGTH.
+ */
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const tags = [...new Set(list.map(t => String(t).trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw badRequest(`At most ${MAX_TAGS} tags`);
+  const long = tags.find(t => t.length > MAX_TAG_LENGTH);
+  if (long) throw badRequest(`Tag "${long}" is longer than ${MAX_TAG_LENGTH} characters`);
+  return tags;
+}
+
+/**
+ * The owner's category id for `value` (null when empty). Throws 400 for an id that is not theirs.
+ */
+async function resolveCategory(owner, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!mongoose.isValidObjectId(value)) throw badRequest('Invalid category');
+  const category = await Category.findOne({ _id: value, owner }).select('_id').lean();
+  if (!category) throw badRequest('Unknown category');
+  return category._id;
+}
+
+/**
+ * { category, tags } for a new transaction from a request body.
+ */
+async function transactionLabels(owner, body = {}) {
+  return { category: await resolveCategory(owner, body.category), tags: parseTags(body.tags) };
+}
+
+/**
+ * Per-category sums of the transactions matching `match` (ObjectIds, not strings: it is
+ * an aggregation). Resolves to [{ category: { _id, name } | null, totals: { debit, credit, … }, count }],
+ * biggest debit total first.
+ */
+async function categoryTotals(match) {
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: { category: '$category', type: '$type' }, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+  const ids = rows.map(r => r._id.category).filter(Boolean);
+  const names = new Map((await Category.find({ _id: { $in: ids } }).select('name').lean()).map(c => [String(c._id), c]));
+
+  const byCategory = new Map();
+  for (const row of rows) {
+    const key = row._id.category ? String(row._id.category) : 'none';
+    if (!byCategory.has(key)) byCategory.set(key, { category: row._id.category ? names.get(key) || null : null, totals: {}, count: 0 });
+    const entry = byCategory.get(key);
+    entry.totals[row._id.type] = round2((entry.totals[row._id.type] || 0) + row.total);
+    entry.count += row.count;
+  }
+  return [...byCategory.values()].sort((a, b) => (b.totals.debit || 0) - (a.totals.debit || 0));
+}
+
+module.exports = { parseTags, resolveCategory, transactionLabels, categoryTotals };
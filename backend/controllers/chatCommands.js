@@ -0,0 +1,83 @@
+// backend/controllers/chatCommands.js
+// Replies to WhatsApp commands sent by friends (BAL, HISTORY, OWED, HELP), worded by the
+// owner's chat_* templates in the friend's language.
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { normalizePhone, phonesMatch, phoneKey } = require('../utils/phone');
+const { recalcOwed } = require('./ledger');
+const { friendTimezone } = require('./timezones');
+const { renderMessage, chatBalanceVars, chatHistoryVars, chatOwedVars, chatHelpVars } = require('./templates');
+
+const HISTORY_LIMIT = 5;
+
+// first word of a message → command it names
+const COMMANDS = { BAL: 'BAL', BALANCE: 'BAL', HISTORY: 'HISTORY', OWED: 'OWED', HELP: 'HELP' };
+
+const SELECT = 'owner name whatsapp language savedAmount totalBalance owedAmount currency timezone lastUpdatedAt';
+
+async function findFriendByPhone(phone) {
+  const digits = normalizePhone(phone);
+  if (!digits) return null;
+  // a number can be a friend of several managers; the most recently active record answers
+  const friends = await Friend.find({ phoneKey: phoneKey(digits), archivedAt: null }).sort({ lastUpdatedAt: -1 }).select(SELECT);
+  return friends.find(f => normalizePhone(f.whatsapp) === digits)
+    || friends.find(f => phonesMatch(f.whatsapp, digits))
+    || null;
+}
+
+// friends saved before Friend.phoneKey existed
+async function backfillPhoneKeys() {
+  const friends = await Friend.find({ phoneKey: { $exists: false } }).select('whatsapp');
+  for (const friend of friends) {
+    await Friend.updateOne({ _id: friend._id }, { $set: { phoneKey: phoneKey(friend.whatsapp) } });
+  }
+  if (friends.length) console.log(`Backfilled phoneKey for ${friends.length} friend(s)`);
+  return friends.length;
+}
+
+// the command a message starts with (BAL, HISTORY, OWED, HELP), or null for ordinary chat
+function parseCommand(body) {
+  const word = String(body || '').trim().split(/\s+/)[0].toUpperCase();
+  return Object.hasOwn(COMMANDS, word) ? COMMANDS[word] : null;
+}
+
+/**
+ * Build the reply for an inbound chat message.
+ * Resolves to { friend, command, reply }, or null when the message is not a command or the
+ * sender is not a known friend.
+ */
+async function handleChatCommand({ from, body }) {
+  const command = parseCommand(body);
+  if (!command) return null;
+  const friend = await findFriendByPhone(from);
+  if (!friend) return null;
+
+  const timezone = await friendTimezone(friend);
+  let key;
+  let vars;
+  switch (command) {
+    case 'BAL':
+      key = 'chat_balance';
+      vars = chatBalanceVars({ friend, timezone });
+      break;
+    case 'HISTORY': {
+      const transactions = await Transaction.find({ friend: friend._id }).sort({ date: -1 }).limit(HISTORY_LIMIT);
+      key = 'chat_history';
+      vars = chatHistoryVars({ friend, transactions, count: HISTORY_LIMIT, timezone });
+      break;
+    }
+    case 'OWED':
+      // owedAmount includes accrued interest, so refresh it before quoting it
+      friend.owedAmount = await recalcOwed(friend._id);
+      key = 'chat_owed';
+      vars = chatOwedVars({ friend });
+      break;
+    case 'HELP':
+      key = 'chat_help';
+      vars = chatHelpVars({ count: HISTORY_LIMIT });
+  }
+  const reply = await renderMessage(friend.owner, key, vars, friend.language);
+  return { friend, command, reply };
+}
+
+module.exports = { handleChatCommand, parseCommand, findFriendByPhone, backfillPhoneKeys, HISTORY_LIMIT };
@@ -0,0 +1,184 @@
+// backend/controllers/duplicates.js
+// Duplicate friends: the same person added twice splits their ledger in two.
+// Two friends are flagged when their WhatsApp numbers match (with or without the country
+// code, see utils/phone.js) or their names are alike; mergeFriends() folds one into the other.
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const Message = require('../models/Message');
+const ReminderSchedule = require('../models/ReminderSchedule');
+const { LEDGER_ORDER, withTransaction, rebuildFriendBalances } = require('./ledger');
+const { phonesMatch } = require('../utils/phone');
+const { round2 } = require('../utils/interest');
+
+const FRIEND_SUMMARY = 'name whatsapp currency totalBalance owedAmount archivedAt createdAt';
+
+// names this close (1 − edit distance / length) are taken for the same person, e.g. "Rahul" / "Raahul"
+const NAME_SIMILARITY = 0.8;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// lower-case words without accents or punctuation, e.g. "José  O'Neil" → ["jose", "oneil"]
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Whether two names probably belong to the same person: the same words in any order,
+ * one name's words all contained in the other ("Ravi" / "Ravi Kumar"), or a near-identical
+ * spelling.
+ */
+function similarNames(a, b) {
+  const x = nameTokens(a);
+  const y = nameTokens(b);
+  if (!x.length || !y.length) return false;
+
+  const joinedX = [...x].sort().join(' ');
+  const joinedY = [...y].sort().join(' ');
+  if (joinedX === joinedY) return true;
+
+  const [fewer, more] = x.length <= y.length ? [x, y] : [y, x];
+  if (fewer.every(t => t.length >= 3 && more.includes(t))) return true;
+
+  const longest = Math.max(joinedX.length, joinedY.length);
+  return 1 - editDistance(joinedX, joinedY) / longest >= NAME_SIMILARITY;
+}
+
+// ['phone', 'name'], ['phone'], ['name'] or [] for a candidate { name, whatsapp } against a friend
+function matchReasons(candidate, friend) {
+  const reasons = [];
+  if (phonesMatch(candidate.whatsapp, friend.whatsapp)) reasons.push('phone');
+  if (similarNames(candidate.name, friend.name)) reasons.push('name');
+  return reasons;
+}
+
+/**
+ * The owner's friends (archived ones included) that look like `candidate` ({ name, whatsapp }),
+ * phone matches first. Resolves to [{ friend, reasons }].
+ */
+async function findDuplicates(owner, candidate, { excludeId = null } = {}) {
+  const friends = await Friend.find({ owner }).select(FRIEND_SUMMARY).lean();
+  return friends
+    .filter(f => !excludeId || String(f._id) !== String(excludeId))
+    .map(friend => ({ friend, reasons: matchReasons(candidate, friend) }))
+    .filter(m => m.reasons.length)
+    .sort((a, b) => b.reasons.includes('phone') - a.reasons.includes('phone'));
+}
+
+/**
+ * Every pair of the owner's active friends that look like the same person, older friend first
+ * (the usual survivor of a merge). Resolves to [{ friends: [older, newer], reasons }].
+ */
+async function duplicatePairs(owner) {
+  const friends = await Friend.find({ owner, archivedAt: null }).select(FRIEND_SUMMARY).sort({ createdAt: 1 }).lean();
+  const pairs = [];
+  for (let i = 0; i < friends.length; i++) {
+    for (let j = i + 1; j < friends.length; j++) {
+      const reasons = matchReasons(friends[i], friends[j]);
+      if (reasons.length) pairs.push({ friends: [friends[i], friends[j]], reasons });
+    }
+  }
+  return pairs.sort((a, b) => b.reasons.includes('phone') - a.reasons.includes('phone'));
+}
+
+// set previousBalance / newBalance of credits and debits (in ledger order) from `openingBalance` on
+function replayRunningBalances(openingBalance, entries) {
+  let balance = Number(openingBalance || 0);
+  for (const t of entries) {
+    const previousBalance = balance;
+    balance = round2(balance + (t.type === 'credit' ? t.amount : -t.amount));
+    t.previousBalance = previousBalance;
+    t.newBalance = balance;
+  }
+  return entries;
+}
+
+// previousBalance / newBalance of the credits and debits, replayed over the merged ledger
+async function rebuildRunningBalances(friend, session) {
+  const entries = await Transaction.find({ friend: friend._id, type: { $in: ['credit', 'debit'] } })
+    .sort(LEDGER_ORDER)
+    .session(session);
+  for (const t of replayRunningBalances(friend.openingBalance, entries)) {
+    if (t.isModified()) await t.save({ session });
+  }
+}
+
+/**
+ * Merge friend `duplicateId` into friend `survivorId` (both of `owner`).
+ * Every ledger entry, logged message and (when the survivor has none) the reminder schedule
+ * move to the survivor; moved entries remember the friend they came from (mergedFrom).
+ * Opening and saved amounts are added up, totalBalance / owedAmount and the loan allocations
+ * are recomputed from the combined ledger, and the duplicate is deleted.
+ * Rejects (err.status) when either is missing (404), they are the same friend or hold
+ * different currencies (400), or the survivor is archived (409).
+ * `audit(session, result)` writes the audit event in the same transaction.
+ * Resolves to { before, friend, duplicate, moved } (before: the survivor before the merge).
+ */
+async function mergeFriends({ owner, survivorId, duplicateId, audit = null }) {
+  if (String(survivorId) === String(duplicateId)) throw httpError(400, 'Cannot merge a friend into themselves');
+
+  return withTransaction(async (session) => {
+    const before = await Friend.findOne({ _id: survivorId, owner }).session(session);
+    const duplicate = await Friend.findOne({ _id: duplicateId, owner }).session(session);
+    if (!before || !duplicate) throw httpError(404, 'Friend not found');
+    if (before.archivedAt) throw httpError(409, 'The friend to keep is archived; restore them first');
+    if (before.currency !== duplicate.currency) {
+      throw httpError(400, `Cannot merge a ${duplicate.currency} friend into a ${before.currency} one`);
+    }
+
+    // entries merged before keep pointing at the friend they were first recorded for
+    const origin = { mergedFrom: duplicate._id, mergedFromName: duplicate.name };
+    const stamped = await Transaction.updateMany(
+      { friend: duplicate._id, mergedFrom: null },
+      { $set: { friend: before._id, ...origin } },
+      { session }
+    );
+    const carried = await Transaction.updateMany({ friend: duplicate._id }, { $set: { friend: before._id } }, { session });
+    await Message.updateMany({ friend: duplicate._id }, { $set: { friend: before._id } }, { session });
+
+    const schedule = await ReminderSchedule.findOne({ friend: before._id }).session(session);
+    if (schedule) await ReminderSchedule.deleteOne({ friend: duplicate._id }, { session });
+    else await ReminderSchedule.updateOne({ friend: duplicate._id }, { $set: { friend: before._id } }, { session });
+
+    const survivor = await Friend.findByIdAndUpdate(
+      before._id,
+      {
+        $inc: { openingBalance: Number(duplicate.openingBalance || 0), savedAmount: Number(duplicate.savedAmount || 0) },
+        $set: { monthlyStatement: before.monthlyStatement || duplicate.monthlyStatement }
+      },
+      { session, returnDocument: 'after' }
+    );
+    await Friend.deleteOne({ _id: duplicate._id }, { session });
+
+    await rebuildFriendBalances([survivor._id], session);
+    await rebuildRunningBalances(survivor, session);
+
+    const friend = await Friend.findById(survivor._id).session(session);
+    const result = { before, friend, duplicate, moved: stamped.modifiedCount + carried.modifiedCount };
+    if (audit) await audit(session, result);
+    return result;
+  });
+}
+
+module.exports = { similarNames, matchReasons, replayRunningBalances, findDuplicates, duplicatePairs, mergeFriends };
@@ -0,0 +1,426 @@
+// backend/controllers/imports.js
+// Spreadsheet import of friends and historical transactions.
+//
+// Both steps read the same uploaded file: previewImport() maps its columns and validates every
+// row; commitImport() re-runs the preview and writes all valid rows in one MongoDB transaction,
+// or nothing at all when any row has an error. Rows matching existing records are reported as
+// duplicates and skipped.
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { withTransaction, rebuildFriendBalances } = require('./ledger');
+const { accountTimezone } = require('./timezones');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { simulateLoans, round2 } = require('../utils/interest');
+const { normalizePhone, phonesMatch } = require('../utils/phone');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { DEFAULT_CURRENCY, isValidCurrency, formatMoney } = require('../utils/money');
+const { zonedDate } = require('../utils/timezone');
+
+const MAX_ROWS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// importable columns per kind; headers matching an alias are mapped automatically
+const FIELDS = {
+  friends: [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'fullname', 'friend'] },
+    { key: 'whatsapp', label: 'WhatsApp', required: true, aliases: ['whatsapp', 'phone', 'mobile', 'number', 'phonenumber'] },
+    { key: 'savedAmount', label: 'Saved amount', aliases: ['savedamount', 'saved', 'savings'] },
+    { key: 'totalBalance', label: 'Balance', aliases: ['totalbalance', 'balance', 'availablebalance'] },
+    { key: 'language', label: 'Language', aliases: ['language', 'lang'] },
+    { key: 'currency', label: 'Currency', aliases: ['currency'] }
+  ],
+  transactions: [
+    { key: 'friend', label: 'Friend (WhatsApp or name)', required: true, aliases: ['friend', 'whatsapp', 'phone', 'mobile', 'name'] },
+    { key: 'type', label: 'Type', required: true, aliases: ['type', 'kind', 'transactiontype'] },
+    { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'value'] },
+    { key: 'note', label: 'Note / reason', aliases: ['note', 'reason', 'notes', 'description', 'remarks'] },
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'transactiondate', 'createdat'] }
+  ]
+};
+
+const TYPE_ALIASES = {
+  credit: 'credit', topup: 'credit', deposit: 'credit',
+  debit: 'debit', spent: 'debit', withdrawal: 'debit',
+  loan: 'loan', lent: 'loan',
+  repay: 'repay', repayment: 'repay', repaid: 'repay'
+};
+
+const headerKey = (h) => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const isEmpty = (v) => v === null || v === undefined || String(v).trim() === '';
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// first unused header matching each field's aliases
+function guessMapping(kind, headers) {
+  const used = new Set();
+  const mapping = {};
+  for (const field of FIELDS[kind]) {
+    const header = headers.find(h => !used.has(h) && field.aliases.includes(headerKey(h)));
+    mapping[field.key] = header || '';
+    if (header) used.add(header);
+  }
+  return mapping;
+}
+
+// the client's mapping (field → header) when given, else a guess
+function resolveMapping(kind, headers, requested) {
+  if (!requested) return guessMapping(kind, headers);
+  const mapping = {};
+  for (const field of FIELDS[kind]) {
+    const header = requested[field.key] || '';
+    if (header && !headers.includes(header)) throw badRequest(`Column "${header}" is not in the file`);
+    mapping[field.key] = header;
+  }
+  return mapping;
+}
+
+// "₹1,200.50" → 1200.5; empty → null; unreadable → NaN
+function parseAmount(value) {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/[^\d.-]/g, '');
+  return cleaned ? Number(cleaned) : NaN;
+}
+
+function validDay(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+/**
+ * Read a spreadsheet date as wall-clock time in `timeZone`.
+ * Accepts XLSX date cells, Excel serial numbers, YYYY-MM-DD[ HH:mm[:ss]], DD/MM/YYYY[ HH:mm[:ss][ am|pm]]
+ * (also with - or . separators) and full ISO timestamps with an offset. Returns null when unreadable.
+ */
+function parseDate(value, timeZone) {
+  if (isEmpty(value)) return null;
+
+  // XLSX dates and serials carry the wall clock in their UTC fields
+  let utc = null;
+  if (value instanceof Date) utc = value;
+  else if (typeof value === 'number') utc = new Date(Date.UTC(1899, 11, 30) + Math.round(value * DAY_MS));
+  if (utc) {
+    if (Number.isNaN(utc.getTime())) return null;
+    return zonedDate({
+      year: utc.getUTCFullYear(), month: utc.getUTCMonth() + 1, day: utc.getUTCDate(),
+      hour: utc.getUTCHours(), minute: utc.getUTCMinutes(), second: utc.getUTCSeconds()
+    }, timeZone);
+  }
+
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const d = new Date(text);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+
+  let year, month, day, rest;
+  let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(.*)$/);
+  if (m) {
+    [year, month, day, rest] = [Number(m[1]), Number(m[2]), Number(m[3]), m[4]];
+  } else if ((m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(.*)$/))) {
+    // day first, as written in India
+    [day, month, year, rest] = [Number(m[1]), Number(m[2]), Number(m[3]), m[4]];
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+  if (!validDay(year, month, day)) return null;
+
+  let hour = 0;
+  let minute = 0;
+  let second = 0;
+  if (rest.trim()) {
+    const t = rest.match(/^[\sT,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!t) return null;
+    [hour, minute, second] = [Number(t[1]), Number(t[2]), Number(t[3] || 0)];
+    const meridiem = (t[4] || '').toLowerCase();
+    if (meridiem && (hour < 1 || hour > 12)) return null;
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59 || second > 59) return null;
+  }
+  return zonedDate({ year, month, day, hour, minute, second }, timeZone);
+}
+
+// "hi", "Hindi" or "हिन्दी" → "hi"
+function parseLanguage(value) {
+  const v = String(value).trim().toLowerCase();
+  const match = Object.entries(LANGUAGES).find(([code, lang]) =>
+    code === v || lang.label.toLowerCase().replace(/[()]/g, ' ').split(/\s+/).includes(v));
+  return match ? match[0] : null;
+}
+
+function readRow(cells, headers, mapping) {
+  const values = {};
+  for (const [key, header] of Object.entries(mapping)) {
+    const value = header ? cells[headers.indexOf(header)] : undefined;
+    values[key] = typeof value === 'string' ? value.trim() : value;
+  }
+  return values;
+}
+
+async function validateFriendRows(owner, rows) {
+  const existing = await Friend.find({ owner }).select('name whatsapp').lean();
+  const accepted = [];
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const name = isEmpty(values.name) ? '' : String(values.name).trim();
+    const whatsapp = isEmpty(values.whatsapp) ? '' : String(values.whatsapp).trim();
+    if (!name) errors.push('Name is required');
+    const digits = normalizePhone(whatsapp);
+    if (!whatsapp) errors.push('WhatsApp number is required');
+    else if (digits.length < 8 || digits.length > 15) errors.push(`"${whatsapp}" is not a valid WhatsApp number`);
+
+    const saved = parseAmount(values.savedAmount);
+    const balance = parseAmount(values.totalBalance);
+    if (Number.isNaN(saved)) errors.push(`Saved amount "${values.savedAmount}" is not a number`);
+    if (Number.isNaN(balance)) errors.push(`Balance "${values.totalBalance}" is not a number`);
+
+    const language = isEmpty(values.language) ? DEFAULT_LANGUAGE : parseLanguage(values.language);
+    if (!language) errors.push(`Unsupported language "${values.language}"`);
+    const currency = isEmpty(values.currency) ? DEFAULT_CURRENCY : String(values.currency).trim().toUpperCase();
+    if (!isValidCurrency(currency)) errors.push(`Unsupported currency "${values.currency}"`);
+
+    // same defaults as POST /api/friends
+    const savedAmount = saved !== null ? saved : (balance || 0);
+    const totalBalance = balance !== null ? balance : savedAmount;
+    const record = { name, whatsapp, savedAmount, totalBalance, language, currency };
+    const row = { line, values: record, errors };
+    if (errors.length) return { ...row, status: 'error' };
+
+    const match = existing.find(f => phonesMatch(f.whatsapp, whatsapp));
+    if (match) return { ...row, status: 'duplicate', duplicateOf: { _id: match._id, name: match.name, whatsapp: match.whatsapp } };
+    const earlier = accepted.find(r => phonesMatch(r.values.whatsapp, whatsapp));
+    if (earlier) return { ...row, status: 'duplicate', duplicateOf: { line: earlier.line, name: earlier.values.name, whatsapp: earlier.values.whatsapp } };
+
+    accepted.push(row);
+    return { ...row, status: 'ok' };
+  });
+}
+
+// a friend by WhatsApp number (with or without country code) or, failing that, by exact name
+function findFriend(friends, value) {
+  const text = String(value).trim();
+  const digits = normalizePhone(text);
+  if (digits.length >= 8) {
+    const byPhone = friends.filter(f => phonesMatch(f.whatsapp, digits));
+    if (byPhone.length === 1) return { friend: byPhone[0] };
+  }
+  const byName = friends.filter(f => f.name.trim().toLowerCase() === text.toLowerCase());
+  if (byName.length === 1) return { friend: byName[0] };
+  if (byName.length > 1) return { error: `Several friends are called "${text}" — use their WhatsApp number` };
+  return { error: `No friend matches "${text}"` };
+}
+
+// flag repayments that pay back more than was owed at their date (the import would leave credit)
+async function checkRepayments(rows) {
+  const byFriend = new Map();
+  for (const row of rows) {
+    if (row.status !== 'ok' || !['loan', 'repay'].includes(row.record.type)) continue;
+    const id = String(row.record.friend);
+    if (!byFriend.has(id)) byFriend.set(id, []);
+    byFriend.get(id).push(row);
+  }
+
+  for (const [friendId, imported] of byFriend) {
+    if (!imported.some(r => r.record.type === 'repay')) continue;
+    const existing = await Transaction.find({ friend: friendId, type: { $in: ['loan', 'repay'] } }).lean();
+    const entries = imported.map(r => ({ ...r.record, _id: r.tempId }));
+    const sim = simulateLoans([...existing, ...entries]);
+    for (const row of imported) {
+      if (row.record.type !== 'repay') continue;
+      const paid = (sim.allocations.get(String(row.tempId)) || []).reduce((s, a) => s + a.amount, 0);
+      if (round2(paid) < row.record.amount) {
+        row.errors.push(`Repays more than was owed on that date (only ${formatMoney(round2(paid), row.values.currency)} was due)`);
+        row.status = 'error';
+      }
+    }
+  }
+}
+
+async function validateTransactionRows(owner, rows) {
+  const friends = await Friend.find({ owner, archivedAt: null }).select('name whatsapp currency timezone').lean();
+  const fallbackZone = await accountTimezone(owner);
+  const now = new Date();
+
+  const checked = rows.map(({ line, values }) => {
+    const errors = [];
+    let friend = null;
+    if (isEmpty(values.friend)) errors.push('Friend is required');
+    else {
+      const found = findFriend(friends, values.friend);
+      if (found.error) errors.push(found.error);
+      friend = found.friend || null;
+    }
+
+    const type = isEmpty(values.type) ? null : TYPE_ALIASES[headerKey(values.type)];
+    if (!type) errors.push(isEmpty(values.type) ? 'Type is required' : `Type "${values.type}" must be credit, debit, loan or repay`);
+
+    const amount = parseAmount(values.amount);
+    if (amount === null) errors.push('Amount is required');
+    else if (!(amount > 0)) errors.push(`Amount "${values.amount}" must be a positive number`);
+
+    // dates without an offset are read in the friend's timezone
+    const timeZone = (friend && friend.timezone) || fallbackZone;
+    const date = parseDate(values.date, timeZone);
+    if (isEmpty(values.date)) errors.push('Date is required');
+    else if (!date) errors.push(`Date "${values.date}" is not recognised (use YYYY-MM-DD or DD/MM/YYYY)`);
+    else if (date > now) errors.push('Date is in the future');
+
+    const note = isEmpty(values.note) ? '' : String(values.note).trim();
+    const record = { friend: friend && friend._id, type, amount, date, note };
+    return {
+      line,
+      tempId: new mongoose.Types.ObjectId(),
+      record,
+      values: {
+        friend: friend ? friend.name : String(values.friend || ''),
+        currency: friend && friend.currency,
+        timezone: timeZone,
+        type, amount, date, note
+      },
+      errors,
+      status: errors.length ? 'error' : 'ok'
+    };
+  });
+
+  // the same entry already in the ledger (e.g. the file was imported before)
+  const valid = checked.filter(r => r.status === 'ok');
+  if (valid.length) {
+    const existing = await Transaction.find({
+      owner,
+      friend: { $in: [...new Set(valid.map(r => String(r.record.friend)))] },
+      date: { $in: valid.map(r => r.record.date) }
+    }).select('friend type amount date').lean();
+    for (const row of valid) {
+      const { friend, type, amount, date } = row.record;
+      const match = existing.find(t => String(t.friend) === String(friend) && t.type === type
+        && Number(t.amount) === amount && new Date(t.date).getTime() === date.getTime());
+      if (match) {
+        row.status = 'duplicate';
+        row.duplicateOf = { _id: match._id };
+      }
+    }
+  }
+
+  await checkRepayments(checked);
+  return checked;
+}
+
+function withoutRecords(preview) {
+  return { ...preview, rows: preview.rows.map(({ record, tempId, ...row }) => row) };
+}
+
+// mapped and validated rows, including the parsed records commitImport() writes
+async function validateFile(owner, { kind, file, mapping }) {
+  if (!FIELDS[kind]) throw badRequest('kind must be "friends" or "transactions"');
+  if (!file) throw badRequest('Attach a .csv or .xlsx file');
+
+  const sheet = await readSpreadsheet(file);
+  if (!sheet.headers.length) throw badRequest('The file is empty');
+  if (sheet.rows.length > MAX_ROWS) throw badRequest(`Import at most ${MAX_ROWS} rows at a time`);
+
+  const resolved = resolveMapping(kind, sheet.headers, mapping);
+  const missing = FIELDS[kind].filter(f => f.required && !resolved[f.key]).map(f => f.label);
+  const rows = missing.length
+    ? []
+    : sheet.rows.map(({ line, cells }) => ({ line, values: readRow(cells, sheet.headers, resolved) }));
+
+  const checked = kind === 'friends'
+    ? await validateFriendRows(owner, rows)
+    : await validateTransactionRows(owner, rows);
+
+  const count = (status) => checked.filter(r => r.status === status).length;
+  return {
+    kind,
+    columns: sheet.headers,
+    fields: FIELDS[kind].map(({ key, label, required = false }) => ({ key, label, required })),
+    mapping: resolved,
+    missing,
+    rows: checked,
+    summary: { total: sheet.rows.length, ok: count('ok'), duplicates: count('duplicate'), errors: count('error') }
+  };
+}
+
+/**
+ * Map and validate an uploaded file.
+ * `kind` is "friends" or "transactions"; `mapping` ({ field: header }) overrides the guessed columns.
+ * Resolves to { kind, columns, fields, mapping, missing, rows, summary } where each row is
+ * { line, status: 'ok' | 'duplicate' | 'error', errors, values, duplicateOf? }.
+ */
+async function previewImport(owner, options) {
+  return withoutRecords(await validateFile(owner, options));
+}
+
+// Without a session (standalone MongoDB, see withTransaction) a failed import does not roll
+// back by itself: remove the rows it wrote and recompute the balances they touched.
+async function undoImport(kind, ids, friendIds) {
+  if (kind === 'friends') {
+    await Friend.deleteMany({ _id: { $in: ids } });
+    return;
+  }
+  await Transaction.deleteMany({ _id: { $in: ids } });
+  await rebuildFriendBalances(friendIds);
+}
+
+/**
+ * Validate the file again and write every valid row, all or nothing.
+ * Rejects (err.status = 400, err.preview) when any row has an error.
+ * Resolves to { imported, skipped, friends } (friends = ids whose balances were recomputed).
+ */
+async function commitImport(owner, { kind, file, mapping }) {
+  const preview = await validateFile(owner, { kind, file, mapping });
+  if (preview.missing.length || preview.summary.errors) {
+    const err = badRequest(preview.missing.length
+      ? `Map a column to: ${preview.missing.join(', ')}`
+      : `${preview.summary.errors} row(s) have errors — nothing was imported`);
+    err.preview = withoutRecords(preview);
+    throw err;
+  }
+  const rows = preview.rows.filter(r => r.status === 'ok');
+  if (!rows.length) throw badRequest('Nothing to import — every row is already in the app');
+
+  return withTransaction(async (session) => {
+    // ids chosen up front, so a failed import without a session knows what to remove
+    const newId = () => new mongoose.Types.ObjectId();
+    if (kind === 'friends') {
+      const docs = rows.map(({ values }) => ({ _id: newId(), owner, ...values, openingBalance: values.totalBalance }));
+      try {
+        await Friend.insertMany(docs, { session });
+      } catch (err) {
+        if (!session) await undoImport(kind, docs.map(d => d._id));
+        throw err;
+      }
+      return { imported: docs.length, skipped: preview.summary.duplicates, friends: docs.map(d => d._id) };
+    }
+
+    const docs = rows.map(({ record }) => ({
+      _id: newId(),
+      owner,
+      friend: record.friend,
+      type: record.type,
+      amount: record.amount,
+      date: record.date,
+      // the loan manager shows a loan's reason, everything else shows its note
+      ...(record.type === 'loan' ? { reason: record.note } : { note: record.note })
+    }));
+    // balances and loan allocations now follow from the combined ledger
+    const friendIds = [...new Set(docs.map(d => String(d.friend)))];
+    try {
+      await Transaction.insertMany(docs, { session });
+      await rebuildFriendBalances(friendIds, session);
+    } catch (err) {
+      if (!session) await undoImport(kind, docs.map(d => d._id), friendIds);
+      throw err;
+    }
+    return { imported: docs.length, skipped: preview.summary.duplicates, friends: friendIds };
+  });
+}
+
+module.exports = { FIELDS, previewImport, commitImport, guessMapping, parseAmount, parseDate, findFriend };
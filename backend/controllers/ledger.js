@@ -0,0 +1,537 @@
+// backend/controllers/ledger.js
+// Balance-changing writes and ledger recalculation.
+//
+// totalBalance is derived from the ledger as
+//   openingBalance + Σ credit − Σ debit
+// and owedAmount as Σ loan principal + accrued interest − Σ repay (see utils/interest.js).
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { alertLowBalance } = require('./alerts');
+const { simulateLoans, round2 } = require('../utils/interest');
+const { formatMoney } = require('../utils/money');
+const { DEFAULT_TIMEZONE, startOfDay, startOfMonth } = require('../utils/timezone');
+
+// Balance changes write several documents and must be all-or-nothing, so they need MongoDB
+// transactions (a replica set or mongos). ALLOW_NON_TRANSACTIONAL=true lets a standalone
+// server run them anyway, one write at a time: a failure midway can then leave a ledger
+// entry without its balance update (reconcile repairs it).
+const ALLOW_NON_TRANSACTIONAL = process.env.ALLOW_NON_TRANSACTIONAL === 'true';
+const NO_TRANSACTIONS = 'MongoDB transactions are unavailable: run MongoDB as a replica set, '
+  + 'or set ALLOW_NON_TRANSACTIONAL=true to accept balance changes that are not atomic';
+
+let transactionsSupported = true;
+
+const LEDGER_ORDER = { date: 1, createdAt: 1, _id: 1 };
+
+// the counter-entry type that undoes each entry type
+const REVERSAL_TYPE = { debit: 'credit', credit: 'debit', loan: 'repay', repay: 'loan' };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Check at startup that the connected server runs transactions. Without them it resolves
+ * only when ALLOW_NON_TRANSACTIONAL is set (with a warning), and rejects otherwise.
+ */
+async function checkTransactionSupport() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === 'isdbgrid') return true;
+  if (!ALLOW_NON_TRANSACTIONAL) throw new Error(NO_TRANSACTIONS);
+  transactionsSupported = false;
+  console.warn('⚠️ MongoDB transactions unavailable (not a replica set): ALLOW_NON_TRANSACTIONAL is set, so balance changes are NOT atomic.');
+  return false;
+}
+
+/**
+ * Run `fn(session)` inside a MongoDB transaction.
+ * Standalone servers (no replica set) cannot run transactions: with ALLOW_NON_TRANSACTIONAL
+ * we fall back to running `fn(null)`, otherwise reject with a 503.
+ */
+async function withTransaction(fn) {
+  if (!transactionsSupported) return fn(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    // 20 = IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+    if (err && err.code === 20) {
+      if (!ALLOW_NON_TRANSACTIONAL) throw httpError(503, NO_TRANSACTIONS);
+      transactionsSupported = false;
+      console.warn('⚠️ MongoDB transactions unavailable (not a replica set): ALLOW_NON_TRANSACTIONAL is set, so balance changes are NOT atomic.');
+      return fn(null);
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// the body of recordBalanceChange, inside a caller's session; `entry` holds extra fields
+// for the new transaction (a reversal's _id and reversalOf). `guard(friend, session)` may
+// refuse the change by throwing; it sees the friend and ledger as of this transaction.
+async function applyBalanceChange(session, { friend, type, amount, note, category = null, tags = [], savedDelta = 0, entry = {}, guard = null }) {
+  if (guard) {
+    const current = await Friend.findById(friend._id).session(session);
+    if (!current) throw new Error('Friend not found');
+    await guard(current, session);
+  }
+  const delta = type === 'credit' ? amount : -amount;
+  const date = new Date();
+  const inc = { totalBalance: delta };
+  if (savedDelta) inc.savedAmount = savedDelta;
+  const before = await Friend.findOneAndUpdate(
+    { _id: friend._id },
+    { $inc: inc, $set: { lastUpdatedAt: date } },
+    { session, returnDocument: 'before' }
+  );
+  if (!before) throw new Error('Friend not found');
+
+  const previousBalance = Number(before.totalBalance || 0);
+  const [transaction] = await Transaction.create([{
+    ...entry,
+    owner: before.owner,
+    friend: before._id,
+    type,
+    amount,
+    note,
+    category,
+    tags,
+    date,
+    savedDelta,
+    previousBalance,
+    newBalance: previousBalance + delta
+  }], { session });
+
+  const updated = await Friend.findById(before._id).session(session);
+  return { friend: updated, transaction };
+}
+
+/**
+ * Apply a debit or credit to a friend's savings balance and record the ledger entry atomically.
+ * `savedDelta` optionally moves savedAmount in the same write (credits that top up savings).
+ * `audit(session, { friend, transaction })` writes the audit event in the same transaction.
+ * Once committed, a balance that crossed lowBalanceThreshold triggers the low-balance alert.
+ * Resolves to { friend, transaction, alerts } with the updated friend.
+ */
+async function recordBalanceChange({ audit = null, ...change }) {
+  const result = await withTransaction(async (session) => {
+    const applied = await applyBalanceChange(session, change);
+    if (audit) await audit(session, applied);
+    return applied;
+  });
+  const alerts = await alertLowBalance({ friend: result.friend, previousBalance: result.transaction.previousBalance, transaction: result.transaction._id });
+  return { ...result, alerts };
+}
+
+// `guard` (see applyBalanceChange) checks the spending caps, controllers/limits.js debitCapGuard
+function recordDebit({ friend, amount, note, category, tags, guard = null, audit = null }) {
+  return recordBalanceChange({ friend, type: 'debit', amount, note, category, tags, guard, audit });
+}
+
+function recordCredit({ friend, amount, note, category, tags, addToSaved = false, audit = null }) {
+  return recordBalanceChange({ friend, type: 'credit', amount, note, category, tags, savedDelta: addToSaved ? amount : 0, audit });
+}
+
+/**
+ * Overwrite a friend's totalBalance by hand (no ledger entry). openingBalance shifts by the
+ * same delta so the ledger still adds up to the new balance.
+ * `audit(session, { previous, friend })` writes the audit event in the same transaction.
+ * Resolves to { previous, friend, alerts }, or null when the friend is not the owner's.
+ */
+async function setBalance({ friendId, owner, totalBalance, audit = null }) {
+  const changed = await withTransaction(async (session) => {
+    const previous = await Friend.findOneAndUpdate(
+      { _id: friendId, owner },
+      [{ $set: {
+        openingBalance: { $add: [{ $ifNull: ['$openingBalance', 0] }, { $subtract: [totalBalance, '$totalBalance'] }] },
+        totalBalance,
+        lastUpdatedAt: new Date()
+      } }],
+      { session, returnDocument: 'before', updatePipeline: true }
+    );
+    if (!previous) return null;
+    const friend = await Friend.findById(previous._id).session(session);
+    if (audit) await audit(session, { previous, friend });
+    return { previous, friend };
+  });
+  if (!changed) return null;
+  const { previous, friend } = changed;
+  const alerts = await alertLowBalance({ friend, previousBalance: previous.totalBalance });
+  return { previous, friend, alerts };
+}
+
+// reversed debits were never really spent
+async function spentBetween(friendId, start, asOf, session = null) {
+  const txs = await Transaction.find({ friend: friendId, type: 'debit', reversedBy: null, date: { $gte: start, $lte: asOf } }).session(session);
+  return txs.reduce((s, t) => s + (Number(t.amount) || 0), 0);
+}
+
+// total debited on the day of `asOf` in `timezone`, up to `asOf`
+// (the "Today's Total Spent" line of debit messages and the daily limit)
+function todaysSpent(friendId, asOf = new Date(), timezone = DEFAULT_TIMEZONE, session = null) {
+  return spentBetween(friendId, startOfDay(asOf, timezone), asOf, session);
+}
+
+// total debited in the calendar month of `asOf` in `timezone`, up to `asOf` (the monthly limit)
+function monthsSpent(friendId, asOf = new Date(), timezone = DEFAULT_TIMEZONE, session = null) {
+  return spentBetween(friendId, startOfMonth(asOf, timezone), asOf, session);
+}
+
+function loanEntries(friendId, session = null) {
+  return Transaction.find({ friend: friendId, type: { $in: ['loan', 'repay'] } }).sort(LEDGER_ORDER).session(session);
+}
+
+// copy simulated per-loan state and per-repay allocations onto the documents
+function applySimulation(entries, sim) {
+  for (const t of entries) {
+    if (t.type === 'loan') {
+      // reversed loans (and loans that reverse a repay) are not simulated: nothing is due on them
+      const row = sim.loans.get(String(t._id));
+      t.outstanding = row ? row.principal : 0;
+      t.interestPaid = row ? row.interestPaid : 0;
+    } else {
+      t.allocations = sim.allocations.get(String(t._id)) || [];
+    }
+  }
+}
+
+/**
+ * Record a repayment against a friend's loans, paying the oldest open loan first
+ * (its unpaid interest, then its principal).
+ * Rejects (err.status = 400) when the amount exceeds what is owed.
+ * `audit(session, { friend, transaction })` writes the audit event in the same transaction.
+ * Resolves to { friend, transaction, loans } where `loans` are the loans touched.
+ */
+async function recordRepayment({ friend, amount, note, audit = null }) {
+  return withTransaction(async (session) => {
+    const date = new Date();
+    const entries = await loanEntries(friend._id, session);
+    const before = simulateLoans(entries, date);
+    if (amount > before.totalDue) {
+      const err = new Error(`Repay amount greater than owed (${formatMoney(before.totalDue, friend.currency)})`);
+      err.status = 400;
+      throw err;
+    }
+
+    const repay = new Transaction({
+      owner: friend.owner,
+      friend: friend._id,
+      type: 'repay',
+      amount,
+      note,
+      date,
+      previousBalance: before.totalDue
+    });
+    const all = [...entries, repay];
+    const after = simulateLoans(all, date);
+    applySimulation(all, after);
+    repay.newBalance = after.totalDue;
+
+    await Promise.all(entries.filter(t => t.isModified()).map(t => t.save({ session })));
+    await repay.save({ session });
+
+    const updated = await Friend.findByIdAndUpdate(
+      friend._id,
+      { owedAmount: after.totalDue, owedAsOf: date, lastUpdatedAt: date },
+      { session, returnDocument: 'after' }
+    );
+    if (audit) await audit(session, { friend: updated, transaction: repay });
+    const touched = new Set(repay.allocations.map(a => String(a.loan)));
+    return { friend: updated, transaction: repay, loans: entries.filter(t => touched.has(String(t._id))) };
+  });
+}
+
+/**
+ * Undo a ledger entry with a linked counter-entry instead of deleting it. A debit is reversed
+ * by a credit and a credit by a debit, restoring the balance (and the savedAmount a credit
+ * added to); a loan is reversed by a repay and
+ * a repay by a loan, and the loan maths then leaves both out (utils/interest.js).
+ * The counter-entry keeps the original's category and tags; `note` says why.
+ * Rejects with 409 when the entry is already reversed, 400 when it is itself a reversal.
+ * `audit(session, { friend, transaction, reversal })` writes the audit event in the same transaction.
+ * Resolves to { friend, transaction, reversal, alerts } with the updated friend and original
+ * entry; alerts are the low-balance alerts a reversed credit may trigger.
+ */
+async function reverseTransaction({ transaction, note = '', audit = null }) {
+  if (transaction.reversalOf) throw httpError(400, 'A reversal cannot itself be reversed');
+  if (transaction.reversedBy) throw httpError(409, 'This transaction was already reversed');
+
+  const type = REVERSAL_TYPE[transaction.type];
+  const entry = { _id: new mongoose.Types.ObjectId(), reversalOf: transaction._id };
+
+  const result = await withTransaction(async (session) => {
+    const reversed = await applyReversal(session, transaction, type, entry, note);
+    if (audit) await audit(session, reversed);
+    return reversed;
+  });
+
+  // loan and repay entries move owedAmount, not totalBalance
+  const alerts = (type === 'debit' || type === 'credit')
+    ? await alertLowBalance({ friend: result.friend, previousBalance: result.reversal.previousBalance, transaction: result.reversal._id })
+    : [];
+  return { ...result, alerts };
+}
+
+// the body of reverseTransaction, inside its session; `entry` holds the counter-entry's _id and reversalOf
+async function applyReversal(session, transaction, type, entry, note) {
+  const date = new Date();
+  // what was owed before, while the original still counts
+  const owedBefore = (type === 'loan' || type === 'repay')
+    ? owedFromSimulation(simulateLoans(await loanEntries(transaction.friend, session), date))
+    : null;
+
+  // claim the entry first so two concurrent reversals cannot both apply
+  const original = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, reversedBy: null },
+    { $set: { reversedBy: entry._id } },
+    { session, returnDocument: 'after' }
+  );
+  if (!original) throw httpError(409, 'This transaction was already reversed');
+
+  if (owedBefore === null) {
+    const { friend, transaction: reversal } = await applyBalanceChange(session, {
+      friend: { _id: original.friend },
+      type,
+      amount: original.amount,
+      note,
+      category: original.category,
+      tags: original.tags,
+      // a credit that also topped up savedAmount takes that back too
+      savedDelta: original.savedDelta ? -original.savedDelta : 0,
+      entry
+    });
+    return { friend, transaction: original, reversal };
+  }
+
+  const reversal = new Transaction({
+    ...entry,
+    owner: original.owner,
+    friend: original.friend,
+    type,
+    amount: original.amount,
+    note,
+    reason: note,
+    category: original.category,
+    tags: original.tags,
+    date,
+    previousBalance: owedBefore
+  });
+  const entries = await loanEntries(original.friend, session);
+  const all = [...entries, reversal];
+  const sim = simulateLoans(all, date);
+  applySimulation(all, sim);
+  reversal.newBalance = owedFromSimulation(sim);
+
+  await Promise.all(entries.filter(t => t.isModified()).map(t => t.save({ session })));
+  await reversal.save({ session });
+
+  const friend = await Friend.findByIdAndUpdate(
+    original.friend,
+    { owedAmount: reversal.newBalance, owedAsOf: date, lastUpdatedAt: date },
+    { session, returnDocument: 'after' }
+  );
+  const updated = entries.find(t => t._id.equals(original._id)) || original;
+  return { friend, transaction: updated, reversal };
+}
+
+/**
+ * Replay every repayment of a friend over their loans (oldest first) and rewrite
+ * each loan's `outstanding`/`interestPaid` and each repay's `allocations`.
+ * Needed after a loan or repay entry is edited or deleted.
+ */
+async function rebuildLoanAllocations(friendId, session = null) {
+  const entries = await loanEntries(friendId, session);
+  applySimulation(entries, simulateLoans(entries));
+  await Promise.all(entries.filter(t => t.isModified()).map(t => t.save({ session })));
+}
+
+/**
+ * Live loan state (principal, interest, total due) per friend, as of `asOf`.
+ * Resolves to a Map of friendId → simulateLoans() result.
+ */
+async function loanStatus(friendIds, asOf = new Date()) {
+  const entries = await Transaction.find({ friend: { $in: friendIds }, type: { $in: ['loan', 'repay'] } }).sort(LEDGER_ORDER);
+  const byFriend = new Map(friendIds.map(id => [String(id), []]));
+  for (const t of entries) {
+    const list = byFriend.get(String(t.friend));
+    if (list) list.push(t);
+  }
+  const status = new Map();
+  for (const [id, list] of byFriend) status.set(id, simulateLoans(list, asOf));
+  return status;
+}
+
+// what a friend owes per the ledger: open principal + unpaid interest, minus any over-repayment
+function owedFromSimulation(sim) {
+  return round2(sim.totalDue - sim.unallocated);
+}
+
+/**
+ * Loans recorded before per-loan tracking existed have no `outstanding` yet.
+ */
+async function backfillLoanAllocations() {
+  const friendIds = await Transaction.distinct('friend', { type: 'loan', outstanding: null });
+  for (const friendId of friendIds) await rebuildLoanAllocations(friendId);
+  if (friendIds.length) console.log(`Backfilled loan allocations for ${friendIds.length} friend(s)`);
+  return friendIds.length;
+}
+
+/**
+ * Sum every ledger entry per friend and type.
+ * Resolves to a Map of friendId → { credit, debit, loan, repay }.
+ */
+async function ledgerTotals(friendIds, session = null) {
+  const ids = friendIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const rows = await Transaction.aggregate([
+    { $match: { friend: { $in: ids } } },
+    { $group: { _id: { friend: '$friend', type: '$type' }, sum: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const totals = new Map(ids.map(id => [String(id), { credit: 0, debit: 0, loan: 0, repay: 0 }]));
+  for (const row of rows) {
+    const entry = totals.get(String(row._id.friend));
+    if (entry) entry[row._id.type] = row.sum;
+  }
+  return totals;
+}
+
+function derivedBalance(friend, totals) {
+  const t = totals || { credit: 0, debit: 0 };
+  return Number(friend.openingBalance || 0) + t.credit - t.debit;
+}
+
+/**
+ * Helper: recalc totalBalance for a friend from transactions
+ */
+async function recalcBalance(friendId, session = null) {
+  const friend = await Friend.findById(friendId).session(session);
+  if (!friend) return null;
+  const totals = await ledgerTotals([friend._id], session);
+  const totalBalance = derivedBalance(friend, totals.get(String(friend._id)));
+  await Friend.findByIdAndUpdate(friend._id, { totalBalance, lastUpdatedAt: new Date() }, { session });
+  return totalBalance;
+}
+
+/**
+ * Helper: recalc owedAmount (principal + accrued interest) for a friend from transactions
+ */
+async function recalcOwed(friendId, session = null) {
+  const now = new Date();
+  const entries = await loanEntries(friendId, session);
+  const total = owedFromSimulation(simulateLoans(entries, now));
+  await Friend.findByIdAndUpdate(friendId, { owedAmount: total, owedAsOf: now, lastUpdatedAt: now }, { session });
+  return total;
+}
+
+/**
+ * Recompute loan allocations, totalBalance and owedAmount of several friends from their
+ * ledger, inside `session` when given (used after bulk-inserting historical entries).
+ */
+async function rebuildFriendBalances(friendIds, session = null) {
+  const now = new Date();
+  const totals = await ledgerTotals(friendIds, session);
+  for (const friendId of friendIds) {
+    const friend = await Friend.findById(friendId).session(session);
+    if (!friend) continue;
+
+    const entries = await loanEntries(friend._id, session);
+    const sim = simulateLoans(entries, now);
+    applySimulation(entries, sim);
+    await Promise.all(entries.filter(t => t.isModified()).map(t => t.save({ session })));
+
+    friend.totalBalance = derivedBalance(friend, totals.get(String(friend._id)));
+    friend.owedAmount = owedFromSimulation(sim);
+    friend.owedAsOf = now;
+    friend.lastUpdatedAt = now;
+    await friend.save({ session });
+  }
+}
+
+/**
+ * Compare stored balances with the ledger for a set of friends.
+ */
+async function reconcileFriends(friends) {
+  const ids = friends.map(f => f._id);
+  const totals = await ledgerTotals(ids);
+  const entries = await Transaction.find({ friend: { $in: ids }, type: { $in: ['loan', 'repay'] } }).sort(LEDGER_ORDER);
+  return friends.map(friend => reconcileFriend(
+    friend,
+    totals.get(String(friend._id)),
+    entries.filter(t => String(t.friend) === String(friend._id))
+  ));
+}
+
+// one friend's stored balances against its ledger totals and its loan/repay entries
+function reconcileFriend(friend, totals, entries) {
+  // owedAmount includes interest as of its last recalculation, so compare at that instant
+  const ledger = {
+    totalBalance: derivedBalance(friend, totals),
+    owedAmount: owedFromSimulation(simulateLoans(entries, friend.owedAsOf || new Date()))
+  };
+  const stored = {
+    totalBalance: Number(friend.totalBalance || 0),
+    owedAmount: Number(friend.owedAmount || 0)
+  };
+  const balanceDiff = round2(stored.totalBalance - ledger.totalBalance);
+  const owedDiff = round2(stored.owedAmount - ledger.owedAmount);
+  return {
+    friend: { _id: friend._id, name: friend.name, whatsapp: friend.whatsapp },
+    openingBalance: Number(friend.openingBalance || 0),
+    stored,
+    ledger,
+    balanceDiff,
+    owedDiff,
+    ok: balanceDiff === 0 && owedDiff === 0
+  };
+}
+
+/**
+ * Friends created before openingBalance existed: take their current balance as correct and
+ * back out the opening balance that makes the ledger agree with it.
+ */
+async function backfillOpeningBalances() {
+  const friends = await Friend.find({ openingBalance: { $exists: false } });
+  if (!friends.length) return 0;
+  const totals = await ledgerTotals(friends.map(f => f._id));
+  for (const friend of friends) {
+    const t = totals.get(String(friend._id));
+    const openingBalance = Number(friend.totalBalance || 0) - t.credit + t.debit;
+    await Friend.updateOne({ _id: friend._id }, { $set: { openingBalance } });
+  }
+  console.log(`Backfilled openingBalance for ${friends.length} friend(s)`);
+  return friends.length;
+}
+
+module.exports = {
+  LEDGER_ORDER,
+  checkTransactionSupport,
+  withTransaction,
+  recordBalanceChange,
+  recordDebit,
+  recordCredit,
+  setBalance,
+  todaysSpent,
+  monthsSpent,
+  recordRepayment,
+  reverseTransaction,
+  applySimulation,
+  rebuildLoanAllocations,
+  backfillLoanAllocations,
+  loanStatus,
+  owedFromSimulation,
+  recalcBalance,
+  recalcOwed,
+  rebuildFriendBalances,
+  reconcileFriends,
+  reconcileFriend,
+  backfillOpeningBalances
+};
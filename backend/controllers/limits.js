@@ -0,0 +1,99 @@
+// backend/controllers/limits.js
+// Per-friend spending caps.
+// Caps count debits per local day / calendar month in the friend's timezone; a debit that
+// would pass one is refused unless the caller explicitly overrides it. The low-balance
+// alert for crossing lowBalanceThreshold lives in controllers/alerts.js.
+const { todaysSpent, monthsSpent } = require('./ledger');
+const { crossesThreshold } = require('./alerts');
+const { formatMoney } = require('../utils/money');
+const { round2 } = require('../utils/interest');
+
+const LIMIT_FIELDS = ['dailyLimit', 'monthlyLimit', 'lowBalanceThreshold'];
+
+const isSet = (n) => n !== null && n !== undefined;
+
+/**
+ * Check a debit of `amount` against the friend's caps and threshold.
+ * Resolves to {
+ *   amount, dailyLimit, monthlyLimit, lowBalanceThreshold,
+ *   dailySpent, monthlySpent,            // before this debit
+ *   balanceAfter, lowBalance,            // lowBalance: the debit would cross the threshold
+ *   exceeded: [{ period: 'daily' | 'monthly', limit, spent, after }]
+ * }
+ */
+async function checkDebit(friend, amount, { asOf = new Date(), timezone, session = null }) {
+  // one after the other: a session runs one operation at a time
+  const dailySpent = await todaysSpent(friend._id, asOf, timezone, session);
+  const monthlySpent = await monthsSpent(friend._id, asOf, timezone, session);
+  return debitCheck(friend, amount, { dailySpent, monthlySpent });
+}
+
+// checkDebit given what was already spent today and this month
+function debitCheck(friend, amount, { dailySpent, monthlySpent }) {
+  const exceeded = [];
+  for (const [period, limit, spent] of [['daily', friend.dailyLimit, dailySpent], ['monthly', friend.monthlyLimit, monthlySpent]]) {
+    const after = round2(spent + amount);
+    if (isSet(limit) && after > limit) exceeded.push({ period, limit, spent: round2(spent), after });
+  }
+  const balance = Number(friend.totalBalance || 0);
+  const balanceAfter = round2(balance - amount);
+  return {
+    amount,
+    dailyLimit: friend.dailyLimit ?? null,
+    monthlyLimit: friend.monthlyLimit ?? null,
+    lowBalanceThreshold: friend.lowBalanceThreshold ?? null,
+    dailySpent: round2(dailySpent),
+    monthlySpent: round2(monthlySpent),
+    balanceAfter,
+    lowBalance: crossesThreshold(friend.lowBalanceThreshold, balance, balanceAfter),
+    exceeded
+  };
+}
+
+/**
+ * The 409 thrown for a debit past a cap without an override; `err.limits` is the checkDebit result.
+ */
+function limitExceededError(friend, check) {
+  const money = (n) => formatMoney(n, friend.currency);
+  const parts = check.exceeded.map(e => `the ${e.period} limit of ${money(e.limit)} (${money(e.spent)} already spent)`);
+  const err = new Error(`This debit would exceed ${parts.join(' and ')}`);
+  err.status = 409;
+  err.limits = check;
+  return err;
+}
+
+/**
+ * The `guard` for recordDebit that refuses a debit past a cap with limitExceededError. It runs
+ * inside the ledger transaction, so two debits at once cannot both pass under the cap.
+ */
+function debitCapGuard(amount, timezone) {
+  return async (friend, session) => {
+    const check = await checkDebit(friend, amount, { timezone, session });
+    if (check.exceeded.length) throw limitExceededError(friend, check);
+  };
+}
+
+/**
+ * Validate a { dailyLimit?, monthlyLimit?, lowBalanceThreshold? } body: each a non-negative
+ * number, or null / '' to switch it off. Returns the $set object; throws (err.status = 400).
+ */
+function parseLimits(body = {}) {
+  const update = {};
+  for (const field of LIMIT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      update[field] = null;
+      continue;
+    }
+    const n = Number(body[field]);
+    if (Number.isNaN(n) || n < 0) {
+      const err = new Error(`${field} must be a non-negative number or empty`);
+      err.status = 400;
+      throw err;
+    }
+    update[field] = n;
+  }
+  return update;
+}
+
+module.exports = { checkDebit, debitCheck, limitExceededError, debitCapGuard, parseLimits };
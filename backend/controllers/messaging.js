@@ -0,0 +1,77 @@
+// backend/controllers/messaging.js
+// Single entry point for outbound WhatsApp messages.
+// The driver is picked with MESSAGING_PROVIDER=ultramsg|twilio|mock (default: ultramsg).
+//   ultramsg: ULTRAMSG_INSTANCE (or ULTRAMSG_INSTANCE_ID), ULTRAMSG_TOKEN
+//   twilio:   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_FROM
+//   mock:     MOCK_OUTBOX_FILE (optional, defaults to backend/mock-outbox.jsonl)
+const { normalizePhone } = require('../utils/phone');
+
+const drivers = {
+  ultramsg: require('./transports/ultramsg'),
+  twilio: require('./transports/twilio'),
+  mock: require('./transports/mock')
+};
+
+const PROVIDER = (process.env.MESSAGING_PROVIDER || 'ultramsg').toLowerCase();
+
+function getTransport() {
+  const driver = drivers[PROVIDER];
+  if (!driver) throw new Error(`Unknown MESSAGING_PROVIDER "${PROVIDER}"`);
+  return driver;
+}
+
+function isConfigured() {
+  const driver = drivers[PROVIDER];
+  return !!(driver && driver.isConfigured());
+}
+
+// Twilio needs a public media URL for documents, so it only sends text
+function canSendDocuments() {
+  const driver = drivers[PROVIDER];
+  return !!(driver && driver.sendDocument);
+}
+
+/**
+ * Send a WhatsApp text message through the configured transport, or a document with
+ * `bodyText` as its caption when `attachment` ({ filename, contentType, data }) is given.
+ * Never throws: resolves to { success, provider, data } or { success: false, provider, error }.
+ * A document on a transport without document support is not sent at all: it fails with
+ * error 'documents_unsupported' and `permanent: true` (retrying cannot help).
+ */
+async function sendMessage(to, bodyText, attachment = null) {
+  if (!isConfigured()) {
+    console.warn(`⚠️ Messaging provider "${PROVIDER}" not configured — skipping send.`);
+    return { success: false, provider: PROVIDER, error: 'transport_not_configured' };
+  }
+
+  const phone = normalizePhone(to);
+  if (!phone) {
+    console.warn('sendMessage: invalid phone', to);
+    return { success: false, provider: PROVIDER, error: 'invalid_phone' };
+  }
+
+  try {
+    const transport = getTransport();
+    if (attachment && !transport.sendDocument) {
+      console.warn(`${PROVIDER} cannot send documents — "${attachment.filename}" was not sent.`);
+      return { success: false, provider: PROVIDER, error: 'documents_unsupported', permanent: true };
+    }
+    // explicit fields: a stored Message hands over its attachment as a Mongoose subdocument
+    const data = attachment
+      ? await transport.sendDocument({
+        to: phone,
+        caption: bodyText,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        data: attachment.data
+      })
+      : await transport.send({ to: phone, body: bodyText });
+    return { success: true, provider: PROVIDER, data };
+  } catch (err) {
+    const detail = err.response?.data || err.message || String(err);
+    console.error(`${PROVIDER} send error detail:`, detail);
+    return { success: false, provider: PROVIDER, error: detail };
+  }
+}
+
+module.exports = { sendMessage, isConfigured, canSendDocuments, getTransport, PROVIDER };
@@ -0,0 +1,155 @@
+// backend/controllers/outbox.js
+// Every outbound WhatsApp is stored as a Message before it is handed to the transport,
+// so a failed send can be retried by the worker or re-sent by hand.
+//
+// A sender first claims the message (status pending/failed → sending) with one conditional
+// update, so the worker and the re-send endpoints never send the same message twice. A
+// message still "sending" after SEND_LEASE_MS (the process died mid-send) is put back as
+// failed, counting the interrupted try as an attempt.
+const Message = require('../models/Message');
+const Friend = require('../models/Friend');
+const messaging = require('./messaging');
+
+const MAX_ATTEMPTS = Number(process.env.MESSAGE_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.MESSAGE_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const SEND_LEASE_MS = Number(process.env.MESSAGE_SEND_LEASE_MS) || 10 * 60 * 1000;
+
+function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+function errorText(err) {
+  if (!err) return 'unknown_error';
+  return typeof err === 'string' ? err : JSON.stringify(err);
+}
+
+// why nothing may be sent to `friend` (null when it may)
+function undeliverableReason(friend) {
+  if (!friend) return 'friend_missing';
+  return friend.archivedAt ? 'friend_archived' : null;
+}
+
+// record a transport result on `message` (unsaved): sent, or failed with the next retry time
+// (none after MAX_ATTEMPTS tries or a permanent failure)
+function recordOutcome(message, result, now = new Date()) {
+  message.attempts += 1;
+  message.provider = result.provider;
+  message.lastAttemptAt = now;
+
+  if (result.success) {
+    message.status = 'sent';
+    message.sentAt = message.lastAttemptAt;
+    message.lastError = null;
+    message.nextAttemptAt = null;
+    message.providerResponse = result.data ?? null;
+  } else {
+    message.status = 'failed';
+    message.lastError = errorText(result.error);
+    message.nextAttemptAt = !result.permanent && message.attempts < MAX_ATTEMPTS
+      ? new Date(now.getTime() + backoffDelay(message.attempts))
+      : null;
+  }
+  return message;
+}
+
+// send a message this process has claimed, and record the outcome on it
+async function sendClaimed(message) {
+  const result = await messaging.sendMessage(message.to, message.body, message.attachment);
+  recordOutcome(message, result);
+  await message.save();
+
+  return { ...result, messageId: message._id, status: message.status, retrying: !!message.nextAttemptAt };
+}
+
+/**
+ * Claim a stored Message (pending or failed) and try to send it once.
+ * Resolves to the transport result plus the message id, its status and `retrying`
+ * (a failed send the worker will try again); when another sender holds or has sent the
+ * message, to { success: false, error: 'already_claimed', messageId, status }.
+ * A message for an archived or removed friend is not sent: it fails without further retries
+ * (error 'friend_archived' or 'friend_missing') and can be re-sent by hand after a restore.
+ */
+async function attemptDelivery(message) {
+  const claimed = await Message.findOneAndUpdate(
+    { _id: message._id, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'sending' } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    const current = await Message.findById(message._id).select('status');
+    return { success: false, error: 'already_claimed', messageId: message._id, status: current ? current.status : null };
+  }
+
+  if (claimed.friend) {
+    const friend = await Friend.findById(claimed.friend).select('archivedAt');
+    const error = undeliverableReason(friend);
+    if (error) {
+      claimed.status = 'failed';
+      claimed.lastError = error;
+      claimed.nextAttemptAt = null;
+      await claimed.save();
+      return { success: false, error, messageId: claimed._id, status: claimed.status, retrying: false };
+    }
+  }
+  return sendClaimed(claimed);
+}
+
+/**
+ * Record an outbound message and attempt the first send straight away.
+ * POST /api/test-send style callers can omit friend/transaction; `attachment`
+ * ({ filename, contentType, data: Buffer }) sends `body` as the caption of a document.
+ */
+async function deliver({ to, body, owner = null, friend = null, transaction = null, attachment = null }) {
+  // stored already claimed by this sender
+  const message = await Message.create({
+    owner,
+    to,
+    body,
+    attachment,
+    friend,
+    transaction,
+    status: 'sending',
+    provider: messaging.PROVIDER
+  });
+  return sendClaimed(message);
+}
+
+/**
+ * Put messages left "sending" (or "pending") past the lease back as failed: the process
+ * sending them stopped. Resolves to the number recovered.
+ */
+async function recoverStaleMessages(now = new Date()) {
+  const stale = { status: { $in: ['pending', 'sending'] }, updatedAt: { $lt: new Date(now.getTime() - SEND_LEASE_MS) } };
+  const interrupted = { status: 'failed', lastError: 'interrupted: the sender stopped before recording the result' };
+  const retried = await Message.updateMany(
+    { ...stale, attempts: { $lt: MAX_ATTEMPTS - 1 } },
+    { $set: { ...interrupted, nextAttemptAt: now }, $inc: { attempts: 1 } }
+  );
+  const exhausted = await Message.updateMany(stale, { $set: { ...interrupted, nextAttemptAt: null }, $inc: { attempts: 1 } });
+  const count = retried.modifiedCount + exhausted.modifiedCount;
+  if (count) console.warn(`Recovered ${count} message(s) interrupted while sending`);
+  return count;
+}
+
+/**
+ * Retry every failed message whose backoff has elapsed, after recovering interrupted sends.
+ */
+async function retryDueMessages() {
+  await recoverStaleMessages();
+  const due = await Message.find({
+    status: 'failed',
+    attempts: { $lt: MAX_ATTEMPTS },
+    nextAttemptAt: { $ne: null, $lte: new Date() }
+  }).sort({ nextAttemptAt: 1 }).limit(50);
+
+  for (const message of due) {
+    const result = await attemptDelivery(message);
+    if (!result.success && result.error !== 'already_claimed') {
+      console.warn(`Retry ${message.attempts + 1}/${MAX_ATTEMPTS} failed for message ${message._id}:`, errorText(result.error));
+    }
+  }
+  return due.length;
+}
+
+module.exports = { deliver, attemptDelivery, retryDueMessages, recoverStaleMessages, recordOutcome, undeliverableReason, MAX_ATTEMPTS, SEND_LEASE_MS };
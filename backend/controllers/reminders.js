@@ -0,0 +1,145 @@
+// backend/controllers/reminders.js
+// Automatic "please return" reminders for friends with an outstanding owedAmount.
+const ReminderSchedule = require('../models/ReminderSchedule');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { deliver } = require('./outbox');
+const { recalcOwed, loanStatus } = require('./ledger');
+const { renderMessage, totalReminderVars } = require('./templates');
+const { friendTimezone } = require('./timezones');
+const { nextDueDate } = require('../utils/loanStatus');
+const { localMinutes, zonedParts, zonedDate } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function intervalMs(schedule) {
+  if (schedule.cadence === 'daily') return DAY_MS;
+  if (schedule.cadence === 'weekly') return 7 * DAY_MS;
+  return Math.max(Number(schedule.intervalDays) || 1, 1) * DAY_MS;
+}
+
+function computeNextRun(schedule, from = new Date()) {
+  return new Date(from.getTime() + intervalMs(schedule));
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function isQuietTime(schedule, timeZone, date = new Date()) {
+  if (!schedule.quietHoursStart || !schedule.quietHoursEnd) return false;
+  const now = localMinutes(date, timeZone);
+  const start = toMinutes(schedule.quietHoursStart);
+  const end = toMinutes(schedule.quietHoursEnd);
+  if (start === end) return false;
+  // window like 21:00 → 09:00 wraps past midnight
+  return start < end ? (now >= start && now < end) : (now >= start || now < end);
+}
+
+// the next instant after `date` that the clock in `timeZone` reads `hhmm`
+function nextLocalTime(hhmm, timeZone, date = new Date()) {
+  const [hour, minute] = String(hhmm).split(':').map(Number);
+  const p = zonedParts(date, timeZone);
+  const today = zonedDate({ year: p.year, month: p.month, day: p.day, hour, minute }, timeZone);
+  return today > date ? today : zonedDate({ year: p.year, month: p.month, day: p.day + 1, hour, minute }, timeZone);
+}
+
+// the next instant quiet hours end in `timeZone` after `date`
+function quietHoursEnd(schedule, timeZone, date = new Date()) {
+  return nextLocalTime(schedule.quietHoursEnd, timeZone, date);
+}
+
+/**
+ * When a newly armed schedule first runs: the next sendTime in `timeZone`, or the end of
+ * quiet hours when sendTime falls inside them.
+ */
+function firstRun(schedule, timeZone, from = new Date()) {
+  const at = nextLocalTime(schedule.sendTime, timeZone, from);
+  return isQuietTime(schedule, timeZone, at) ? quietHoursEnd(schedule, timeZone, at) : at;
+}
+
+/**
+ * Start the reminder count afresh for a friend, e.g. when a new loan is given.
+ */
+function resetReminderCount(friendId) {
+  return ReminderSchedule.updateOne({ friend: friendId, remindersSent: { $gt: 0 } }, { $set: { remindersSent: 0 } });
+}
+
+/**
+ * Send the reminder for one due schedule (or push it forward when nothing is owed).
+ */
+async function runSchedule(schedule, now = new Date()) {
+  const friend = await Friend.findById(schedule.friend);
+  if (!friend) {
+    schedule.enabled = false;
+    schedule.nextRunAt = null;
+    await schedule.save();
+    return { skipped: 'friend_missing' };
+  }
+  // archived: keep the schedule so it resumes if the friend is restored
+  if (friend.archivedAt) {
+    schedule.nextRunAt = computeNextRun(schedule, now);
+    await schedule.save();
+    return { skipped: 'friend_archived' };
+  }
+
+  // owedAmount includes accrued interest, so refresh it before quoting it
+  const owed = await recalcOwed(friend._id);
+  if (owed <= 0) {
+    // nothing to chase: start counting afresh for the next loan
+    schedule.remindersSent = 0;
+    schedule.nextRunAt = computeNextRun(schedule, now);
+    await schedule.save();
+    return { skipped: 'nothing_owed' };
+  }
+
+  // keep ticking at the cap, so the count resets once the balance clears (above)
+  if (schedule.maxReminders && schedule.remindersSent >= schedule.maxReminders) {
+    schedule.nextRunAt = computeNextRun(schedule, now);
+    await schedule.save();
+    return { skipped: 'max_reminders_reached' };
+  }
+
+  // wait for the end of quiet hours; a schedule left due would crowd the batch every tick
+  const timezone = await friendTimezone(friend);
+  if (isQuietTime(schedule, timezone, now)) {
+    schedule.nextRunAt = quietHoursEnd(schedule, timezone, now);
+    await schedule.save();
+    return { skipped: 'quiet_hours' };
+  }
+
+  const loans = await Transaction.find({ friend: friend._id, type: 'loan', dueDate: { $ne: null } });
+  const sim = loans.length ? (await loanStatus([friend._id], now)).get(String(friend._id)) : null;
+  const dueDate = sim ? nextDueDate(loans, sim) : null;
+  const message = await renderMessage(friend.owner, 'total_reminder', totalReminderVars({ friend, owed, dueDate, date: now, timezone }), friend.language);
+  const sendResult = await deliver({ to: friend.whatsapp, body: message, owner: friend.owner, friend: friend._id });
+
+  // a failed send stays in the outbox for retries, so it still counts as a reminder
+  schedule.remindersSent += 1;
+  schedule.lastSentAt = now;
+  schedule.lastError = sendResult.success ? null : String(sendResult.error);
+  schedule.nextRunAt = computeNextRun(schedule, now);
+  await schedule.save();
+  return { sent: sendResult.success, sendResult };
+}
+
+/**
+ * Run every enabled schedule whose nextRunAt has passed.
+ */
+async function runDueReminders(now = new Date()) {
+  const due = await ReminderSchedule.find({ enabled: true, nextRunAt: { $ne: null, $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(100);
+
+  for (const schedule of due) {
+    try {
+      await runSchedule(schedule, now);
+    } catch (err) {
+      console.error(`reminder schedule ${schedule._id} error:`, err && (err.stack || err));
+    }
+  }
+  return due.length;
+}
+
+module.exports = { runDueReminders, runSchedule, computeNextRun, firstRun, isQuietTime, quietHoursEnd, resetReminderCount };
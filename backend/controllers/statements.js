@@ -0,0 +1,332 @@
+// backend/controllers/statements.js
+// Per-friend statements: opening balances, every ledger entry of a period with running
+// balances, and closing balances — as JSON, CSV or PDF.
+//
+// Two balances run side by side: the savings balance (credits and debits) and what the
+// friend owes (loans and repayments, including accrued interest; see utils/interest.js).
+//
+// Friends with `monthlyStatement` on get the previous month's PDF on WhatsApp, sent once
+// per month after STATEMENT_SEND_HOUR (local time) by jobs/statementScheduler.js.
+const PDFDocument = require('pdfkit');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { LEDGER_ORDER, owedFromSimulation } = require('./ledger');
+const { friendTimezone } = require('./timezones');
+const { deliver } = require('./outbox');
+const messaging = require('./messaging');
+const { renderMessage, statementVars } = require('./templates');
+const { simulateLoans, round2 } = require('../utils/interest');
+const { toCsv } = require('../utils/csv');
+const { zonedParts, zonedDate } = require('../utils/timezone');
+
+const SEND_HOUR = Number(process.env.STATEMENT_SEND_HOUR) || 9;
+
+let documentsWarned = false;
+
+const TYPE_LABELS = { credit: 'Credit', debit: 'Debit', loan: 'Loan', repay: 'Repayment' };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "2026-10-19" and "2026-10-19 14:05" in `timeZone`
+function localDay(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+function localDateTime(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${localDay(date, timeZone)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+const entryDate = (t) => new Date(t.date || t.createdAt);
+
+/**
+ * Read ?from= / ?to= (YYYY-MM-DD, whole days in `timeZone`; `to` is inclusive).
+ * Resolves to { from, to } where `from` may be null (from the first entry) and `to` is an
+ * exclusive bound defaulting to now. Throws (err.status = 400) on malformed input.
+ */
+function statementPeriod({ from, to }, timeZone) {
+  const day = (value, name) => {
+    const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) {
+      const err = new Error(`${name} must be a date like 2026-01-31`);
+      err.status = 400;
+      throw err;
+    }
+    return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+  };
+
+  const start = from ? zonedDate(day(from, 'from'), timeZone) : null;
+  let end = new Date();
+  if (to) {
+    const d = day(to, 'to');
+    // midnight after the `to` day; Date.UTC rolls day + 1 over month ends
+    const next = new Date(Date.UTC(d.year, d.month - 1, d.day + 1));
+    end = zonedDate({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone);
+  }
+  if (start && start >= end) {
+    const err = new Error('from must be on or before to');
+    err.status = 400;
+    throw err;
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Build a friend's statement for { from, to } (see statementPeriod).
+ * Resolves to {
+ *   friend, timezone, from, to,
+ *   opening: { balance, owed },
+ *   rows: [{ _id, date, type, label, description, amount, balance, owed }],
+ *   closing: { balance, owed },
+ *   totals: { credit, debit, loan, repay }
+ * }
+ * An entry reversed within the period and its counter-entry both stay in `rows` but cancel
+ * out, so neither counts towards `totals` (as in controllers/analytics.js).
+ */
+async function buildStatement(friend, { from = null, to = new Date() } = {}) {
+  const timezone = await friendTimezone(friend);
+  const entries = await Transaction.find({ friend: friend._id, date: { $lt: to } }).sort(LEDGER_ORDER).lean();
+  return statementFromEntries(friend, entries, { from, to, timezone });
+}
+
+// buildStatement over a friend's entries before `to`, already in ledger order
+function statementFromEntries(friend, entries, { from, to, timezone }) {
+  let balance = Number(friend.openingBalance || 0);
+  const loanEntries = [];
+  const owedAfter = (asOf) => owedFromSimulation(simulateLoans(loanEntries, asOf));
+
+  const rows = [];
+  const totals = { credit: 0, debit: 0, loan: 0, repay: 0 };
+  let opening = null;
+  const inPeriodIds = new Set(entries.filter(t => !from || entryDate(t) >= from).map(t => String(t._id)));
+  const cancelled = (t) => (t.reversedBy && inPeriodIds.has(String(t.reversedBy)))
+    || (t.reversalOf && inPeriodIds.has(String(t.reversalOf)));
+
+  for (const t of entries) {
+    const date = entryDate(t);
+    const inPeriod = !from || date >= from;
+    if (inPeriod && !opening) opening = { balance: round2(balance), owed: from ? owedAfter(from) : 0 };
+
+    const amount = Number(t.amount || 0);
+    if (t.type === 'credit') balance += amount;
+    if (t.type === 'debit') balance -= amount;
+    if (t.type === 'loan' || t.type === 'repay') loanEntries.push(t);
+    if (!inPeriod) continue;
+
+    if (!cancelled(t)) totals[t.type] = round2((totals[t.type] || 0) + amount);
+    rows.push({
+      _id: t._id,
+      date,
+      type: t.type,
+      label: TYPE_LABELS[t.type] || t.type,
+      description: t.note || t.reason || '',
+      amount,
+      balance: round2(balance),
+      owed: owedAfter(date)
+    });
+  }
+
+  // closing owed includes interest accrued up to the end of the period (or now)
+  const closeAt = new Date(Math.min(to.getTime(), Date.now()));
+  const closing = { balance: round2(balance), owed: owedAfter(closeAt) };
+  if (!opening) opening = { balance: closing.balance, owed: from ? owedAfter(from) : 0 };
+
+  return {
+    friend: { _id: friend._id, name: friend.name, whatsapp: friend.whatsapp, currency: friend.currency },
+    timezone,
+    from,
+    to,
+    opening,
+    rows,
+    closing,
+    totals
+  };
+}
+
+// first and last day the statement covers, as YYYY-MM-DD (first is null for an empty all-time statement)
+function periodDays(statement) {
+  const { from, to, rows, timezone } = statement;
+  const first = from || (rows[0] && rows[0].date);
+  const last = new Date(Math.min(to.getTime(), Date.now()) - 1);
+  return { first: first ? localDay(first, timezone) : null, last: localDay(last, timezone) };
+}
+
+// e.g. statement-ravi-kumar-2026-01-01-to-2026-01-31
+function statementFileName(statement) {
+  const slug = statement.friend.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'friend';
+  const { first, last } = periodDays(statement);
+  return `statement-${slug}-${first ? `${first}-to-${last}` : last}`;
+}
+
+function statementCsv(statement) {
+  const { timezone } = statement;
+  return toCsv([
+    ['Date', 'Type', 'Description', 'Amount', 'Balance', 'Owed'],
+    ['', 'Opening balance', '', '', statement.opening.balance, statement.opening.owed],
+    ...statement.rows.map(r => [localDateTime(r.date, timezone), r.label, r.description, r.amount, r.balance, r.owed]),
+    ['', 'Closing balance', '', '', statement.closing.balance, statement.closing.owed]
+  ]);
+}
+
+/**
+ * Render a statement as an A4 PDF. Resolves to a Buffer.
+ * Amounts are printed as numbers with the currency in the heading: the built-in PDF fonts
+ * have no glyph for symbols like ₹.
+ */
+function statementPdf(statement) {
+  const { friend, timezone } = statement;
+  const digits = new Intl.NumberFormat('en', { style: 'currency', currency: friend.currency || 'INR' }).resolvedOptions().maximumFractionDigits;
+  const number = new Intl.NumberFormat('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const amount = (n) => number.format(Number(n) || 0);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Date | Type | Description | Amount | Balance | Owed
+  const columns = [
+    { x: 40, width: 85 },
+    { x: 125, width: 60 },
+    { x: 185, width: 150 },
+    { x: 335, width: 70, align: 'right' },
+    { x: 405, width: 75, align: 'right' },
+    { x: 480, width: 75, align: 'right' }
+  ];
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const row = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+    const height = Math.max(...cells.map((text, i) => doc.heightOfString(String(text), { width: columns[i].width - 4 })));
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      header();
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+    }
+    const y = doc.y;
+    cells.forEach((text, i) => {
+      doc.text(String(text), columns[i].x, y, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+    });
+    doc.x = 40;
+    doc.y = y + height + 4;
+  };
+
+  const header = () => {
+    row(['Date', 'Type', 'Description', `Amount (${friend.currency})`, 'Balance', 'Owed'], { bold: true });
+    doc.moveTo(40, doc.y - 2).lineTo(555, doc.y - 2).strokeColor('#cccccc').stroke();
+  };
+
+  const { first, last } = periodDays(statement);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(`Statement — ${friend.name}`);
+  doc.font('Helvetica').fontSize(10).fillColor('#444444')
+    .text(`WhatsApp: ${friend.whatsapp}`)
+    .text(`Period: ${first || '—'} to ${last} (${timezone})`)
+    .text(`Amounts in ${friend.currency}. "Owed" includes accrued loan interest.`)
+    .fillColor('black')
+    .moveDown();
+
+  header();
+  row(['', 'Opening balance', '', '', amount(statement.opening.balance), amount(statement.opening.owed)], { bold: true });
+  for (const r of statement.rows) {
+    row([localDateTime(r.date, timezone), r.label, r.description, amount(r.amount), amount(r.balance), amount(r.owed)]);
+  }
+  row(['', 'Closing balance', '', '', amount(statement.closing.balance), amount(statement.closing.owed)], { bold: true });
+
+  const { totals } = statement;
+  doc.moveDown().font('Helvetica').fontSize(9).text(
+    `Credits ${amount(totals.credit)} · Debits ${amount(totals.debit)} · Loans ${amount(totals.loan)} · Repaid ${amount(totals.repay)}`,
+    40
+  );
+  doc.fontSize(8).fillColor('#777777').text(`Generated ${localDateTime(new Date(), timezone)}`);
+
+  doc.end();
+  return done;
+}
+
+// the local calendar month before `date` in `timeZone`: { key: "2026-09", from, to }
+function previousMonth(date, timeZone) {
+  const { year, month } = zonedParts(date, timeZone);
+  const prev = month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+  return {
+    key: `${prev.year}-${pad(prev.month)}`,
+    from: zonedDate({ ...prev, day: 1 }, timeZone),
+    to: zonedDate({ year, month, day: 1 }, timeZone)
+  };
+}
+
+// the local calendar month of `date` so far: { from: its first midnight, to: date }
+function monthToDate(date, timeZone) {
+  const { year, month } = zonedParts(date, timeZone);
+  return { from: zonedDate({ year, month, day: 1 }, timeZone), to: date };
+}
+
+/**
+ * Send a friend's statement for { from, to } on WhatsApp: the PDF as a document with the
+ * owner's "monthly_statement" template as its caption. Resolves to the outbox result.
+ */
+async function sendStatement(friend, period) {
+  const statement = await buildStatement(friend, period);
+  const body = await renderMessage(friend.owner, 'monthly_statement', statementVars({ friend, statement }), friend.language);
+  const attachment = {
+    filename: `${statementFileName(statement)}.pdf`,
+    contentType: 'application/pdf',
+    data: await statementPdf(statement)
+  };
+  return deliver({ to: friend.whatsapp, body, owner: friend.owner, friend: friend._id, attachment });
+}
+
+/**
+ * Send last month's statement to every opted-in friend that has not had it yet, once it is
+ * past SEND_HOUR in the friend's timezone. The month is marked done once the statement is sent
+ * or queued for the outbox retries; otherwise the next run tries again. Nothing is sent (or
+ * marked) while the messaging provider cannot send documents.
+ */
+async function runMonthlyStatements(now = new Date()) {
+  if (!messaging.canSendDocuments()) {
+    if (!documentsWarned) console.warn(`Monthly statements paused: ${messaging.PROVIDER} cannot send documents.`);
+    documentsWarned = true;
+    return 0;
+  }
+  const friends = await Friend.find({ monthlyStatement: true, archivedAt: null });
+  let sent = 0;
+
+  for (const friend of friends) {
+    try {
+      const timezone = await friendTimezone(friend);
+      const month = previousMonth(now, timezone);
+      if (friend.lastStatementMonth === month.key || zonedParts(now, timezone).hour < SEND_HOUR) continue;
+
+      // nothing to report for a month that ended before the friend was added
+      if (!friend.createdAt || friend.createdAt < month.to) {
+        const result = await sendStatement(friend, month);
+        if (!result.success && !result.retrying) {
+          console.warn(`monthly statement for friend ${friend._id} not sent:`, result.error);
+          continue;
+        }
+        if (result.success) sent += 1;
+      }
+      await Friend.updateOne({ _id: friend._id }, { $set: { lastStatementMonth: month.key } });
+    } catch (err) {
+      console.error(`monthly statement for friend ${friend._id} error:`, err && (err.stack || err));
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  statementPeriod,
+  buildStatement,
+  statementFromEntries,
+  statementFileName,
+  statementCsv,
+  statementPdf,
+  monthToDate,
+  previousMonth,
+  sendStatement,
+  runMonthlyStatements
+};
@@ -0,0 +1,341 @@
+// backend/controllers/templates.js
+// Renders outgoing messages from the owner's saved templates (or the built-in defaults)
+// and builds the placeholder values for each message from friends and transactions.
+// Values are formatted for the friend's language unless `language` is passed explicitly;
+// dates are shown in `timezone` (see controllers/timezones.js friendTimezone).
+const MessageTemplate = require('../models/MessageTemplate');
+const { DEFAULT_TEMPLATES, TEMPLATE_KEYS, defaultBody, renderTemplate } = require('../utils/messageTemplates');
+const { languageOf, localeFor, phrases } = require('../utils/i18n');
+const { formatMoney } = require('../utils/money');
+const { dueStatus, daysPastDue } = require('../utils/loanStatus');
+const { DEFAULT_TIMEZONE, zonedParts, zonedDate } = require('../utils/timezone');
+
+function formatTxDate(d, language, timeZone) {
+  return new Date(d).toLocaleString(localeFor(language), {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: true
+  });
+}
+
+function formatDateForReminder(d, language, timeZone) {
+  const opts = { timeZone, year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+  return new Date(d).toLocaleString(localeFor(language), opts);
+}
+
+function formatDueDate(d, language, timeZone) {
+  return d ? new Date(d).toLocaleDateString(localeFor(language), { timeZone, year: 'numeric', month: 'short', day: '2-digit' }) : '';
+}
+
+const money = (n, friend, language) => formatMoney(n, friend.currency, localeFor(language));
+const days = (n, language) => (n > 0 ? phrases(language).days(n) : '');
+const orDash = (s) => (s && String(s).trim()) ? String(s).trim() : '—';
+
+function debitVars({ friend, transaction, todaySpent, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    date: formatTxDate(transaction.date, language, timezone),
+    name: friend.name,
+    savedAmount: money(friend.savedAmount, friend, language),
+    amount: money(transaction.amount, friend, language),
+    previousBalance: money(transaction.previousBalance, friend, language),
+    todaySpent: money(todaySpent, friend, language),
+    balance: money(transaction.newBalance ?? friend.totalBalance, friend, language),
+    note: orDash(transaction.note)
+  };
+}
+
+function creditVars({ friend, transaction, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    date: formatTxDate(transaction.date, language, timezone),
+    name: friend.name,
+    savedAmount: money(friend.savedAmount, friend, language),
+    amount: money(transaction.amount, friend, language),
+    previousBalance: money(transaction.previousBalance, friend, language),
+    balance: money(transaction.newBalance ?? friend.totalBalance, friend, language),
+    note: orDash(transaction.note)
+  };
+}
+
+function loanCreatedVars({ friend, loan, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    date: formatDateForReminder(loan.date || loan.createdAt || new Date(), language, timezone),
+    name: friend.name,
+    amount: money(loan.amount, friend, language),
+    previousOwed: money(loan.previousBalance, friend, language),
+    newOwed: money(loan.newBalance, friend, language),
+    dueDate: formatDueDate(loan.dueDate, language, timezone),
+    note: orDash(loan.reason || loan.note)
+  };
+}
+
+// `status` is the loan's row from simulateLoans (principal / interest still due)
+function loanReminderVars({ friend, loan, status, now = new Date(), language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  const totalDue = status ? status.totalDue : Number(loan.amount);
+  return {
+    name: friend.name,
+    amount: money(loan.amount, friend, language),
+    interest: status && status.interestDue > 0 ? money(status.interestDue, friend, language) : '',
+    totalDue: money(totalDue, friend, language),
+    totalDueChanged: Number(totalDue) !== Number(loan.amount),
+    borrowedDate: formatDateForReminder(loan.createdAt || loan.date || now, language, timezone),
+    dueDate: formatDueDate(loan.dueDate, language, timezone),
+    overdueBy: days(dueStatus(loan, totalDue, now).daysOverdue, language),
+    reason: orDash(loan.reason)
+  };
+}
+
+function totalReminderVars({ friend, owed, dueDate = null, note = '', date = new Date(), language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    name: friend.name,
+    owed: money(owed, friend, language),
+    date: formatDateForReminder(date, language, timezone),
+    dueDate: formatDueDate(dueDate, language, timezone),
+    overdueBy: days(daysPastDue(dueDate, date), language),
+    note: orDash(note)
+  };
+}
+
+// `loans` are the loan entries the repayment was allocated to (with their remaining outstanding)
+function repaymentVars({ friend, repay, loans = [], remainingOwed, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  const words = phrases(language);
+  const byId = new Map(loans.map(l => [String(l._id), l]));
+  const lines = (repay.allocations || []).map(a => {
+    const loan = byId.get(String(a.loan));
+    const label = loan ? `${formatDateForReminder(loan.date || loan.createdAt, language, timezone)}${loan.reason ? ` (${loan.reason})` : ''}` : words.loan;
+    const left = loan ? ` → ${money(loan.outstanding, friend, language)} ${words.left}` : '';
+    return `• ${label}: ${money(a.amount, friend, language)}${left}`;
+  });
+  return {
+    name: friend.name,
+    amount: money(repay.amount, friend, language),
+    date: formatDateForReminder(repay.date || new Date(), language, timezone),
+    allocations: lines.join('\n'),
+    remainingOwed: money(remainingOwed ?? friend.owedAmount, friend, language)
+  };
+}
+
+// low_balance and low_balance_owner
+function lowBalanceVars({ friend, date = new Date(), language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    date: formatTxDate(date, language, timezone),
+    name: friend.name,
+    balance: money(friend.totalBalance, friend, language),
+    threshold: money(friend.lowBalanceThreshold, friend, language)
+  };
+}
+
+// "September 2026" when the statement covers exactly one local calendar month, else "01 Sep 2026 – 19 Sep 2026"
+function statementPeriodLabel(statement, language, timeZone) {
+  const { from, to, rows } = statement;
+  if (from) {
+    const start = zonedParts(from, timeZone);
+    const end = zonedParts(to, timeZone);
+    const nextMonth = start.month === 12 ? { year: start.year + 1, month: 1 } : { year: start.year, month: start.month + 1 };
+    const midnight = (p) => p.day === 1 && p.hour === 0 && p.minute === 0 && p.second === 0;
+    if (midnight(start) && midnight(end) && end.year === nextMonth.year && end.month === nextMonth.month) {
+      return new Date(Date.UTC(start.year, start.month - 1, 1))
+        .toLocaleDateString(localeFor(language), { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    }
+  }
+  const first = from || (rows[0] && rows[0].date);
+  const last = formatDueDate(new Date(Math.min(to.getTime(), Date.now()) - 1), language, timeZone);
+  return first ? `${formatDueDate(first, language, timeZone)} – ${last}` : last;
+}
+
+// `statement` is a buildStatement result (controllers/statements.js)
+function statementVars({ friend, statement, language = friend.language, timezone = statement.timezone || DEFAULT_TIMEZONE }) {
+  const { totals, closing } = statement;
+  return {
+    name: friend.name,
+    period: statementPeriodLabel(statement, language, timezone),
+    credits: money(totals.credit, friend, language),
+    debits: money(totals.debit, friend, language),
+    loans: money(totals.loan, friend, language),
+    repaid: money(totals.repay, friend, language),
+    balance: money(closing.balance, friend, language),
+    owed: closing.owed > 0 ? money(closing.owed, friend, language) : ''
+  };
+}
+
+// `original` is the reversed entry, `reversal` its counter-entry (controllers/ledger.js reverseTransaction)
+function correctionVars({ friend, original, reversal, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  const onBalance = original.type === 'debit' || original.type === 'credit';
+  const after = reversal.newBalance ?? (onBalance ? friend.totalBalance : friend.owedAmount);
+  return {
+    date: formatTxDate(reversal.date || new Date(), language, timezone),
+    name: friend.name,
+    kind: phrases(language).types[original.type],
+    amount: money(original.amount, friend, language),
+    originalDate: formatTxDate(original.date, language, timezone),
+    note: (reversal.note || '').trim(),
+    balance: onBalance ? money(after, friend, language) : '',
+    owed: onBalance ? '' : money(after, friend, language)
+  };
+}
+
+const TX_ICONS = { debit: '💸', credit: '💰', loan: '📤', repay: '📥' };
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// replies to the BAL, HISTORY, OWED and help chat commands (controllers/chatCommands.js)
+function chatBalanceVars({ friend, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  return {
+    name: friend.name,
+    savedAmount: money(friend.savedAmount, friend, language),
+    balance: money(friend.totalBalance, friend, language),
+    date: formatDateForReminder(friend.lastUpdatedAt || new Date(), language, timezone)
+  };
+}
+
+// `transactions` newest first, at most `count` of them
+function chatHistoryVars({ friend, transactions, count, language = friend.language, timezone = DEFAULT_TIMEZONE }) {
+  const words = phrases(language);
+  const lines = transactions.map(t => {
+    const label = `${TX_ICONS[t.type] || ''} ${capitalize(words.types[t.type] || t.type)}`.trim();
+    const note = t.note || t.reason;
+    const when = formatDateForReminder(t.date || t.createdAt, language, timezone);
+    return `${label}: ${money(t.amount, friend, language)} · ${when}${note ? `\n   📝 ${note}` : ''}`;
+  });
+  return {
+    name: friend.name,
+    count,
+    transactions: lines.length ? lines.join('\n') : words.noTransactions
+  };
+}
+
+function chatOwedVars({ friend, language = friend.language }) {
+  const owed = Number(friend.owedAmount || 0);
+  return {
+    name: friend.name,
+    owed: owed > 0 ? money(owed, friend, language) : '',
+    settled: !(owed > 0)
+  };
+}
+
+function chatHelpVars({ count }) {
+  return { count };
+}
+
+// made-up values so templates can be previewed before any real data exists
+function sampleVars(key, language, timezone = DEFAULT_TIMEZONE) {
+  const now = new Date();
+  const friend = { name: 'Rahul', savedAmount: 5000, totalBalance: 3500, owedAmount: 1200, currency: 'INR', language };
+  const loan = {
+    _id: 'sample', amount: 1000, reason: 'Movie tickets', createdAt: new Date(now - 20 * 86400000),
+    dueDate: new Date(now - 3 * 86400000), previousBalance: 200, newBalance: 1200, outstanding: 800
+  };
+  switch (key) {
+    case 'debit':
+      return debitVars({ friend, transaction: { date: now, amount: 500, previousBalance: 4000, newBalance: 3500, note: 'Groceries' }, todaySpent: 500, timezone });
+    case 'credit':
+      return creditVars({ friend, transaction: { date: now, amount: 1000, previousBalance: 2500, newBalance: 3500, note: 'Top-up' }, timezone });
+    case 'loan_created':
+      return loanCreatedVars({ friend, loan, timezone });
+    case 'loan_reminder':
+      return loanReminderVars({ friend, loan, status: { interestDue: 12.5, totalDue: 1012.5 }, now, timezone });
+    case 'total_reminder':
+      return totalReminderVars({ friend, owed: 1200, dueDate: loan.dueDate, date: now, timezone });
+    case 'repayment_receipt':
+      return repaymentVars({ friend, repay: { amount: 200, date: now, allocations: [{ loan: 'sample', amount: 200 }] }, loans: [loan], remainingOwed: 1000, timezone });
+    case 'low_balance':
+    case 'low_balance_owner':
+      return lowBalanceVars({ friend: { ...friend, totalBalance: 450, lowBalanceThreshold: 500 }, date: now, timezone });
+    case 'monthly_statement': {
+      const { year, month } = zonedParts(now, timezone);
+      const statement = {
+        from: zonedDate({ year, month, day: 1 }, timezone),
+        to: now,
+        rows: [],
+        totals: { credit: 1000, debit: 1500, loan: 1000, repay: 200 },
+        closing: { balance: 3500, owed: 1200 }
+      };
+      return statementVars({ friend, statement, timezone });
+    }
+    case 'correction':
+      return correctionVars({
+        friend,
+        original: { type: 'debit', amount: 500, date: new Date(now - 3600000) },
+        reversal: { date: now, note: 'Entered twice', newBalance: 4000 },
+        timezone
+      });
+    case 'chat_balance':
+      return chatBalanceVars({ friend: { ...friend, lastUpdatedAt: now }, timezone });
+    case 'chat_history':
+      return chatHistoryVars({
+        friend,
+        transactions: [
+          { type: 'debit', amount: 500, date: now, note: 'Groceries' },
+          { type: 'credit', amount: 1000, date: new Date(now - 86400000), note: 'Top-up' }
+        ],
+        count: 5,
+        timezone
+      });
+    case 'chat_owed':
+      return chatOwedVars({ friend });
+    case 'chat_help':
+      return chatHelpVars({ count: 5 });
+    default:
+      return {};
+  }
+}
+
+async function templateBody(owner, key, language) {
+  const lang = languageOf(language);
+  const saved = owner ? await MessageTemplate.findOne({ owner, key, language: lang }).lean() : null;
+  return saved ? saved.body : defaultBody(key, lang);
+}
+
+/**
+ * Render message `key` with `vars` using the owner's saved wording for `language`
+ * (or the built-in one).
+ */
+async function renderMessage(owner, key, vars, language) {
+  return renderTemplate(await templateBody(owner, key, language), vars);
+}
+
+/**
+ * Every template key with its placeholders, default body and the owner's current body in `language`.
+ */
+async function listTemplates(owner, language) {
+  const lang = languageOf(language);
+  const saved = await MessageTemplate.find({ owner, language: lang }).lean();
+  const byKey = new Map(saved.map(t => [t.key, t]));
+  return TEMPLATE_KEYS.map(key => {
+    const def = DEFAULT_TEMPLATES[key];
+    const custom = byKey.get(key);
+    return {
+      key,
+      language: lang,
+      label: def.label,
+      placeholders: def.placeholders,
+      defaultBody: defaultBody(key, lang),
+      body: custom ? custom.body : defaultBody(key, lang),
+      custom: !!custom,
+      updatedAt: custom ? custom.updatedAt : null
+    };
+  });
+}
+
+module.exports = {
+  renderMessage,
+  listTemplates,
+  templateBody,
+  sampleVars,
+  debitVars,
+  creditVars,
+  loanCreatedVars,
+  loanReminderVars,
+  totalReminderVars,
+  repaymentVars,
+  lowBalanceVars,
+  statementVars,
+  correctionVars,
+  chatBalanceVars,
+  chatHistoryVars,
+  chatOwedVars,
+  chatHelpVars
+};
@@ -0,0 +1,18 @@
+// backend/controllers/timezones.js
+// Which timezone a friend's dates, "today" totals and quiet hours are computed in.
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// the manager's account default (falls back to the server's DEFAULT_TIMEZONE)
+async function accountTimezone(ownerId) {
+  const user = ownerId ? await User.findById(ownerId).select('timezone').lean() : null;
+  return (user && user.timezone) || DEFAULT_TIMEZONE;
+}
+
+// per-friend override, else the owner's account timezone
+async function friendTimezone(friend) {
+  if (friend && friend.timezone) return friend.timezone;
+  return accountTimezone(friend && friend.owner);
+}
+
+module.exports = { accountTimezone, friendTimezone };
@@ -0,0 +1,151 @@
+// backend/controllers/transactions.js
+// A friend's ledger as a filtered, sorted, cursor-paginated list (the History view).
+// The cursor is opaque to clients: the sort value and _id of the last entry returned,
+// so pages stay stable while new entries are recorded.
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { friendTimezone } = require('./timezones');
+const { statementPeriod } = require('./statements');
+const { parseTags, resolveCategory, categoryTotals } = require('./categories');
+const { round2 } = require('../utils/interest');
+
+const TYPES = ['credit', 'debit', 'loan', 'repay'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseAmount(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (Number.isNaN(n) || n < 0) throw badRequest(`${name} must be a non-negative number`);
+  return n;
+}
+
+// "-date" → { key: '-date', field: 'date', dir: -1 }
+function parseSort(value) {
+  const key = value || '-date';
+  const m = String(key).match(/^(-?)(date|amount)$/);
+  if (!m) throw badRequest('sort must be one of date, -date, amount, -amount');
+  return { key, field: m[2], dir: m[1] ? -1 : 1 };
+}
+
+function encodeCursor(t, sort) {
+  const value = sort.field === 'date' ? new Date(t.date).toISOString() : t.amount;
+  return Buffer.from(JSON.stringify({ s: sort.key, v: value, id: String(t._id) })).toString('base64url');
+}
+
+// the condition for entries after the cursor in `sort` order (_id breaks ties)
+function afterCursor(cursor, sort) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+  if (!c || c.s !== sort.key || !mongoose.isValidObjectId(c.id)) throw badRequest('Invalid cursor (was it made for another sort?)');
+
+  const value = sort.field === 'date' ? new Date(c.v) : Number(c.v);
+  const id = new mongoose.Types.ObjectId(c.id);
+  const op = sort.dir < 0 ? '$lt' : '$gt';
+  return { $or: [{ [sort.field]: { [op]: value } }, { [sort.field]: value, _id: { [op]: id } }] };
+}
+
+/**
+ * Mongo filter for a friend's history query (see listTransactions). The category filter is
+ * returned separately so per-category totals can list every category of the other filters.
+ */
+async function historyFilter(friend, query) {
+  const filter = { friend: friend._id, owner: friend.owner };
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = types.find(t => !TYPES.includes(t));
+    if (unknown) throw badRequest(`Unknown type "${unknown}" (use ${TYPES.join(', ')})`);
+    if (types.length) filter.type = { $in: types };
+  }
+
+  const tags = parseTags(query.tag);
+  if (tags.length) filter.tags = { $all: tags };
+
+  const min = parseAmount(query.minAmount, 'minAmount');
+  const max = parseAmount(query.maxAmount, 'maxAmount');
+  if (min !== null && max !== null && min > max) throw badRequest('minAmount must not be above maxAmount');
+  if (min !== null || max !== null) {
+    filter.amount = {};
+    if (min !== null) filter.amount.$gte = min;
+    if (max !== null) filter.amount.$lte = max;
+  }
+
+  // whole local days in the friend's timezone, `to` inclusive (like statements)
+  if (query.from || query.to) {
+    const period = statementPeriod({ from: query.from, to: query.to }, await friendTimezone(friend));
+    filter.date = { $lt: period.to };
+    if (period.from) filter.date.$gte = period.from;
+  }
+
+  const text = String(query.q || '').trim();
+  if (text) {
+    const pattern = new RegExp(escapeRegex(text), 'i');
+    filter.$or = [{ note: pattern }, { reason: pattern }];
+  }
+
+  let category;
+  if (query.category === 'none') category = null;
+  else if (query.category) category = await resolveCategory(friend.owner, query.category);
+
+  return { filter, category };
+}
+
+/**
+ * One page of a friend's history.
+ * query: { type (comma list), category ("none" = uncategorised), tag, minAmount, maxAmount,
+ *          from, to (YYYY-MM-DD), q (note / reason text), sort (date | -date | amount | -amount),
+ *          limit, cursor }
+ * Resolves to {
+ *   transactions, nextCursor,                        // nextCursor null on the last page;
+ *                                                    // reversedBy / reversalOf populated
+ *   totals: { count, credit, debit, loan, repay },   // the whole filtered set, not just this page
+ *   categoryTotals                                   // see controllers/categories.js
+ * }
+ */
+async function listTransactions(friend, query = {}) {
+  const sort = parseSort(query.sort);
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const { filter, category } = await historyFilter(friend, query);
+  const matching = category === undefined ? filter : { ...filter, category };
+  const page = query.cursor ? { $and: [matching, afterCursor(query.cursor, sort)] } : matching;
+
+  const [docs, byType, byCategory] = await Promise.all([
+    Transaction.find(page)
+      .populate('category', 'name')
+      .populate('reversedBy', 'date note')
+      .populate('reversalOf', 'type amount date')
+      .sort({ [sort.field]: sort.dir, _id: sort.dir }).limit(limit + 1),
+    Transaction.aggregate([{ $match: matching }, { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }]),
+    categoryTotals(filter)
+  ]);
+
+  const totals = { count: 0, credit: 0, debit: 0, loan: 0, repay: 0 };
+  for (const row of byType) {
+    totals[row._id] = round2(row.total);
+    totals.count += row.count;
+  }
+
+  const transactions = docs.slice(0, limit);
+  return {
+    transactions,
+    nextCursor: docs.length > limit ? encodeCursor(transactions[transactions.length - 1], sort) : null,
+    totals,
+    categoryTotals: byCategory
+  };
+}
+
+module.exports = { listTransactions, historyFilter, parseSort, encodeCursor, afterCursor };
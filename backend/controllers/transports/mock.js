@@ -0,0 +1,31 @@
+// backend/controllers/transports/mock.js
+// Offline driver: appends every message to a JSON-lines file instead of sending it;
+// documents are written next to it under mock-documents/.
+const fs = require('fs/promises');
+const path = require('path');
+
+const OUTBOX_FILE = process.env.MOCK_OUTBOX_FILE || path.join(__dirname, '..', '..', 'mock-outbox.jsonl');
+const DOCUMENTS_DIR = path.join(path.dirname(OUTBOX_FILE), 'mock-documents');
+
+function isConfigured() {
+  return true;
+}
+
+async function send({ to, body }) {
+  const entry = { to, body, date: new Date().toISOString() };
+  await fs.appendFile(OUTBOX_FILE, JSON.stringify(entry) + '\n', 'utf8');
+  console.log(`📭 [mock] WhatsApp to ${to}:\n${body}`);
+  return { mock: true, file: OUTBOX_FILE };
+}
+
+async function sendDocument({ to, caption, filename, data }) {
+  await fs.mkdir(DOCUMENTS_DIR, { recursive: true });
+  const file = path.join(DOCUMENTS_DIR, `${Date.now()}-${path.basename(filename)}`);
+  await fs.writeFile(file, data);
+  const entry = { to, body: caption, document: file, date: new Date().toISOString() };
+  await fs.appendFile(OUTBOX_FILE, JSON.stringify(entry) + '\n', 'utf8');
+  console.log(`📭 [mock] WhatsApp document to ${to}: ${file}\n${caption}`);
+  return { mock: true, file: OUTBOX_FILE, document: file };
+}
+
+module.exports = { name: 'mock', isConfigured, send, sendDocument };
@@ -0,0 +1,29 @@
+// backend/controllers/transports/twilio.js
+const twilio = require('twilio');
+
+const ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const FROM = process.env.TWILIO_WHATSAPP_FROM; // e.g. +14155238886 (Twilio sandbox)
+
+let client = null;
+
+function isConfigured() {
+  return !!(ACCOUNT_SID && AUTH_TOKEN && FROM);
+}
+
+function whatsappAddress(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return `whatsapp:+${digits}`;
+}
+
+async function send({ to, body }) {
+  if (!client) client = twilio(ACCOUNT_SID, AUTH_TOKEN);
+  const msg = await client.messages.create({
+    from: whatsappAddress(FROM),
+    to: whatsappAddress(to),
+    body
+  });
+  return { sid: msg.sid, status: msg.status };
+}
+
+module.exports = { name: 'twilio', isConfigured, send };
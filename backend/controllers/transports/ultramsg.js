@@ -0,0 +1,29 @@
+// backend/controllers/transports/ultramsg.js
+const axios = require('axios');
+
+const INSTANCE_ID = process.env.ULTRAMSG_INSTANCE || process.env.ULTRAMSG_INSTANCE_ID;
+const TOKEN = process.env.ULTRAMSG_TOKEN;
+const BASE_URL = process.env.ULTRAMSG_BASE_URL || 'https://api.ultramsg.com';
+
+function isConfigured() {
+  return !!(INSTANCE_ID && TOKEN);
+}
+
+async function send({ to, body }) {
+  const url = `${BASE_URL}/${INSTANCE_ID}/messages/chat`;
+  const payload = { token: TOKEN, to, body };
+  const resp = await axios.post(url, payload, { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
+  // UltraMsg answers 200 with { error } when the instance rejects the message
+  if (resp.data && resp.data.error) throw new Error(JSON.stringify(resp.data.error));
+  return resp.data;
+}
+
+async function sendDocument({ to, caption, filename, data }) {
+  const url = `${BASE_URL}/${INSTANCE_ID}/messages/document`;
+  const payload = { token: TOKEN, to, filename, document: Buffer.from(data).toString('base64'), caption };
+  const resp = await axios.post(url, payload, { headers: { 'Content-Type': 'application/json' }, timeout: 30000 });
+  if (resp.data && resp.data.error) throw new Error(JSON.stringify(resp.data.error));
+  return resp.data;
+}
+
+module.exports = { name: 'ultramsg', isConfigured, send, sendDocument };
@@ -0,0 +1,27 @@
+// backend/jobs/messageRetry.js
+const { retryDueMessages } = require('../controllers/outbox');
+
+const INTERVAL_MS = Number(process.env.MESSAGE_RETRY_INTERVAL_MS) || 30 * 1000;
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return; // previous run still sending
+  running = true;
+  try {
+    await retryDueMessages();
+  } catch (err) {
+    console.error('message retry worker error:', err && (err.stack || err));
+  } finally {
+    running = false;
+  }
+}
+
+function startMessageRetryWorker() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  console.log(`📨 Message retry worker running every ${INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startMessageRetryWorker };
@@ -0,0 +1,27 @@
+// backend/jobs/reminderScheduler.js
+const { runDueReminders } = require('../controllers/reminders');
+
+const INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return; // previous run still sending
+  running = true;
+  try {
+    await runDueReminders();
+  } catch (err) {
+    console.error('reminder scheduler error:', err && (err.stack || err));
+  } finally {
+    running = false;
+  }
+}
+
+function startReminderScheduler() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  console.log(`⏰ Reminder scheduler running every ${INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startReminderScheduler };
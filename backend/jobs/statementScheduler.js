@@ -0,0 +1,27 @@
+// backend/jobs/statementScheduler.js
+const { runMonthlyStatements } = require('../controllers/statements');
+
+const INTERVAL_MS = Number(process.env.STATEMENT_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return; // previous run still sending
+  running = true;
+  try {
+    await runMonthlyStatements();
+  } catch (err) {
+    console.error('statement scheduler error:', err && (err.stack || err));
+  } finally {
+    running = false;
+  }
+}
+
+function startStatementScheduler() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  console.log(`🧾 Monthly statement scheduler running every ${INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startStatementScheduler };
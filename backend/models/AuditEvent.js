@@ -0,0 +1,55 @@
+// backend/models/AuditEvent.js
+const mongoose = require('mongoose');
+
+// One mutation made through the API: who made it, on which route, to which friend or ledger
+// entry, and snapshots of the affected documents before and after ({ friend, transaction, … };
+// see controllers/audit.js). Events are append-only: the hooks below refuse every update or delete.
+const AuditEventSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actor: {
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String, default: null }
+  },
+
+  // e.g. "friend.balance", "transaction.debit", "loan.update" (controllers/audit.js ACTIONS)
+  action: { type: String, required: true },
+  method: { type: String },
+  route: { type: String },   // the route pattern, e.g. /api/friends/:id/balance
+  path: { type: String },    // the URL actually called
+
+  // the friend affected; the name is kept because the friend may be deleted later
+  friend: { type: mongoose.Schema.Types.ObjectId, ref: 'Friend', default: null },
+  friendName: { type: String, default: null },
+  target: {
+    _id: false,
+    kind: { type: String, enum: ['Friend', 'Transaction'] },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditEventSchema.index({ owner: 1, _id: -1 });
+AuditEventSchema.index({ owner: 1, friend: 1, _id: -1 });
+AuditEventSchema.index({ owner: 1, 'target.id': 1 });
+
+function appendOnly() {
+  throw new Error('Audit events are append-only');
+}
+
+AuditEventSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+for (const op of ['updateOne', 'deleteOne']) {
+  AuditEventSchema.pre(op, { document: true, query: true }, appendOnly);
+}
+for (const op of ['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete']) {
+  AuditEventSchema.pre(op, appendOnly);
+}
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
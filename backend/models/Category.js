@@ -0,0 +1,14 @@
+// backend/models/Category.js
+const mongoose = require('mongoose');
+
+// A manager's spending category ("Food", "Fuel", …). Transactions point at it by id,
+// so renaming a category relabels every transaction in it.
+const CategorySchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 40 }
+}, { timestamps: true });
+
+// names are unique per owner regardless of case ("food" = "Food")
+CategorySchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -1,16 +1,57 @@
 // backend/models/Friend.js
 const mongoose = require('mongoose');
+const { LANGUAGE_CODES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('../utils/money');
+const { phoneKey } = require('../utils/phone');
 
 const FriendSchema = new mongoose.Schema({
+  // manager (User) this friend belongs to
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   name: { type: String, required: true },
   whatsapp: { type: String, required: true },
+  // last digits of `whatsapp` (utils/phone.js phoneKey), kept in sync below; finds the friend an
+  // inbound WhatsApp message comes from without scanning every friend
+  phoneKey: { type: String, index: true },
   // `savedAmount` is the fixed amount the friend originally saved (or manual fixed value)
   savedAmount: { type: Number, default: 0 },
+  // balance before the first ledger entry; totalBalance = openingBalance + credits - debits
+  openingBalance: { type: Number, default: 0 },
   // `totalBalance` is the current available balance (decreases on debits)
   totalBalance: { type: Number, default: 0 },
   // NEW: total amount this friend currently owes you (loans/borrowed money)
   owedAmount: { type: Number, default: 0 },
+  // when owedAmount (which includes accrued loan interest) was last recalculated
+  owedAsOf: { type: Date, default: null },
+  // IANA zone for this friend's dates, "today" totals and quiet hours, e.g. "Europe/London";
+  // null = the owner's account timezone
+  timezone: { type: String, default: null },
+  // language of the WhatsApp messages this friend receives (see utils/i18n.js)
+  language: { type: String, enum: LANGUAGE_CODES, default: DEFAULT_LANGUAGE },
+  // ISO 4217 code every amount of this friend is kept in, e.g. "INR", "USD"
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY,
+    validate: { validator: isValidCurrency, message: 'Unsupported currency {VALUE}' }
+  },
+  // spending caps per local day / calendar month (null = no cap); debits past them need an override
+  dailyLimit: { type: Number, default: null, min: 0 },
+  monthlyLimit: { type: Number, default: null, min: 0 },
+  // friend and owner get a WhatsApp alert when totalBalance drops below this (null = off)
+  lowBalanceThreshold: { type: Number, default: null, min: 0 },
+  // opted in to a PDF statement of the previous month on WhatsApp (see controllers/statements.js)
+  monthlyStatement: { type: Boolean, default: false },
+  // last month ("YYYY-MM") whose statement was handed to the outbox
+  lastStatementMonth: { type: String, default: null },
+  // archived friends keep their ledger but are hidden from lists, totals, reminders and statements
+  // until restored; only a purge (DELETE /api/friends/:id/purge) erases them
+  archivedAt: { type: Date, default: null },
   lastUpdatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
+// 'validate' rather than 'save' so insertMany (imports) sets it too
+FriendSchema.pre('validate', function () {
+  if (this.isModified('whatsapp') || !this.phoneKey) this.phoneKey = phoneKey(this.whatsapp);
+});
+
 module.exports = mongoose.model('Friend', FriendSchema);
@@ -0,0 +1,53 @@
+// backend/models/Message.js
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // both optional: /api/test-send has no friend, reminders have no transaction
+  friend: { type: mongoose.Schema.Types.ObjectId, ref: 'Friend', default: null },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+
+  to: { type: String, required: true },
+  body: { type: String, required: true },
+  // optional document sent with `body` as its caption, e.g. a PDF statement
+  attachment: {
+    type: new mongoose.Schema({
+      filename: { type: String, required: true },
+      contentType: { type: String, required: true },
+      data: { type: Buffer, required: true }
+    }, { _id: false }),
+    default: null
+  },
+  provider: { type: String },
+
+  // sending: claimed by one sender (controllers/outbox.js); left there by a crash, it is
+  // taken back by the retry worker once updatedAt is older than the lease
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  lastAttemptAt: { type: Date, default: null },
+  // when the retry worker should try again; null once sent or retries are exhausted
+  nextAttemptAt: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  providerResponse: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+MessageSchema.index({ status: 1, nextAttemptAt: 1 });
+MessageSchema.index({ status: 1, updatedAt: 1 });
+
+// API responses describe the attachment instead of shipping its bytes
+MessageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.attachment) {
+      const { filename, contentType, data } = ret.attachment;
+      ret.attachment = { filename, contentType, size: data ? data.length : 0 };
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Message', MessageSchema);
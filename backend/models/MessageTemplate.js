@@ -0,0 +1,16 @@
+// backend/models/MessageTemplate.js
+const mongoose = require('mongoose');
+const { LANGUAGE_CODES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+// An owner's wording for one outgoing message in one language; anything without a saved
+// template uses the built-in default from utils/messageTemplates.js / utils/catalogs
+const MessageTemplateSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true },
+  language: { type: String, enum: LANGUAGE_CODES, default: DEFAULT_LANGUAGE },
+  body: { type: String, required: true }
+}, { timestamps: true });
+
+MessageTemplateSchema.index({ owner: 1, key: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', MessageTemplateSchema);
@@ -0,0 +1,32 @@
+// backend/models/ReminderSchedule.js
+const mongoose = require('mongoose');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ReminderScheduleSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  friend: { type: mongoose.Schema.Types.ObjectId, ref: 'Friend', required: true, unique: true },
+  enabled: { type: Boolean, default: true },
+
+  // daily = every day, weekly = every 7 days, custom = every `intervalDays`
+  cadence: { type: String, enum: ['daily', 'weekly', 'custom'], default: 'weekly' },
+  intervalDays: { type: Number, min: 1, default: 1 },
+  // local time (friend's timezone) of the first reminder; the cadence counts on from there
+  sendTime: { type: String, match: HHMM, default: '10:00' },
+
+  // no reminder is sent between these local times (friend's timezone); may wrap midnight
+  quietHoursStart: { type: String, match: HHMM, default: '21:00' },
+  quietHoursEnd: { type: String, match: HHMM, default: '09:00' },
+
+  // null = no cap; the counter resets once the friend owes nothing or is given a new loan
+  maxReminders: { type: Number, min: 1, default: null },
+  remindersSent: { type: Number, default: 0 },
+
+  lastSentAt: { type: Date, default: null },
+  nextRunAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
+}, { timestamps: true });
+
+ReminderScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ReminderSchedule', ReminderScheduleSchema);
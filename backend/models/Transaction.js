@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 
 const TransactionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   friend: { type: mongoose.Schema.Types.ObjectId, ref: 'Friend', required: true },
 
   // FIXED: Do NOT default everything to "loan"
@@ -17,10 +18,49 @@ const TransactionSchema = new mongoose.Schema({
 
   note: { type: String },
 
+  // the owner's spending category (models/Category.js) and free-form lower-case tags
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  tags: { type: [String], default: [] },
+
   date: { type: Date, default: Date.now },
 
+  // reversals: a mistaken entry is never deleted; it is linked to the counter-entry that undid it
+  // (see controllers/ledger.js reverseTransaction) and both stay in the history
+  reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+  reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+
+  // entries moved here when a duplicate friend was merged in (see controllers/duplicates.js):
+  // the friend they were first recorded for, which no longer exists
+  mergedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Friend', default: null },
+  mergedFromName: { type: String, default: null },
+
+  // how far this entry moved the friend's savedAmount (a credit with addToSaved), so that
+  // reversing it moves savedAmount back
+  savedDelta: { type: Number, default: 0 },
+
   previousBalance: { type: Number, default: null },
-  newBalance: { type: Number, default: null }
+  newBalance: { type: Number, default: null },
+
+  // loans only: principal still unpaid after FIFO repayment allocation
+  outstanding: { type: Number, default: null },
+
+  // loans only: agreed return date; past it (with something still due) the loan is overdue
+  dueDate: { type: Date, default: null },
+
+  // loans only: optional interest (annual %, simple or compounded monthly); see utils/interest.js
+  interestType: { type: String, enum: ['none', 'simple', 'compound'], default: 'none' },
+  interestRate: { type: Number, default: 0, min: 0 },
+  interestStartDate: { type: Date, default: null },
+  interestPaid: { type: Number, default: 0 },
+
+  // repays only: which loans this repayment paid down (oldest first)
+  allocations: [{
+    _id: false,
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    amount: { type: Number },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number }
+  }]
 
 }, { timestamps: true });
 
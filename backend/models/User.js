@@ -0,0 +1,25 @@
+// backend/models/User.js
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const UserSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  // IANA zone for dates and "today" totals of every friend without their own timezone;
+  // null = server DEFAULT_TIMEZONE
+  timezone: { type: String, default: null },
+  // the manager's own WhatsApp number for alerts about friends (low balance); null = no alerts
+  whatsapp: { type: String, default: null }
+}, { timestamps: true });
+
+// never leak the hash through res.json(user); expose the zone used when timezone is null
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    ret.defaultTimezone = DEFAULT_TIMEZONE;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
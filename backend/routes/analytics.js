@@ -0,0 +1,37 @@
+// backend/routes/analytics.js
+const express = require('express');
+const router = express.Router();
+const { spendSeries, spendSummary, loanSeries } = require('../controllers/analytics');
+
+// every endpoint takes ?friendId=&from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days)
+function handle(label, fn) {
+  return async (req, res) => {
+    try {
+      res.json(await fn(req.user.id, req.query));
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`GET /api/analytics/${label} error:`, err && (err.stack || err));
+      res.status(500).json({ error:'Failed to compute analytics' });
+    }
+  };
+}
+
+/**
+ * Debits per day / ISO week / month, overall and per friend
+ * GET /api/analytics/spend?interval=day|week|month&friendId=&from=&to=
+ */
+router.get('/spend', handle('spend', spendSeries));
+
+/**
+ * Total and average daily spend, and the largest debits
+ * GET /api/analytics/summary?friendId=&from=&to=
+ */
+router.get('/summary', handle('summary', spendSummary));
+
+/**
+ * Amount owed (principal + interest) at the end of each period
+ * GET /api/analytics/loans?interval=day|week|month&friendId=&from=&to=
+ */
+router.get('/loans', handle('loans', loanSeries));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// backend/routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { ACTIONS, listAuditEvents } = require('../controllers/audit');
+
+/**
+ * The audit trail, newest first, with before / after snapshots
+ * GET /api/audit?friendId=&action=friend.balance,loan.update&targetId=&from=&to=&limit=50&cursor=
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listAuditEvents(req.user.id, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('GET /api/audit error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch audit events' });
+  }
+});
+
+/**
+ * Every action recorded, with its label
+ * GET /api/audit/actions
+ */
+router.get('/actions', (req, res) => {
+  res.json(ACTIONS);
+});
+
+module.exports = router;
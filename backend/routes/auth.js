@@ -0,0 +1,116 @@
+// backend/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const Message = require('../models/Message');
+const ReminderSchedule = require('../models/ReminderSchedule');
+const { requireAuth, signToken } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/timezone');
+const { normalizePhone } = require('../utils/phone');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Register a manager account
+ * POST /api/auth/register  { name, email, password }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { name = '', email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existing = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (existing) return res.status(409).json({ error: 'Email already registered' });
+
+    const isFirstUser = (await User.countDocuments()) === 0;
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    const user = await User.create({ name, email, passwordHash });
+
+    // data created before accounts existed belongs to the first manager
+    if (isFirstUser) {
+      const orphan = { $or: [{ owner: null }, { owner: { $exists: false } }] };
+      await Promise.all([
+        Friend.updateMany(orphan, { owner: user._id }),
+        Transaction.updateMany(orphan, { owner: user._id }),
+        Message.updateMany(orphan, { owner: user._id }),
+        ReminderSchedule.updateMany(orphan, { owner: user._id })
+      ]);
+    }
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (err) {
+    console.error('POST /api/auth/register error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Log in
+ * POST /api/auth/login  { email, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    const ok = user && await bcrypt.compare(String(password), user.passwordHash);
+    if (!ok) return res.status(401).json({ error: 'Invalid email or password' });
+
+    res.json({ token: signToken(user), user });
+  } catch (err) {
+    console.error('POST /api/auth/login error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Current user
+ * GET /api/auth/me
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Account no longer exists' });
+    res.json(user);
+  } catch (err) {
+    console.error('GET /api/auth/me error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Update the current user's profile
+ * PATCH /api/auth/me  { name?, timezone?, whatsapp? }  (timezone null = server default, whatsapp null = no alerts)
+ */
+router.patch('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Account no longer exists' });
+
+    if (req.body.name !== undefined) user.name = String(req.body.name || '').trim();
+    if (req.body.timezone !== undefined) {
+      const tz = req.body.timezone ? String(req.body.timezone).trim() : null;
+      if (tz && !isValidTimezone(tz)) return res.status(400).json({ error: `Unknown timezone "${tz}"` });
+      user.timezone = tz;
+    }
+    if (req.body.whatsapp !== undefined) {
+      const phone = req.body.whatsapp ? String(req.body.whatsapp).trim() : null;
+      if (phone && normalizePhone(phone).length < 10) return res.status(400).json({ error: 'whatsapp must be a phone number with country code' });
+      user.whatsapp = phone;
+    }
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    console.error('PATCH /api/auth/me error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// backend/routes/categories.js
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+
+// case-insensitive, like the unique index on { owner, name }
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// a trimmed name, or a 400 error
+function categoryName(value) {
+  const name = String(value || '').trim();
+  if (!name || name.length > 40) {
+    const err = new Error('name is required (at most 40 characters)');
+    err.status = 400;
+    throw err;
+  }
+  return name;
+}
+
+async function nameTaken(owner, name, exceptId = null) {
+  const filter = { owner, name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return !!(await Category.findOne(filter).collation(CASE_INSENSITIVE));
+}
+
+/**
+ * List the owner's categories (A–Z)
+ * GET /api/categories
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await Category.find({ owner: req.user.id }).collation(CASE_INSENSITIVE).sort({ name: 1 }));
+  } catch (err) {
+    console.error('GET /api/categories error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch categories' });
+  }
+});
+
+/**
+ * Create a category
+ * POST /api/categories  body: { name }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const name = categoryName(req.body.name);
+    if (await nameTaken(req.user.id, name)) return res.status(409).json({ error:`Category "${name}" already exists` });
+    res.status(201).json(await Category.create({ owner: req.user.id, name }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/categories error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to create category' });
+  }
+});
+
+/**
+ * Rename a category (its transactions follow, they reference it by id)
+ * PATCH /api/categories/:id  body: { name }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const name = categoryName(req.body.name);
+    const category = await Category.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!category) return res.status(404).json({ error:'Category not found' });
+    if (await nameTaken(req.user.id, name, category._id)) return res.status(409).json({ error:`Category "${name}" already exists` });
+
+    category.name = name;
+    await category.save();
+    res.json(category);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('PATCH /api/categories/:id error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to rename category' });
+  }
+});
+
+/**
+ * Delete a category; its transactions become uncategorised
+ * DELETE /api/categories/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await Category.findOneAndDelete({ _id: req.params.id, owner: req.user.id });
+    if (!category) return res.status(404).json({ error:'Category not found' });
+
+    const { modifiedCount } = await Transaction.updateMany({ owner: req.user.id, category: category._id }, { $set: { category: null } });
+    res.json({ ok:true, uncategorised: modifiedCount });
+  } catch (err) {
+    console.error('DELETE /api/categories/:id error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to delete category' });
+  }
+});
+
+module.exports = router;
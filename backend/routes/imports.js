@@ -0,0 +1,63 @@
+// backend/routes/imports.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { previewImport, commitImport } = require('../controllers/imports');
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: 1 } });
+
+// single "file" upload; multer's own errors (too large, wrong field) become 400s
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB` : err.message;
+    res.status(400).json({ error: message });
+  });
+}
+
+// multipart fields arrive as strings; `mapping` is JSON ({ field: header })
+function importOptions(req) {
+  let mapping = null;
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch {
+      const err = new Error('mapping must be JSON');
+      err.status = 400;
+      throw err;
+    }
+  }
+  return { kind: req.body.kind, file: req.file, mapping };
+}
+
+/**
+ * Map columns and validate every row without saving anything
+ * POST /api/import/preview  multipart: file (.csv/.xlsx), kind ("friends" | "transactions"), mapping? (JSON)
+ */
+router.post('/preview', uploadFile, async (req, res) => {
+  try {
+    res.json(await previewImport(req.user.id, importOptions(req)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/import/preview error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to read the import file' });
+  }
+});
+
+/**
+ * Import every valid row (duplicates are skipped); nothing is saved if any row has an error
+ * POST /api/import/commit  same fields as /preview
+ */
+router.post('/commit', uploadFile, async (req, res) => {
+  try {
+    res.json(await commitImport(req.user.id, importOptions(req)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, preview: err.preview });
+    console.error('POST /api/import/commit error:', err && (err.stack || err));
+    res.status(500).json({ error:'Import failed' });
+  }
+});
+
+module.exports = router;
@@ -3,27 +3,57 @@ const express = require('express');
 const router = express.Router();
 const Loan = require('../models/Transaction'); // using transaction model for loans
 const Friend = require('../models/Friend');
-const { sendWhatsAppMessage } = require('../controllers/ultramsg');
-const { buildExactLoanReminder } = require('../utils/buildExactLoanReminder');
+const messaging = require('../controllers/messaging');
+const { deliver } = require('../controllers/outbox');
+const { withTransaction, recalcOwed, recordRepayment, reverseTransaction, rebuildLoanAllocations, loanStatus } = require('../controllers/ledger');
+const { renderMessage, loanCreatedVars, loanReminderVars, totalReminderVars, repaymentVars } = require('../controllers/templates');
+const { friendTimezone } = require('../controllers/timezones');
+const { recordAudit, snapshot } = require('../controllers/audit');
+const { resetReminderCount } = require('../controllers/reminders');
+const { dueStatus, nextDueDate } = require('../utils/loanStatus');
+const { totalsByCurrency } = require('../utils/money');
 
-const INSTANCE_ID = process.env.ULTRAMSG_INSTANCE;
-const TOKEN = process.env.ULTRAMSG_TOKEN;
+/**
+ * Helper: read optional interest settings from a request body.
+ * Returns { error } or the fields to set on the loan (only those present in the body).
+ */
+function parseInterest(body) {
+  const out = {};
+  if (body.interestType !== undefined) {
+    if (!['none', 'simple', 'compound'].includes(body.interestType)) return { error:'interestType must be none, simple or compound' };
+    out.interestType = body.interestType;
+  }
+  if (body.interestRate !== undefined) {
+    const rate = Number(body.interestRate || 0);
+    if (isNaN(rate) || rate < 0) return { error:'Invalid interestRate' };
+    out.interestRate = rate;
+  }
+  if (body.interestStartDate !== undefined) {
+    const d = body.interestStartDate ? new Date(body.interestStartDate) : null;
+    if (d && isNaN(d.getTime())) return { error:'Invalid interestStartDate' };
+    out.interestStartDate = d;
+  }
+  return out;
+}
+
+/**
+ * Helper: read an optional dueDate from a request body ('' or null clears it)
+ */
+function parseDueDate(body) {
+  if (body.dueDate === undefined) return {};
+  const d = body.dueDate ? new Date(body.dueDate) : null;
+  if (d && isNaN(d.getTime())) return { error:'Invalid dueDate' };
+  return { dueDate: d };
+}
 
 /**
- * Helper: recalc owedAmount for a friend from transactions
+ * Helper: loan entries with live principal / interest / total due and due-date status attached
  */
-async function recalcOwed(friendId) {
-  const ag = await Loan.aggregate([
-    { $match: { friend: friendId, type: { $in: ['loan','repay'] } } },
-    { $group: {
-        _id: "$friend",
-        loanSum: { $sum: { $cond: [{ $eq: ["$type","loan"] }, "$amount", 0] } },
-        repaySum: { $sum: { $cond: [{ $eq: ["$type","repay"] }, "$amount", 0] } }
-    }}
-  ]);
-  const total = (ag[0] ? (ag[0].loanSum - ag[0].repaySum) : 0);
-  await Friend.findByIdAndUpdate(friendId, { owedAmount: total, lastUpdatedAt: new Date() });
-  return total;
+function withLoanStatus(txs, sim, now = new Date()) {
+  return txs.map(t => {
+    const row = t.type === 'loan' ? sim.loans.get(String(t._id)) : null;
+    return row ? { ...t.toObject(), ...row, ...dueStatus(t, row.totalDue, now) } : t.toObject();
+  });
 }
 
 /**
@@ -35,46 +65,59 @@ router.post('/', async (req, res) => {
     const { friendId, amount, reason = '', sendMessage = false } = req.body;
     if (!friendId || !amount || Number(amount) <= 0) return res.status(400).json({ error:'Invalid payload' });
 
-    const friend = await Friend.findById(friendId);
+    const interest = parseInterest(req.body);
+    if (interest.error) return res.status(400).json({ error: interest.error });
+    const due = parseDueDate(req.body);
+    if (due.error) return res.status(400).json({ error: due.error });
+
+    const friend = await Friend.findOne({ _id: friendId, owner: req.user.id });
     if (!friend) return res.status(404).json({ error:'Friend not found' });
+    if (friend.archivedAt) return res.status(409).json({ error:'Friend is archived; restore them first' });
+    // checked before anything is recorded, so a client retrying the 503 does not lend twice
+    if (sendMessage && !messaging.isConfigured()) {
+      return res.status(503).json({ error: 'Messaging not configured' });
+    }
 
     const prev = Number(friend.owedAmount || 0);
     const newBal = prev + Number(amount);
 
-    const loan = await Loan.create({
-      friend: friend._id,
-      type: 'loan',
-      amount,
-      reason,
-      previousBalance: prev,
-      newBalance: newBal
-    });
+    // the loan, the owed total and its audit event, committed together
+    const { loan, refreshedFriend } = await withTransaction(async (session) => {
+      const [loan] = await Loan.create([{
+        owner: friend.owner,
+        friend: friend._id,
+        type: 'loan',
+        amount,
+        reason,
+        outstanding: Number(amount),
+        ...interest,
+        ...due,
+        previousBalance: prev,
+        newBalance: newBal
+      }], { session });
 
-    await recalcOwed(friend._id);
+      await recalcOwed(friend._id, session);
+      const refreshedFriend = await Friend.findById(friend._id).session(session);
+      await recordAudit(req, {
+        action: 'loan.create',
+        friend: refreshedFriend,
+        target: { kind: 'Transaction', id: loan._id },
+        before: snapshot({ friend }),
+        after: snapshot({ friend: refreshedFriend, transaction: loan })
+      }, session);
+      return { loan, refreshedFriend };
+    });
+    // a new loan is chased with a fresh reminder count
+    await resetReminderCount(friend._id);
 
     let sendResult = null;
     if (sendMessage) {
-      if (!INSTANCE_ID || !TOKEN) {
-        // Do not throw, return info to client
-        return res.status(503).json({ error: 'UltraMsg not configured' });
-      }
-      const message = buildExactLoanReminder({
-        name: friend.name,
-        amount,
-        borrowedDate: loan.createdAt,
-        reason
-      });
-      try {
-        sendResult = await sendWhatsAppMessage({ instanceId: INSTANCE_ID, token: TOKEN, to: friend.whatsapp, body: message });
-      } catch (err) {
-        console.error('UltraMsg send error (create loan):', err && (err.stack || err));
-        // Return created loan but include send error
-        const refreshedFriend = await Friend.findById(friend._id);
-        return res.status(201).json({ loan, friend: refreshedFriend, sendResult: { success: false, error: String(err.message || err) }});
-      }
+      const message = await renderMessage(req.user.id, 'loan_created', loanCreatedVars({ friend, loan, timezone: await friendTimezone(friend) }), friend.language);
+      // a failed send is reported in sendResult and retried by the outbox worker; the loan stays recorded
+      sendResult = await deliver({ to: friend.whatsapp, body: message, owner: friend.owner, friend: friend._id, transaction: loan._id });
+      if (!sendResult.success) console.error('send error (create loan):', sendResult.error);
     }
 
-    const refreshedFriend = await Friend.findById(friend._id);
     res.status(201).json({ loan, friend: refreshedFriend, sendResult });
   } catch (err) {
     console.error('POST /api/loans error:', err && (err.stack || err));
@@ -82,15 +125,68 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Record a repayment, allocated oldest-loan-first:
+ * POST /api/loans/repay
+ * body: { friendId, amount, note, sendMessage }
+ */
+router.post('/repay', async (req, res) => {
+  try {
+    const { friendId, amount, note = '', sendMessage = false } = req.body;
+    const amt = Number(amount);
+    if (!friendId || Number.isNaN(amt) || amt <= 0) return res.status(400).json({ error:'Invalid payload' });
+
+    const friend = await Friend.findOne({ _id: friendId, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error:'Friend not found' });
+    if (friend.archivedAt) return res.status(409).json({ error:'Friend is archived; restore them first' });
+
+    if (sendMessage && !messaging.isConfigured()) {
+      return res.status(503).json({ error: 'Messaging not configured' });
+    }
+
+    const { friend: updated, transaction: repay, loans } = await recordRepayment({
+      friend,
+      amount: amt,
+      note,
+      audit: (session, { friend: updated, transaction: repay }) => recordAudit(req, {
+        action: 'loan.repay',
+        friend: updated,
+        target: { kind: 'Transaction', id: repay._id },
+        before: snapshot({ friend }),
+        after: snapshot({ friend: updated, transaction: repay })
+      }, session)
+    });
+
+    let sendResult = null;
+    if (sendMessage) {
+      const message = await renderMessage(req.user.id, 'repayment_receipt', repaymentVars({ friend: updated, repay, loans, timezone: await friendTimezone(updated) }), updated.language);
+      sendResult = await deliver({ to: updated.whatsapp, body: message, owner: updated.owner, friend: updated._id, transaction: repay._id });
+      if (!sendResult.success) console.error('send error (repay receipt):', sendResult.error);
+    }
+
+    res.status(201).json({ repay, loans, friend: updated, sendResult });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('POST /api/loans/repay error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to record repayment' });
+  }
+});
+
 /**
  * Patch loan
  */
 router.patch('/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    const loan = await Loan.findById(id);
+    const loan = await Loan.findOne({ _id: id, owner: req.user.id, type: { $in:['loan','repay'] } });
     if (!loan) return res.status(404).json({ error:'Loan not found' });
+    // the amount of a reversal pair must keep matching; only the wording can change
+    const reversed = loan.reversedBy || loan.reversalOf;
+    if (reversed && (req.body.amount !== undefined || req.body.increment !== undefined)) {
+      return res.status(400).json({ error:'A reversed entry cannot change its amount' });
+    }
 
+    const before = snapshot({ transaction: loan, friend: await Friend.findById(loan.friend) });
     if (req.body.amount !== undefined) {
       const newAmount = Number(req.body.amount);
       if (isNaN(newAmount) || newAmount < 0) return res.status(400).json({ error:'Invalid amount' });
@@ -101,10 +197,28 @@ router.patch('/:id', async (req, res) => {
       loan.amount = loan.amount + inc;
     }
     if (req.body.reason !== undefined) loan.reason = req.body.reason;
-    await loan.save();
-    await recalcOwed(loan.friend);
-    const friend = await Friend.findById(loan.friend);
-    res.json({ loan, friend });
+    const interest = parseInterest(req.body);
+    if (interest.error) return res.status(400).json({ error: interest.error });
+    const due = parseDueDate(req.body);
+    if (due.error) return res.status(400).json({ error: due.error });
+    Object.assign(loan, interest, due);
+    // the edit, the allocations and owed total it changes and its audit event, committed together
+    const { saved, friend } = await withTransaction(async (session) => {
+      await loan.save({ session });
+      await rebuildLoanAllocations(loan.friend, session);
+      await recalcOwed(loan.friend, session);
+      const friend = await Friend.findById(loan.friend).session(session);
+      const saved = await Loan.findById(loan._id).session(session);
+      await recordAudit(req, {
+        action: 'loan.update',
+        friend,
+        target: { kind: 'Transaction', id: loan._id },
+        before,
+        after: snapshot({ transaction: saved, friend })
+      }, session);
+      return { saved, friend };
+    });
+    res.json({ loan: saved, friend });
   } catch (err) {
     console.error('PATCH /api/loans/:id error:', err && (err.stack || err));
     res.status(500).json({ error:'Failed to update loan' });
@@ -112,21 +226,31 @@ router.patch('/:id', async (req, res) => {
 });
 
 /**
- * Delete loan
+ * "Delete" a loan or repay entry: it is reversed rather than removed, so the history keeps
+ * both the entry and its linked counter-entry (see POST /api/transactions/:id/reverse)
+ * DELETE /api/loans/:id
  */
 router.delete('/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    const loan = await Loan.findById(id);
+    const loan = await Loan.findOne({ _id: id, owner: req.user.id, type: { $in:['loan','repay'] } });
     if (!loan) return res.status(404).json({ error:'Loan not found' });
-    const friendId = loan.friend;
-    await loan.deleteOne();
-    await recalcOwed(friendId);
-    const friend = await Friend.findById(friendId);
-    res.json({ message:'Loan deleted', friend });
+    const previous = await Friend.findById(loan.friend);
+    const { friend, reversal } = await reverseTransaction({
+      transaction: loan,
+      audit: (session, { friend, transaction, reversal }) => recordAudit(req, {
+        action: 'loan.reverse',
+        friend,
+        target: { kind: 'Transaction', id: loan._id },
+        before: snapshot({ friend: previous, transaction: loan }),
+        after: snapshot({ friend, transaction, reversal })
+      }, session)
+    });
+    res.json({ message:'Loan reversed', friend, reversal });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('DELETE /api/loans/:id error:', err && (err.stack || err));
-    res.status(500).json({ error:'Failed to delete loan' });
+    res.status(500).json({ error:'Failed to reverse loan' });
   }
 });
 
@@ -135,24 +259,79 @@ router.delete('/:id', async (req, res) => {
  */
 router.get('/friend/:friendId', async (req, res) => {
   try {
-    const friend = await Friend.findById(req.params.friendId);
+    const friend = await Friend.findOne({ _id: req.params.friendId, owner: req.user.id });
     if (!friend) return res.status(404).json({ error:'Friend not found' });
     const txs = await Loan.find({ friend: friend._id, type: { $in:['loan','repay'] } }).sort({ createdAt:-1 });
-    res.json({ friend, owedAmount: friend.owedAmount || 0, txs });
+    const sim = (await loanStatus([friend._id])).get(String(friend._id));
+    res.json({ friend, owedAmount: sim.totalDue, txs: withLoanStatus(txs, sim) });
   } catch (err) {
     console.error('GET /api/loans/friend/:friendId error:', err && (err.stack || err));
     res.status(500).json({ error:'Failed to fetch loans' });
   }
 });
 
+/**
+ * Overdue loans grouped by friend, most overdue first
+ * GET /api/loans/overdue
+ */
+router.get('/overdue', async (req, res) => {
+  try {
+    const now = new Date();
+    const pastDue = await Loan.find({ owner: req.user.id, type: 'loan', dueDate: { $ne: null, $lt: now } })
+      .populate('friend', 'name whatsapp owedAmount currency timezone archivedAt');
+    const friendIds = [...new Set(pastDue.filter(l => l.friend).map(l => String(l.friend._id)))];
+    const status = await loanStatus(friendIds, now);
+
+    const groups = new Map();
+    for (const loan of pastDue) {
+      if (!loan.friend || loan.friend.archivedAt) continue;
+      const row = status.get(String(loan.friend._id)).loans.get(String(loan._id));
+      const info = dueStatus(loan, row && row.totalDue, now);
+      if (info.status !== 'overdue') continue;
+
+      const key = String(loan.friend._id);
+      if (!groups.has(key)) groups.set(key, { friend: loan.friend, loans: [], totalOverdue: 0, maxDaysOverdue: 0 });
+      const group = groups.get(key);
+      const { friend: _friend, ...plain } = loan.toObject();
+      group.loans.push({ ...plain, ...row, ...info });
+      group.totalOverdue += row.totalDue;
+      group.maxDaysOverdue = Math.max(group.maxDaysOverdue, info.daysOverdue);
+    }
+
+    const friends = [...groups.values()]
+      .map(g => ({ ...g, totalOverdue: Math.round(g.totalOverdue * 100) / 100, loans: g.loans.sort((a, b) => b.daysOverdue - a.daysOverdue) }))
+      .sort((a, b) => b.maxDaysOverdue - a.maxDaysOverdue || b.totalOverdue - a.totalOverdue);
+    // amounts in different currencies can't be added up, so totals are per currency
+    const totals = totalsByCurrency(friends.map(g => ({ currency: g.friend.currency, amount: g.totalOverdue })), r => r.amount);
+    res.json({ friends, totals, count: friends.reduce((acc, g) => acc + g.loans.length, 0) });
+  } catch (err) {
+    console.error('GET /api/loans/overdue error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch overdue loans' });
+  }
+});
+
 /**
  * Overview
  */
 router.get('/overview', async (req, res) => {
   try {
-    const friends = await Friend.find().select('name owedAmount whatsapp').sort({ name:1 });
-    const overall = friends.reduce((acc,f) => acc + (Number(f.owedAmount || 0)), 0);
-    res.json({ friends, overall });
+    const docs = await Friend.find({ owner: req.user.id, archivedAt: null }).select('name owedAmount whatsapp currency').sort({ name:1 });
+    // interest keeps accruing, so totals are computed live from the ledger
+    const status = await loanStatus(docs.map(f => f._id));
+    const friends = docs.map(f => {
+      const sim = status.get(String(f._id));
+      let principal = 0, interest = 0;
+      for (const row of sim.loans.values()) {
+        principal += row.principal;
+        interest += row.interestDue;
+      }
+      return { ...f.toObject(), owedAmount: sim.totalDue, principal, interest };
+    });
+    // grouped per currency: { INR: { owed, interest }, USD: { ... } }
+    const owed = totalsByCurrency(friends, f => f.owedAmount);
+    const interest = totalsByCurrency(friends, f => f.interest);
+    const totals = Object.fromEntries(Object.keys(owed).map(code => [code, { owed: owed[code], interest: interest[code] }]));
+    res.json({ friends, totals });
   } catch (err) {
     console.error('GET /api/loans/overview error:', err && (err.stack || err));
     res.status(500).json({ error:'Failed to fetch overview' });
@@ -166,32 +345,29 @@ router.get('/overview', async (req, res) => {
 router.post('/:id/notify', async (req, res) => {
   try {
     const id = req.params.id;
-    const loan = await Loan.findById(id).populate('friend');
+    const loan = await Loan.findOne({ _id: id, owner: req.user.id }).populate('friend');
     if (!loan) return res.status(404).json({ error:'Loan not found' });
+    if (loan.reversedBy || loan.reversalOf) return res.status(400).json({ error:'This loan was reversed' });
 
     const friend = loan.friend;
     if (!friend) return res.status(404).json({ error:'Friend not found' });
+    if (friend.archivedAt) return res.status(409).json({ error:'Friend is archived; restore them first' });
 
-    if (!INSTANCE_ID || !TOKEN) {
-      // UltraMsg not set — return 503 so frontend knows sending is unavailable
-      return res.status(503).json({ error: 'UltraMsg not configured' });
+    if (!messaging.isConfigured()) {
+      // transport not set — return 503 so frontend knows sending is unavailable
+      return res.status(503).json({ error: 'Messaging not configured' });
     }
 
-    const message = buildExactLoanReminder({
-      name: friend.name,
-      amount: loan.amount,
-      borrowedDate: loan.createdAt,
-      reason: loan.reason
-    });
+    const sim = (await loanStatus([friend._id])).get(String(friend._id));
+    const status = sim.loans.get(String(loan._id));
+    const message = await renderMessage(req.user.id, 'loan_reminder', loanReminderVars({ friend, loan, status, timezone: await friendTimezone(friend) }), friend.language);
 
-    try {
-      const sendResult = await sendWhatsAppMessage({ instanceId: INSTANCE_ID, token: TOKEN, to: friend.whatsapp, body: message });
-      return res.json({ ok:true, sendResult });
-    } catch (err) {
-      console.error('POST /api/loans/:id/notify UltraMsg error:', err && (err.stack || err));
+    const sendResult = await deliver({ to: friend.whatsapp, body: message, owner: friend.owner, friend: friend._id, transaction: loan._id });
+    if (!sendResult.success) {
       // Return 502 (bad gateway) with provider detail
-      return res.status(502).json({ error:'Failed to send message', detail: String(err.message || err) });
+      return res.status(502).json({ error:'Failed to send message', detail: sendResult.error });
     }
+    return res.json({ ok:true, sendResult });
   } catch (err) {
     console.error('POST /api/loans/:id/notify error:', err && (err.stack || err));
     res.status(500).json({ error:'Failed to send notify' });
@@ -204,23 +380,26 @@ router.post('/:id/notify', async (req, res) => {
  */
 router.post('/friend/:friendId/notify', async (req, res) => {
   try {
-    const friend = await Friend.findById(req.params.friendId);
+    const friend = await Friend.findOne({ _id: req.params.friendId, owner: req.user.id });
     if (!friend) return res.status(404).json({ error:'Friend not found' });
+    if (friend.archivedAt) return res.status(409).json({ error:'Friend is archived; restore them first' });
 
-    if (!INSTANCE_ID || !TOKEN) {
-      return res.status(503).json({ error: 'UltraMsg not configured' });
+    if (!messaging.isConfigured()) {
+      return res.status(503).json({ error: 'Messaging not configured' });
     }
 
-    // Build the short summary message format you requested
-    const message = `🔔 *Reminder: Please return*\n\nHi ${friend.name},\nThis is a reminder for the borrowed amount:\n\n💸 Amount: ₹${friend.owedAmount}\n🗓 Borrowed on: ${new Date().toLocaleString('en-IN', { year:'numeric', month:'short', day:'2-digit', hour:'2-digit', minute:'2-digit' })}\n📝 Reason: —\n\nPlease return at your earliest convenience. 🙏\n\n— Savings Manager`;
+    // owedAmount includes interest, so refresh it before quoting it
+    const owed = await recalcOwed(friend._id);
+    const loans = await Loan.find({ friend: friend._id, type: 'loan' });
+    const sim = (await loanStatus([friend._id])).get(String(friend._id));
+
+    const message = await renderMessage(req.user.id, 'total_reminder', totalReminderVars({ friend, owed, dueDate: nextDueDate(loans, sim), timezone: await friendTimezone(friend) }), friend.language);
 
-    try {
-      const sendResult = await sendWhatsAppMessage({ instanceId: INSTANCE_ID, token: TOKEN, to: friend.whatsapp, body: message });
-      return res.json({ ok:true, sendResult });
-    } catch (err) {
-      console.error('POST /api/loans/friend/:friendId/notify UltraMsg error:', err && (err.stack || err));
-      return res.status(502).json({ error:'Failed to send message', detail: String(err.message || err) });
+    const sendResult = await deliver({ to: friend.whatsapp, body: message, owner: friend.owner, friend: friend._id });
+    if (!sendResult.success) {
+      return res.status(502).json({ error:'Failed to send message', detail: sendResult.error });
     }
+    return res.json({ ok:true, sendResult });
   } catch (err) {
     console.error('POST /api/loans/friend/:friendId/notify error:', err && (err.stack || err));
     res.status(500).json({ error:'Failed to send friend notify' });
@@ -0,0 +1,77 @@
+// backend/routes/messages.js
+const express = require('express');
+const router = express.Router();
+const Message = require('../models/Message');
+const { attemptDelivery } = require('../controllers/outbox');
+
+/**
+ * List outbound messages (newest first)
+ * GET /api/messages?status=failed&friendId=...&limit=50
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, friendId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const filter = { owner: req.user.id };
+    if (status) filter.status = status;
+    if (friendId) filter.friend = friendId;
+
+    const messages = await Message.find(filter)
+      .populate('friend', 'name whatsapp')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(messages);
+  } catch (err) {
+    console.error('GET /api/messages error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch messages' });
+  }
+});
+
+/**
+ * Re-send every failed message now (ignores backoff and attempt cap)
+ * POST /api/messages/resend-failed
+ */
+router.post('/resend-failed', async (req, res) => {
+  try {
+    const failed = await Message.find({ owner: req.user.id, status: 'failed' }).sort({ createdAt: 1 });
+    const results = [];
+    for (const message of failed) {
+      results.push(await attemptDelivery(message));
+    }
+    const sent = results.filter(r => r.success).length;
+    // another sender (the retry worker) got there first
+    const skipped = results.filter(r => r.error === 'already_claimed').length;
+    res.json({ total: results.length, sent, failed: results.length - sent - skipped, skipped, results });
+  } catch (err) {
+    console.error('POST /api/messages/resend-failed error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to re-send messages' });
+  }
+});
+
+/**
+ * Manually re-send a single message
+ * POST /api/messages/:id/resend
+ */
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const message = await Message.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!message) return res.status(404).json({ error:'Message not found' });
+    if (message.status === 'sent') return res.status(400).json({ error:'Message already sent' });
+    if (message.status === 'sending') return res.status(409).json({ error:'Message is being sent' });
+
+    const sendResult = await attemptDelivery(message);
+    if (sendResult.error === 'already_claimed') return res.status(409).json({ error:'Message is being sent or was sent already' });
+    if (sendResult.error === 'friend_archived') return res.status(409).json({ error:'Friend is archived; restore them first' });
+    const updated = await Message.findById(message._id);
+    if (!sendResult.success) {
+      return res.status(502).json({ error:'Failed to send message', detail: sendResult.error, message: updated });
+    }
+    res.json({ ok:true, message: updated, sendResult });
+  } catch (err) {
+    console.error('POST /api/messages/:id/resend error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to re-send message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// backend/routes/reconcile.js
+const express = require('express');
+const router = express.Router();
+const Friend = require('../models/Friend');
+const { reconcileFriends, recalcBalance, recalcOwed, withTransaction } = require('../controllers/ledger');
+const { recordAudit, snapshot } = require('../controllers/audit');
+
+/**
+ * Compare every friend's stored balances with their ledger
+ * GET /api/reconcile            → all friends
+ * GET /api/reconcile?onlyMismatches=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const friends = await Friend.find({ owner: req.user.id }).sort({ name: 1 });
+    const report = await reconcileFriends(friends);
+    const mismatches = report.filter(r => !r.ok);
+    res.json({
+      checked: report.length,
+      mismatchCount: mismatches.length,
+      friends: req.query.onlyMismatches === 'true' ? mismatches : report
+    });
+  } catch (err) {
+    console.error('GET /api/reconcile error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to reconcile balances' });
+  }
+});
+
+/**
+ * Overwrite a friend's stored balances with the ledger-derived values, audited as one change
+ * POST /api/reconcile/:friendId/fix
+ */
+router.post('/:friendId/fix', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.friendId, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error:'Friend not found' });
+
+    const [before] = await reconcileFriends([friend]);
+    const refreshed = await withTransaction(async (session) => {
+      await recalcBalance(friend._id, session);
+      await recalcOwed(friend._id, session);
+      const updated = await Friend.findById(friend._id).session(session);
+      await recordAudit(req, {
+        action: 'friend.reconcile',
+        friend: updated,
+        before: snapshot({ friend }),
+        after: snapshot({ friend: updated })
+      }, session);
+      return updated;
+    });
+    res.json({ before, friend: refreshed });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/reconcile/:friendId/fix error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fix balances' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// backend/routes/reminders.js
+const express = require('express');
+const router = express.Router();
+const ReminderSchedule = require('../models/ReminderSchedule');
+const Friend = require('../models/Friend');
+const { computeNextRun, firstRun } = require('../controllers/reminders');
+const { withTransaction } = require('../controllers/ledger');
+const { friendTimezone } = require('../controllers/timezones');
+const { recordAudit, snapshot } = require('../controllers/audit');
+const { isValidTimezone } = require('../utils/timezone');
+
+const FIELDS = ['enabled', 'cadence', 'intervalDays', 'sendTime', 'quietHoursStart', 'quietHoursEnd', 'maxReminders'];
+
+/**
+ * List all reminder schedules
+ * GET /api/reminders
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await ReminderSchedule.find({ owner: req.user.id })
+      .populate('friend', 'name whatsapp owedAmount timezone')
+      .sort({ nextRunAt: 1 });
+    res.json(schedules);
+  } catch (err) {
+    console.error('GET /api/reminders error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch reminder schedules' });
+  }
+});
+
+/**
+ * Get a friend's schedule (null when none is set)
+ * GET /api/reminders/friend/:friendId
+ */
+router.get('/friend/:friendId', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.friendId, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error:'Friend not found' });
+    const schedule = await ReminderSchedule.findOne({ friend: friend._id });
+    res.json({ friend, schedule });
+  } catch (err) {
+    console.error('GET /api/reminders/friend/:friendId error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch reminder schedule' });
+  }
+});
+
+/**
+ * Create or update a friend's schedule (and the friend's timezone), saved with an audit event
+ * once the whole body is valid
+ * PUT /api/reminders/friend/:friendId
+ * body: { enabled, cadence, intervalDays, sendTime, quietHoursStart, quietHoursEnd, maxReminders, timezone }
+ */
+router.put('/friend/:friendId', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.friendId, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error:'Friend not found' });
+
+    let schedule = await ReminderSchedule.findOne({ friend: friend._id });
+    const isNew = !schedule;
+    const before = snapshot({ friend, schedule });
+    if (isNew) schedule = new ReminderSchedule({ owner: friend.owner, friend: friend._id });
+
+    if (req.body.timezone !== undefined) {
+      const tz = req.body.timezone ? String(req.body.timezone).trim() : null;
+      if (tz && !isValidTimezone(tz)) return res.status(400).json({ error:`Unknown timezone "${tz}"` });
+      friend.timezone = tz;
+    }
+
+    const prevSendTime = schedule.sendTime;
+    const prevTiming = `${schedule.cadence}/${schedule.intervalDays}/${prevSendTime}`;
+    for (const key of FIELDS) {
+      if (req.body[key] !== undefined) schedule[key] = req.body[key] === '' ? null : req.body[key];
+    }
+    if (req.body.resetCount) schedule.remindersSent = 0;
+    await schedule.validate();
+
+    // (re)arm the schedule when it is new, re-enabled, reset or its timing changed: the first
+    // run is at sendTime, later ones one interval after the last reminder
+    const timingChanged = prevTiming !== `${schedule.cadence}/${schedule.intervalDays}/${schedule.sendTime}`;
+    if (schedule.enabled && (isNew || !schedule.nextRunAt || timingChanged)) {
+      schedule.nextRunAt = schedule.lastSentAt && schedule.sendTime === prevSendTime
+        ? computeNextRun(schedule, schedule.lastSentAt)
+        : firstRun(schedule, await friendTimezone(friend));
+    }
+    if (!schedule.enabled) schedule.nextRunAt = null;
+
+    await withTransaction(async (session) => {
+      if (friend.isModified()) await friend.save({ session });
+      await schedule.save({ session });
+      await recordAudit(req, {
+        action: 'reminder.update',
+        friend,
+        target: { kind: 'ReminderSchedule', id: schedule._id },
+        before,
+        after: snapshot({ friend, schedule })
+      }, session);
+    });
+    res.status(isNew ? 201 : 200).json({ schedule, friend });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('PUT /api/reminders/friend/:friendId error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to save reminder schedule' });
+  }
+});
+
+/**
+ * Remove a friend's schedule
+ * DELETE /api/reminders/friend/:friendId
+ */
+router.delete('/friend/:friendId', async (req, res) => {
+  try {
+    const result = await ReminderSchedule.deleteOne({ friend: req.params.friendId, owner: req.user.id });
+    if (!result.deletedCount) return res.status(404).json({ error:'Reminder schedule not found' });
+    res.json({ message:'Reminder schedule deleted' });
+  } catch (err) {
+    console.error('DELETE /api/reminders/friend/:friendId error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to delete reminder schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+// backend/routes/templates.js
+const express = require('express');
+const router = express.Router();
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const MessageTemplate = require('../models/MessageTemplate');
+const { DEFAULT_TEMPLATES, renderTemplate, unknownPlaceholders } = require('../utils/messageTemplates');
+const { nextDueDate } = require('../utils/loanStatus');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { todaysSpent, loanStatus } = require('../controllers/ledger');
+const {
+  listTemplates, templateBody, sampleVars,
+  debitVars, creditVars, loanCreatedVars, loanReminderVars, totalReminderVars, repaymentVars, lowBalanceVars, statementVars,
+  correctionVars, chatBalanceVars, chatHistoryVars, chatOwedVars, chatHelpVars
+} = require('../controllers/templates');
+const { buildStatement, previousMonth } = require('../controllers/statements');
+const { accountTimezone, friendTimezone } = require('../controllers/timezones');
+const { HISTORY_LIMIT: CHAT_HISTORY_LIMIT } = require('../controllers/chatCommands');
+
+const MAX_BODY_LENGTH = 4000;
+
+// transaction type each template is rendered from (null: only needs a friend)
+const TX_TYPE = {
+  debit: 'debit',
+  credit: 'credit',
+  loan_created: 'loan',
+  loan_reminder: 'loan',
+  repayment_receipt: 'repay',
+  total_reminder: null,
+  low_balance: null,
+  low_balance_owner: null,
+  monthly_statement: null,
+  correction: null,
+  chat_balance: null,
+  chat_history: null,
+  chat_owed: null,
+  chat_help: null
+};
+
+// ?language= / body.language, defaulting to English; undefined when the code is unknown
+function requestLanguage(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LANGUAGE;
+  return LANGUAGES[value] ? value : undefined;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Helper: placeholder values for `key` from a real transaction, or a friend's latest matching one
+ * (formatted for `language`, the template being edited, rather than the friend's own language)
+ */
+async function previewVars(owner, key, { friendId, transactionId, language }) {
+  const type = TX_TYPE[key];
+  let tx = null;
+  let friend;
+
+  if (transactionId) {
+    tx = await Transaction.findOne({ _id: transactionId, owner });
+    if (!tx) throw httpError(404, 'Transaction not found');
+    if (type && tx.type !== type) throw httpError(400, `This template needs a ${type} transaction`);
+    friend = await Friend.findOne({ _id: tx.friend, owner });
+  } else {
+    friend = await Friend.findOne({ _id: friendId, owner });
+  }
+  if (!friend) throw httpError(404, 'Friend not found');
+
+  if (type && !tx) {
+    tx = await Transaction.findOne({ friend: friend._id, type }).sort({ date: -1, createdAt: -1 });
+    if (!tx) throw httpError(400, `${friend.name} has no ${type} transactions yet`);
+  }
+
+  const timezone = await friendTimezone(friend);
+  switch (key) {
+    case 'debit':
+      return debitVars({ friend, transaction: tx, todaySpent: await todaysSpent(friend._id, tx.date, timezone), language, timezone });
+    case 'credit':
+      return creditVars({ friend, transaction: tx, language, timezone });
+    case 'loan_created':
+      return loanCreatedVars({ friend, loan: tx, language, timezone });
+    case 'loan_reminder': {
+      const sim = (await loanStatus([friend._id])).get(String(friend._id));
+      return loanReminderVars({ friend, loan: tx, status: sim.loans.get(String(tx._id)), language, timezone });
+    }
+    case 'repayment_receipt': {
+      const loans = await Transaction.find({ _id: { $in: (tx.allocations || []).map(a => a.loan) } });
+      return repaymentVars({ friend, repay: tx, loans, language, timezone });
+    }
+    case 'total_reminder': {
+      const sim = (await loanStatus([friend._id])).get(String(friend._id));
+      const loans = await Transaction.find({ friend: friend._id, type: 'loan', dueDate: { $ne: null } });
+      return totalReminderVars({ friend, owed: sim.totalDue, dueDate: nextDueDate(loans, sim), language, timezone });
+    }
+    case 'low_balance':
+    case 'low_balance_owner':
+      return lowBalanceVars({ friend, language, timezone });
+    case 'monthly_statement': {
+      const statement = await buildStatement(friend, previousMonth(new Date(), timezone));
+      return statementVars({ friend, statement, language, timezone });
+    }
+    case 'correction': {
+      // the given reversal, else the friend's latest one
+      const reversal = tx && tx.reversalOf
+        ? tx
+        : await Transaction.findOne({ friend: friend._id, reversalOf: { $ne: null } }).sort({ date: -1, createdAt: -1 });
+      if (!reversal) throw httpError(400, `${friend.name} has no reversed transactions yet`);
+      const original = await Transaction.findById(reversal.reversalOf);
+      if (!original) throw httpError(400, 'The reversed transaction no longer exists');
+      return correctionVars({ friend, original, reversal, language, timezone });
+    }
+    case 'chat_balance':
+      return chatBalanceVars({ friend, language, timezone });
+    case 'chat_history': {
+      const transactions = await Transaction.find({ friend: friend._id }).sort({ date: -1 }).limit(CHAT_HISTORY_LIMIT);
+      return chatHistoryVars({ friend, transactions, count: CHAT_HISTORY_LIMIT, language, timezone });
+    }
+    case 'chat_owed':
+      return chatOwedVars({ friend, language });
+    case 'chat_help':
+      return chatHelpVars({ count: CHAT_HISTORY_LIMIT });
+    default:
+      return {};
+  }
+}
+
+/**
+ * List every message template (saved wording or the default) with its placeholders
+ * GET /api/templates?language=hi
+ */
+router.get('/', async (req, res) => {
+  try {
+    const language = requestLanguage(req.query.language);
+    if (!language) return res.status(400).json({ error:'Unsupported language' });
+    res.json(await listTemplates(req.user.id, language));
+  } catch (err) {
+    console.error('GET /api/templates error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to fetch templates' });
+  }
+});
+
+/**
+ * Save the wording for one template in one language
+ * PUT /api/templates/:key
+ * body: { body, language }
+ */
+router.put('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!DEFAULT_TEMPLATES[key]) return res.status(404).json({ error:'Unknown template' });
+    const language = requestLanguage(req.body.language);
+    if (!language) return res.status(400).json({ error:'Unsupported language' });
+
+    const body = typeof req.body.body === 'string' ? req.body.body : '';
+    if (!body.trim()) return res.status(400).json({ error:'Template body is required' });
+    if (body.length > MAX_BODY_LENGTH) return res.status(400).json({ error:`Template is longer than ${MAX_BODY_LENGTH} characters` });
+
+    const unknown = unknownPlaceholders(key, body);
+    if (unknown.length) return res.status(400).json({ error:`Unknown placeholder(s): ${unknown.join(', ')}`, unknown });
+
+    await MessageTemplate.findOneAndUpdate(
+      { owner: req.user.id, key, language },
+      { $set: { body } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const template = (await listTemplates(req.user.id, language)).find(t => t.key === key);
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error('PUT /api/templates/:key error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to save template' });
+  }
+});
+
+/**
+ * Drop the saved wording so the built-in default is used again
+ * DELETE /api/templates/:key?language=hi
+ */
+router.delete('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!DEFAULT_TEMPLATES[key]) return res.status(404).json({ error:'Unknown template' });
+    const language = requestLanguage(req.query.language);
+    if (!language) return res.status(400).json({ error:'Unsupported language' });
+
+    await MessageTemplate.deleteOne({ owner: req.user.id, key, language });
+    const template = (await listTemplates(req.user.id, language)).find(t => t.key === key);
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error('DELETE /api/templates/:key error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to reset template' });
+  }
+});
+
+/**
+ * Render a template (the saved one, or a draft `body`) against a real friend / transaction,
+ * or against sample values when neither is given
+ * POST /api/templates/:key/preview
+ * body: { body?, language?, friendId?, transactionId? }
+ */
+router.post('/:key/preview', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!DEFAULT_TEMPLATES[key]) return res.status(404).json({ error:'Unknown template' });
+    const language = requestLanguage(req.body.language);
+    if (!language) return res.status(400).json({ error:'Unsupported language' });
+
+    const { friendId, transactionId } = req.body;
+    const body = typeof req.body.body === 'string' ? req.body.body : await templateBody(req.user.id, key, language);
+    const vars = (friendId || transactionId)
+      ? await previewVars(req.user.id, key, { friendId, transactionId, language })
+      : sampleVars(key, language, await accountTimezone(req.user.id));
+
+    res.json({
+      key,
+      language,
+      source: transactionId ? 'transaction' : friendId ? 'friend' : 'sample',
+      text: renderTemplate(body, vars),
+      vars,
+      unknown: unknownPlaceholders(key, body)
+    });
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/templates/:key/preview error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to render preview' });
+  }
+});
+
+module.exports = router;
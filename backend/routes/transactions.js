@@ -0,0 +1,60 @@
+// backend/routes/transactions.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { deliver } = require('../controllers/outbox');
+const { reverseTransaction } = require('../controllers/ledger');
+const { renderMessage, correctionVars } = require('../controllers/templates');
+const { friendTimezone } = require('../controllers/timezones');
+const { recordAudit, snapshot } = require('../controllers/audit');
+
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Reverse a ledger entry with a linked counter-entry (the original stays in the history);
+ * with notify: true the friend gets the "correction" WhatsApp message; a reversed credit that
+ * takes the balance below lowBalanceThreshold sends the low-balance alerts
+ * POST /api/transactions/:id/reverse
+ * body: { note?, notify? }
+ */
+router.post('/:id/reverse', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error:'Transaction not found' });
+    const transaction = await Transaction.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!transaction) return res.status(404).json({ error:'Transaction not found' });
+
+    const note = String(req.body.note || '').trim();
+    if (note.length > MAX_NOTE_LENGTH) return res.status(400).json({ error:`note is longer than ${MAX_NOTE_LENGTH} characters` });
+
+    const previous = await Friend.findById(transaction.friend);
+    const { friend, transaction: original, reversal, alerts } = await reverseTransaction({
+      transaction,
+      note,
+      audit: (session, { friend, transaction: original, reversal }) => recordAudit(req, {
+        action: 'transaction.reverse',
+        friend,
+        target: { kind: 'Transaction', id: transaction._id },
+        before: snapshot({ friend: previous, transaction }),
+        after: snapshot({ friend, transaction: original, reversal })
+      }, session)
+    });
+
+    let sent = null;
+    if (req.body.notify === true) {
+      const found = friend || await Friend.findById(original.friend);
+      const timezone = await friendTimezone(found);
+      const message = await renderMessage(req.user.id, 'correction', correctionVars({ friend: found, original, reversal, timezone }), found.language);
+      sent = await deliver({ to: found.whatsapp, body: message, owner: found.owner, friend: found._id, transaction: reversal._id });
+    }
+
+    res.json({ friend, transaction: original, reversal, sent, alerts });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/transactions/:id/reverse error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to reverse transaction' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// backend/routes/webhook.js
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { handleChatCommand, parseCommand } = require('../controllers/chatCommands');
+const { deliver } = require('../controllers/outbox');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+if (!WEBHOOK_SECRET) console.warn('⚠️ WEBHOOK_SECRET is not set — inbound WhatsApp webhooks will be refused.');
+
+// constant-time comparison; both sides are hashed first so their lengths always match
+function secretMatches(given) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(digest(given), digest(WEBHOOK_SECRET));
+}
+
+/**
+ * Inbound messages from UltraMsg (set the instance webhook URL to
+ * https://<host>/api/webhook/ultramsg?secret=<WEBHOOK_SECRET>)
+ * POST /api/webhook/ultramsg
+ *
+ * Always answers 200 for well-formed calls so UltraMsg does not keep re-posting.
+ * Refused (503) until WEBHOOK_SECRET is configured: replies carry friends' balances.
+ */
+router.post('/ultramsg', async (req, res) => {
+  try {
+    if (!WEBHOOK_SECRET) return res.status(503).json({ error:'Webhook is not configured' });
+    if (!secretMatches(req.query.secret)) return res.status(401).json({ error:'Invalid webhook secret' });
+
+    const { event_type: eventType, data } = req.body || {};
+    if (eventType !== 'message_received' || !data) return res.json({ ok:true, ignored:'event' });
+    if (data.fromMe || data.type !== 'chat') return res.json({ ok:true, ignored:'message' });
+    // ordinary chat gets no reply; only BAL, HISTORY, OWED and HELP do
+    if (!parseCommand(data.body)) return res.json({ ok:true, ignored:'not_a_command' });
+
+    // UltraMsg sends the sender as "919812345678@c.us"
+    const result = await handleChatCommand({ from: data.from, body: data.body });
+    if (!result) {
+      console.log('Webhook: message from unknown number', data.from);
+      return res.json({ ok:true, ignored:'unknown_sender' });
+    }
+
+    const sendResult = await deliver({ to: result.friend.whatsapp, body: result.reply, owner: result.friend.owner, friend: result.friend._id });
+    res.json({ ok:true, command: result.command, sent: sendResult.success });
+  } catch (err) {
+    console.error('POST /api/webhook/ultramsg error:', err && (err.stack || err));
+    res.status(500).json({ error:'Failed to handle webhook' });
+  }
+});
+
+module.exports = router;
@@ -1,96 +1,117 @@
-// backend/server.js (timezone fix: display dates in Asia/Kolkata)
+// backend/server.js (dates shown in the friend's or the account's timezone)
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 
 const Friend = require('./models/Friend');
 const Transaction = require('./models/Transaction');
+const ReminderSchedule = require('./models/ReminderSchedule');
+const Message = require('./models/Message');
 const loansRouter = require('./routes/loans');
+const messagesRouter = require('./routes/messages');
+const remindersRouter = require('./routes/reminders');
+const webhookRouter = require('./routes/webhook');
+const reconcileRouter = require('./routes/reconcile');
+const authRouter = require('./routes/auth');
+const templatesRouter = require('./routes/templates');
+const importsRouter = require('./routes/imports');
+const analyticsRouter = require('./routes/analytics');
+const categoriesRouter = require('./routes/categories');
+const transactionsRouter = require('./routes/transactions');
+const auditRouter = require('./routes/audit');
+const { requireAuth } = require('./middleware/auth');
+const messaging = require('./controllers/messaging');
+const { deliver } = require('./controllers/outbox');
+const { withTransaction, recordDebit, recordCredit, setBalance, todaysSpent, backfillOpeningBalances, backfillLoanAllocations, checkTransactionSupport } = require('./controllers/ledger');
+const { renderMessage, debitVars, creditVars } = require('./controllers/templates');
+const { friendTimezone } = require('./controllers/timezones');
+const { checkDebit, debitCapGuard, parseLimits } = require('./controllers/limits');
+const { transactionLabels } = require('./controllers/categories');
+const { listTransactions } = require('./controllers/transactions');
+const { recordAudit, snapshot } = require('./controllers/audit');
+const { findDuplicates, duplicatePairs, mergeFriends } = require('./controllers/duplicates');
+const { backfillPhoneKeys } = require('./controllers/chatCommands');
+const {
+  statementPeriod, buildStatement, statementFileName, statementCsv, statementPdf, monthToDate, sendStatement
+} = require('./controllers/statements');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./utils/i18n');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('./utils/money');
+const { startMessageRetryWorker } = require('./jobs/messageRetry');
+const { startReminderScheduler } = require('./jobs/reminderScheduler');
+const { startStatementScheduler } = require('./jobs/statementScheduler');
 
 const app = express();
-app.use(cors());
+// behind a reverse proxy, TRUST_PROXY (a hop count, "true" or subnets) makes req.ip the client's
+// address rather than the proxy's; audit events record it
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', trust === 'true' ? true : (Number(trust) || trust));
+}
+// Content-Disposition carries the file name of statement downloads
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(bodyParser.json());
 
+// public routes: login/register and the provider webhook (checked by its own secret)
+app.use('/api/auth', authRouter);
+app.use('/api/webhook', webhookRouter);
+
+// everything else under /api needs a valid JWT
+app.use('/api', requireAuth);
+
 // mount loans router
 app.use('/api/loans', loansRouter);
+app.use('/api/messages', messagesRouter);
+app.use('/api/reminders', remindersRouter);
+app.use('/api/reconcile', reconcileRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/import', importsRouter);
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/categories', categoriesRouter);
+app.use('/api/transactions', transactionsRouter);
+app.use('/api/audit', auditRouter);
 
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
-const ULTRA_INSTANCE = process.env.ULTRAMSG_INSTANCE;
-const ULTRA_TOKEN = process.env.ULTRAMSG_TOKEN;
 
 if (!MONGO_URI) {
   console.error('MONGO_URI missing in .env - please set your MongoDB connection string.');
   process.exit(1);
 }
 
-if (!ULTRA_INSTANCE || !ULTRA_TOKEN) {
-  console.warn('Warning: ULTRAMSG_INSTANCE or ULTRAMSG_TOKEN missing. WhatsApp sends will be skipped until configured.');
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET missing in .env - please set a long random string used to sign login tokens.');
+  process.exit(1);
 }
-console.log("ULTRA INSTANCE =", ULTRA_INSTANCE || 'NOT SET');
-console.log("ULTRA TOKEN =", !!ULTRA_TOKEN ? '***REDACTED***' : 'NOT SET');
+
+if (!messaging.isConfigured()) {
+  console.warn(`Warning: messaging provider "${messaging.PROVIDER}" is not configured. WhatsApp sends will be skipped until configured.`);
+}
+console.log("MESSAGING PROVIDER =", messaging.PROVIDER);
 
 // ----------------------
 // MongoDB connection
 // ----------------------
 // NOTE: Do not pass legacy mongoose options here (mongoose v6/v7 handle defaults).
+// balance changes need transactions: a standalone MongoDB stops here unless
+// ALLOW_NON_TRANSACTIONAL=true (see controllers/ledger.js)
 mongoose.connect(MONGO_URI)
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(async () => {
+    console.log('✅ MongoDB connected');
+    await checkTransactionSupport();
+    backfillOpeningBalances().catch(err => console.error('openingBalance backfill error:', err));
+    backfillLoanAllocations().catch(err => console.error('loan allocation backfill error:', err));
+    backfillPhoneKeys().catch(err => console.error('phoneKey backfill error:', err));
+    startMessageRetryWorker();
+    startReminderScheduler();
+    startStatementScheduler();
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
   });
 
-// ----------------------
-// UltraMsg helper
-// ----------------------
-function normalizePhone(to) {
-  if (!to) return '';
-  return String(to).replace(/\D/g, ''); // digits-only, e.g. 919812345678
-}
-
-async function sendUltraMsg(to, bodyText) {
-  if (!ULTRA_INSTANCE || !ULTRA_TOKEN) {
-    console.warn('⚠️ UltraMsg not configured — skipping send.');
-    return { success: false, error: 'ultramsg_not_configured' };
-  }
-
-  const phone = normalizePhone(to);
-  if (!phone) {
-    console.warn('sendUltraMsg: invalid phone', to);
-    return { success: false, error: 'invalid_phone' };
-  }
-
-  const url = `https://api.ultramsg.com/${ULTRA_INSTANCE}/messages/chat`;
-  const payload = {
-    token: ULTRA_TOKEN,
-    to: phone,
-    body: bodyText
-  };
-
-  try {
-    const resp = await axios.post(url, payload, { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
-    return { success: true, data: resp.data };
-  } catch (err) {
-    const detail = err.response?.data || err.message || String(err);
-    console.error('UltraMsg send error detail:', detail);
-    return { success: false, error: detail };
-  }
-}
-
-// ----------------------
-// Utility: today's spent
-// ----------------------
-async function todaysSpent(friendId) {
-  const start = new Date(); start.setHours(0,0,0,0);
-  const end = new Date(); end.setHours(23,59,59,999);
-  const txs = await Transaction.find({ friend: friendId, date: { $gte: start, $lte: end }});
-  return txs.reduce((s, t) => s + (Number(t.amount) || 0), 0);
-}
-
 // ----------------------
 // Routes
 // ----------------------
@@ -98,24 +119,56 @@ async function todaysSpent(friendId) {
 // Health
 app.get('/', (req, res) => res.json({ ok: true }));
 
-// Create friend
+// Apply `update` to one of the owner's friends and write its audit event as `action`, committed
+// together. Resolves to { previous, friend }, or null when no friend matches `filter`.
+function updateFriendAudited(req, action, filter, update) {
+  return withTransaction(async (session) => {
+    const previous = await Friend.findOneAndUpdate({ ...filter, owner: req.user.id }, update, { session, returnDocument: 'before' });
+    if (!previous) return null;
+    const friend = await Friend.findById(previous._id).session(session);
+    await recordAudit(req, { action, friend, before: snapshot({ friend: previous }), after: snapshot({ friend }) }, session);
+    return { previous, friend };
+  });
+}
+
+// Create friend; a friend with the same WhatsApp number or a similar name is refused (409 with
+// the `duplicates` found) unless the body has allowDuplicate: true
 app.post('/api/friends', async (req, res) => {
   try {
-    const { name, whatsapp, totalBalance, savedAmount } = req.body;
+    const { name, whatsapp, totalBalance, savedAmount, language = DEFAULT_LANGUAGE } = req.body;
     if (!name || !whatsapp) return res.status(400).json({ error: 'name and whatsapp required' });
+    if (!LANGUAGES[language]) return res.status(400).json({ error: 'Unsupported language' });
+    const currency = String(req.body.currency || DEFAULT_CURRENCY).trim().toUpperCase();
+    if (!isValidCurrency(currency)) return res.status(400).json({ error: 'currency must be an ISO 4217 code, e.g. INR or USD' });
+
+    if (req.body.allowDuplicate !== true) {
+      const duplicates = await findDuplicates(req.user.id, { name, whatsapp });
+      if (duplicates.length) {
+        const [first] = duplicates;
+        const how = first.reasons.includes('phone') ? 'has the same WhatsApp number' : 'has a similar name';
+        return res.status(409).json({ error: `${first.friend.name} already ${how}`, duplicates });
+      }
+    }
 
     const initSaved = (savedAmount !== undefined && savedAmount !== null)
       ? Number(savedAmount)
       : (Number(totalBalance) || 0);
 
     const friend = new Friend({
+      owner: req.user.id,
       name,
       whatsapp,
       savedAmount: initSaved,
-      totalBalance: Number(totalBalance) || initSaved || 0
+      totalBalance: Number(totalBalance) || initSaved || 0,
+      language,
+      currency
     });
+    friend.openingBalance = friend.totalBalance;
 
-    await friend.save();
+    await withTransaction(async (session) => {
+      await friend.save({ session });
+      await recordAudit(req, { action: 'friend.create', friend, after: snapshot({ friend }) }, session);
+    });
     res.json(friend);
   } catch (err) {
     console.error('POST /api/friends error:', err);
@@ -123,10 +176,11 @@ app.post('/api/friends', async (req, res) => {
   }
 });
 
-// List friends
+// List friends; ?archived=true lists the archived ones instead
 app.get('/api/friends', async (req, res) => {
   try {
-    const friends = await Friend.find().sort({ createdAt: -1 });
+    const archivedAt = req.query.archived === 'true' ? { $ne: null } : null;
+    const friends = await Friend.find({ owner: req.user.id, archivedAt }).sort({ createdAt: -1 });
     res.json(friends);
   } catch (err) {
     console.error('GET /api/friends error:', err);
@@ -134,6 +188,46 @@ app.get('/api/friends', async (req, res) => {
   }
 });
 
+// Pairs of active friends that look like the same person (matching WhatsApp number or similar name)
+app.get('/api/friends/duplicates', async (req, res) => {
+  try {
+    res.json({ pairs: await duplicatePairs(req.user.id) });
+  } catch (err) {
+    console.error('GET /api/friends/duplicates error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Merge a duplicate into this friend: its ledger, messages and reminder schedule move here,
+// balances are recomputed and the duplicate is removed
+// POST /api/friends/:id/merge  body: { duplicateId }
+app.post('/api/friends/:id/merge', async (req, res) => {
+  try {
+    const { duplicateId } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(duplicateId)) {
+      return res.status(400).json({ error: 'A valid duplicateId is required' });
+    }
+
+    const { friend, duplicate, moved } = await mergeFriends({
+      owner: req.user.id,
+      survivorId: req.params.id,
+      duplicateId,
+      audit: (session, { before, friend, duplicate, moved }) => recordAudit(req, {
+        action: 'friend.merge',
+        friend,
+        before: snapshot({ friend: before, duplicate }),
+        after: { ...snapshot({ friend }), moved }
+      }, session)
+    });
+
+    res.json({ success: true, friend, merged: { _id: duplicate._id, name: duplicate.name }, moved });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/friends/:id/merge error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Update friend's savedAmount (fixed saved value)
 app.patch('/api/friends/:id/saved', async (req, res) => {
   try {
@@ -141,14 +235,75 @@ app.patch('/api/friends/:id/saved', async (req, res) => {
     const { savedAmount } = req.body;
     if (savedAmount === undefined || savedAmount === null) return res.status(400).json({ error: 'savedAmount required' });
 
-    const friend = await Friend.findById(id);
+    const changed = await updateFriendAudited(req, 'friend.saved', { _id: id }, { $set: { savedAmount: Number(savedAmount) } });
+    if (!changed) return res.status(404).json({ error: 'Friend not found' });
+    res.json({ success: true, friend: changed.friend });
+  } catch (err) {
+    console.error('PATCH /api/friends/:id/saved error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update the language friend's WhatsApp messages are sent in
+app.patch('/api/friends/:id/language', async (req, res) => {
+  try {
+    const { language } = req.body;
+    if (!LANGUAGES[language]) return res.status(400).json({ error: 'Unsupported language' });
+
+    const changed = await updateFriendAudited(req, 'friend.language', { _id: req.params.id }, { $set: { language } });
+    if (!changed) return res.status(404).json({ error: 'Friend not found' });
+
+    res.json({ success: true, friend: changed.friend });
+  } catch (err) {
+    console.error('PATCH /api/friends/:id/language error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Opt a friend in or out of last month's PDF statement on WhatsApp
+app.patch('/api/friends/:id/monthly-statement', async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+
+    const changed = await updateFriendAudited(req, 'friend.monthly_statement', { _id: req.params.id }, { $set: { monthlyStatement: enabled } });
+    if (!changed) return res.status(404).json({ error: 'Friend not found' });
+
+    res.json({ success: true, friend: changed.friend });
+  } catch (err) {
+    console.error('PATCH /api/friends/:id/monthly-statement error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Spending caps and low-balance threshold; null or '' switches one off
+// PATCH /api/friends/:id/limits  body: { dailyLimit?, monthlyLimit?, lowBalanceThreshold? }
+app.patch('/api/friends/:id/limits', async (req, res) => {
+  try {
+    const changed = await updateFriendAudited(req, 'friend.limits', { _id: req.params.id }, { $set: parseLimits(req.body) });
+    if (!changed) return res.status(404).json({ error: 'Friend not found' });
+
+    res.json({ success: true, friend: changed.friend });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('PATCH /api/friends/:id/limits error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// How a debit of ?amount= stands against the caps (for the Send Money preview)
+// GET /api/friends/:id/limits?amount=500
+app.get('/api/friends/:id/limits', async (req, res) => {
+  try {
+    const amt = Number(req.query.amount || 0);
+    if (Number.isNaN(amt) || amt < 0) return res.status(400).json({ error: 'amount must be a non-negative number' });
+
+    const friend = await Friend.findOne({ _id: req.params.id, owner: req.user.id });
     if (!friend) return res.status(404).json({ error: 'Friend not found' });
 
-    friend.savedAmount = Number(savedAmount);
-    await friend.save();
-    res.json({ success: true, friend });
+    res.json(await checkDebit(friend, amt, { timezone: await friendTimezone(friend) }));
   } catch (err) {
-    console.error('PATCH /api/friends/:id/saved error:', err);
+    console.error('GET /api/friends/:id/limits error:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -157,166 +312,235 @@ app.patch('/api/friends/:id/saved', async (req, res) => {
 app.post('/api/friends/:friendId/deduct', async (req, res) => {
   try {
     const { friendId } = req.params;
-    const { amount, note } = req.body;
+    const { amount, note, override = false } = req.body;
     const amt = Number(amount);
     if (Number.isNaN(amt) || amt <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
 
-    const friend = await Friend.findById(friendId);
-    if (!friend) return res.status(404).json({ error: 'Friend not found' });
-
-    const previousBalance = Number(friend.totalBalance || 0);
-
-    // create a debit transaction (explicit)
-    const tx = new Transaction({ friend: friend._id, type: 'debit', amount: amt, note });
-    await tx.save();
-
-    friend.totalBalance = previousBalance - amt;
-    friend.lastUpdatedAt = tx.date || new Date();
-    await friend.save();
-
-    const todaySpent = await todaysSpent(friend._id);
-
-    // SERVER-SIDE TIMEZONE: format tx.date in Asia/Kolkata
-    const txDateStr = new Date(tx.date).toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric',
-      month: 'numeric',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true
+    const found = await Friend.findOne({ _id: friendId, owner: req.user.id });
+    if (!found) return res.status(404).json({ error: 'Friend not found' });
+    if (found.archivedAt) return res.status(409).json({ error: 'Friend is archived; restore them first' });
+
+    const labels = await transactionLabels(req.user.id, req.body);
+    const timezone = await friendTimezone(found);
+    // debit transaction + atomic balance update, committed together with the caps check and
+    // the audit event; crossing lowBalanceThreshold sends the alerts
+    const guard = override === true ? null : debitCapGuard(amt, timezone);
+    const { friend, transaction: tx, alerts } = await recordDebit({
+      friend: found,
+      amount: amt,
+      note,
+      ...labels,
+      guard,
+      audit: (session, { friend, transaction }) => recordAudit(req, {
+        action: 'transaction.debit',
+        friend,
+        target: { kind: 'Transaction', id: transaction._id },
+        before: snapshot({ friend: found }),
+        after: snapshot({ friend, transaction })
+      }, session)
     });
+    const todaySpent = await todaysSpent(friend._id, tx.date, timezone);
+    const messageText = await renderMessage(req.user.id, 'debit', debitVars({ friend, transaction: tx, todaySpent, timezone }), friend.language);
 
-    const messageText = [
-      `📅 *Date:* ${txDateStr}`,
-      `👤 Name: ${friend.name}`,
-      ``,
-      `💰 *Fixed Saved Amount:* ₹${friend.savedAmount}`,
-      `💸 Debited: ₹${amt}`,
-      `💳 Previous Balance: ₹${previousBalance}`,
-      `🧾 Today's Total Spent: ₹${todaySpent}`,
-      `📉 *Available Balance:* ₹${friend.totalBalance}`,
-      ``,
-      `📝 *Note:* ${note || '—'}`,
-      ``,
-      `🤖 *Automated message — Savings Manager*`
-    ].join('\n');
-
-    const sendResult = await sendUltraMsg(friend.whatsapp, messageText);
+    const sendResult = await deliver({ to: friend.whatsapp, body: messageText, owner: friend.owner, friend: friend._id, transaction: tx._id });
 
-    res.json({ success: true, friend, transaction: tx, sent: sendResult });
+    res.json({ success: true, friend, transaction: tx, sent: sendResult, alerts });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, limits: err.limits });
     console.error('POST /api/friends/:friendId/deduct error:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Send money route: creates transaction, updates balance, sends UltraMsg WhatsApp
+// Send money route: creates transaction, updates balance, sends WhatsApp
 app.post('/api/send/:friendId', async (req, res) => {
   try {
     const { friendId } = req.params;
-    const { amount, note } = req.body;
+    const { amount, note, override = false } = req.body;
 
     const amt = Number(amount);
     if (Number.isNaN(amt) || amt <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
 
-    const friend = await Friend.findById(friendId);
-    if (!friend) return res.status(404).json({ error: 'Friend not found' });
-
-    const previousBalance = Number(friend.totalBalance || 0);
-
-    // create a debit transaction (explicit)
-    const tx = new Transaction({ friend: friend._id, type: 'debit', amount: amt, note });
-    await tx.save();
-
-    friend.totalBalance = previousBalance - amt;
-    friend.lastUpdatedAt = tx.date || new Date();
-    await friend.save();
-
-    const txDateStr = new Date(tx.date).toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric',
-      month: 'numeric',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true
+    const found = await Friend.findOne({ _id: friendId, owner: req.user.id });
+    if (!found) return res.status(404).json({ error: 'Friend not found' });
+    if (found.archivedAt) return res.status(409).json({ error: 'Friend is archived; restore them first' });
+
+    const labels = await transactionLabels(req.user.id, req.body);
+    const timezone = await friendTimezone(found);
+    // debit transaction + atomic balance update, committed together with the caps check and
+    // the audit event; crossing lowBalanceThreshold sends the alerts
+    const guard = override === true ? null : debitCapGuard(amt, timezone);
+    const { friend, transaction: tx, alerts } = await recordDebit({
+      friend: found,
+      amount: amt,
+      note,
+      ...labels,
+      guard,
+      audit: (session, { friend, transaction }) => recordAudit(req, {
+        action: 'transaction.debit',
+        friend,
+        target: { kind: 'Transaction', id: transaction._id },
+        before: snapshot({ friend: found }),
+        after: snapshot({ friend, transaction })
+      }, session)
     });
+    const todaySpent = await todaysSpent(friend._id, tx.date, timezone);
+    const messageText = await renderMessage(req.user.id, 'debit', debitVars({ friend, transaction: tx, todaySpent, timezone }), friend.language);
 
-    const fixedSaved = Number(friend.savedAmount || 0);
-    const todaySpent = await todaysSpent(friend._id);
-
-    const userNote = note && note.trim() !== "" ? note : "—";
-
-    const messageText = [
-      `📅 *Date:* ${txDateStr}`,
-      `👤 Name: ${friend.name}`,
-      ``,
-      `💰 *Fixed Saved Amount*: ₹${fixedSaved}`,
-      `💸 Debited: ₹${amt}`,
-      `💳 Previous Balance: ₹${previousBalance}`,
-      `🧾 Today's Total Spent: ₹${todaySpent}`,
-      `📉 *Available Balance:* ₹${friend.totalBalance}`,
-      ``,
-      `📝 *Note:* ${userNote}`,
-      ``,
-      `🤖 *This is an automated message by Chinmay — please don't reply.*`
-    ].join('\n');
-
-    const sendResult = await sendUltraMsg(friend.whatsapp, messageText);
-    console.log('UltraMsg sendResult:', sendResult);
+    const sendResult = await deliver({ to: friend.whatsapp, body: messageText, owner: friend.owner, friend: friend._id, transaction: tx._id });
+    console.log('sendMessage result:', sendResult);
 
     res.json({
       success: true,
       friend,
       transaction: tx,
-      sent: sendResult
+      sent: sendResult,
+      alerts
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, limits: err.limits });
     console.error('POST /api/send/:friendId error:', err && err.stack ? err.stack : err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
+// Credit / top-up: records a credit transaction, increases balance, sends WhatsApp
+app.post('/api/friends/:id/credit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, note, addToSaved = false } = req.body;
+    const amt = Number(amount);
+    if (Number.isNaN(amt) || amt <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
+
+    const found = await Friend.findOne({ _id: id, owner: req.user.id });
+    if (!found) return res.status(404).json({ error: 'Friend not found' });
+    if (found.archivedAt) return res.status(409).json({ error: 'Friend is archived; restore them first' });
+
+    const labels = await transactionLabels(req.user.id, req.body);
+    // credit transaction + atomic balance (and optional savedAmount) update and its audit event,
+    // committed together
+    const { friend, transaction: tx } = await recordCredit({
+      friend: found,
+      amount: amt,
+      note,
+      ...labels,
+      addToSaved: addToSaved === true,
+      audit: (session, { friend, transaction }) => recordAudit(req, {
+        action: 'transaction.credit',
+        friend,
+        target: { kind: 'Transaction', id: transaction._id },
+        before: snapshot({ friend: found }),
+        after: snapshot({ friend, transaction })
+      }, session)
+    });
+
+    const timezone = await friendTimezone(friend);
+    const messageText = await renderMessage(req.user.id, 'credit', creditVars({ friend, transaction: tx, timezone }), friend.language);
+
+    const sendResult = await deliver({ to: friend.whatsapp, body: messageText, owner: friend.owner, friend: friend._id, transaction: tx._id });
+
+    res.json({ success: true, friend, transaction: tx, sent: sendResult });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/friends/:id/credit error:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
 // Manual balance update
 app.patch('/api/friends/:id/balance', async (req, res) => {
   try {
     const { id } = req.params;
     const { totalBalance } = req.body;
-    const friend = await Friend.findById(id);
-    if (!friend) return res.status(404).json({ error: 'Friend not found' });
-
-    friend.totalBalance = Number(totalBalance);
-    friend.lastUpdatedAt = new Date();
-    await friend.save();
+    const newBalance = Number(totalBalance);
+    if (Number.isNaN(newBalance)) return res.status(400).json({ error: 'totalBalance must be a number' });
+
+    const changed = await setBalance({
+      friendId: id,
+      owner: req.user.id,
+      totalBalance: newBalance,
+      audit: (session, { previous, friend }) => recordAudit(req, { action: 'friend.balance', friend, before: snapshot({ friend: previous }), after: snapshot({ friend }) }, session)
+    });
+    if (!changed) return res.status(404).json({ error: 'Friend not found' });
+    const { friend, alerts } = changed;
 
-    res.json({ success: true, friend });
+    res.json({ success: true, friend, alerts });
   } catch (err) {
     console.error('PATCH /api/friends/:id/balance error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Transaction history for friend
+// Transaction history for friend: filtered, sorted and cursor-paginated (controllers/transactions.js)
+// GET /api/friends/:id/transactions?type=debit,loan&category=&tag=&minAmount=&maxAmount=&from=&to=&q=&sort=-date&limit=50&cursor=
+// totals cover every page of the filtered set; categoryTotals ignore the category filter
 app.get('/api/friends/:id/transactions', async (req, res) => {
   try {
-    const { id } = req.params;
-    const txs = await Transaction.find({ friend: id }).sort({ date: -1 });
-    res.json(txs);
+    const friend = await Friend.findOne({ _id: req.params.id, owner: req.user.id }).select('owner timezone');
+    if (!friend) return res.status(404).json({ error: 'Friend not found' });
+
+    res.json(await listTransactions(friend, req.query));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('GET /api/friends/:id/transactions error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Quick test-send endpoint (no DB)
+// Statement with opening, running and closing balances
+// GET /api/friends/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|pdf
+app.get('/api/friends/:id/statement', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error: 'Friend not found' });
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv', 'pdf'].includes(format)) return res.status(400).json({ error: 'format must be json, csv or pdf' });
+
+    const period = statementPeriod(req.query, await friendTimezone(friend));
+    const statement = await buildStatement(friend, period);
+    if (format === 'json') return res.json(statement);
+
+    res.attachment(`${statementFileName(statement)}.${format}`);
+    res.send(format === 'csv' ? statementCsv(statement) : await statementPdf(statement));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('GET /api/friends/:id/statement error:', err && (err.stack || err));
+    res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+// Send a statement PDF to the friend on WhatsApp now
+// POST /api/friends/:id/statement/send  body: { from?, to? } (YYYY-MM-DD; default: this month so far)
+app.post('/api/friends/:id/statement/send', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error: 'Friend not found' });
+    if (friend.archivedAt) return res.status(409).json({ error: 'Friend is archived; restore them first' });
+    if (!messaging.isConfigured()) return res.status(503).json({ error: 'Messaging not configured' });
+    if (!messaging.canSendDocuments()) return res.status(503).json({ error: `${messaging.PROVIDER} cannot send documents` });
+
+    const { from, to } = req.body;
+    const timezone = await friendTimezone(friend);
+    const period = from || to ? statementPeriod({ from, to }, timezone) : monthToDate(new Date(), timezone);
+    const sendResult = await sendStatement(friend, period);
+    if (!sendResult.success) {
+      return res.status(502).json({ error: 'Failed to send statement', detail: sendResult.error, messageId: sendResult.messageId });
+    }
+    res.json({ success: true, sendResult });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/friends/:id/statement/send error:', err && (err.stack || err));
+    res.status(500).json({ error: 'Failed to send statement' });
+  }
+});
+
+// Quick test-send endpoint (only the outbound message is stored)
 app.post('/api/test-send', async (req, res) => {
   try {
     const { to, body } = req.body;
     if (!to || !body) return res.status(400).json({ error: 'to and body required' });
-    const result = await sendUltraMsg(to, body);
+    const result = await deliver({ to, body, owner: req.user.id });
     res.json(result);
   } catch (err) {
     console.error('POST /api/test-send error:', err);
@@ -324,22 +548,61 @@ app.post('/api/test-send', async (req, res) => {
   }
 });
 
-// Delete friend + all their transactions
+// Archive friend: hidden everywhere, ledger kept, restorable
 app.delete('/api/friends/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const friend = await Friend.findById(id);
-    if (!friend) return res.status(404).json({ error: "Friend not found" });
+    const changed = await updateFriendAudited(req, 'friend.archive', { _id: id, archivedAt: null }, { $set: { archivedAt: new Date() } });
+    if (!changed) return res.status(404).json({ error: "Friend not found or already archived" });
 
-    await Transaction.deleteMany({ friend: id });
-    await Friend.findByIdAndDelete(id);
-
-    res.json({ success: true, message: "Friend deleted successfully" });
+    res.json({ success: true, message: "Friend archived", friend: changed.friend });
   } catch (err) {
     console.error("DELETE /api/friends/:id error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Restore an archived friend
+app.post('/api/friends/:id/restore', async (req, res) => {
+  try {
+    const changed = await updateFriendAudited(req, 'friend.restore', { _id: req.params.id, archivedAt: { $ne: null } }, { $set: { archivedAt: null } });
+    if (!changed) return res.status(404).json({ error: 'Archived friend not found' });
+
+    res.json({ success: true, friend: changed.friend });
+  } catch (err) {
+    console.error('POST /api/friends/:id/restore error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Permanently erase an archived friend, their whole ledger and their stored messages
+// DELETE /api/friends/:id/purge  body: { name } (must repeat the friend's name exactly)
+app.delete('/api/friends/:id/purge', async (req, res) => {
+  try {
+    const friend = await Friend.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!friend) return res.status(404).json({ error: 'Friend not found' });
+    if (!friend.archivedAt) return res.status(409).json({ error: 'Archive the friend before purging them' });
+    if (String((req.body && req.body.name) || '').trim() !== friend.name.trim()) {
+      return res.status(400).json({ error: "Type the friend's name exactly to purge them" });
+    }
+
+    const { transactions, messages } = await withTransaction(async (session) => {
+      const ledger = await Transaction.deleteMany({ friend: friend._id }, { session });
+      // queued retries included: nothing is sent for a purged friend
+      const outbox = await Message.deleteMany({ friend: friend._id }, { session });
+      await ReminderSchedule.deleteMany({ friend: friend._id }, { session });
+      await Friend.deleteOne({ _id: friend._id }, { session });
+      const counts = { transactions: ledger.deletedCount, messages: outbox.deletedCount };
+      await recordAudit(req, { action: 'friend.purge', friend, before: { ...snapshot({ friend }), ...counts } }, session);
+      return counts;
+    });
+
+    res.json({ success: true, message: 'Friend purged', transactions, messages });
+  } catch (err) {
+    console.error('DELETE /api/friends/:id/purge error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
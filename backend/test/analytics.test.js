@@ -0,0 +1,36 @@
+// backend/test/analytics.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const { periodKey, buckets } = require('../controllers/analytics');
+
+test('days are keyed by day, ISO week and month', () => {
+  const day = { year: 2026, month: 10, day: 19 };
+  assert.equal(periodKey(day, 'day'), '2026-10-19');
+  assert.equal(periodKey(day, 'week'), '2026-W43');
+  assert.equal(periodKey(day, 'month'), '2026-10');
+  // ISO weeks belong to the year of their Thursday
+  assert.equal(periodKey({ year: 2027, month: 1, day: 1 }, 'week'), '2026-W53');
+  assert.equal(periodKey({ year: 2025, month: 12, day: 29 }, 'week'), '2026-W01');
+});
+
+test('buckets cover the range in local days, the first and last partial', () => {
+  const from = new Date('2026-10-18T12:00:00Z');
+  const to = new Date('2026-10-20T18:30:00Z');
+  assert.deepEqual(buckets(from, to, 'day', 'Asia/Kolkata').map(b => [b.period, b.start.toISOString(), b.end.toISOString()]), [
+    ['2026-10-18', '2026-10-18T12:00:00.000Z', '2026-10-18T18:30:00.000Z'],
+    ['2026-10-19', '2026-10-18T18:30:00.000Z', '2026-10-19T18:30:00.000Z'],
+    ['2026-10-20', '2026-10-19T18:30:00.000Z', '2026-10-20T18:30:00.000Z']
+  ]);
+});
+
+test('weekly buckets start on Mondays', () => {
+  const weeks = buckets(new Date('2026-10-01T00:00:00Z'), new Date('2026-10-20T00:00:00Z'), 'week', 'UTC');
+  assert.deepEqual(weeks.map(b => b.period), ['2026-W40', '2026-W41', '2026-W42', '2026-W43']);
+  assert.equal(weeks[1].start.toISOString(), '2026-10-05T00:00:00.000Z');
+});
+
+test('too many buckets is refused', () => {
+  assert.throws(() => buckets(new Date('2020-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'), 'day', 'UTC'), { status: 400 });
+  assert.equal(buckets(new Date('2020-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'), 'month', 'UTC').length, 72);
+});
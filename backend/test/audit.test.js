@@ -0,0 +1,89 @@
+// backend/test/audit.test.js
+const fs = require('fs');
+const path = require('path');
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsMongo, connect, disconnect } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { recordDebit } = require('../controllers/ledger');
+const { ACTIONS, recordAudit, snapshot, listAuditEvents } = require('../controllers/audit');
+
+test('every action the code records is listed in ACTIONS', () => {
+  const root = path.join(__dirname, '..');
+  const files = ['server.js', ...['controllers', 'routes'].flatMap(dir =>
+    fs.readdirSync(path.join(root, dir)).filter(f => f.endsWith('.js')).map(f => path.join(dir, f)))];
+  const used = new Set();
+  for (const file of files) {
+    for (const m of fs.readFileSync(path.join(root, file), 'utf8').matchAll(/'((?:friend|transaction|loan|reminder)\.[a-z_]+)'/g)) used.add(m[1]);
+  }
+  assert.ok(used.size > 10);
+  assert.deepEqual([...used].filter(action => !ACTIONS[action]), []);
+});
+
+test('a snapshot keeps only the tracked fields of each document', () => {
+  const friend = new Friend({ owner: new mongoose.Types.ObjectId(), name: 'Asha', whatsapp: '919800000001', totalBalance: 90, owedAsOf: new Date() });
+  const transaction = new Transaction({ type: 'debit', amount: 10, note: 'tea', previousBalance: 100, newBalance: 90 });
+  const { friend: f, transaction: t, reversal } = snapshot({ friend, transaction });
+
+  assert.equal(f._id, friend._id);
+  assert.equal(f.totalBalance, 90);
+  assert.equal('owner' in f, false);
+  assert.equal('owedAsOf' in f, false);
+  assert.deepEqual({ type: t.type, amount: t.amount, previousBalance: t.previousBalance, newBalance: t.newBalance }, { type: 'debit', amount: 10, previousBalance: 100, newBalance: 90 });
+  assert.equal(reversal, undefined);
+  assert.deepEqual(snapshot(), {});
+});
+
+test('audit queries with an unknown action or a malformed id are refused', async () => {
+  const owner = new mongoose.Types.ObjectId();
+  await assert.rejects(listAuditEvents(owner, { action: 'transaction.debit,friend.rename' }), { status: 400, message: 'Unknown action "friend.rename"' });
+  await assert.rejects(listAuditEvents(owner, { friendId: 'asha' }), { status: 400 });
+  await assert.rejects(listAuditEvents(owner, { cursor: '123' }), { status: 400 });
+});
+
+describe('audit trail', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+  const req = { user: { id: owner }, method: 'POST', originalUrl: '/api/send/x', baseUrl: '', get: () => 'test' };
+  const debit = (friend) => recordDebit({
+    friend,
+    amount: 10,
+    note: 'tea',
+    audit: (session, { friend: updated, transaction }) => recordAudit(req, {
+      action: 'transaction.debit',
+      friend: updated,
+      target: { kind: 'Transaction', id: transaction._id },
+      before: snapshot({ friend }),
+      after: snapshot({ friend: updated, transaction })
+    }, session)
+  });
+
+  before(connect);
+  after(disconnect);
+
+  test('a debit and its audit event are written together', async () => {
+    const friend = await Friend.create({ owner, name: 'Asha', whatsapp: '919800000001', totalBalance: 100 });
+    const { transaction } = await debit(friend);
+
+    const [event] = await AuditEvent.find({ friend: friend._id });
+    assert.equal(event.action, 'transaction.debit');
+    assert.equal(String(event.target.id), String(transaction._id));
+    assert.equal(event.after.friend.totalBalance, 90);
+  });
+
+  test('a debit whose audit event cannot be written is rolled back', async () => {
+    const friend = await Friend.create({ owner, name: 'Bina', whatsapp: '919800000002', totalBalance: 100 });
+    const create = AuditEvent.create;
+    AuditEvent.create = async () => { throw new Error('audit store unavailable'); };
+    try {
+      await assert.rejects(debit(friend), /audit store unavailable/);
+    } finally {
+      AuditEvent.create = create;
+    }
+
+    assert.equal(await Transaction.countDocuments({ friend: friend._id }), 0);
+    assert.equal((await Friend.findById(friend._id)).totalBalance, 100);
+  });
+});
@@ -0,0 +1,39 @@
+// backend/test/auth.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+const { requireAuth, signToken } = require('../middleware/auth');
+
+// runs requireAuth and resolves to { status, body } on a refusal, or { user } when it passes
+function authorize(header) {
+  return new Promise((resolve) => {
+    const req = { headers: header ? { authorization: header } : {} };
+    const res = {
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ status: this.code, body }); }
+    };
+    requireAuth(req, res, () => resolve({ user: req.user }));
+  });
+}
+
+test('a signed token identifies its user', async () => {
+  const token = signToken({ _id: '64b000000000000000000001', email: 'asha@example.com' });
+  assert.deepEqual(await authorize(`Bearer ${token}`), { user: { id: '64b000000000000000000001', email: 'asha@example.com' } });
+});
+
+test('a request without a bearer token is refused', async () => {
+  assert.equal((await authorize()).status, 401);
+  assert.equal((await authorize('Basic YXNoYTpwdw==')).status, 401);
+  assert.equal((await authorize('Bearer')).status, 401);
+});
+
+test('a token signed with another secret or expired is refused', async () => {
+  const forged = jwt.sign({ sub: '64b000000000000000000001' }, 'other-secret');
+  assert.deepEqual(await authorize(`Bearer ${forged}`), { status: 401, body: { error: 'Invalid or expired token' } });
+
+  const expired = jwt.sign({ sub: '64b000000000000000000001', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+  assert.equal((await authorize(`Bearer ${expired}`)).status, 401);
+});
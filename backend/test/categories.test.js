@@ -0,0 +1,24 @@
+// backend/test/categories.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const mongoose = require('mongoose');
+const { parseTags, transactionLabels } = require('../controllers/categories');
+
+test('tags are trimmed, lower-cased and de-duplicated, from a list or a comma string', () => {
+  assert.deepEqual(parseTags(' #Food, groceries,FOOD ,, ##weekend'), ['food', 'groceries', 'weekend']);
+  assert.deepEqual(parseTags(['Rent', '#rent', '']), ['rent']);
+  assert.deepEqual(parseTags(''), []);
+  assert.deepEqual(parseTags(undefined), []);
+});
+
+test('too many or too long tags are refused', () => {
+  assert.throws(() => parseTags(Array.from({ length: 11 }, (_, i) => `t${i}`)), { status: 400, message: 'At most 10 tags' });
+  assert.throws(() => parseTags('x'.repeat(31)), { status: 400 });
+});
+
+test('an entry without a category is uncategorised, and a malformed one is refused', async () => {
+  const owner = new mongoose.Types.ObjectId();
+  assert.deepEqual(await transactionLabels(owner, { tags: 'trip' }), { category: null, tags: ['trip'] });
+  await assert.rejects(transactionLabels(owner, { category: 'groceries' }), { status: 400, message: 'Invalid category' });
+});
@@ -0,0 +1,55 @@
+// backend/test/chatCommands.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const Friend = require('../models/Friend');
+const { phoneKey, phonesMatch } = require('../utils/phone');
+const { renderTemplate, defaultBody } = require('../utils/messageTemplates');
+const { chatHistoryVars, chatOwedVars } = require('../controllers/templates');
+const { parseCommand } = require('../controllers/chatCommands');
+
+test('numbers that match share a phoneKey', () => {
+  const pairs = [['919812345678', '9812345678'], ['+91 98123-45678', '919812345678'], ['14155550100', '+1 (415) 555-0100']];
+  for (const [a, b] of pairs) {
+    assert.ok(phonesMatch(a, b));
+    assert.equal(phoneKey(a), phoneKey(b));
+  }
+});
+
+test('Friend keeps phoneKey in sync with whatsapp', async () => {
+  const friend = new Friend({ name: 'Asha', whatsapp: '+91 98123 45678' });
+  await friend.validate();
+  assert.equal(friend.phoneKey, '9812345678');
+  friend.whatsapp = '+1 415 555 0100';
+  await friend.validate();
+  assert.equal(friend.phoneKey, '4155550100');
+});
+
+test('chat replies are worded in the friend language', () => {
+  const friend = { name: 'Asha', currency: 'INR', owedAmount: 0, language: 'hi' };
+  const owed = renderTemplate(defaultBody('chat_owed', 'hi'), chatOwedVars({ friend }));
+  assert.match(owed, /अभी आप पर कुछ बकाया नहीं है/);
+  assert.doesNotMatch(owed, /You/);
+
+  const history = renderTemplate(defaultBody('chat_history', 'hi'), chatHistoryVars({ friend, transactions: [], count: 5 }));
+  assert.match(history, /पिछले 5 लेन-देन/);
+  assert.match(history, /अभी तक कोई लेन-देन नहीं/);
+});
+
+test('the OWED reply quotes the amount when something is owed', () => {
+  const friend = { name: 'Asha', currency: 'INR', owedAmount: 1250, language: 'en' };
+  const reply = renderTemplate(defaultBody('chat_owed', 'en'), chatOwedVars({ friend }));
+  assert.match(reply, /You currently owe:\* ₹1,250/);
+  assert.doesNotMatch(reply, /don't owe/);
+});
+
+test('only BAL, HISTORY, OWED and HELP are commands', () => {
+  assert.equal(parseCommand(' balance please'), 'BAL');
+  assert.equal(parseCommand('bal'), 'BAL');
+  assert.equal(parseCommand('History'), 'HISTORY');
+  assert.equal(parseCommand('OWED?'), null);
+  assert.equal(parseCommand('help'), 'HELP');
+  assert.equal(parseCommand('hi, how are you'), null);
+  assert.equal(parseCommand('constructor'), null);
+  assert.equal(parseCommand(''), null);
+});
@@ -0,0 +1,76 @@
+// backend/test/duplicates.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsMongo, connect, disconnect } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Message = require('../models/Message');
+const Transaction = require('../models/Transaction');
+const { recordCredit, recordDebit } = require('../controllers/ledger');
+const { similarNames, matchReasons, replayRunningBalances, mergeFriends } = require('../controllers/duplicates');
+
+test('names match in any order, as a part of the other, or spelled nearly alike', () => {
+  assert.equal(similarNames('Kumar Ravi', 'ravi  kumar'), true);
+  assert.equal(similarNames('Ravi', 'Ravi Kumar'), true);
+  assert.equal(similarNames('José O\'Neil', 'Jose ONeil'), true);
+  assert.equal(similarNames('Priyanka Sharma', 'Priyanka Sarma'), true);
+  assert.equal(similarNames('Al', 'Al Smith'), false, 'too short to count as a part');
+  assert.equal(similarNames('Asha', 'Usha Rani'), false);
+  assert.equal(similarNames('', 'Asha'), false);
+});
+
+test('a duplicate is flagged by phone, by name or both', () => {
+  const friend = { name: 'Ravi Kumar', whatsapp: '919812345678' };
+  assert.deepEqual(matchReasons({ name: 'Ravi', whatsapp: '98123 45678' }, friend), ['phone', 'name']);
+  assert.deepEqual(matchReasons({ name: 'Mina', whatsapp: '+91 98123-45678' }, friend), ['phone']);
+  assert.deepEqual(matchReasons({ name: 'ravi kumar', whatsapp: '919800000000' }, friend), ['name']);
+  assert.deepEqual(matchReasons({ name: 'Mina', whatsapp: '919800000000' }, friend), []);
+});
+
+test('the merged ledger gets running balances from the combined opening balance', () => {
+  const entries = replayRunningBalances(150, [
+    { type: 'credit', amount: 50 },
+    { type: 'debit', amount: 20.1 },
+    { type: 'debit', amount: 200 }
+  ]);
+  assert.deepEqual(entries.map(t => [t.previousBalance, t.newBalance]), [[150, 200], [200, 179.9], [179.9, -20.1]]);
+});
+
+test('a friend cannot be merged into themselves', async () => {
+  const id = new mongoose.Types.ObjectId();
+  await assert.rejects(mergeFriends({ owner: id, survivorId: id, duplicateId: String(id) }), { status: 400 });
+});
+
+describe('merging duplicate friends', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+
+  before(connect);
+  after(disconnect);
+
+  test('the ledger, balances and messages of the duplicate move to the friend kept', async () => {
+    const keep = await Friend.create({ owner, name: 'Asha', whatsapp: '919800000001', totalBalance: 100, openingBalance: 100 });
+    const duplicate = await Friend.create({ owner, name: 'Asha K', whatsapp: '+91 98000 00001', totalBalance: 20, openingBalance: 20 });
+    await recordCredit({ friend: keep, amount: 50, note: 'top-up' });
+    await recordDebit({ friend: duplicate, amount: 5, note: 'tea' });
+    await Message.create({ owner, friend: duplicate._id, to: duplicate.whatsapp, body: 'hi', status: 'sent' });
+
+    const { friend, moved } = await mergeFriends({ owner, survivorId: keep._id, duplicateId: duplicate._id });
+
+    assert.equal(moved, 1);
+    assert.equal(friend.openingBalance, 120);
+    assert.equal(friend.totalBalance, 165);
+    assert.equal(await Friend.countDocuments({ _id: duplicate._id }), 0);
+    assert.equal(await Transaction.countDocuments({ friend: keep._id }), 2);
+    const carried = await Transaction.findOne({ friend: keep._id, type: 'debit' });
+    assert.equal(String(carried.mergedFrom), String(duplicate._id));
+    assert.equal(await Message.countDocuments({ friend: keep._id }), 1);
+  });
+
+  test('friends in different currencies are not merged', async () => {
+    const keep = await Friend.create({ owner, name: 'Bina', whatsapp: '919800000002', currency: 'INR' });
+    const other = await Friend.create({ owner, name: 'Bina', whatsapp: '919800000003', currency: 'USD' });
+
+    await assert.rejects(mergeFriends({ owner, survivorId: keep._id, duplicateId: other._id }), { status: 400 });
+    assert.equal(await Friend.countDocuments({ _id: other._id }), 1);
+  });
+});
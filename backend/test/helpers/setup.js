@@ -0,0 +1,44 @@
+// backend/test/helpers/setup.js
+// Shared test setup. Require this before any controller: it points the messaging layer at the
+// mock transport, writing into a throwaway directory instead of backend/mock-outbox.jsonl.
+//
+// Tests that need MongoDB run against MONGO_TEST_URI and are skipped without it. The database
+// is dropped before and after each file, so its name must contain "test"; the ledger, reversal,
+// merge and import tests need a replica set (e.g. mongod --replSet rs0) for transactions.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balance-manager-test-'));
+process.env.MESSAGING_PROVIDER = 'mock';
+process.env.MOCK_OUTBOX_FILE = path.join(tmpDir, 'outbox.jsonl');
+process.env.MESSAGE_RETRY_BASE_MS = process.env.MESSAGE_RETRY_BASE_MS || '1000';
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const needsMongo = MONGO_TEST_URI ? false : 'MONGO_TEST_URI is not set';
+
+// the entries the mock transport has written so far
+function mockOutbox() {
+  const file = process.env.MOCK_OUTBOX_FILE;
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function connect() {
+  await mongoose.connect(MONGO_TEST_URI);
+  if (!/test/i.test(mongoose.connection.name)) {
+    await mongoose.disconnect();
+    throw new Error(`Refusing to drop "${mongoose.connection.name}": MONGO_TEST_URI must name a test database`);
+  }
+  await mongoose.connection.dropDatabase();
+  await Promise.all(Object.values(mongoose.models).map(m => m.init()));
+}
+
+async function disconnect() {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+module.exports = { needsMongo, connect, disconnect, mockOutbox, tmpDir };
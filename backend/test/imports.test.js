@@ -0,0 +1,101 @@
+// backend/test/imports.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsMongo, connect, disconnect } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const { commitImport, guessMapping, parseAmount, parseDate, findFriend } = require('../controllers/imports');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+
+const csv = (text) => ({ originalname: 'import.csv', buffer: Buffer.from(text) });
+
+test('a CSV is read into headers and numbered rows, blank lines skipped', async () => {
+  const sheet = await readSpreadsheet(csv('\uFEFFPhone;Amount;Note\r\n98123 45678;"1.200,50";"rent; May"\r\n;;\r\n9800000001;50;\r\n'));
+  assert.deepEqual(sheet.headers, ['Phone', 'Amount', 'Note']);
+  assert.deepEqual(sheet.rows, [
+    { line: 2, cells: ['98123 45678', '1.200,50', 'rent; May'] },
+    { line: 4, cells: ['9800000001', '50', ''] }
+  ]);
+  await assert.rejects(readSpreadsheet({ originalname: 'import.pdf', buffer: Buffer.from('%PDF') }), { status: 400 });
+});
+
+test('columns are mapped by their header names', () => {
+  assert.deepEqual(guessMapping('transactions', ['Mobile', 'Kind', 'Value', 'Remarks', 'Transaction date']), {
+    friend: 'Mobile', type: 'Kind', amount: 'Value', note: 'Remarks', date: 'Transaction date'
+  });
+  assert.equal(guessMapping('friends', ['Full name', 'Phone']).savedAmount, '');
+});
+
+test('amounts and dates are read the way spreadsheets write them', () => {
+  assert.equal(parseAmount('₹1,200.50'), 1200.5);
+  assert.equal(parseAmount(''), null);
+  assert.ok(Number.isNaN(parseAmount('n/a')));
+
+  // dates without an offset are wall-clock times in the given timezone, day first
+  assert.equal(parseDate('05/09/2026', 'Asia/Kolkata').toISOString(), '2026-09-04T18:30:00.000Z');
+  assert.equal(parseDate('2026-09-05 2:30 pm', 'UTC').toISOString(), '2026-09-05T14:30:00.000Z');
+  assert.equal(parseDate('2026-09-05T10:00:00+02:00', 'Asia/Kolkata').toISOString(), '2026-09-05T08:00:00.000Z');
+  assert.equal(parseDate(46270, 'UTC').toISOString(), '2026-09-05T00:00:00.000Z');
+  assert.equal(parseDate('31/02/2026', 'UTC'), null);
+  assert.equal(parseDate('2026-09-05 13:00 pm', 'UTC'), null);
+});
+
+test('a transaction row names its friend by number, or by a name only one friend has', () => {
+  const friends = [
+    { name: 'Asha', whatsapp: '919800000001' },
+    { name: 'Ravi', whatsapp: '919800000002' },
+    { name: 'Ravi', whatsapp: '919800000003' }
+  ];
+  assert.equal(findFriend(friends, '98000 00002').friend, friends[1]);
+  assert.equal(findFriend(friends, ' asha ').friend, friends[0]);
+  assert.match(findFriend(friends, 'Ravi').error, /Several friends/);
+  assert.match(findFriend(friends, 'Mina').error, /No friend matches/);
+});
+
+describe('imports', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+  let friend;
+
+  before(async () => {
+    await connect();
+    friend = await Friend.create({ owner, name: 'Asha', whatsapp: '919800000001', totalBalance: 100, openingBalance: 100 });
+  });
+  after(disconnect);
+
+  test('imported entries are folded into the balance', async () => {
+    const result = await commitImport(owner, {
+      kind: 'transactions',
+      file: csv('friend,type,amount,date\n919800000001,credit,50,2026-09-01\n919800000001,debit,20,2026-09-02\n')
+    });
+
+    assert.equal(result.imported, 2);
+    assert.equal((await Friend.findById(friend._id)).totalBalance, 130);
+  });
+
+  test('a row with an error imports nothing', async () => {
+    await assert.rejects(
+      commitImport(owner, { kind: 'transactions', file: csv('friend,type,amount,date\n919800000001,credit,5,2026-09-03\n919800000001,credit,abc,2026-09-04\n') }),
+      { status: 400 }
+    );
+    assert.equal(await Transaction.countDocuments({ friend: friend._id }), 2);
+  });
+
+  test('a write failing midway leaves neither entries nor balance changes behind', async () => {
+    const insertMany = Transaction.insertMany;
+    Transaction.insertMany = async function (...args) {
+      await insertMany.apply(this, args);
+      throw new Error('write interrupted');
+    };
+    try {
+      await assert.rejects(
+        commitImport(owner, { kind: 'transactions', file: csv('friend,type,amount,date\n919800000001,credit,70,2026-09-05\n') }),
+        /write interrupted/
+      );
+    } finally {
+      Transaction.insertMany = insertMany;
+    }
+    assert.equal(await Transaction.countDocuments({ friend: friend._id }), 2);
+    assert.equal((await Friend.findById(friend._id)).totalBalance, 130);
+  });
+});
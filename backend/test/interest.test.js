@@ -0,0 +1,70 @@
+// backend/test/interest.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateLoans } = require('../utils/interest');
+
+const on = (day) => new Date(`2026-${day}T00:00:00Z`);
+
+test('a repayment pays the oldest loan first and spills over to the next', () => {
+  const entries = [
+    { _id: 'loan2', type: 'loan', amount: 300, date: on('09-05') },
+    { _id: 'loan1', type: 'loan', amount: 200, date: on('09-01') },
+    { _id: 'repay1', type: 'repay', amount: 250, date: on('09-10') }
+  ];
+  const sim = simulateLoans(entries, on('10-01'));
+  assert.deepEqual(sim.allocations.get('repay1'), [
+    { loan: 'loan1', amount: 200, interest: 0, principal: 200 },
+    { loan: 'loan2', amount: 50, interest: 0, principal: 50 }
+  ]);
+  assert.equal(sim.loans.get('loan1').principal, 0);
+  assert.equal(sim.loans.get('loan2').principal, 250);
+  assert.equal(sim.totalDue, 250);
+});
+
+test('repaying more than is owed leaves the excess unallocated', () => {
+  const sim = simulateLoans([
+    { _id: 'loan1', type: 'loan', amount: 100, date: on('09-01') },
+    { _id: 'repay1', type: 'repay', amount: 150, date: on('09-02') }
+  ], on('10-01'));
+  assert.equal(sim.totalDue, 0);
+  assert.equal(sim.unallocated, 50);
+});
+
+test('a repayment made before a loan does not pay that loan', () => {
+  const sim = simulateLoans([
+    { _id: 'repay1', type: 'repay', amount: 100, date: on('09-01') },
+    { _id: 'loan1', type: 'loan', amount: 100, date: on('09-02') }
+  ], on('10-01'));
+  assert.deepEqual(sim.allocations.get('repay1'), []);
+  assert.equal(sim.totalDue, 100);
+});
+
+test('simple interest accrues on the principal for the days it is out', () => {
+  const loan = { _id: 'loan1', type: 'loan', amount: 1000, date: on('01-01'), interestType: 'simple', interestRate: 12 };
+  const row = simulateLoans([loan], new Date('2027-01-01T00:00:00Z')).loans.get('loan1');
+  assert.equal(row.interestDue, 120);
+  assert.equal(row.totalDue, 1120);
+});
+
+test('compound interest compounds monthly on unpaid interest too', () => {
+  const loan = { _id: 'loan1', type: 'loan', amount: 1000, date: on('01-01'), interestType: 'compound', interestRate: 12 };
+  const row = simulateLoans([loan], new Date('2027-01-01T00:00:00Z')).loans.get('loan1');
+  assert.equal(row.interestDue, 126.83);
+});
+
+test('interest starts at interestStartDate and is paid before principal', () => {
+  const loan = {
+    _id: 'loan1', type: 'loan', amount: 1000, date: on('01-01'),
+    interestType: 'simple', interestRate: 36.5, interestStartDate: on('01-11')
+  };
+  // 10 days at 0.1% a day
+  const sim = simulateLoans([loan, { _id: 'repay1', type: 'repay', amount: 50, date: on('01-21') }], on('01-21'));
+  assert.deepEqual(sim.allocations.get('repay1'), [{ loan: 'loan1', amount: 50, interest: 10, principal: 40 }]);
+  assert.equal(sim.loans.get('loan1').principal, 960);
+  assert.equal(sim.loans.get('loan1').interestPaid, 10);
+});
+
+test('a loan without a rate accrues nothing', () => {
+  const loan = { _id: 'loan1', type: 'loan', amount: 1000, date: on('01-01'), interestType: 'simple', interestRate: 0 };
+  assert.equal(simulateLoans([loan], on('12-31')).totalDue, 1000);
+});
@@ -0,0 +1,158 @@
+// backend/test/ledger.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsMongo, connect, disconnect } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Transaction = require('../models/Transaction');
+const {
+  recordDebit, recordCredit, recordRepayment, recalcOwed, setBalance, reverseTransaction, reconcileFriend, applySimulation
+} = require('../controllers/ledger');
+const { simulateLoans } = require('../utils/interest');
+const { debitCapGuard } = require('../controllers/limits');
+
+test('reconciliation derives the balance from the opening balance and the ledger', () => {
+  const friend = { name: 'Asha', openingBalance: 100, totalBalance: 130, owedAmount: 0 };
+  const ok = reconcileFriend(friend, { credit: 50, debit: 20, loan: 0, repay: 0 }, []);
+  assert.deepEqual(ok.ledger, { totalBalance: 130, owedAmount: 0 });
+  assert.equal(ok.ok, true);
+
+  const drifted = reconcileFriend({ ...friend, totalBalance: 150 }, { credit: 50, debit: 20, loan: 0, repay: 0 }, []);
+  assert.equal(drifted.balanceDiff, 20);
+  assert.equal(drifted.ok, false);
+});
+
+test('reconciliation counts what is owed from loans and repayments, reversed ones left out', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const [loan, reversed, counter] = [id(), id(), id()];
+  const entries = [
+    { _id: loan, type: 'loan', amount: 500, date: new Date('2026-09-01T00:00:00Z') },
+    { _id: reversed, type: 'loan', amount: 300, date: new Date('2026-09-02T00:00:00Z'), reversedBy: counter },
+    { _id: id(), type: 'repay', amount: 200, date: new Date('2026-09-10T00:00:00Z') },
+    { _id: counter, type: 'repay', amount: 300, date: new Date('2026-09-03T00:00:00Z'), reversalOf: reversed }
+  ];
+  const friend = { name: 'Asha', owedAmount: 600, owedAsOf: new Date('2026-10-01T00:00:00Z') };
+  const result = reconcileFriend(friend, null, entries);
+  assert.equal(result.ledger.owedAmount, 300);
+  assert.equal(result.owedDiff, 300);
+  assert.equal(result.ledger.totalBalance, 0);
+});
+
+test('an entry already reversed, or itself a reversal, cannot be reversed', async () => {
+  const id = new mongoose.Types.ObjectId();
+  await assert.rejects(reverseTransaction({ transaction: { _id: id, type: 'debit', reversedBy: new mongoose.Types.ObjectId() } }), { status: 409 });
+  await assert.rejects(reverseTransaction({ transaction: { _id: id, type: 'credit', reversalOf: new mongoose.Types.ObjectId() } }), { status: 400 });
+});
+
+test('reversing a loan closes it and moves its repayments to the next open loan', () => {
+  const on = (day) => new Date(`2026-09-${day}T00:00:00Z`);
+  const [first, second, counter] = [0, 1, 2].map(() => new mongoose.Types.ObjectId());
+  const entries = [
+    new Transaction({ _id: first, type: 'loan', amount: 100, date: on('01'), reversedBy: counter }),
+    new Transaction({ _id: second, type: 'loan', amount: 300, date: on('02') }),
+    new Transaction({ type: 'repay', amount: 150, date: on('03') }),
+    new Transaction({ _id: counter, type: 'repay', amount: 100, date: on('04'), reversalOf: first })
+  ];
+  const sim = simulateLoans(entries, on('30'));
+  applySimulation(entries, sim);
+
+  assert.equal(entries[0].outstanding, 0);
+  assert.equal(entries[1].outstanding, 150);
+  assert.deepEqual(entries[2].allocations.map(a => [String(a.loan), a.amount]), [[String(second), 150]]);
+  assert.deepEqual(entries[3].allocations, []);
+  assert.equal(sim.totalDue, 150);
+});
+
+describe('ledger', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+  const newFriend = (fields) => Friend.create({ owner, name: 'Asha', whatsapp: '919800000001', timezone: 'UTC', ...fields });
+
+  before(connect);
+  after(disconnect);
+
+  test('debits and credits keep totalBalance equal to opening balance plus the ledger', async () => {
+    const friend = await newFriend({ totalBalance: 100, openingBalance: 100 });
+    await recordCredit({ friend, amount: 50, note: 'top-up' });
+    const { transaction } = await recordDebit({ friend, amount: 30, note: 'lunch' });
+
+    assert.equal(transaction.previousBalance, 150);
+    assert.equal(transaction.newBalance, 120);
+    assert.equal((await Friend.findById(friend._id)).totalBalance, 120);
+  });
+
+  test('reversing a credit that topped up savings takes the savings back too', async () => {
+    const friend = await newFriend({ totalBalance: 100, savedAmount: 100 });
+    const { transaction } = await recordCredit({ friend, amount: 40, note: 'saved', addToSaved: true });
+    assert.equal(transaction.savedDelta, 40);
+
+    const { friend: after, reversal } = await reverseTransaction({ transaction, note: 'typo' });
+
+    assert.equal(reversal.savedDelta, -40);
+    assert.equal(after.totalBalance, 100);
+    assert.equal(after.savedAmount, 100);
+  });
+
+  test('an entry is reversed once, and a reversal cannot itself be reversed', async () => {
+    const friend = await newFriend({ totalBalance: 100 });
+    const { transaction } = await recordDebit({ friend, amount: 25, note: 'wrong friend' });
+
+    const [first, second] = await Promise.allSettled([
+      reverseTransaction({ transaction }),
+      reverseTransaction({ transaction })
+    ]);
+    const done = first.status === 'fulfilled' ? first : second;
+    const refused = first.status === 'fulfilled' ? second : first;
+
+    assert.equal(refused.reason.status, 409);
+    assert.equal(done.value.friend.totalBalance, 100);
+    assert.equal(await Transaction.countDocuments({ friend: friend._id }), 2);
+    await assert.rejects(reverseTransaction({ transaction: done.value.reversal }), { status: 400 });
+  });
+
+  test('reversing a loan takes it out of what is owed, repayments included', async () => {
+    const friend = await newFriend();
+    const loan = await Transaction.create({ owner, friend: friend._id, type: 'loan', amount: 300, outstanding: 300 });
+    await recalcOwed(friend._id);
+    await recordRepayment({ friend, amount: 100, note: 'part' });
+
+    const { friend: after, transaction } = await reverseTransaction({ transaction: loan, note: 'never lent' });
+
+    assert.ok(transaction.reversedBy);
+    assert.equal(after.owedAmount, -100);
+  });
+
+  test('concurrent debits cannot both pass the daily cap', async () => {
+    const friend = await newFriend({ totalBalance: 1000, dailyLimit: 100 });
+    const debit = () => recordDebit({ friend, amount: 60, note: 'race', guard: debitCapGuard(60, 'UTC') });
+
+    const results = await Promise.allSettled([debit(), debit()]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+    assert.equal(await Transaction.countDocuments({ friend: friend._id }), 1);
+    assert.equal((await Friend.findById(friend._id)).totalBalance, 940);
+  });
+
+  test('crossing the low-balance threshold alerts on debits, reversals and manual edits', async () => {
+    const friend = await newFriend({ totalBalance: 600, lowBalanceThreshold: 500 });
+
+    const credit = await recordCredit({ friend, amount: 100, note: 'top-up' });
+    assert.deepEqual(credit.alerts, []);
+
+    const reversed = await reverseTransaction({ transaction: credit.transaction });
+    assert.equal(reversed.friend.totalBalance, 600);
+    assert.deepEqual(reversed.alerts, []);
+
+    const debit = await recordDebit({ friend, amount: 150, note: 'rent' });
+    assert.equal(debit.alerts.length, 1);
+
+    await setBalance({ friendId: friend._id, owner, totalBalance: 700 });
+    const edited = await setBalance({ friendId: friend._id, owner, totalBalance: 400 });
+    assert.equal(edited.alerts.length, 1);
+
+    const topUp = await recordCredit({ friend, amount: 200, note: 'top-up' });
+    const undone = await reverseTransaction({ transaction: topUp.transaction });
+    assert.equal(undone.friend.totalBalance, 400);
+    assert.equal(undone.alerts.length, 1);
+  });
+});
@@ -0,0 +1,48 @@
+// backend/test/limits.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const { debitCheck, limitExceededError, parseLimits } = require('../controllers/limits');
+const { crossesThreshold } = require('../controllers/alerts');
+
+const friend = { currency: 'INR', totalBalance: 1000, dailyLimit: 500, monthlyLimit: 2000, lowBalanceThreshold: 300 };
+
+test('a debit within both caps passes', () => {
+  const check = debitCheck(friend, 200, { dailySpent: 300, monthlySpent: 1000 });
+  assert.deepEqual(check.exceeded, []);
+  assert.equal(check.balanceAfter, 800);
+  assert.equal(check.lowBalance, false);
+});
+
+test('a debit past a cap reports each cap it passes', () => {
+  const check = debitCheck(friend, 250.5, { dailySpent: 300, monthlySpent: 1800 });
+  assert.deepEqual(check.exceeded, [
+    { period: 'daily', limit: 500, spent: 300, after: 550.5 },
+    { period: 'monthly', limit: 2000, spent: 1800, after: 2050.5 }
+  ]);
+  const err = limitExceededError(friend, check);
+  assert.equal(err.status, 409);
+  assert.equal(err.message, 'This debit would exceed the daily limit of ₹500 (₹300 already spent) and the monthly limit of ₹2,000 (₹1,800 already spent)');
+  assert.equal(err.limits, check);
+});
+
+test('spending exactly up to a cap is allowed and an unset cap never applies', () => {
+  assert.deepEqual(debitCheck(friend, 200, { dailySpent: 300, monthlySpent: 0 }).exceeded, []);
+  assert.deepEqual(debitCheck({ ...friend, dailyLimit: null, monthlyLimit: undefined }, 5000, { dailySpent: 900, monthlySpent: 9000 }).exceeded, []);
+});
+
+test('the low-balance alert fires only when the balance drops below the threshold', () => {
+  assert.equal(debitCheck(friend, 750, { dailySpent: 0, monthlySpent: 0 }).lowBalance, true);
+  assert.equal(crossesThreshold(300, 300, 299.99), true);
+  assert.equal(crossesThreshold(300, 250, 200), false, 'already below');
+  assert.equal(crossesThreshold(300, 400, 300), false, 'at the threshold');
+  assert.equal(crossesThreshold(null, 400, 0), false);
+  assert.equal(crossesThreshold(0, 10, -5), true);
+});
+
+test('limits are non-negative numbers, or empty to switch them off', () => {
+  assert.deepEqual(parseLimits({ dailyLimit: '250', monthlyLimit: '', lowBalanceThreshold: null }), { dailyLimit: 250, monthlyLimit: null, lowBalanceThreshold: null });
+  assert.deepEqual(parseLimits({ name: 'ignored' }), {});
+  assert.throws(() => parseLimits({ dailyLimit: -1 }), { status: 400 });
+  assert.throws(() => parseLimits({ monthlyLimit: 'lots' }), { status: 400 });
+});
@@ -0,0 +1,32 @@
+// backend/test/loanStatus.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { daysPastDue, dueStatus, nextDueDate } = require('../utils/loanStatus');
+const { simulateLoans } = require('../utils/interest');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+test('a loan is overdue from the instant its due date passes, counted in whole days', () => {
+  assert.equal(daysPastDue(null, now), 0);
+  assert.equal(daysPastDue(new Date('2026-10-20T00:00:00Z'), now), 0);
+  assert.equal(daysPastDue(new Date('2026-10-19T11:00:00Z'), now), 1);
+  assert.equal(daysPastDue(new Date('2026-10-16T12:00:00Z'), now), 3);
+});
+
+test('a repaid loan is paid whatever its due date', () => {
+  const loan = { dueDate: new Date('2026-10-01T00:00:00Z') };
+  assert.deepEqual(dueStatus(loan, 0, now), { status: 'paid', daysOverdue: 0 });
+  assert.deepEqual(dueStatus(loan, 10, now), { status: 'overdue', daysOverdue: 18 });
+  assert.deepEqual(dueStatus({ dueDate: null }, 10, now), { status: 'open', daysOverdue: 0 });
+});
+
+test('the next due date skips loans that are paid off or have none', () => {
+  const loans = [
+    { _id: 'paid', type: 'loan', amount: 100, date: new Date('2026-09-01T00:00:00Z'), dueDate: new Date('2026-10-01T00:00:00Z') },
+    { _id: 'open', type: 'loan', amount: 100, date: new Date('2026-09-02T00:00:00Z'), dueDate: new Date('2026-11-01T00:00:00Z') },
+    { _id: 'undated', type: 'loan', amount: 100, date: new Date('2026-09-03T00:00:00Z') }
+  ];
+  const sim = simulateLoans([...loans, { _id: 'repay', type: 'repay', amount: 100, date: new Date('2026-09-10T00:00:00Z') }], now);
+  assert.deepEqual(nextDueDate(loans, sim), new Date('2026-11-01T00:00:00Z'));
+  assert.equal(nextDueDate([loans[2]], sim), null);
+});
@@ -0,0 +1,82 @@
+// backend/test/messaging.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { mockOutbox, tmpDir } = require('./helpers/setup');
+const Message = require('../models/Message');
+const messaging = require('../controllers/messaging');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const TRANSPORT_MODULES = ['../controllers/messaging', '../controllers/transports/ultramsg', '../controllers/transports/twilio'];
+
+// run `fn` with a fresh messaging layer loaded under `env`, then restore both
+async function withProvider(env, fn) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  for (const mod of TRANSPORT_MODULES) delete require.cache[require.resolve(mod)];
+  try {
+    return await fn(require('../controllers/messaging'));
+  } finally {
+    process.env = saved;
+    for (const mod of TRANSPORT_MODULES) delete require.cache[require.resolve(mod)];
+  }
+}
+
+test('sends the attachment of a stored Message as a document', async () => {
+  // what the outbox hands over: the attachment as a single-nested subdocument
+  const message = new Message({
+    to: '+91 98123 45678',
+    body: 'Your statement',
+    attachment: { filename: 'statement-2026-09.pdf', contentType: 'application/pdf', data: Buffer.from('%PDF-1.4 test') }
+  });
+
+  const result = await messaging.sendMessage(message.to, message.body, message.attachment);
+
+  assert.equal(result.success, true, JSON.stringify(result.error));
+  assert.match(result.data.document, /statement-2026-09\.pdf$/);
+  assert.equal(fs.readFileSync(result.data.document, 'utf8'), '%PDF-1.4 test');
+  const [entry] = mockOutbox();
+  assert.equal(entry.to, '919812345678');
+  assert.equal(entry.body, 'Your statement');
+  assert.equal(entry.document, result.data.document);
+});
+
+test('sends plain text without an attachment', async () => {
+  const result = await messaging.sendMessage('919812345678', 'Hello');
+  assert.equal(result.success, true);
+  assert.equal(mockOutbox().at(-1).body, 'Hello');
+});
+
+test('refuses a number without digits', async () => {
+  const result = await messaging.sendMessage('n/a', 'Hello');
+  assert.deepEqual(result, { success: false, provider: 'mock', error: 'invalid_phone' });
+});
+
+test('refuses a document on a transport that cannot send one, instead of sending the caption', async () => {
+  const twilio = { MESSAGING_PROVIDER: 'twilio', TWILIO_ACCOUNT_SID: 'AC0', TWILIO_AUTH_TOKEN: 't', TWILIO_WHATSAPP_FROM: '+14155238886' };
+  await withProvider(twilio, async (twilioMessaging) => {
+    assert.equal(twilioMessaging.canSendDocuments(), false);
+    const result = await twilioMessaging.sendMessage('919812345678', 'Your statement', {
+      filename: 'statement.pdf', contentType: 'application/pdf', data: Buffer.from('%PDF')
+    });
+    assert.deepEqual(result, { success: false, provider: 'twilio', error: 'documents_unsupported', permanent: true });
+  });
+});
+
+test('an unconfigured transport sends nothing', async () => {
+  const unset = { MESSAGING_PROVIDER: 'UltraMsg', ULTRAMSG_INSTANCE: '', ULTRAMSG_INSTANCE_ID: '', ULTRAMSG_TOKEN: '' };
+  await withProvider(unset, async (ultramsg) => {
+    assert.equal(ultramsg.PROVIDER, 'ultramsg');
+    assert.equal(ultramsg.isConfigured(), false);
+    assert.equal(ultramsg.canSendDocuments(), true);
+    assert.deepEqual(await ultramsg.sendMessage('919812345678', 'hi'), { success: false, provider: 'ultramsg', error: 'transport_not_configured' });
+  });
+});
+
+test('an unknown provider is never configured', async () => {
+  await withProvider({ MESSAGING_PROVIDER: 'carrier-pigeon' }, async (unknown) => {
+    assert.equal(unknown.isConfigured(), false);
+    assert.throws(() => unknown.getTransport(), /Unknown MESSAGING_PROVIDER "carrier-pigeon"/);
+  });
+});
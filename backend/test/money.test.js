@@ -0,0 +1,22 @@
+// backend/test/money.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidCurrency, formatMoney, totalsByCurrency } = require('../utils/money');
+
+test('amounts are formatted in their own currency, whole ones without decimals', () => {
+  assert.equal(formatMoney(125000, 'INR'), '₹1,25,000');
+  assert.equal(formatMoney(12.5, 'USD', 'en-US'), '$12.50');
+  assert.equal(formatMoney(1500, 'JPY', 'en-US'), '¥1,500');
+  assert.equal(formatMoney(-20, 'EUR', 'en-IN'), '-€20');
+});
+
+test('an unknown currency code is shown as rupees', () => {
+  assert.equal(isValidCurrency('XYZ'), false);
+  assert.equal(isValidCurrency('usd'), false);
+  assert.equal(formatMoney(10, 'XYZ'), '₹10');
+});
+
+test('totals are kept apart per currency', () => {
+  const rows = [{ currency: 'INR', amount: 100.1 }, { currency: 'USD', amount: 5 }, { amount: 0.2 }, { currency: 'USD', amount: 2.25 }];
+  assert.deepEqual(totalsByCurrency(rows, r => r.amount), { INR: 100.3, USD: 7.25 });
+});
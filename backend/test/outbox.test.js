@@ -0,0 +1,110 @@
+// backend/test/outbox.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { needsMongo, connect, disconnect, mockOutbox } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Message = require('../models/Message');
+const { attemptDelivery, recoverStaleMessages, recordOutcome, undeliverableReason, MAX_ATTEMPTS, SEND_LEASE_MS } = require('../controllers/outbox');
+
+const now = new Date('2026-10-19T10:00:00Z');
+
+test('a failed send is retried with a growing delay, up to MAX_ATTEMPTS tries', () => {
+  const message = new Message({ to: '919812345678', body: 'hi' });
+  recordOutcome(message, { success: false, provider: 'mock', error: 'timeout' }, now);
+  assert.equal(message.status, 'failed');
+  assert.equal(message.lastError, 'timeout');
+  assert.equal(message.nextAttemptAt.getTime() - now.getTime(), 1000);
+
+  recordOutcome(message, { success: false, provider: 'mock', error: { code: 500 } }, now);
+  assert.equal(message.lastError, '{"code":500}');
+  assert.equal(message.nextAttemptAt.getTime() - now.getTime(), 2000);
+
+  message.attempts = MAX_ATTEMPTS - 1;
+  recordOutcome(message, { success: false, provider: 'mock', error: 'timeout' }, now);
+  assert.equal(message.attempts, MAX_ATTEMPTS);
+  assert.equal(message.nextAttemptAt, null);
+});
+
+test('a permanent failure is not retried', () => {
+  const message = new Message({ to: '919812345678', body: 'statement' });
+  recordOutcome(message, { success: false, provider: 'twilio', error: 'documents_unsupported', permanent: true }, now);
+  assert.equal(message.status, 'failed');
+  assert.equal(message.nextAttemptAt, null);
+});
+
+test('nothing is sent to an archived or removed friend', () => {
+  assert.equal(undeliverableReason(new Friend({ name: 'Asha', whatsapp: '919800000001' })), null);
+  assert.equal(undeliverableReason(new Friend({ name: 'Asha', whatsapp: '919800000001', archivedAt: now })), 'friend_archived');
+  assert.equal(undeliverableReason(null), 'friend_missing');
+});
+
+test('a sent message clears the error and the retry', () => {
+  const message = new Message({ to: '919812345678', body: 'hi', status: 'failed', lastError: 'timeout', nextAttemptAt: now });
+  recordOutcome(message, { success: true, provider: 'mock', data: { id: 'm1' } }, now);
+  assert.equal(message.status, 'sent');
+  assert.equal(message.sentAt.getTime(), now.getTime());
+  assert.equal(message.lastError, null);
+  assert.equal(message.nextAttemptAt, null);
+  assert.deepEqual(message.providerResponse, { id: 'm1' });
+});
+
+describe('outbox claims', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+
+  before(connect);
+  after(disconnect);
+
+  test('a failed message picked up by two senders at once is sent once', async () => {
+    const message = await Message.create({ owner, to: '919812345678', body: 'claim me', status: 'failed', attempts: 1 });
+    const before = mockOutbox().length;
+
+    const results = await Promise.all([attemptDelivery(message), attemptDelivery(message)]);
+
+    assert.equal(results.filter(r => r.success).length, 1);
+    assert.equal(results.filter(r => r.error === 'already_claimed').length, 1);
+    assert.equal(mockOutbox().length - before, 1);
+    const stored = await Message.findById(message._id);
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.attempts, 2);
+  });
+
+  test('a sent message is not claimed again', async () => {
+    const message = await Message.create({ owner, to: '919812345678', body: 'done', status: 'sent', attempts: 1 });
+    const result = await attemptDelivery(message);
+    assert.deepEqual({ error: result.error, status: result.status }, { error: 'already_claimed', status: 'sent' });
+  });
+
+  test('a queued retry for an archived friend is dropped instead of sent', async () => {
+    const friend = await Friend.create({ owner, name: 'Asha', whatsapp: '919800000001', archivedAt: new Date() });
+    const message = await Message.create({ owner, friend: friend._id, to: friend.whatsapp, body: 'reminder', status: 'failed', attempts: 1, nextAttemptAt: new Date() });
+    const before = mockOutbox().length;
+
+    const result = await attemptDelivery(message);
+
+    assert.deepEqual({ success: result.success, error: result.error, retrying: result.retrying }, { success: false, error: 'friend_archived', retrying: false });
+    assert.equal(mockOutbox().length, before);
+    const stored = await Message.findById(message._id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.nextAttemptAt, null);
+  });
+
+  test('sends interrupted past the lease are put back as failed', async () => {
+    const old = new Date(Date.now() - SEND_LEASE_MS - 1000);
+    const stuck = await Message.create({ owner, to: '919812345678', body: 'stuck', status: 'sending', attempts: 0 });
+    const lastTry = await Message.create({ owner, to: '919812345678', body: 'last', status: 'pending', attempts: MAX_ATTEMPTS - 1 });
+    const fresh = await Message.create({ owner, to: '919812345678', body: 'fresh', status: 'sending' });
+    await Message.collection.updateMany({ _id: { $in: [stuck._id, lastTry._id] } }, { $set: { updatedAt: old } });
+
+    assert.equal(await recoverStaleMessages(), 2);
+
+    const recovered = await Message.findById(stuck._id);
+    assert.equal(recovered.status, 'failed');
+    assert.equal(recovered.attempts, 1);
+    assert.ok(recovered.nextAttemptAt, 'the worker retries it');
+    const exhausted = await Message.findById(lastTry._id);
+    assert.equal(exhausted.status, 'failed');
+    assert.equal(exhausted.nextAttemptAt, null);
+    assert.equal((await Message.findById(fresh._id)).status, 'sending');
+  });
+});
@@ -0,0 +1,36 @@
+// backend/test/reminders.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const { firstRun, isQuietTime, quietHoursEnd } = require('../controllers/reminders');
+
+const schedule = { quietHoursStart: '21:00', quietHoursEnd: '09:00' };
+
+test('a quiet-hours skip waits for the end of the window, past midnight', () => {
+  // 22:30 in Kolkata (UTC+5:30)
+  const late = new Date('2026-10-19T17:00:00Z');
+  assert.equal(isQuietTime(schedule, 'Asia/Kolkata', late), true);
+  assert.equal(quietHoursEnd(schedule, 'Asia/Kolkata', late).toISOString(), '2026-10-20T03:30:00.000Z');
+});
+
+test('a quiet-hours skip after midnight waits until the same morning', () => {
+  // 06:00 in Kolkata
+  const early = new Date('2026-10-19T00:30:00Z');
+  assert.equal(isQuietTime(schedule, 'Asia/Kolkata', early), true);
+  assert.equal(quietHoursEnd(schedule, 'Asia/Kolkata', early).toISOString(), '2026-10-19T03:30:00.000Z');
+  assert.equal(isQuietTime(schedule, 'Asia/Kolkata', quietHoursEnd(schedule, 'Asia/Kolkata', early)), false);
+});
+
+test('a new schedule first runs at its send time, today if still ahead', () => {
+  const s = { ...schedule, sendTime: '10:00' };
+  // 08:00 in Kolkata
+  assert.equal(firstRun(s, 'Asia/Kolkata', new Date('2026-10-19T02:30:00Z')).toISOString(), '2026-10-19T04:30:00.000Z');
+  // 11:00 in Kolkata
+  assert.equal(firstRun(s, 'Asia/Kolkata', new Date('2026-10-19T05:30:00Z')).toISOString(), '2026-10-20T04:30:00.000Z');
+});
+
+test('a send time inside quiet hours first runs when they end', () => {
+  const s = { ...schedule, sendTime: '23:00' };
+  // 12:00 in Kolkata
+  assert.equal(firstRun(s, 'Asia/Kolkata', new Date('2026-10-19T06:30:00Z')).toISOString(), '2026-10-20T03:30:00.000Z');
+});
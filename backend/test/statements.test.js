@@ -0,0 +1,135 @@
+// backend/test/statements.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { needsMongo, connect, disconnect, mockOutbox } = require('./helpers/setup');
+const mongoose = require('mongoose');
+const Friend = require('../models/Friend');
+const Message = require('../models/Message');
+const { deliver } = require('../controllers/outbox');
+const {
+  runMonthlyStatements, statementFromEntries, statementPeriod, statementCsv, statementFileName, statementPdf, previousMonth
+} = require('../controllers/statements');
+
+test('a reversal inside the period is listed but left out of the totals', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const [before, debit, counter, kept] = [id(), id(), id(), id()];
+  const entries = [
+    { _id: before, type: 'debit', amount: 50, date: new Date('2026-08-20T10:00:00Z'), reversedBy: id() },
+    { _id: debit, type: 'debit', amount: 200, date: new Date('2026-09-03T10:00:00Z'), reversedBy: counter },
+    { _id: counter, type: 'credit', amount: 200, date: new Date('2026-09-04T10:00:00Z'), reversalOf: debit },
+    { _id: kept, type: 'debit', amount: 30, date: new Date('2026-09-05T10:00:00Z') }
+  ];
+  const statement = statementFromEntries({ _id: id(), name: 'Asha', openingBalance: 1000 }, entries, {
+    from: new Date('2026-09-01T00:00:00Z'), to: new Date('2026-10-01T00:00:00Z'), timezone: 'UTC'
+  });
+
+  assert.deepEqual(statement.rows.map(r => String(r._id)), [debit, counter, kept].map(String));
+  assert.deepEqual(statement.totals, { credit: 0, debit: 30, loan: 0, repay: 0 });
+  assert.equal(statement.opening.balance, 950);
+  assert.equal(statement.closing.balance, 920);
+});
+
+test('a statement period covers whole local days, `to` included', () => {
+  const { from, to } = statementPeriod({ from: '2026-09-01', to: '2026-09-30' }, 'Asia/Kolkata');
+  assert.equal(from.toISOString(), '2026-08-31T18:30:00.000Z');
+  assert.equal(to.toISOString(), '2026-09-30T18:30:00.000Z');
+  assert.throws(() => statementPeriod({ from: '1/9/2026' }, 'UTC'), { status: 400 });
+  assert.throws(() => statementPeriod({ from: '2026-09-30', to: '2026-09-01' }, 'UTC'), { status: 400 });
+});
+
+test('the CSV lists opening, every row and closing in local time, named after the friend and period', () => {
+  const statement = statementFromEntries({ _id: new mongoose.Types.ObjectId(), name: 'Ravi Kumar', openingBalance: 100 }, [
+    { _id: new mongoose.Types.ObjectId(), type: 'debit', amount: 40, note: 'Lunch, "veg"', date: new Date('2026-09-03T20:00:00Z') }
+  ], { from: new Date('2026-08-31T18:30:00Z'), to: new Date('2026-09-30T18:30:00Z'), timezone: 'Asia/Kolkata' });
+
+  assert.deepEqual(statementCsv(statement).trim().split(/\r?\n/), [
+    'Date,Type,Description,Amount,Balance,Owed',
+    ',Opening balance,,,100,0',
+    '2026-09-04 01:30,Debit,"Lunch, ""veg""",40,60,0',
+    ',Closing balance,,,60,0'
+  ]);
+  assert.equal(statementFileName(statement), 'statement-ravi-kumar-2026-09-01-to-2026-09-30');
+});
+
+test('the monthly statement covers the previous local calendar month', () => {
+  // 02:00 on Jan 1 in Kolkata, still Dec 31 in UTC
+  const month = previousMonth(new Date('2026-12-31T20:30:00Z'), 'Asia/Kolkata');
+  assert.equal(month.key, '2026-12');
+  assert.equal(month.from.toISOString(), '2026-11-30T18:30:00.000Z');
+  assert.equal(month.to.toISOString(), '2026-12-31T18:30:00.000Z');
+});
+
+test('the statement document is a PDF', async () => {
+  const statement = statementFromEntries({ _id: new mongoose.Types.ObjectId(), name: 'Asha', currency: 'INR', openingBalance: 0 }, [
+    { _id: new mongoose.Types.ObjectId(), type: 'credit', amount: 500, date: new Date('2026-09-03T10:00:00Z') }
+  ], { from: new Date('2026-09-01T00:00:00Z'), to: new Date('2026-10-01T00:00:00Z'), timezone: 'UTC' });
+  const pdf = await statementPdf(statement);
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('monthly statements wait while the transport cannot send documents', async () => {
+  // fresh statement and messaging modules over a configured Twilio transport
+  const modules = ['../controllers/statements', '../controllers/messaging', '../controllers/transports/twilio'];
+  const env = { ...process.env };
+  Object.assign(process.env, { MESSAGING_PROVIDER: 'twilio', TWILIO_ACCOUNT_SID: 'AC0', TWILIO_AUTH_TOKEN: 't', TWILIO_WHATSAPP_FROM: '+14155238886' });
+  for (const mod of modules) delete require.cache[require.resolve(mod)];
+  try {
+    // returns before reading any friend, so no database is needed
+    assert.equal(await require('../controllers/statements').runMonthlyStatements(new Date('2026-10-02T12:00:00Z')), 0);
+  } finally {
+    process.env = env;
+    for (const mod of modules) delete require.cache[require.resolve(mod)];
+  }
+});
+
+describe('statement documents through the outbox', { skip: needsMongo }, () => {
+  const owner = new mongoose.Types.ObjectId();
+
+  before(connect);
+  after(disconnect);
+
+  test('deliver() sends a stored document and marks the message sent', async () => {
+    const result = await deliver({
+      to: '919812345678',
+      body: 'September statement',
+      owner,
+      attachment: { filename: 'statement.pdf', contentType: 'application/pdf', data: Buffer.from('%PDF-1.4') }
+    });
+
+    assert.equal(result.success, true, JSON.stringify(result.error));
+    const message = await Message.findById(result.messageId);
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 1);
+    assert.equal(fs.readFileSync(mockOutbox().at(-1).document, 'utf8'), '%PDF-1.4');
+  });
+
+  test('runMonthlyStatements sends last month once and marks it done', async () => {
+    const friend = await Friend.create({
+      owner, name: 'Asha', whatsapp: '919800000001', monthlyStatement: true, timezone: 'UTC',
+      createdAt: new Date('2026-08-01T00:00:00Z')
+    });
+    const now = new Date('2026-10-02T12:00:00Z');
+
+    assert.equal(await runMonthlyStatements(now), 1);
+    assert.equal((await Friend.findById(friend._id)).lastStatementMonth, '2026-09');
+    assert.match(mockOutbox().at(-1).document, /\.pdf$/);
+
+    assert.equal(await runMonthlyStatements(now), 0);
+    await Friend.deleteOne({ _id: friend._id });
+  });
+
+  test('runMonthlyStatements counts a failed send queued for retry as handed over', async () => {
+    const friend = await Friend.create({
+      owner, name: 'Bina', whatsapp: 'no-number', monthlyStatement: true, timezone: 'UTC',
+      createdAt: new Date('2026-08-01T00:00:00Z')
+    });
+
+    assert.equal(await runMonthlyStatements(new Date('2026-10-02T12:00:00Z')), 0);
+    const message = await Message.findOne({ friend: friend._id });
+    assert.equal(message.status, 'failed');
+    assert.ok(message.nextAttemptAt, 'the outbox retries it');
+    assert.equal((await Friend.findById(friend._id)).lastStatementMonth, '2026-09');
+  });
+});
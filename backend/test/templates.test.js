@@ -0,0 +1,55 @@
+// backend/test/templates.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const { TEMPLATE_KEYS, renderTemplate, defaultBody, unknownPlaceholders } = require('../utils/messageTemplates');
+const { LANGUAGES, LANGUAGE_CODES, localeFor } = require('../utils/i18n');
+const { creditVars, sampleVars } = require('../controllers/templates');
+
+const friend = { name: 'Asha', currency: 'INR', language: 'en', savedAmount: 500, totalBalance: 999 };
+
+test('the credit message quotes the balance before and after that credit', () => {
+  const transaction = { date: new Date('2026-10-19T04:30:00Z'), amount: 250, previousBalance: 1000, newBalance: 1250, note: '' };
+  const message = renderTemplate(defaultBody('credit', 'en'), creditVars({ friend, transaction, timezone: 'Asia/Kolkata' }));
+  assert.match(message, /Credited: ₹250/);
+  assert.match(message, /Previous Balance: ₹1,000/);
+  assert.match(message, /Available Balance:\* ₹1,250/);
+  assert.match(message, /Note:\* —/);
+  assert.match(message, /19\/10\/2026, 10:00:00 am/i);
+});
+
+test('placeholders are filled and sections kept only when their value is set', () => {
+  const body = 'Hi {{ name }}{{#note}} ({{note}}){{/note}}{{#due}}, due {{due}}{{/due}}.{{missing}}';
+  assert.equal(renderTemplate(body, { name: 'Asha', note: 'rent', due: 0 }), 'Hi Asha (rent).');
+  assert.equal(renderTemplate(body, { name: 'Asha', note: '' }), 'Hi Asha.');
+});
+
+test('a template using a placeholder its message does not provide is caught', () => {
+  assert.deepEqual(unknownPlaceholders('credit', 'Hi {{name}}, {{amount}} in, {{todaySpent}} spent'), ['todaySpent']);
+  assert.deepEqual(unknownPlaceholders('credit', '{{#note}}{{note}}{{/note}}'), []);
+});
+
+test('every built-in template renders its sample without leftover placeholders', () => {
+  for (const key of TEMPLATE_KEYS) {
+    const body = defaultBody(key, 'en');
+    assert.deepEqual(unknownPlaceholders(key, body), [], key);
+    assert.doesNotMatch(renderTemplate(body, sampleVars(key, 'en', 'Asia/Kolkata')), /\{\{|\}\}/, key);
+  }
+});
+
+test('translated templates use only the placeholders of their message', () => {
+  for (const code of LANGUAGE_CODES) {
+    for (const key of Object.keys(LANGUAGES[code].catalog)) {
+      assert.ok(TEMPLATE_KEYS.includes(key), `${code}: ${key} is not a template`);
+      const body = defaultBody(key, code);
+      assert.deepEqual(unknownPlaceholders(key, body), [], `${code}: ${key}`);
+      assert.doesNotMatch(renderTemplate(body, sampleVars(key, code, 'Asia/Kolkata')), /\{\{|\}\}/, `${code}: ${key}`);
+    }
+  }
+});
+
+test('an unknown language falls back to English wording', () => {
+  assert.equal(defaultBody('credit', 'xx'), defaultBody('credit', 'en'));
+  assert.equal(localeFor('xx'), 'en-IN');
+  assert.notEqual(defaultBody('credit', 'hi'), defaultBody('credit', 'en'));
+});
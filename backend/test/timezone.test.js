@@ -0,0 +1,31 @@
+// backend/test/timezone.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimezone, zonedDate, startOfDay, startOfMonth, localMinutes } = require('../utils/timezone');
+
+test('"today" starts at local midnight, not UTC midnight', () => {
+  // 01:30 on Oct 20 in Kolkata, still Oct 19 in UTC
+  const late = new Date('2026-10-19T20:00:00Z');
+  assert.equal(startOfDay(late, 'Asia/Kolkata').toISOString(), '2026-10-19T18:30:00.000Z');
+  assert.equal(startOfDay(late, 'UTC').toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(localMinutes(late, 'Asia/Kolkata'), 90);
+});
+
+test('day and month boundaries follow daylight saving changes', () => {
+  // New York moves to EDT (UTC-4) on 2026-03-08
+  assert.equal(startOfDay(new Date('2026-03-08T12:00:00Z'), 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(startOfDay(new Date('2026-03-09T12:00:00Z'), 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(startOfMonth(new Date('2026-03-31T12:00:00Z'), 'America/New_York').toISOString(), '2026-03-01T05:00:00.000Z');
+  assert.equal(zonedDate({ year: 2026, month: 3, day: 8, hour: 12 }, 'America/New_York').toISOString(), '2026-03-08T16:00:00.000Z');
+});
+
+test('a day past the end of the month rolls over', () => {
+  assert.equal(zonedDate({ year: 2026, month: 10, day: 32, hour: 9 }, 'Asia/Kolkata').toISOString(), '2026-11-01T03:30:00.000Z');
+});
+
+test('only IANA timezone names are accepted', () => {
+  assert.equal(isValidTimezone('Europe/London'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+  assert.equal(isValidTimezone(''), false);
+  assert.equal(isValidTimezone(330), false);
+});
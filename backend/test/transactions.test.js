@@ -0,0 +1,42 @@
+// backend/test/transactions.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const mongoose = require('mongoose');
+const { historyFilter, parseSort, encodeCursor, afterCursor } = require('../controllers/transactions');
+
+const friend = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId(), timezone: 'Asia/Kolkata' };
+
+test('history filters combine type, tags, amounts, local days and note text', async () => {
+  const { filter, category } = await historyFilter(friend, {
+    type: 'debit, loan', tag: '#Food', minAmount: '10', maxAmount: '500', from: '2026-10-01', to: '2026-10-19', q: 'tea (1+1)', category: 'none'
+  });
+  assert.deepEqual(filter.type, { $in: ['debit', 'loan'] });
+  assert.deepEqual(filter.tags, { $all: ['food'] });
+  assert.deepEqual(filter.amount, { $gte: 10, $lte: 500 });
+  assert.equal(filter.date.$gte.toISOString(), '2026-09-30T18:30:00.000Z');
+  assert.equal(filter.date.$lt.toISOString(), '2026-10-19T18:30:00.000Z');
+  assert.ok(filter.$or[0].note.test('Masala TEA (1+1) at work'));
+  assert.equal(category, null);
+});
+
+test('malformed history filters are refused', async () => {
+  await assert.rejects(historyFilter(friend, { type: 'debit,gift' }), { status: 400, message: /Unknown type "gift"/ });
+  await assert.rejects(historyFilter(friend, { minAmount: '50', maxAmount: '5' }), { status: 400 });
+  await assert.rejects(historyFilter(friend, { minAmount: '-1' }), { status: 400 });
+  assert.throws(() => parseSort('name'), { status: 400 });
+});
+
+test('a cursor resumes after the last entry, ties broken by _id', () => {
+  const sort = parseSort('-amount');
+  const last = { _id: new mongoose.Types.ObjectId(), amount: 250, date: new Date() };
+  assert.deepEqual(afterCursor(encodeCursor(last, sort), sort), {
+    $or: [{ amount: { $lt: 250 } }, { amount: 250, _id: { $lt: last._id } }]
+  });
+});
+
+test('a cursor made for another sort is refused', () => {
+  const last = { _id: new mongoose.Types.ObjectId(), amount: 250, date: new Date() };
+  assert.throws(() => afterCursor(encodeCursor(last, parseSort('-date')), parseSort('amount')), { status: 400 });
+  assert.throws(() => afterCursor('not-a-cursor', parseSort()), { status: 400 });
+});
@@ -0,0 +1,50 @@
+// backend/test/webhook.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/setup');
+const express = require('express');
+
+// a fresh copy of the webhook router, reading WEBHOOK_SECRET as it is now
+async function postWebhook(query, body = { event_type: 'message_ack' }) {
+  delete require.cache[require.resolve('../routes/webhook')];
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhook', require('../routes/webhook'));
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/webhook/ultramsg${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('refuses every call while WEBHOOK_SECRET is not set', async () => {
+  delete process.env.WEBHOOK_SECRET;
+  assert.equal((await postWebhook('')).status, 503);
+  assert.equal((await postWebhook('?secret=')).status, 503);
+});
+
+test('checks the secret once it is set', async () => {
+  process.env.WEBHOOK_SECRET = 's3cret';
+  assert.equal((await postWebhook('')).status, 401);
+  assert.equal((await postWebhook('?secret=s3cre')).status, 401);
+  assert.equal((await postWebhook('?secret=s3cret-and-more')).status, 401);
+  const ok = await postWebhook('?secret=s3cret');
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body, { ok: true, ignored: 'event' });
+});
+
+test('ordinary chat gets no reply', async () => {
+  process.env.WEBHOOK_SECRET = 's3cret';
+  const res = await postWebhook('?secret=s3cret', {
+    event_type: 'message_received',
+    data: { from: '919812345678@c.us', type: 'chat', body: 'thanks, got it!' }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true, ignored: 'not_a_command' });
+});
@@ -0,0 +1,188 @@
+// backend/utils/catalogs/hi.js
+// Hindi wording for the built-in message templates (same placeholders as the English defaults)
+module.exports = {
+  debit: [
+    '📅 *तारीख:* {{date}}',
+    '👤 नाम: {{name}}',
+    '',
+    '💰 *निश्चित बचत राशि:* {{savedAmount}}',
+    '💸 खर्च: {{amount}}',
+    '💳 पिछला बैलेंस: {{previousBalance}}',
+    '🧾 आज का कुल खर्च: {{todaySpent}}',
+    '📉 *उपलब्ध बैलेंस:* {{balance}}',
+    '',
+    '📝 *नोट:* {{note}}',
+    '',
+    '🤖 *यह Chinmay द्वारा भेजा गया स्वचालित संदेश है — कृपया जवाब न दें।*'
+  ].join('\n'),
+
+  credit: [
+    '📅 *तारीख:* {{date}}',
+    '👤 नाम: {{name}}',
+    '',
+    '💰 *निश्चित बचत राशि:* {{savedAmount}}',
+    '💵 जमा: {{amount}}',
+    '💳 पिछला बैलेंस: {{previousBalance}}',
+    '📈 *उपलब्ध बैलेंस:* {{balance}}',
+    '',
+    '📝 *नोट:* {{note}}',
+    '',
+    '🤖 *स्वचालित संदेश — Savings Manager*'
+  ].join('\n'),
+
+  loan_created: [
+    '📢 *उधार दर्ज किया गया*',
+    '',
+    '🗓 तारीख: {{date}}',
+    '👤 नाम: {{name}}',
+    '💸 उधार लिया: {{amount}}',
+    '📉 पिछला बकाया: {{previousOwed}}',
+    '📈 नया बकाया: {{newOwed}}{{#dueDate}}',
+    '⏳ लौटाने की तारीख: {{dueDate}}{{/dueDate}}',
+    '',
+    '📝 नोट: {{note}}',
+    '',
+    'कृपया इसे ध्यान में रखें। 🙏',
+    '',
+    '— Savings Manager का स्वचालित संदेश'
+  ].join('\n'),
+
+  loan_reminder: [
+    '🔔 *याद दिलाना: कृपया पैसे लौटाएँ*',
+    '',
+    'नमस्ते {{name}},',
+    'यह आपकी उधार ली गई राशि की याद दिलाने के लिए है:',
+    '',
+    '💸 राशि: {{amount}}{{#interest}}',
+    '📈 जुड़ा हुआ ब्याज: {{interest}}{{/interest}}{{#totalDueChanged}}',
+    '💰 कुल बकाया: {{totalDue}}{{/totalDueChanged}}',
+    '🗓 उधार की तारीख: {{borrowedDate}}{{#dueDate}}',
+    '⏳ लौटाने की तारीख: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+    '⚠️ तय तारीख को {{overdueBy}} बीत चुके हैं{{/overdueBy}}',
+    '📝 कारण: {{reason}}',
+    '',
+    'कृपया जल्द से जल्द लौटा दें। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  total_reminder: [
+    '🔔 *याद दिलाना: कृपया पैसे लौटाएँ*',
+    '',
+    'नमस्ते {{name}},',
+    'यह आपकी उधार ली गई राशि की याद दिलाने के लिए है:',
+    '',
+    '💸 राशि: {{owed}}',
+    '🗓 तारीख: {{date}}{{#dueDate}}',
+    '⏳ लौटाने की तारीख: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+    '⚠️ तय तारीख को {{overdueBy}} बीत चुके हैं{{/overdueBy}}',
+    '📝 कारण: {{note}}',
+    '',
+    'कृपया जल्द से जल्द लौटा दें। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  repayment_receipt: [
+    '✅ *भुगतान प्राप्त हुआ*',
+    '',
+    'नमस्ते {{name}},',
+    'हमें {{date}} को {{amount}} प्राप्त हुए।',
+    '',
+    '{{#allocations}}🧾 इनमें जमा किया गया:',
+    '{{allocations}}',
+    '',
+    '{{/allocations}}📉 शेष बकाया: {{remainingOwed}}',
+    '',
+    'धन्यवाद! 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  low_balance: [
+    '⚠️ *कम बैलेंस*',
+    '',
+    'नमस्ते {{name}},',
+    'आपका उपलब्ध बैलेंस अब {{balance}} है, जो {{threshold}} से कम है।',
+    '',
+    '📅 {{date}}',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  low_balance_owner: [
+    '⚠️ *कम बैलेंस: {{name}}*',
+    '',
+    '{{name}} का उपलब्ध बैलेंस अब {{balance}} है, जो {{threshold}} से कम है।',
+    '',
+    '📅 {{date}}'
+  ].join('\n'),
+
+  monthly_statement: [
+    '🧾 *विवरण: {{period}}*',
+    '',
+    'नमस्ते {{name}},',
+    'आपका पूरा विवरण PDF में संलग्न है।',
+    '',
+    '💵 जमा: {{credits}}',
+    '💸 खर्च: {{debits}}',
+    '📤 उधार लिया: {{loans}}',
+    '📥 लौटाया: {{repaid}}',
+    '',
+    '📉 *अंतिम बैलेंस:* {{balance}}{{#owed}}',
+    '💰 *अभी बकाया:* {{owed}}{{/owed}}',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  correction: [
+    '↩️ *सुधार*',
+    '',
+    'नमस्ते {{name}},',
+    '{{originalDate}} का {{amount}} का {{kind}} गलती से दर्ज हुआ था और उसे वापस ले लिया गया है।',
+    '{{#note}}📝 {{note}}',
+    '{{/note}}{{#balance}}',
+    '📉 *उपलब्ध बैलेंस:* {{balance}}{{/balance}}{{#owed}}',
+    '💰 *अभी बाकी:* {{owed}}{{/owed}}',
+    '',
+    '📅 {{date}}',
+    '',
+    'असुविधा के लिए खेद है। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  chat_balance: [
+    '👤 नाम: {{name}}',
+    '',
+    '💰 *निश्चित बचत राशि:* {{savedAmount}}',
+    '📉 *उपलब्ध बैलेंस:* {{balance}}',
+    '🗓 अपडेट: {{date}}',
+    '',
+    '🤖 *स्वचालित जवाब — Savings Manager*'
+  ].join('\n'),
+
+  chat_history: [
+    '🧾 *पिछले {{count}} लेन-देन* — {{name}}',
+    '',
+    '{{transactions}}',
+    '',
+    '🤖 *स्वचालित जवाब — Savings Manager*'
+  ].join('\n'),
+
+  chat_owed: [
+    '👤 नाम: {{name}}',
+    '',
+    '{{#owed}}💸 *अभी आपका बकाया:* {{owed}}{{/owed}}{{#settled}}✅ अभी आप पर कुछ बकाया नहीं है।{{/settled}}',
+    '',
+    '🤖 *स्वचालित जवाब — Savings Manager*'
+  ].join('\n'),
+
+  chat_help: [
+    '🤖 *Savings Manager कमांड*',
+    '',
+    '*BAL* — आपका उपलब्ध बैलेंस',
+    '*HISTORY* — आपके पिछले {{count}} लेन-देन',
+    '*OWED* — अभी आपका कितना बकाया है'
+  ].join('\n')
+};
@@ -0,0 +1,188 @@
+// backend/utils/catalogs/or.js
+// Odia wording for the built-in message templates (same placeholders as the English defaults)
+module.exports = {
+  debit: [
+    '📅 *ତାରିଖ:* {{date}}',
+    '👤 ନାମ: {{name}}',
+    '',
+    '💰 *ସ୍ଥିର ସଞ୍ଚୟ ରାଶି:* {{savedAmount}}',
+    '💸 ଖର୍ଚ୍ଚ: {{amount}}',
+    '💳 ପୂର୍ବ ବାଲାନ୍ସ: {{previousBalance}}',
+    '🧾 ଆଜିର ମୋଟ ଖର୍ଚ୍ଚ: {{todaySpent}}',
+    '📉 *ଉପଲବ୍ଧ ବାଲାନ୍ସ:* {{balance}}',
+    '',
+    '📝 *ନୋଟ:* {{note}}',
+    '',
+    '🤖 *ଏହା Chinmay ଙ୍କ ଦ୍ୱାରା ପଠାଯାଇଥିବା ସ୍ୱୟଂଚାଳିତ ବାର୍ତ୍ତା — ଦୟାକରି ଉତ୍ତର ଦିଅନ୍ତୁ ନାହିଁ।*'
+  ].join('\n'),
+
+  credit: [
+    '📅 *ତାରିଖ:* {{date}}',
+    '👤 ନାମ: {{name}}',
+    '',
+    '💰 *ସ୍ଥିର ସଞ୍ଚୟ ରାଶି:* {{savedAmount}}',
+    '💵 ଜମା: {{amount}}',
+    '💳 ପୂର୍ବ ବାଲାନ୍ସ: {{previousBalance}}',
+    '📈 *ଉପଲବ୍ଧ ବାଲାନ୍ସ:* {{balance}}',
+    '',
+    '📝 *ନୋଟ:* {{note}}',
+    '',
+    '🤖 *ସ୍ୱୟଂଚାଳିତ ବାର୍ତ୍ତା — Savings Manager*'
+  ].join('\n'),
+
+  loan_created: [
+    '📢 *ଋଣ ଲିପିବଦ୍ଧ ହେଲା*',
+    '',
+    '🗓 ତାରିଖ: {{date}}',
+    '👤 ନାମ: {{name}}',
+    '💸 ଋଣ ନେଇଛନ୍ତି: {{amount}}',
+    '📉 ପୂର୍ବ ବାକି: {{previousOwed}}',
+    '📈 ନୂଆ ବାକି: {{newOwed}}{{#dueDate}}',
+    '⏳ ଫେରାଇବା ତାରିଖ: {{dueDate}}{{/dueDate}}',
+    '',
+    '📝 ନୋଟ: {{note}}',
+    '',
+    'ଦୟାକରି ଏହା ମନେ ରଖନ୍ତୁ। 🙏',
+    '',
+    '— Savings Manager ର ସ୍ୱୟଂଚାଳିତ ବାର୍ତ୍ତା'
+  ].join('\n'),
+
+  loan_reminder: [
+    '🔔 *ସ୍ମାରକ: ଦୟାକରି ଟଙ୍କା ଫେରାନ୍ତୁ*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    'ଆପଣ ଋଣ ନେଇଥିବା ରାଶି ପାଇଁ ଏହା ଏକ ସ୍ମାରକ:',
+    '',
+    '💸 ରାଶି: {{amount}}{{#interest}}',
+    '📈 ଜମା ହୋଇଥିବା ସୁଧ: {{interest}}{{/interest}}{{#totalDueChanged}}',
+    '💰 ମୋଟ ବାକି: {{totalDue}}{{/totalDueChanged}}',
+    '🗓 ଋଣ ତାରିଖ: {{borrowedDate}}{{#dueDate}}',
+    '⏳ ଫେରାଇବା ତାରିଖ: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+    '⚠️ ଫେରାଇବା ତାରିଖରୁ {{overdueBy}} ବିତିଗଲାଣି{{/overdueBy}}',
+    '📝 କାରଣ: {{reason}}',
+    '',
+    'ଦୟାକରି ଯଥାଶୀଘ୍ର ଫେରାଇ ଦିଅନ୍ତୁ। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  total_reminder: [
+    '🔔 *ସ୍ମାରକ: ଦୟାକରି ଟଙ୍କା ଫେରାନ୍ତୁ*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    'ଆପଣ ଋଣ ନେଇଥିବା ରାଶି ପାଇଁ ଏହା ଏକ ସ୍ମାରକ:',
+    '',
+    '💸 ରାଶି: {{owed}}',
+    '🗓 ତାରିଖ: {{date}}{{#dueDate}}',
+    '⏳ ଫେରାଇବା ତାରିଖ: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+    '⚠️ ଫେରାଇବା ତାରିଖରୁ {{overdueBy}} ବିତିଗଲାଣି{{/overdueBy}}',
+    '📝 କାରଣ: {{note}}',
+    '',
+    'ଦୟାକରି ଯଥାଶୀଘ୍ର ଫେରାଇ ଦିଅନ୍ତୁ। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  repayment_receipt: [
+    '✅ *ପରିଶୋଧ ମିଳିଲା*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    '{{date}} ରେ {{amount}} ମିଳିଛି।',
+    '',
+    '{{#allocations}}🧾 ଏଥିରେ ଜମା ହେଲା:',
+    '{{allocations}}',
+    '',
+    '{{/allocations}}📉 ବାକି ରହିଲା: {{remainingOwed}}',
+    '',
+    'ଧନ୍ୟବାଦ! 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  low_balance: [
+    '⚠️ *କମ୍ ବାଲାନ୍ସ*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    'ଆପଣଙ୍କ ଉପଲବ୍ଧ ବାଲାନ୍ସ ଏବେ {{balance}}, ଯାହା {{threshold}} ରୁ କମ୍।',
+    '',
+    '📅 {{date}}',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  low_balance_owner: [
+    '⚠️ *କମ୍ ବାଲାନ୍ସ: {{name}}*',
+    '',
+    '{{name}} ଙ୍କ ଉପଲବ୍ଧ ବାଲାନ୍ସ ଏବେ {{balance}}, ଯାହା {{threshold}} ରୁ କମ୍।',
+    '',
+    '📅 {{date}}'
+  ].join('\n'),
+
+  monthly_statement: [
+    '🧾 *ବିବରଣୀ: {{period}}*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    'ଆପଣଙ୍କ ପୂର୍ଣ୍ଣ ବିବରଣୀ PDF ରେ ସଂଲଗ୍ନ ଅଛି।',
+    '',
+    '💵 ଜମା: {{credits}}',
+    '💸 ଖର୍ଚ୍ଚ: {{debits}}',
+    '📤 ଋଣ ନେଲେ: {{loans}}',
+    '📥 ଫେରାଇଲେ: {{repaid}}',
+    '',
+    '📉 *ଶେଷ ବାଲାନ୍ସ:* {{balance}}{{#owed}}',
+    '💰 *ଏବେ ବାକି:* {{owed}}{{/owed}}',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  correction: [
+    '↩️ *ସଂଶୋଧନ*',
+    '',
+    'ନମସ୍କାର {{name}},',
+    '{{originalDate}} ର {{amount}} {{kind}} ଭୁଲରେ ରେକର୍ଡ ହୋଇଥିଲା ଏବଂ ଏହାକୁ ଫେରାଇ ନିଆଯାଇଛି।',
+    '{{#note}}📝 {{note}}',
+    '{{/note}}{{#balance}}',
+    '📉 *ଉପଲବ୍ଧ ବାଲାନ୍ସ:* {{balance}}{{/balance}}{{#owed}}',
+    '💰 *ଏବେ ବାକି:* {{owed}}{{/owed}}',
+    '',
+    '📅 {{date}}',
+    '',
+    'ଅସୁବିଧା ପାଇଁ ଦୁଃଖିତ। 🙏',
+    '',
+    '— Savings Manager'
+  ].join('\n'),
+
+  chat_balance: [
+    '👤 ନାମ: {{name}}',
+    '',
+    '💰 *ସ୍ଥିର ସଞ୍ଚୟ ରାଶି:* {{savedAmount}}',
+    '📉 *ଉପଲବ୍ଧ ବାଲାନ୍ସ:* {{balance}}',
+    '🗓 ଅପଡେଟ୍: {{date}}',
+    '',
+    '🤖 *ସ୍ୱୟଂଚାଳିତ ଉତ୍ତର — Savings Manager*'
+  ].join('\n'),
+
+  chat_history: [
+    '🧾 *ଶେଷ {{count}}ଟି କାରବାର* — {{name}}',
+    '',
+    '{{transactions}}',
+    '',
+    '🤖 *ସ୍ୱୟଂଚାଳିତ ଉତ୍ତର — Savings Manager*'
+  ].join('\n'),
+
+  chat_owed: [
+    '👤 ନାମ: {{name}}',
+    '',
+    '{{#owed}}💸 *ଆପଣଙ୍କ ବର୍ତ୍ତମାନ ବାକି:* {{owed}}{{/owed}}{{#settled}}✅ ବର୍ତ୍ତମାନ ଆପଣଙ୍କ ଉପରେ କିଛି ବାକି ନାହିଁ।{{/settled}}',
+    '',
+    '🤖 *ସ୍ୱୟଂଚାଳିତ ଉତ୍ତର — Savings Manager*'
+  ].join('\n'),
+
+  chat_help: [
+    '🤖 *Savings Manager କମାଣ୍ଡ*',
+    '',
+    '*BAL* — ଆପଣଙ୍କ ଉପଲବ୍ଧ ବାଲାନ୍ସ',
+    '*HISTORY* — ଆପଣଙ୍କ ଶେଷ {{count}}ଟି କାରବାର',
+    '*OWED* — ଆପଣଙ୍କ ବର୍ତ୍ତମାନ କେତେ ବାକି'
+  ].join('\n')
+};
@@ -0,0 +1,71 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV reading and writing: quoted fields, "" escapes, CRLF/LF line ends and a UTF-8 BOM.
+
+// spreadsheets saved with a European locale use ';' — pick whichever the header line uses more
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (ch) => firstLine.split(ch).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into an array of rows (one per record), each an array of cell strings.
+ */
+function parseCsv(text, delimiter) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // a leading = + - @ would run as a formula in Excel; numbers are written as they are
+  if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows (arrays of values) → CSV text with CRLF line ends and a BOM, so Excel reads UTF-8 correctly.
+ */
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,45 @@
+// backend/utils/i18n.js
+// Languages friends can receive WhatsApp messages in.
+const hi = require('./catalogs/hi');
+const or = require('./catalogs/or');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// `locale` drives date formatting; `catalog` overrides the English template bodies
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en-IN', catalog: {} },
+  hi: { label: 'हिन्दी (Hindi)', locale: 'hi-IN', catalog: hi },
+  or: { label: 'ଓଡ଼ିଆ (Odia)', locale: 'or-IN', catalog: or }
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// short phrases that end up inside placeholder values
+const PHRASES = {
+  en: {
+    days: n => `${n} day${n === 1 ? '' : 's'}`, left: 'left', loan: 'Loan', noTransactions: 'No transactions yet.',
+    types: { debit: 'debit', credit: 'credit', loan: 'loan', repay: 'repayment' }
+  },
+  hi: {
+    days: n => `${n} दिन`, left: 'बाकी', loan: 'उधार', noTransactions: 'अभी तक कोई लेन-देन नहीं।',
+    types: { debit: 'खर्च', credit: 'जमा', loan: 'उधार', repay: 'वापसी' }
+  },
+  or: {
+    days: n => `${n} ଦିନ`, left: 'ବାକି', loan: 'ଋଣ', noTransactions: 'ଏପର୍ଯ୍ୟନ୍ତ କୌଣସି କାରବାର ନାହିଁ।',
+    types: { debit: 'ଖର୍ଚ୍ଚ', credit: 'ଜମା', loan: 'ଋଣ', repay: 'ଫେରସ୍ତ' }
+  }
+};
+
+function languageOf(code) {
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function localeFor(code) {
+  return LANGUAGES[languageOf(code)].locale;
+}
+
+function phrases(code) {
+  return PHRASES[languageOf(code)];
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_CODES, languageOf, localeFor, phrases };
@@ -0,0 +1,130 @@
+// backend/utils/interest.js
+// Pure loan maths: interest accrual and oldest-first repayment allocation.
+//
+// A loan's interest settings live on the loan Transaction:
+//   interestType: 'none' | 'simple' | 'compound' (compounded monthly)
+//   interestRate: annual rate in percent
+//   interestStartDate: accrual start (defaults to the loan date)
+// Repayments pay a loan's unpaid interest first, then its principal.
+// Reversed entries and the counter-entries that reversed them are left out entirely.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function entryDate(t) {
+  return new Date(t.date || t.createdAt || Date.now());
+}
+
+function hasInterest(loan) {
+  return loan.interestType && loan.interestType !== 'none' && Number(loan.interestRate) > 0;
+}
+
+// Grow unpaid interest for one loan state between two instants.
+function accrue(state, from, to) {
+  const { loan } = state;
+  if (!hasInterest(loan)) return;
+
+  const start = new Date(Math.max(from.getTime(), state.interestStart.getTime()));
+  if (to <= start || state.principal + state.interestDue <= 0) return;
+
+  const years = (to - start) / DAY_MS / DAYS_PER_YEAR;
+  const rate = Number(loan.interestRate) / 100;
+  let added;
+  if (loan.interestType === 'compound') {
+    // monthly compounding on principal + unpaid interest
+    const base = state.principal + state.interestDue;
+    added = base * (Math.pow(1 + rate / 12, years * 12) - 1);
+  } else {
+    added = state.principal * rate * years;
+  }
+  state.interestDue += added;
+  state.interestAccrued += added;
+}
+
+/**
+ * Replay a friend's loan and repay entries up to `asOf`.
+ * Returns {
+ *   loans: Map(loanId → { principal, interestAccrued, interestPaid, interestDue, totalDue }),
+ *   allocations: Map(repayId → [{ loan, amount, interest, principal }]),
+ *   unallocated,  // repaid beyond everything owed
+ *   totalDue      // Σ principal + interest still owed
+ * }
+ */
+function simulateLoans(entries, asOf = new Date()) {
+  const sorted = [...entries]
+    .filter(t => (t.type === 'loan' || t.type === 'repay') && !t.reversedBy && !t.reversalOf)
+    .sort((a, b) => entryDate(a) - entryDate(b) || String(a._id).localeCompare(String(b._id)));
+
+  const states = [];
+  const allocations = new Map();
+  let unallocated = 0;
+  let clock = null;
+
+  const advance = (to) => {
+    for (const s of states) accrue(s, clock || to, to);
+    clock = to;
+  };
+
+  for (const entry of sorted) {
+    const at = entryDate(entry);
+    advance(at);
+
+    if (entry.type === 'loan') {
+      states.push({
+        loan: entry,
+        principal: Number(entry.amount || 0),
+        interestStart: entry.interestStartDate ? new Date(entry.interestStartDate) : at,
+        interestAccrued: 0,
+        interestPaid: 0,
+        interestDue: 0
+      });
+      continue;
+    }
+
+    // repay: oldest loan first, interest before principal
+    let left = Number(entry.amount || 0);
+    const rows = [];
+    for (const s of states) {
+      if (left <= 0) break;
+      const payInterest = Math.min(left, round2(s.interestDue));
+      left -= payInterest;
+      const payPrincipal = Math.min(left, s.principal);
+      left -= payPrincipal;
+      if (payInterest <= 0 && payPrincipal <= 0) continue;
+
+      s.interestDue = Math.max(s.interestDue - payInterest, 0);
+      s.interestPaid += payInterest;
+      s.principal -= payPrincipal;
+      rows.push({
+        loan: s.loan._id,
+        amount: round2(payInterest + payPrincipal),
+        interest: round2(payInterest),
+        principal: round2(payPrincipal)
+      });
+    }
+    allocations.set(String(entry._id), rows);
+    unallocated += left;
+  }
+
+  advance(new Date(Math.max(asOf.getTime(), (clock || asOf).getTime())));
+
+  const loans = new Map();
+  let totalDue = 0;
+  for (const s of states) {
+    const row = {
+      principal: round2(s.principal),
+      interestAccrued: round2(s.interestAccrued),
+      interestPaid: round2(s.interestPaid),
+      interestDue: round2(s.interestDue)
+    };
+    row.totalDue = round2(row.principal + row.interestDue);
+    totalDue += row.totalDue;
+    loans.set(String(s.loan._id), row);
+  }
+
+  return { loans, allocations, unallocated: round2(unallocated), totalDue: round2(totalDue) };
+}
+
+module.exports = { simulateLoans, hasInterest, round2 };
@@ -0,0 +1,31 @@
+// backend/utils/loanStatus.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// whole days past `dueDate` (a loan is at least 1 day overdue once the due instant passes)
+function daysPastDue(dueDate, now = new Date()) {
+  if (!dueDate || new Date(dueDate) >= now) return 0;
+  return Math.max(Math.floor((now - new Date(dueDate)) / DAY_MS), 1);
+}
+
+/**
+ * Due-date status of a loan entry given what is still due on it.
+ * Returns { status: 'paid' | 'open' | 'overdue', daysOverdue }.
+ */
+function dueStatus(loan, totalDue, now = new Date()) {
+  if (!(Number(totalDue) > 0)) return { status: 'paid', daysOverdue: 0 };
+  const daysOverdue = daysPastDue(loan.dueDate, now);
+  return { status: daysOverdue > 0 ? 'overdue' : 'open', daysOverdue };
+}
+
+// earliest due date among loans that still have something due (null when none has a due date)
+function nextDueDate(loans, sim) {
+  let earliest = null;
+  for (const loan of loans) {
+    const row = sim.loans.get(String(loan._id));
+    if (!loan.dueDate || !row || row.totalDue <= 0) continue;
+    if (!earliest || new Date(loan.dueDate) < earliest) earliest = new Date(loan.dueDate);
+  }
+  return earliest;
+}
+
+module.exports = { daysPastDue, dueStatus, nextDueDate };
@@ -0,0 +1,374 @@
+// backend/utils/messageTemplates.js
+// Built-in wording for every outgoing message and the {{placeholder}} renderer.
+// Bodies here are English; other languages come from utils/catalogs via utils/i18n.js.
+//
+// Syntax:
+//   {{name}}               value of `name` ('' when missing)
+//   {{#name}}...{{/name}}  the inner text only when `name` is set (not empty, 0 or false)
+// Money values arrive already formatted in the friend's currency ("₹500", "$12.50").
+
+const { LANGUAGES, languageOf } = require('./i18n');
+
+const SECTION = /\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+const TAG = /\{\{\s*([#/]?)\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATES = {
+  debit: {
+    label: 'Money sent (debit)',
+    placeholders: {
+      date: 'Transaction date and time',
+      name: 'Friend name',
+      savedAmount: 'Fixed saved amount',
+      amount: 'Amount debited',
+      previousBalance: 'Balance before the debit',
+      todaySpent: 'Total debited today',
+      balance: 'Available balance after the debit',
+      note: 'Note ("—" when empty)'
+    },
+    body: [
+      '📅 *Date:* {{date}}',
+      '👤 Name: {{name}}',
+      '',
+      '💰 *Fixed Saved Amount*: {{savedAmount}}',
+      '💸 Debited: {{amount}}',
+      '💳 Previous Balance: {{previousBalance}}',
+      "🧾 Today's Total Spent: {{todaySpent}}",
+      '📉 *Available Balance:* {{balance}}',
+      '',
+      '📝 *Note:* {{note}}',
+      '',
+      "🤖 *This is an automated message by Chinmay — please don't reply.*"
+    ].join('\n')
+  },
+
+  credit: {
+    label: 'Money added (credit)',
+    placeholders: {
+      date: 'Transaction date and time',
+      name: 'Friend name',
+      savedAmount: 'Fixed saved amount',
+      amount: 'Amount credited',
+      previousBalance: 'Balance before the credit',
+      balance: 'Available balance after the credit',
+      note: 'Note ("—" when empty)'
+    },
+    body: [
+      '📅 *Date:* {{date}}',
+      '👤 Name: {{name}}',
+      '',
+      '💰 *Fixed Saved Amount:* {{savedAmount}}',
+      '💵 Credited: {{amount}}',
+      '💳 Previous Balance: {{previousBalance}}',
+      '📈 *Available Balance:* {{balance}}',
+      '',
+      '📝 *Note:* {{note}}',
+      '',
+      '🤖 *Automated message — Savings Manager*'
+    ].join('\n')
+  },
+
+  loan_created: {
+    label: 'Loan recorded',
+    placeholders: {
+      date: 'Loan date',
+      name: 'Friend name',
+      amount: 'Amount borrowed',
+      previousOwed: 'Owed before this loan',
+      newOwed: 'Owed including this loan',
+      dueDate: 'Due date (empty when none)',
+      note: 'Reason or note ("—" when empty)'
+    },
+    body: [
+      '📢 *Loan Recorded*',
+      '',
+      '🗓 Date: {{date}}',
+      '👤 Name: {{name}}',
+      '💸 Borrowed: {{amount}}',
+      '📉 Previous Owed: {{previousOwed}}',
+      '📈 New Owed: {{newOwed}}{{#dueDate}}',
+      '⏳ Due by: {{dueDate}}{{/dueDate}}',
+      '',
+      '📝 Note: {{note}}',
+      '',
+      'Please keep this in mind. 🙏',
+      '',
+      '— Automated message from Savings Manager'
+    ].join('\n')
+  },
+
+  loan_reminder: {
+    label: 'Reminder for one loan',
+    placeholders: {
+      name: 'Friend name',
+      amount: 'Amount borrowed',
+      interest: 'Unpaid interest (empty when none)',
+      totalDue: 'Principal + interest still due',
+      totalDueChanged: 'Set when the total due differs from the amount borrowed',
+      borrowedDate: 'Loan date',
+      dueDate: 'Due date (empty when none)',
+      overdueBy: 'e.g. "3 days" (empty when not overdue)',
+      reason: 'Reason ("—" when empty)'
+    },
+    body: [
+      '🔔 *Reminder: Please return*',
+      '',
+      'Hi {{name}},',
+      'This is a reminder for the borrowed amount:',
+      '',
+      '💸 Amount: {{amount}}{{#interest}}',
+      '📈 Accrued interest: {{interest}}{{/interest}}{{#totalDueChanged}}',
+      '💰 Total due: {{totalDue}}{{/totalDueChanged}}',
+      '🗓 Borrowed on: {{borrowedDate}}{{#dueDate}}',
+      '⏳ Due by: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+      '⚠️ Overdue by {{overdueBy}}{{/overdueBy}}',
+      '📝 Reason: {{reason}}',
+      '',
+      'Please return at your earliest convenience. 🙏',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  total_reminder: {
+    label: 'Reminder for everything owed',
+    placeholders: {
+      name: 'Friend name',
+      owed: 'Total owed including interest',
+      date: 'Date of the reminder',
+      dueDate: 'Earliest due date of the open loans (empty when none)',
+      overdueBy: 'e.g. "3 days" (empty when not overdue)',
+      note: 'Note ("—" when empty)'
+    },
+    body: [
+      '🔔 *Reminder: Please return*',
+      '',
+      'Hi {{name}},',
+      'This is a reminder for the borrowed amount:',
+      '',
+      '💸 Amount: {{owed}}',
+      '🗓 Borrowed on: {{date}}{{#dueDate}}',
+      '⏳ Due by: {{dueDate}}{{/dueDate}}{{#overdueBy}}',
+      '⚠️ Overdue by {{overdueBy}}{{/overdueBy}}',
+      '📝 Reason: {{note}}',
+      '',
+      'Please return at your earliest convenience. 🙏',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  repayment_receipt: {
+    label: 'Repayment receipt',
+    placeholders: {
+      name: 'Friend name',
+      amount: 'Amount repaid',
+      date: 'Repayment date',
+      allocations: 'One "• loan: ₹x → ₹y left" line per loan paid',
+      remainingOwed: 'Still owed after the repayment'
+    },
+    body: [
+      '✅ *Repayment Received*',
+      '',
+      'Hi {{name}},',
+      'We received {{amount}} on {{date}}.',
+      '',
+      '{{#allocations}}🧾 Applied to:',
+      '{{allocations}}',
+      '',
+      '{{/allocations}}📉 Remaining owed: {{remainingOwed}}',
+      '',
+      'Thank you! 🙏',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  low_balance: {
+    label: 'Low balance alert (to the friend)',
+    placeholders: {
+      date: 'Date and time of the debit',
+      name: 'Friend name',
+      balance: 'Available balance now',
+      threshold: 'Low-balance threshold'
+    },
+    body: [
+      '⚠️ *Low balance*',
+      '',
+      'Hi {{name}},',
+      'your available balance is now {{balance}}, below {{threshold}}.',
+      '',
+      '📅 {{date}}',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  low_balance_owner: {
+    label: 'Low balance alert (to you, the manager)',
+    placeholders: {
+      date: 'Date and time of the debit',
+      name: 'Friend name',
+      balance: "Friend's available balance now",
+      threshold: 'Low-balance threshold'
+    },
+    body: [
+      '⚠️ *Low balance: {{name}}*',
+      '',
+      "{{name}}'s available balance is now {{balance}}, below {{threshold}}.",
+      '',
+      '📅 {{date}}'
+    ].join('\n')
+  },
+
+  monthly_statement: {
+    label: 'Statement (cover text of the PDF)',
+    placeholders: {
+      name: 'Friend name',
+      period: 'e.g. "September 2026", or the first and last day',
+      credits: 'Total credited in the period',
+      debits: 'Total spent in the period',
+      loans: 'Total borrowed in the period',
+      repaid: 'Total repaid in the period',
+      balance: 'Available balance at the end of the period',
+      owed: 'Still owed at the end of the period (empty when nothing)'
+    },
+    body: [
+      '🧾 *Statement: {{period}}*',
+      '',
+      'Hi {{name}},',
+      'Your full statement is attached as a PDF.',
+      '',
+      '💵 Credited: {{credits}}',
+      '💸 Spent: {{debits}}',
+      '📤 Borrowed: {{loans}}',
+      '📥 Repaid: {{repaid}}',
+      '',
+      '📉 *Closing Balance:* {{balance}}{{#owed}}',
+      '💰 *Still owed:* {{owed}}{{/owed}}',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  correction: {
+    label: 'Correction (an entry was reversed)',
+    placeholders: {
+      date: 'Date and time of the correction',
+      name: 'Friend name',
+      kind: 'What was reversed: debit, credit, loan or repayment',
+      amount: 'Amount of the reversed entry',
+      originalDate: 'Date of the reversed entry',
+      note: 'Why it was reversed (empty when not given)',
+      balance: 'Available balance now (debits and credits only)',
+      owed: 'Still owed now (loans and repayments only)'
+    },
+    body: [
+      '↩️ *Correction*',
+      '',
+      'Hi {{name}},',
+      'the {{kind}} of {{amount}} on {{originalDate}} was recorded by mistake and has been reversed.',
+      '{{#note}}📝 {{note}}',
+      '{{/note}}{{#balance}}',
+      '📉 *Available Balance:* {{balance}}{{/balance}}{{#owed}}',
+      '💰 *Still owed:* {{owed}}{{/owed}}',
+      '',
+      '📅 {{date}}',
+      '',
+      'Sorry for the confusion. 🙏',
+      '',
+      '— Savings Manager'
+    ].join('\n')
+  },
+
+  // automatic replies to WhatsApp commands sent by friends (controllers/chatCommands.js)
+  chat_balance: {
+    label: 'Reply to BAL',
+    placeholders: {
+      name: 'Friend name',
+      savedAmount: 'Fixed saved amount',
+      balance: 'Available balance',
+      date: 'When the balance last changed'
+    },
+    body: [
+      '👤 Name: {{name}}',
+      '',
+      '💰 *Fixed Saved Amount:* {{savedAmount}}',
+      '📉 *Available Balance:* {{balance}}',
+      '🗓 Updated: {{date}}',
+      '',
+      '🤖 *Automated reply — Savings Manager*'
+    ].join('\n')
+  },
+
+  chat_history: {
+    label: 'Reply to HISTORY',
+    placeholders: {
+      name: 'Friend name',
+      count: 'How many transactions are listed at most',
+      transactions: 'One line per transaction, newest first'
+    },
+    body: [
+      '🧾 *Last {{count}} transactions* — {{name}}',
+      '',
+      '{{transactions}}',
+      '',
+      '🤖 *Automated reply — Savings Manager*'
+    ].join('\n')
+  },
+
+  chat_owed: {
+    label: 'Reply to OWED',
+    placeholders: {
+      name: 'Friend name',
+      owed: 'Amount owed, principal and interest (empty when nothing is owed)',
+      settled: 'Set when nothing is owed'
+    },
+    body: [
+      '👤 Name: {{name}}',
+      '',
+      "{{#owed}}💸 *You currently owe:* {{owed}}{{/owed}}{{#settled}}✅ You don't owe anything right now.{{/settled}}",
+      '',
+      '🤖 *Automated reply — Savings Manager*'
+    ].join('\n')
+  },
+
+  chat_help: {
+    label: 'Reply to HELP (command list)',
+    placeholders: {
+      count: 'How many transactions HISTORY lists'
+    },
+    body: [
+      '🤖 *Savings Manager commands*',
+      '',
+      '*BAL* — your available balance',
+      '*HISTORY* — your last {{count}} transactions',
+      '*OWED* — how much you currently owe'
+    ].join('\n')
+  }
+};
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+// built-in body of `key` in `language` (English when the catalog has no translation)
+function defaultBody(key, language) {
+  return LANGUAGES[languageOf(language)].catalog[key] || DEFAULT_TEMPLATES[key].body;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+}
+
+function renderTemplate(body, vars = {}) {
+  return String(body)
+    .replace(SECTION, (_, name, inner) => (isSet(vars[name]) ? inner : ''))
+    .replace(TAG, (_, kind, name) => (kind || vars[name] === undefined || vars[name] === null ? '' : String(vars[name])));
+}
+
+// placeholder names used in `body` that template `key` does not provide
+function unknownPlaceholders(key, body) {
+  const known = DEFAULT_TEMPLATES[key] ? DEFAULT_TEMPLATES[key].placeholders : {};
+  const used = new Set([...String(body).matchAll(TAG)].map(m => m[2]));
+  return [...used].filter(name => !(name in known));
+}
+
+module.exports = { DEFAULT_TEMPLATES, TEMPLATE_KEYS, defaultBody, renderTemplate, unknownPlaceholders };
@@ -0,0 +1,39 @@
+// backend/utils/money.js
+// The one formatter for amounts shown to people (WhatsApp messages, chat replies, errors).
+// Amounts are stored as plain numbers in the friend's currency (ISO 4217 code on Friend).
+
+const DEFAULT_CURRENCY = 'INR';
+
+const SUPPORTED = new Set(Intl.supportedValuesOf('currency'));
+const formatters = new Map();
+
+function isValidCurrency(code) {
+  return typeof code === 'string' && SUPPORTED.has(code);
+}
+
+function formatter(currency, locale, whole) {
+  const key = `${locale}|${currency}|${whole}`;
+  if (!formatters.has(key)) {
+    // whole amounts print without decimals ("₹500"), others with the currency's usual digits ("₹12.50")
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency, ...(whole ? { minimumFractionDigits: 0 } : {}) }));
+  }
+  return formatters.get(key);
+}
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY, locale = 'en-IN') {
+  const n = Number(amount) || 0;
+  const code = isValidCurrency(currency) ? currency : DEFAULT_CURRENCY;
+  return formatter(code, locale, Number.isInteger(n)).format(n);
+}
+
+// { INR: 1200, USD: 35 } style totals for rows that carry a currency
+function totalsByCurrency(rows, pick) {
+  const totals = {};
+  for (const row of rows) {
+    const code = row.currency || DEFAULT_CURRENCY;
+    totals[code] = Math.round(((totals[code] || 0) + Number(pick(row) || 0)) * 100) / 100;
+  }
+  return totals;
+}
+
+module.exports = { DEFAULT_CURRENCY, isValidCurrency, formatMoney, totalsByCurrency };
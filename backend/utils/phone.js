@@ -0,0 +1,23 @@
+// backend/utils/phone.js
+function normalizePhone(to) {
+  if (!to) return '';
+  return String(to).replace(/\D/g, ''); // digits-only, e.g. 919812345678
+}
+
+// Same number written with or without the country code, e.g. 9812345678 vs 919812345678
+function phonesMatch(a, b) {
+  const x = normalizePhone(a);
+  const y = normalizePhone(b);
+  if (!x || !y) return false;
+  if (x === y) return true;
+  const [shorter, longer] = x.length < y.length ? [x, y] : [y, x];
+  return shorter.length >= 10 && longer.endsWith(shorter);
+}
+
+// Indexed lookup key (Friend.phoneKey): the last 10 digits, which numbers that phonesMatch()
+// always share; shorter numbers are kept whole
+function phoneKey(to) {
+  return normalizePhone(to).slice(-10);
+}
+
+module.exports = { normalizePhone, phonesMatch, phoneKey };
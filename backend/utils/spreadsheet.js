@@ -0,0 +1,76 @@
+// backend/utils/spreadsheet.js
+// Read an uploaded CSV or XLSX file into a header row plus data rows.
+// XLSX cells keep their type (numbers, Dates); CSV cells are strings.
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+
+const isBlank = (cells) => cells.every(c => String(c).trim() === '');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function fileFormat({ originalname = '', mimetype = '' }) {
+  const ext = originalname.toLowerCase().split('.').pop();
+  if (ext === 'xlsx' || mimetype === XLSX_MIME) return 'xlsx';
+  if (ext === 'csv' || mimetype === 'text/csv' || mimetype === 'application/vnd.ms-excel') return 'csv';
+  return null;
+}
+
+// plain value of an exceljs cell (formulas → result, rich text / hyperlinks → text)
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if (value.result !== undefined) return cellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+  if (value.text !== undefined) return cellValue(value.text);
+  return String(value);
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    // row.values is 1-based and sparse (empty cells are holes)
+    const cells = Array.from(row.values).slice(1).map(cellValue);
+    if (!isBlank(cells)) rows.push({ line: number, cells });
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded file ({ buffer, originalname, mimetype }, as given by multer).
+ * Resolves to { headers, rows: [{ line, cells }] } where `line` is the 1-based row in the file;
+ * blank rows are skipped.
+ * Rejects (err.status = 400) for unsupported or unreadable files.
+ */
+async function readSpreadsheet(file) {
+  const format = fileFormat(file);
+  if (!format) {
+    const err = new Error('Upload a .csv or .xlsx file');
+    err.status = 400;
+    throw err;
+  }
+
+  let rows;
+  try {
+    rows = format === 'xlsx'
+      ? await readXlsx(file.buffer)
+      : parseCsv(file.buffer.toString('utf8'))
+        .map((cells, i) => ({ line: i + 1, cells }))
+        .filter(row => !isBlank(row.cells));
+  } catch (e) {
+    const err = new Error(`Could not read the ${format.toUpperCase()} file: ${e.message}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const [header, ...data] = rows;
+  const headers = header ? header.cells.map(c => String(c).trim()) : [];
+  return { headers, rows: data };
+}
+
+module.exports = { readSpreadsheet };
@@ -0,0 +1,67 @@
+// backend/utils/timezone.js
+// IANA timezone helpers. A friend's dates use friend.timezone, else the manager's
+// account timezone, else DEFAULT_TIMEZONE (see controllers/timezones.js).
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// how far `timeZone` is ahead of UTC at `date`, in ms
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time { year, month, day, hour?, minute?, second? } occurs in `timeZone`.
+ */
+function zonedDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - offsetMs(new Date(wall), timeZone);
+  // second pass corrects for a DST change between the guess and the wall time
+  return new Date(wall - offsetMs(new Date(guess), timeZone));
+}
+
+/**
+ * The instant local midnight started on `date`'s day in `timeZone`.
+ */
+function startOfDay(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedDate({ year: p.year, month: p.month, day: p.day }, timeZone);
+}
+
+/**
+ * The instant the local calendar month of `date` started in `timeZone`.
+ */
+function startOfMonth(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedDate({ year: p.year, month: p.month, day: 1 }, timeZone);
+}
+
+// minutes since local midnight in `timeZone`
+function localMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return p.hour * 60 + p.minute;
+}
+
+module.exports = { DEFAULT_TIMEZONE, isValidTimezone, zonedParts, zonedDate, startOfDay, startOfMonth, localMinutes };
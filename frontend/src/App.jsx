@@ -1,35 +1,137 @@
 // frontend/src/App.jsx
-import React, { useEffect, useState } from "react";
-import axios from "axios";
+import React, { Suspense, lazy, useEffect, useState } from "react";
+import axios, { getAuthToken, setAuthToken } from "./axiosConfig";
 import LoanManager from "./components/LoanManager";
+import Login from "./components/Login";
+import TemplateEditor from "./components/TemplateEditor";
+import ImportData from "./components/ImportData";
+import Categories from "./components/Categories";
+import AuditLog from "./components/AuditLog";
+import ArchivedFriends from "./components/ArchivedFriends";
+import TransactionHistory from "./components/TransactionHistory";
+import MergeFriends from "./components/MergeFriends";
+import { LANGUAGES } from "./languages";
+import { CURRENCIES, DEFAULT_CURRENCY, formatMoney } from "./money";
+import { TIMEZONES, accountTimezone, formatDate } from "./dates";
+import { isDuplicateError, duplicateWarning } from "./duplicates";
+
+// the charts library is only downloaded when the Dashboard tab is opened
+const Dashboard = lazy(() => import("./components/Dashboard"));
 
 const API = import.meta.env.VITE_API || "http://localhost:5000";
 
-const formatDate = (d) => (d ? new Date(d).toLocaleString() : "—");
-const fmtMoney = (n) => {
-  if (n === null || n === undefined || Number.isNaN(Number(n))) return "₹0";
-  return `₹${Number(n).toLocaleString()}`;
-};
+// how long the Undo toast stays after Send & Notify
+const UNDO_MS = 10000;
 
 export default function App() {
+  const [user, setUser] = useState(null);
+  const [loggedIn, setLoggedIn] = useState(() => !!getAuthToken());
+
+  useEffect(() => {
+    const onLogout = () => {
+      setUser(null);
+      setLoggedIn(false);
+    };
+    window.addEventListener("auth:logout", onLogout);
+    return () => window.removeEventListener("auth:logout", onLogout);
+  }, []);
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    axios
+      .get(`${API}/api/auth/me`)
+      .then((res) => setUser(res.data))
+      .catch((err) => console.error(err));
+  }, [loggedIn]);
+
+  function logout() {
+    setAuthToken(null);
+    setUser(null);
+    setLoggedIn(false);
+  }
+
+  if (!loggedIn) {
+    return (
+      <Login
+        onLogin={(u) => {
+          setUser(u);
+          setLoggedIn(true);
+        }}
+      />
+    );
+  }
+
+  return <BalanceManager user={user} onUserChange={setUser} onLogout={logout} />;
+}
+
+const tabStyle = (active) => ({
+  padding: "6px 14px",
+  borderRadius: 999,
+  border: active ? "1px solid #2563eb" : "1px solid #d1d5db",
+  background: active ? "#eff6ff" : "#fff",
+  color: active ? "#1d4ed8" : "#374151",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+  fontWeight: 600,
+});
+
+function BalanceManager({ user, onUserChange, onLogout }) {
+  const [view, setView] = useState("balances");
   const [friends, setFriends] = useState([]);
   const [name, setName] = useState("");
   const [whatsapp, setWhatsapp] = useState("");
   const [total, setTotal] = useState("");
   const [savedAmount, setSavedAmount] = useState(""); // optional saved amount
+  const [language, setLanguage] = useState("en");
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
   const [selectedId, setSelectedId] = useState(null);
 
   const [amount, setAmount] = useState("");
   const [note, setNote] = useState("");
+  const [category, setCategory] = useState("");
+  const [tags, setTags] = useState("");
+  const [categories, setCategories] = useState([]);
+  // GET /api/friends/:id/limits for the friend + amount in `key`
+  const [limitCheck, setLimitCheck] = useState(null);
+
+  const [creditAmount, setCreditAmount] = useState("");
+  const [creditNote, setCreditNote] = useState("");
+  const [creditToSaved, setCreditToSaved] = useState(false);
 
-  const [transactions, setTransactions] = useState([]);
-  const [showModal, setShowModal] = useState(false);
+  const [historyFriendId, setHistoryFriendId] = useState(null);
+  const [mergeFriendId, setMergeFriendId] = useState(null);
   const [loadingFriends, setLoadingFriends] = useState(false);
+  // the last Send & Notify, offered for undo: { transaction, friend, sent, alerts }
+  const [undo, setUndo] = useState(null);
 
   useEffect(() => {
     fetchFriends();
+    fetchCategories();
   }, []);
 
+  useEffect(() => {
+    if (!undo) return;
+    const timer = setTimeout(() => setUndo(null), UNDO_MS);
+    return () => clearTimeout(timer);
+  }, [undo]);
+
+  // check the amount being typed against the friend's caps (refetched when friends reload)
+  useEffect(() => {
+    const amt = Number(amount);
+    if (!selectedId || !amt || amt <= 0) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      axios
+        .get(`${API}/api/friends/${selectedId}/limits`, { params: { amount: amt } })
+        .then((res) => !cancelled && setLimitCheck({ key: `${selectedId}:${amt}`, data: res.data }))
+        .catch((err) => console.error("limits:", err));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedId, amount, friends]);
+
   async function fetchFriends() {
     try {
       setLoadingFriends(true);
@@ -47,23 +149,44 @@ export default function App() {
     }
   }
 
+  async function fetchCategories() {
+    try {
+      const res = await axios.get(`${API}/api/categories`);
+      setCategories(res.data || []);
+    } catch (err) {
+      console.error("fetchCategories:", err);
+    }
+  }
+
   async function addFriend(e) {
     e.preventDefault();
     if (!name || !whatsapp) return alert("Name + WhatsApp required");
 
+    const payload = {
+      name,
+      whatsapp,
+      totalBalance: Number(total) || 0,
+      // only send savedAmount if user entered it
+      savedAmount: savedAmount !== "" ? Number(savedAmount) : undefined,
+      language,
+      currency,
+    };
     try {
-      await axios.post(`${API}/api/friends`, {
-        name,
-        whatsapp,
-        totalBalance: Number(total) || 0,
-        // only send savedAmount if user entered it
-        savedAmount: savedAmount !== "" ? Number(savedAmount) : undefined,
-      });
+      try {
+        await axios.post(`${API}/api/friends`, payload);
+      } catch (err) {
+        // the same number or a similar name exists already: add only once the user confirms
+        if (!isDuplicateError(err)) throw err;
+        if (!window.confirm(duplicateWarning(err.response.data.duplicates))) return;
+        await axios.post(`${API}/api/friends`, { ...payload, allowDuplicate: true });
+      }
 
       setName("");
       setWhatsapp("");
       setTotal("");
       setSavedAmount("");
+      setLanguage("en");
+      setCurrency(DEFAULT_CURRENCY);
       fetchFriends();
     } catch (err) {
       console.error(err);
@@ -71,11 +194,77 @@ export default function App() {
     }
   }
 
-  // DELETE friend function
-  async function deleteFriend(id) {
+  async function changeLanguage(id, code) {
+    try {
+      const res = await axios.patch(`${API}/api/friends/${id}/language`, { language: code });
+      setFriends((list) => list.map((f) => (f._id === id ? res.data.friend : f)));
+    } catch (err) {
+      console.error(err);
+      alert("Language update failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // opt a friend in/out of last month's PDF statement on WhatsApp
+  async function changeMonthlyStatement(id, enabled) {
+    try {
+      const res = await axios.patch(`${API}/api/friends/${id}/monthly-statement`, { enabled });
+      setFriends((list) => list.map((f) => (f._id === id ? res.data.friend : f)));
+    } catch (err) {
+      console.error(err);
+      alert("Monthly statement update failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // spending caps and low-balance threshold, one prompt each; empty = off
+  async function editLimits(f) {
+    const ask = (label, current) => prompt(`${label} for ${f.name} (empty = none):`, current ?? "");
+    const dailyLimit = ask("Daily spending limit", f.dailyLimit);
+    if (dailyLimit === null) return;
+    const monthlyLimit = ask("Monthly spending limit", f.monthlyLimit);
+    if (monthlyLimit === null) return;
+    const lowBalanceThreshold = ask("Low-balance alert when the balance drops below", f.lowBalanceThreshold);
+    if (lowBalanceThreshold === null) return;
+
+    try {
+      const res = await axios.patch(`${API}/api/friends/${f._id}/limits`, {
+        dailyLimit: dailyLimit.trim(),
+        monthlyLimit: monthlyLimit.trim(),
+        lowBalanceThreshold: lowBalanceThreshold.trim(),
+      });
+      setFriends((list) => list.map((x) => (x._id === f._id ? res.data.friend : x)));
+    } catch (err) {
+      console.error(err);
+      alert("Limits update failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // the manager's own number for low-balance alerts; "" = no alerts
+  async function changeOwnerWhatsapp(phone) {
+    try {
+      const res = await axios.patch(`${API}/api/auth/me`, { whatsapp: phone || null });
+      onUserChange(res.data);
+    } catch (err) {
+      console.error(err);
+      alert("WhatsApp number update failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // account default timezone (friends without their own timezone use it); "" = server default
+  async function changeTimezone(tz) {
+    try {
+      const res = await axios.patch(`${API}/api/auth/me`, { timezone: tz || null });
+      onUserChange(res.data);
+    } catch (err) {
+      console.error(err);
+      alert("Timezone update failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // Archive friend (restore or purge them from the Archived tab)
+  async function archiveFriend(id) {
     if (
       !window.confirm(
-        "Are you sure you want to delete this friend and all their transactions? This cannot be undone."
+        "Archive this friend? They get no messages and leave your balances, but their history is kept and you can restore them from the Archived tab."
       )
     ) {
       return;
@@ -85,19 +274,24 @@ export default function App() {
       await axios.delete(`${API}/api/friends/${id}`);
       if (selectedId === id) setSelectedId(null);
       fetchFriends();
-      alert("Friend deleted successfully");
     } catch (err) {
       console.error(err);
-      alert("Error deleting friend");
+      alert("Archiving failed: " + (err?.response?.data?.error || err.message));
     }
   }
 
   const selectedFriend = friends.find((f) => f._id === selectedId) || null;
+  const historyFriend = friends.find((f) => f._id === historyFriendId);
+  const mergeFriend = friends.find((f) => f._id === mergeFriendId);
+  const timezone = accountTimezone(user);
 
   // Preview calculations
   const previewPrev = selectedFriend ? Number(selectedFriend.totalBalance || 0) : 0;
   const previewAmt = Number(amount) || 0;
   const previewAvailable = previewPrev - previewAmt;
+  const money = (n) => formatMoney(n, selectedFriend?.currency);
+  const limits = limitCheck && limitCheck.key === `${selectedId}:${previewAmt}` ? limitCheck.data : null;
+  const exceeded = limits?.exceeded || [];
 
   // SEND / DEDUCT money endpoint (uses backend route /api/friends/:id/deduct)
   async function sendMoney(e) {
@@ -107,37 +301,105 @@ export default function App() {
 
     const confirmMsg = `Confirm transaction:
 Name: ${selectedFriend.name}
-Fixed saved amount: ${fmtMoney(selectedFriend.savedAmount)}
-Previous balance: ${fmtMoney(previewPrev)}
-Debit amount: ${fmtMoney(previewAmt)}
-Available balance after debit: ${fmtMoney(previewAvailable)}
-Note: ${note || "—"}
-
+Fixed saved amount: ${money(selectedFriend.savedAmount)}
+Previous balance: ${money(previewPrev)}
+Debit amount: ${money(previewAmt)}
+Available balance after debit: ${money(previewAvailable)}
+Note: ${note || "—"}${category ? `\nCategory: ${categories.find((c) => c._id === category)?.name}` : ""}${
+      tags.trim() ? `\nTags: ${tags}` : ""
+    }
+${exceeded.map((x) => `\n⚠️ Over the ${x.period} limit of ${money(x.limit)} (${money(x.spent)} already spent)`).join("")}
 Proceed ?`;
     if (!window.confirm(confirmMsg)) return;
 
     try {
       // POST to deduct route - backend will create a debit transaction and optionally send WhatsApp if implemented
-      const res = await axios.post(`${API}/api/friends/${selectedFriend._id}/deduct`, {
-        amount: previewAmt,
-        note,
-      });
+      const url = `${API}/api/friends/${selectedFriend._id}/deduct`;
+      let res;
+      try {
+        res = await axios.post(url, { amount: previewAmt, note, category, tags, override: exceeded.length > 0 });
+      } catch (err) {
+        // a cap the preview had not caught yet: ask once more before overriding it
+        if (err?.response?.status !== 409 || !window.confirm(`${err.response.data.error}.\n\nSend anyway?`)) throw err;
+        res = await axios.post(url, { amount: previewAmt, note, category, tags, override: true });
+      }
 
       setAmount("");
       setNote("");
+      setCategory("");
+      setTags("");
+      await fetchFriends();
+
+      setUndo({
+        transaction: res.data.transaction,
+        friend: res.data.friend,
+        sent: res.data.sent || null,
+        alerts: res.data.alerts || [],
+      });
+    } catch (err) {
+      console.error(err);
+      // Extract message if possible
+      const msg = err?.response?.data?.error || err?.message || "Error sending money";
+      alert(msg);
+    }
+  }
+
+  // Undo the last Send & Notify: reverse the debit and, if the friend was messaged, send a correction
+  async function undoSend() {
+    const { transaction, sent } = undo;
+    setUndo(null);
+    try {
+      const res = await axios.post(`${API}/api/transactions/${transaction._id}/reverse`, {
+        note: "Sent by mistake",
+        notify: !!sent,
+      });
+      await fetchFriends();
+      if (res.data.sent && !res.data.sent.success) alert("Undone, but the correction message failed to send.");
+    } catch (err) {
+      console.error("undoSend:", err);
+      alert("Undo failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // ADD MONEY (credit / top-up) endpoint: /api/friends/:id/credit
+  async function addMoney(e) {
+    e?.preventDefault();
+    if (!selectedFriend) return alert("Select a friend first");
+    const amt = Number(creditAmount);
+    if (!creditAmount || Number.isNaN(amt) || amt <= 0) return alert("Enter a valid amount");
+
+    const confirmMsg = `Confirm credit:
+Name: ${selectedFriend.name}
+Previous balance: ${money(previewPrev)}
+Credit amount: ${money(amt)}
+Available balance after credit: ${money(previewPrev + amt)}${
+      creditToSaved ? `\nFixed saved amount after credit: ${money(Number(selectedFriend.savedAmount || 0) + amt)}` : ""
+    }
+Note: ${creditNote || "—"}
+
+Proceed ?`;
+    if (!window.confirm(confirmMsg)) return;
+
+    try {
+      const res = await axios.post(`${API}/api/friends/${selectedFriend._id}/credit`, {
+        amount: amt,
+        note: creditNote,
+        addToSaved: creditToSaved,
+      });
+
+      setCreditAmount("");
+      setCreditNote("");
+      setCreditToSaved(false);
       await fetchFriends();
 
-      // res may contain send result; handle gracefully
       if (res.data && res.data.sent) {
-        // if your backend returns a field `sent` with details of UltraMsg response, adapt this.
-        alert("Operation completed. Message send result: " + JSON.stringify(res.data.sent));
+        alert("Money added. Message send result: " + JSON.stringify(res.data.sent));
       } else {
-        alert("Operation completed.");
+        alert("Money added.");
       }
     } catch (err) {
       console.error(err);
-      // Extract message if possible
-      const msg = err?.response?.data?.error || err?.message || "Error sending money";
+      const msg = err?.response?.data?.error || err?.message || "Error adding money";
       alert(msg);
     }
   }
@@ -176,20 +438,6 @@ Proceed ?`;
     }
   }
 
-  // View transactions (assumes route GET /api/friends/:id/transactions exists)
-  async function viewTransactions(id) {
-    try {
-      const res = await axios.get(`${API}/api/friends/${id}/transactions`);
-      // API might return { transactions: [...] } or an array directly; normalize:
-      const txs = Array.isArray(res.data) ? res.data : res.data.transactions || res.data;
-      setTransactions(txs || []);
-      setShowModal(true);
-    } catch (err) {
-      console.error(err);
-      alert("Error loading transactions");
-    }
-  }
-
   return (
     <div
       className="app-root"
@@ -215,19 +463,120 @@ Proceed ?`;
         <h1
           style={{
             fontSize: "1.6rem",
-            marginBottom: "16px",
+            marginBottom: "4px",
             textAlign: "center",
             wordBreak: "break-word",
           }}
         >
           WhatsApp Balance Manager
         </h1>
+        <div
+          className="small"
+          style={{
+            display: "flex",
+            justifyContent: "center",
+            alignItems: "center",
+            gap: "8px",
+            marginBottom: "16px",
+            fontSize: "0.85rem",
+          }}
+        >
+          {user ? `Signed in as ${user.name || user.email}` : ""}
+          {user && (
+            <select
+              value={user.timezone || ""}
+              onChange={(e) => changeTimezone(e.target.value)}
+              title="Account timezone for dates and daily totals"
+              style={{
+                padding: "4px 6px",
+                borderRadius: "6px",
+                border: "1px solid #d1d5db",
+                fontSize: "0.8rem",
+                maxWidth: 180,
+              }}
+            >
+              <option value="">Default ({user.defaultTimezone})</option>
+              {TIMEZONES.map((tz) => (
+                <option key={tz} value={tz}>
+                  {tz}
+                </option>
+              ))}
+            </select>
+          )}
+          {user && (
+            <input
+              key={user.whatsapp || ""}
+              defaultValue={user.whatsapp || ""}
+              placeholder="Your WhatsApp (alerts)"
+              title="Low-balance alerts about your friends are sent to this number"
+              onBlur={(e) => {
+                const phone = e.target.value.trim();
+                if (phone !== (user.whatsapp || "")) changeOwnerWhatsapp(phone);
+              }}
+              style={{
+                padding: "4px 6px",
+                borderRadius: "6px",
+                border: "1px solid #d1d5db",
+                fontSize: "0.8rem",
+                width: 150,
+              }}
+            />
+          )}
+          <button
+            onClick={onLogout}
+            style={{
+              padding: "4px 10px",
+              borderRadius: "6px",
+              border: "1px solid #d1d5db",
+              background: "#f3f4f6",
+              cursor: "pointer",
+              fontSize: "0.8rem",
+            }}
+          >
+            Log out
+          </button>
+        </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginBottom: 16 }}>
+          <button style={tabStyle(view === "balances")} onClick={() => setView("balances")}>
+            💰 Balances
+          </button>
+          <button style={tabStyle(view === "templates")} onClick={() => setView("templates")}>
+            ✉️ Templates
+          </button>
+          <button style={tabStyle(view === "import")} onClick={() => setView("import")}>
+            📥 Import
+          </button>
+          <button style={tabStyle(view === "categories")} onClick={() => setView("categories")}>
+            🏷️ Categories
+          </button>
+          <button style={tabStyle(view === "dashboard")} onClick={() => setView("dashboard")}>
+            📊 Dashboard
+          </button>
+          <button style={tabStyle(view === "audit")} onClick={() => setView("audit")}>
+            🕵️ Audit
+          </button>
+          <button style={tabStyle(view === "archived")} onClick={() => setView("archived")}>
+            🗄️ Archived
+          </button>
+        </div>
 
-        {/* Main responsive layout: stack on mobile */}
+        {view === "templates" && <TemplateEditor />}
+        {view === "import" && <ImportData timezone={timezone} onImported={fetchFriends} />}
+        {view === "categories" && <Categories categories={categories} onChange={fetchCategories} />}
+        {view === "audit" && <AuditLog friends={friends} timezone={timezone} />}
+        {view === "archived" && <ArchivedFriends timezone={timezone} onChange={fetchFriends} />}
+        {view === "dashboard" && (
+          <Suspense fallback={<div className="small">Loading dashboard…</div>}>
+            <Dashboard timezone={timezone} />
+          </Suspense>
+        )}
+
+        {/* Main responsive layout: stack on mobile (kept mounted while another tab is open) */}
         <div
           className="app-grid"
           style={{
-            display: "flex",
+            display: view === "balances" ? "flex" : "none",
             flexDirection: "column",
             gap: "16px",
           }}
@@ -276,6 +625,29 @@ Proceed ?`;
                   style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
                 />
 
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  <select
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    title="Category (manage them in the Categories tab)"
+                    style={{ flex: "1 1 140px", padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                  >
+                    <option value="">No category</option>
+                    {categories.map((c) => (
+                      <option key={c._id} value={c._id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    className="input"
+                    placeholder="Tags (comma separated, optional)"
+                    value={tags}
+                    onChange={(e) => setTags(e.target.value)}
+                    style={{ flex: "2 1 180px", padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                  />
+                </div>
+
                 {/* Preview box */}
                 {selectedFriend && amount && !Number.isNaN(previewAmt) && (
                   <div
@@ -300,17 +672,35 @@ Proceed ?`;
                       Name: {selectedFriend.name}
                     </div>
                     <div className="small" style={{ fontSize: "0.85rem" }}>
-                      Fixed saved amount: {fmtMoney(selectedFriend.savedAmount)}
+                      Fixed saved amount: {money(selectedFriend.savedAmount)}
                     </div>
                     <div className="small" style={{ fontSize: "0.85rem" }}>
-                      Previous balance: {fmtMoney(previewPrev)}
+                      Previous balance: {money(previewPrev)}
                     </div>
                     <div className="small" style={{ fontSize: "0.85rem" }}>
-                      Debit amount: {fmtMoney(previewAmt)}
+                      Debit amount: {money(previewAmt)}
                     </div>
                     <div className="small" style={{ fontSize: "0.85rem" }}>
-                      Available balance: {fmtMoney(previewAvailable)}
+                      Available balance: {money(previewAvailable)}
                     </div>
+                    {exceeded.map((x) => (
+                      <div
+                        key={x.period}
+                        className="small"
+                        style={{ fontSize: "0.85rem", color: "#b91c1c", fontWeight: 600, marginTop: 6 }}
+                      >
+                        ⚠️ Over the {x.period} limit of {money(x.limit)}: {money(x.spent)} spent, {money(x.after)} after
+                        this debit
+                      </div>
+                    ))}
+                    {limits?.lowBalance && (
+                      <div
+                        className="small"
+                        style={{ fontSize: "0.85rem", color: "#a16207", fontWeight: 600, marginTop: 6 }}
+                      >
+                        ⚠️ Balance drops below {money(limits.lowBalanceThreshold)} — a low-balance alert will be sent
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -330,6 +720,71 @@ Proceed ?`;
                 </button>
               </form>
             </div>
+
+            {/* Add money (credit) next to Send Money */}
+            <div
+              className="card"
+              style={{
+                marginBottom: 0,
+                padding: "12px",
+                borderRadius: "10px",
+                border: "1px solid #e2e8f0",
+                background: "#f9fafb",
+              }}
+            >
+              <h3 style={{ marginBottom: "8px", fontSize: "1.1rem" }}>Add Money</h3>
+              <form
+                onSubmit={addMoney}
+                style={{
+                  display: "grid",
+                  gap: 8,
+                  gridTemplateColumns: "1fr",
+                }}
+              >
+                <input
+                  className="input"
+                  placeholder="Amount"
+                  value={creditAmount}
+                  onChange={(e) => setCreditAmount(e.target.value)}
+                  style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                />
+
+                <input
+                  className="input"
+                  placeholder="Note (e.g. monthly top-up)"
+                  value={creditNote}
+                  onChange={(e) => setCreditNote(e.target.value)}
+                  style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                />
+
+                <label
+                  className="small"
+                  style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "0.85rem" }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={creditToSaved}
+                    onChange={(e) => setCreditToSaved(e.target.checked)}
+                  />
+                  Also add to fixed saved amount
+                </label>
+
+                <button
+                  className="btn"
+                  type="submit"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: "6px",
+                    border: "none",
+                    background: "#0d9488",
+                    color: "#fff",
+                    cursor: "pointer",
+                  }}
+                >
+                  Add & Notify
+                </button>
+              </form>
+            </div>
           </div>
 
           {/* Left column: Add friend + Friends list */}
@@ -393,6 +848,32 @@ Proceed ?`;
                   style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
                 />
 
+                <select
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  title="Language of this friend's WhatsApp messages"
+                  style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                >
+                  {LANGUAGES.map((l) => (
+                    <option key={l.code} value={l.code}>
+                      Messages in {l.label}
+                    </option>
+                  ))}
+                </select>
+
+                <select
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  title="Currency this friend's balance is kept in"
+                  style={{ padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" }}
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c} value={c}>
+                      Currency: {c}
+                    </option>
+                  ))}
+                </select>
+
                 <button
                   className="btn"
                   type="submit"
@@ -458,9 +939,21 @@ Proceed ?`;
                         className="small"
                         style={{ marginTop: 6, fontSize: "0.85rem", color: "#4b5563" }}
                       >
-                        Saved: {fmtMoney(f.savedAmount)} · Balance: {fmtMoney(f.totalBalance)} ·
-                        Updated: {formatDate(f.lastUpdatedAt)}
+                        Saved: {formatMoney(f.savedAmount, f.currency)} · Balance:{" "}
+                        {formatMoney(f.totalBalance, f.currency)} ·
+                        Updated: {formatDate(f.lastUpdatedAt, f.timezone || timezone)}
                       </div>
+                      {(f.dailyLimit != null || f.monthlyLimit != null || f.lowBalanceThreshold != null) && (
+                        <div className="small" style={{ marginTop: 4, fontSize: "0.8rem", color: "#6b7280" }}>
+                          {[
+                            f.dailyLimit != null && `Daily limit ${formatMoney(f.dailyLimit, f.currency)}`,
+                            f.monthlyLimit != null && `Monthly limit ${formatMoney(f.monthlyLimit, f.currency)}`,
+                            f.lowBalanceThreshold != null && `Alert below ${formatMoney(f.lowBalanceThreshold, f.currency)}`,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </div>
+                      )}
                     </div>
 
                     <div
@@ -489,31 +982,95 @@ Proceed ?`;
                         Select
                       </label>
 
+                      <select
+                        value={f.language || "en"}
+                        onChange={(e) => changeLanguage(f._id, e.target.value)}
+                        title="Language of WhatsApp messages"
+                        style={{
+                          padding: "5px 6px",
+                          borderRadius: "6px",
+                          border: "1px solid #d1d5db",
+                          fontSize: "0.8rem",
+                        }}
+                      >
+                        {LANGUAGES.map((l) => (
+                          <option key={l.code} value={l.code}>
+                            {l.label}
+                          </option>
+                        ))}
+                      </select>
 
+                      <label
+                        title="Send last month's PDF statement on WhatsApp at the start of every month"
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: "4px",
+                          fontSize: "0.8rem",
+                          cursor: "pointer",
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={!!f.monthlyStatement}
+                          onChange={(e) => changeMonthlyStatement(f._id, e.target.checked)}
+                        />
+                        🧾 Monthly
+                      </label>
 
+                      <button
+                        className="btn"
+                        onClick={() => editLimits(f)}
+                        title="Daily / monthly spending limits and low-balance alert"
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: "6px",
+                          border: "1px solid #d1d5db",
+                          background: "#f3f4f6",
+                          cursor: "pointer",
+                          fontSize: "0.8rem",
+                        }}
+                      >
+                        Limits
+                      </button>
 
-                    <button
-  onClick={() => viewTransactions(f._id)}
-  style={{
-    padding: "6px 12px",
-    borderRadius: "6px",
-    background: "#8b5cf6",      // purple-500
-    border: "1px solid #7c3aed",// purple-600
-    color: "white",
-    cursor: "pointer",
-    fontSize: "0.8rem",
-    transition: "0.2s",
-  }}
-  onMouseEnter={(e) => (e.target.style.background = "#7c3aed")}
-  onMouseLeave={(e) => (e.target.style.background = "#8b5cf6")}
->
-  History
-</button>
+                      <button
+                        className="btn"
+                        onClick={() => setHistoryFriendId(f._id)}
+                        title="Every entry of this friend's ledger"
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: "6px",
+                          border: "none",
+                          background: "#8b5cf6",
+                          color: "#fff",
+                          cursor: "pointer",
+                          fontSize: "0.8rem",
+                        }}
+                      >
+                        History
+                      </button>
 
+                      <button
+                        className="btn"
+                        onClick={() => setMergeFriendId(f._id)}
+                        title="Merge a duplicate of this friend"
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: "6px",
+                          border: "none",
+                          background: "#6b7280",
+                          color: "#fff",
+                          cursor: "pointer",
+                          fontSize: "0.8rem",
+                        }}
+                      >
+                        Merge
+                      </button>
 
                       <button
                         className="btn"
-                        onClick={() => deleteFriend(f._id)}
+                        onClick={() => archiveFriend(f._id)}
                         style={{
                           padding: "6px 10px",
                           borderRadius: "6px",
@@ -524,7 +1081,7 @@ Proceed ?`;
                           fontSize: "0.8rem",
                         }}
                       >
-                        Delete
+                        Archive
                       </button>
                     </div>
                   </div>
@@ -535,111 +1092,79 @@ Proceed ?`;
 
           {/* Loan Manager at the very bottom */}
           <div style={{ marginTop: 8 }}>
-            <LoanManager />
+            <LoanManager timezone={timezone} />
           </div>
         </div>
       </div>
 
-      {/* Modal for Transactions */}
-      {showModal && (
+      {historyFriend && (
+        <TransactionHistory
+          friend={historyFriend}
+          categories={categories}
+          timezone={timezone}
+          onClose={() => setHistoryFriendId(null)}
+          onChange={fetchFriends}
+        />
+      )}
+
+      {mergeFriend && (
+        <MergeFriends
+          friend={mergeFriend}
+          friends={friends}
+          onClose={() => setMergeFriendId(null)}
+          onMerged={fetchFriends}
+        />
+      )}
+
+      {undo && (
         <div
-          className="modal-bg"
-          onClick={() => setShowModal(false)}
+          role="status"
           style={{
             position: "fixed",
-            inset: 0,
-            background: "rgba(0,0,0,0.4)",
+            left: "50%",
+            bottom: 20,
+            transform: "translateX(-50%)",
             display: "flex",
             alignItems: "center",
-            justifyContent: "center",
-            zIndex: 9999,
-            padding: "8px",
-            boxSizing: "border-box",
+            gap: 12,
+            maxWidth: "calc(100% - 24px)",
+            padding: "10px 14px",
+            borderRadius: 10,
+            background: "#111827",
+            color: "#fff",
+            fontSize: "0.9rem",
+            boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+            zIndex: 10000,
           }}
         >
-          <div
-            className="modal-card"
-            onClick={(e) => e.stopPropagation()}
+          <span>
+            ✅ Sent {formatMoney(undo.transaction.amount, undo.friend.currency)} to {undo.friend.name}
+            {undo.sent && (undo.sent.success ? " · WhatsApp sent" : " · WhatsApp failed, will retry")}
+            {undo.alerts.length > 0 && " · Low-balance alert sent"}
+          </span>
+          <button
+            type="button"
+            onClick={undoSend}
             style={{
-              width: "100%",
-              maxWidth: 720,
-              maxHeight: "80vh",
-              overflowY: "auto",
-              background: "#fff",
-              padding: 18,
-              borderRadius: 10,
-              boxSizing: "border-box",
+              padding: "4px 10px",
+              borderRadius: 6,
+              border: "none",
+              background: "#facc15",
+              color: "#111827",
+              fontWeight: 700,
+              cursor: "pointer",
             }}
           >
-            <div
-              style={{
-                display: "flex",
-                justifyContent: "space-between",
-                alignItems: "center",
-                gap: "8px",
-                marginBottom: "8px",
-              }}
-            >
-              <h3 style={{ margin: 0, fontSize: "1.1rem" }}>Transaction History</h3>
-              <button
-                className="btn"
-                style={{
-                  padding: "6px 10px",
-                  borderRadius: "6px",
-                  border: "none",
-                  background: "#ef4444",
-                  color: "#fff",
-                  cursor: "pointer",
-                  fontSize: "0.85rem",
-                  flexShrink: 0,
-                }}
-                onClick={() => setShowModal(false)}
-              >
-                Close
-              </button>
-            </div>
-
-            <ul style={{ listStyle: "none", padding: 0, marginTop: 8 }}>
-              {transactions.length === 0 && (
-                <li className="small" style={{ fontSize: "0.85rem" }}>
-                  No transactions found.
-                </li>
-              )}
-              {transactions.map((t) => (
-                <li
-                  key={t._id}
-                  style={{
-                    marginBottom: "12px",
-                    borderBottom: "1px solid #f1f1f1",
-                    paddingBottom: 8,
-                  }}
-                >
-                  <div
-                    style={{
-                      display: "flex",
-                      justifyContent: "space-between",
-                      gap: "8px",
-                      alignItems: "flex-start",
-                    }}
-                  >
-                    <strong style={{ wordBreak: "break-word" }}>{fmtMoney(t.amount)}</strong>
-                    <div
-                      className="small"
-                      style={{ fontSize: "0.8rem", color: "#6b7280", whiteSpace: "nowrap" }}
-                    >
-                      {formatDate(t.date || t.createdAt)}
-                    </div>
-                  </div>
-                  <div
-                    className="small"
-                    style={{ marginTop: 6, fontSize: "0.85rem", color: "#4b5563" }}
-                  >
-                    {t.note || t.reason || "—"}
-                  </div>
-                </li>
-              ))}
-            </ul>
-          </div>
+            Undo
+          </button>
+          <button
+            type="button"
+            onClick={() => setUndo(null)}
+            title="Dismiss"
+            style={{ background: "none", border: "none", color: "#9ca3af", cursor: "pointer", fontSize: "1rem" }}
+          >
+            ✕
+          </button>
         </div>
       )}
     </div>
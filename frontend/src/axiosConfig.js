@@ -2,4 +2,35 @@
 import axios from 'axios';
 const API = import.meta.env.VITE_API || 'http://localhost:5000';
 axios.defaults.baseURL = API;
+
+const TOKEN_KEY = 'authToken';
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+// attach the JWT to every request
+axios.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// an expired/invalid token logs the user out (App listens for this event)
+axios.interceptors.response.use(
+  (res) => res,
+  (err) => {
+    if (err?.response?.status === 401 && getAuthToken()) {
+      setAuthToken(null);
+      window.dispatchEvent(new Event('auth:logout'));
+    }
+    return Promise.reject(err);
+  }
+);
+
 export default axios;
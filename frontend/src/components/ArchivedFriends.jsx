@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+import { formatMoney } from "../money";
+import { formatDate } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const buttonStyle = {
+  padding: "6px 10px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.8rem",
+};
+
+// Archived friends: hidden from balances, loans and reminders with their ledger kept.
+// Restore brings one back; purge erases them for good after the name is typed
+export default function ArchivedFriends({ timezone, onChange }) {
+  // { version, friends } or { version, error } for the list in `version`
+  const [result, setResult] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API}/api/friends`, { params: { archived: true } })
+      .then(({ data }) => {
+        if (!cancelled) setResult({ version, friends: data || [] });
+      })
+      .catch((err) => {
+        console.error("loadArchived:", err);
+        if (!cancelled) setResult({ version, error: err?.response?.data?.error || err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const current = result && result.version === version ? result : null;
+
+  async function restore(f) {
+    setBusyId(f._id);
+    try {
+      await axios.post(`${API}/api/friends/${f._id}/restore`);
+      setVersion((v) => v + 1);
+      onChange?.();
+    } catch (err) {
+      console.error("restoreFriend:", err);
+      alert("Restoring the friend failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function purge(f) {
+    const typed = prompt(
+      `Permanently delete ${f.name} and every transaction with them? This cannot be undone.\n\nType their name to confirm:`
+    );
+    if (typed === null) return;
+    if (typed.trim() !== f.name.trim()) {
+      alert("The name did not match; nothing was deleted.");
+      return;
+    }
+    setBusyId(f._id);
+    try {
+      const { data } = await axios.delete(`${API}/api/friends/${f._id}/purge`, { data: { name: typed } });
+      setVersion((v) => v + 1);
+      alert(`${f.name} purged with ${data.transactions} ledger entr${data.transactions === 1 ? "y" : "ies"}.`);
+    } catch (err) {
+      console.error("purgeFriend:", err);
+      alert("Purging the friend failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div
+      className="card"
+      style={{
+        padding: 16,
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: "#ffffff",
+      }}
+    >
+      <h3 style={{ marginBottom: 4, fontSize: "1.1rem" }}>🗄️ Archived friends</h3>
+      <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+        Archived friends get no messages and are left out of balances, loans and the dashboard. Their history
+        is kept until you purge them.
+      </div>
+
+      {!current && <div className="small">Loading…</div>}
+      {current?.error && (
+        <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem" }}>
+          Could not load archived friends: {current.error}
+        </div>
+      )}
+      {current?.friends?.length === 0 && (
+        <div className="small" style={{ fontSize: "0.85rem" }}>
+          No archived friends.
+        </div>
+      )}
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        {current?.friends?.map((f) => (
+          <div
+            key={f._id}
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+              padding: "8px 10px",
+              borderRadius: 8,
+              border: "1px solid #e5e7eb",
+            }}
+          >
+            <div>
+              <strong>{f.name}</strong>
+              <div className="small" style={{ fontSize: "0.8rem", color: "#6b7280" }}>
+                {f.whatsapp} · Balance {formatMoney(f.totalBalance, f.currency)}
+                {Number(f.owedAmount) > 0 && <> · Owes {formatMoney(f.owedAmount, f.currency)}</>} · Archived{" "}
+                {formatDate(f.archivedAt, timezone)}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 6 }}>
+              <button
+                type="button"
+                className="btn"
+                disabled={busyId === f._id}
+                onClick={() => restore(f)}
+                style={{ ...buttonStyle, background: "#16a34a" }}
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                className="btn"
+                disabled={busyId === f._id}
+                onClick={() => purge(f)}
+                style={{ ...buttonStyle, background: "#e63946" }}
+              >
+                Purge…
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+import { formatMoney } from "../money";
+import { formatDate } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.85rem",
+};
+
+const cellStyle = {
+  padding: "3px 8px",
+  borderBottom: "1px solid #f3f4f6",
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
+const SECTIONS = { friend: "Friend", transaction: "Entry", reversal: "Counter-entry", schedule: "Reminders" };
+
+const FIELD_LABELS = {
+  totalBalance: "Balance",
+  savedAmount: "Saved amount",
+  openingBalance: "Opening balance",
+  owedAmount: "Owed",
+  dailyLimit: "Daily limit",
+  monthlyLimit: "Monthly limit",
+  lowBalanceThreshold: "Low-balance alert",
+  monthlyStatement: "Monthly statement",
+  archivedAt: "Archived",
+  previousBalance: "Before",
+  newBalance: "After",
+  outstanding: "Outstanding",
+  dueDate: "Due date",
+  interestType: "Interest",
+  interestRate: "Interest rate (%)",
+  interestStartDate: "Interest from",
+  reversalOf: "Reverses",
+  reversedBy: "Reversed by",
+  intervalDays: "Every (days)",
+  sendTime: "Send at",
+  quietHoursStart: "Quiet from",
+  quietHoursEnd: "Quiet until",
+  maxReminders: "Max reminders",
+  remindersSent: "Sent",
+  nextRunAt: "Next reminder",
+};
+
+const MONEY_FIELDS = new Set([
+  "totalBalance",
+  "savedAmount",
+  "openingBalance",
+  "owedAmount",
+  "dailyLimit",
+  "monthlyLimit",
+  "lowBalanceThreshold",
+  "amount",
+  "previousBalance",
+  "newBalance",
+  "outstanding",
+]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+function formatValue(field, value, currency, timezone) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (MONEY_FIELDS.has(field) && typeof value === "number") return formatMoney(value, currency);
+  if (typeof value === "string" && ISO_DATE.test(value)) return formatDate(value, timezone);
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  return String(value);
+}
+
+// [{ section, field, from, to }] for every field that differs between the snapshots
+// (a creation lists every field of `after`, a deletion every field of `before`)
+function changes(before, after) {
+  const rows = [];
+  for (const section of Object.keys(SECTIONS)) {
+    const a = before?.[section] || {};
+    const b = after?.[section] || {};
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (field === "_id") continue;
+      if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+      rows.push({ section, field, from: a[field], to: b[field] });
+    }
+  }
+  return rows;
+}
+
+// Append-only trail of every change: who changed what, when, from where, and the values
+// before and after, to explain any balance
+export default function AuditLog({ friends, timezone }) {
+  const [actions, setActions] = useState({});
+  const [friendId, setFriendId] = useState("");
+  const [action, setAction] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  // { key, events, nextCursor } or { key, error } for the filters in `key`
+  const [result, setResult] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const key = JSON.stringify({ friendId, action, from, to });
+  const invalidRange = from && to && from > to;
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API}/api/audit/actions`)
+      .then(({ data }) => {
+        if (!cancelled) setActions(data || {});
+      })
+      .catch((err) => console.error("loadAuditActions:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (invalidRange) return;
+    let cancelled = false;
+    const params = { friendId: friendId || undefined, action: action || undefined, from: from || undefined, to: to || undefined };
+    axios
+      .get(`${API}/api/audit`, { params })
+      .then(({ data }) => {
+        if (!cancelled) setResult({ key, ...data });
+      })
+      .catch((err) => {
+        console.error("loadAudit:", err);
+        if (!cancelled) setResult({ key, error: err?.response?.data?.error || err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, friendId, action, from, to, invalidRange]);
+
+  const current = result && result.key === key ? result : null;
+  const data = current && !current.error ? current : null;
+  const loading = !invalidRange && !current;
+
+  async function loadMore() {
+    if (!data?.nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const res = await axios.get(`${API}/api/audit`, {
+        params: {
+          friendId: friendId || undefined,
+          action: action || undefined,
+          from: from || undefined,
+          to: to || undefined,
+          cursor: data.nextCursor,
+        },
+      });
+      setResult((r) =>
+        r && r.key === key ? { ...r, events: [...r.events, ...res.data.events], nextCursor: res.data.nextCursor } : r
+      );
+    } catch (err) {
+      console.error("loadMoreAudit:", err);
+      alert("Loading more audit events failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  return (
+    <div
+      className="card"
+      style={{
+        padding: 16,
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: "#ffffff",
+      }}
+    >
+      <h3 style={{ marginBottom: 4, fontSize: "1.1rem" }}>🕵️ Audit log</h3>
+      <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+        Every change to friends, balances and ledger entries, with the values before and after. Entries can
+        never be edited or removed.
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 12 }}>
+        <select value={friendId} onChange={(e) => setFriendId(e.target.value)} style={inputStyle}>
+          <option value="">All friends</option>
+          {friends.map((f) => (
+            <option key={f._id} value={f._id}>
+              {f.name}
+            </option>
+          ))}
+        </select>
+        <select value={action} onChange={(e) => setAction(e.target.value)} style={inputStyle}>
+          <option value="">All actions</option>
+          {Object.entries(actions).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} title="From" style={inputStyle} />
+        <span className="small">to</span>
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} title="To (inclusive)" style={inputStyle} />
+        {loading && <span className="small">Loading…</span>}
+      </div>
+
+      {invalidRange && (
+        <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem" }}>
+          The start date must be on or before the end date.
+        </div>
+      )}
+      {current?.error && (
+        <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem" }}>
+          Could not load the audit log: {current.error}
+        </div>
+      )}
+      {data && data.events.length === 0 && (
+        <div className="small" style={{ fontSize: "0.85rem" }}>
+          No changes recorded.
+        </div>
+      )}
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        {data?.events.map((e) => {
+          const currency = e.after?.friend?.currency || e.before?.friend?.currency;
+          const rows = changes(e.before, e.after);
+          return (
+            <div key={e._id} style={{ padding: "8px 10px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "space-between", gap: 8 }}>
+                <span>
+                  <strong>{actions[e.action] || e.action}</strong>
+                  {e.friendName && <span style={{ color: "#4b5563" }}> · {e.friendName}</span>}
+                </span>
+                <span className="small" style={{ fontSize: "0.8rem", color: "#6b7280" }}>
+                  {formatDate(e.createdAt, timezone)}
+                </span>
+              </div>
+              <div className="small" style={{ fontSize: "0.75rem", color: "#6b7280", marginTop: 2, wordBreak: "break-all" }}>
+                {e.method} {e.route} · {e.actor?.email || "unknown user"} · IP {e.ip || "—"}
+              </div>
+              {e.before?.transactions !== undefined && (
+                <div className="small" style={{ fontSize: "0.8rem", marginTop: 4 }}>
+                  {e.before.transactions} ledger entr{e.before.transactions === 1 ? "y" : "ies"} deleted with the friend
+                </div>
+              )}
+              {rows.length > 0 && (
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.8rem", marginTop: 6 }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Field</th>
+                      <th style={cellStyle}>Before</th>
+                      <th style={cellStyle}>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((r) => (
+                      <tr key={`${r.section}.${r.field}`}>
+                        <td style={cellStyle}>
+                          <span style={{ color: "#6b7280" }}>{SECTIONS[r.section]}:</span> {FIELD_LABELS[r.field] || r.field}
+                        </td>
+                        <td style={cellStyle}>{formatValue(r.field, r.from, currency, timezone)}</td>
+                        <td style={{ ...cellStyle, fontWeight: 600 }}>{formatValue(r.field, r.to, currency, timezone)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {data?.nextCursor && (
+        <div style={{ textAlign: "center", marginTop: 10 }}>
+          <button
+            type="button"
+            disabled={loadingMore}
+            onClick={loadMore}
+            style={{ padding: "4px 10px", borderRadius: 6, border: "1px solid #d1d5db", background: "#f3f4f6", cursor: "pointer", fontSize: "0.8rem" }}
+          >
+            {loadingMore ? "Loading…" : "Load more"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import axios from "../axiosConfig";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const buttonStyle = {
+  padding: "6px 10px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.8rem",
+};
+
+// The category list offered when sending money: add, rename, delete
+export default function Categories({ categories, onChange }) {
+  const [name, setName] = useState("");
+
+  async function addCategory(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      await axios.post(`${API}/api/categories`, { name });
+      setName("");
+      onChange?.();
+    } catch (err) {
+      console.error("addCategory:", err);
+      alert("Adding the category failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function renameCategory(c) {
+    const next = prompt("Rename category:", c.name);
+    if (next === null || next.trim() === c.name) return;
+    try {
+      await axios.patch(`${API}/api/categories/${c._id}`, { name: next });
+      onChange?.();
+    } catch (err) {
+      console.error("renameCategory:", err);
+      alert("Renaming the category failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function deleteCategory(c) {
+    if (!confirm(`Delete "${c.name}"? Its transactions are kept but lose the category.`)) return;
+    try {
+      await axios.delete(`${API}/api/categories/${c._id}`);
+      onChange?.();
+    } catch (err) {
+      console.error("deleteCategory:", err);
+      alert("Deleting the category failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  return (
+    <div
+      className="card"
+      style={{
+        padding: 16,
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: "#ffffff",
+      }}
+    >
+      <h3 style={{ marginBottom: 4, fontSize: "1.1rem" }}>🏷️ Categories</h3>
+      <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+        Pick one when sending money; the History view totals spending per category. Tags are free text and
+        need no setup.
+      </div>
+
+      <form onSubmit={addCategory} style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+        <input
+          placeholder="New category, e.g. Food"
+          value={name}
+          maxLength={40}
+          onChange={(e) => setName(e.target.value)}
+          style={{ flex: 1, padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+        />
+        <button type="submit" className="btn" style={{ ...buttonStyle, background: "#2563eb" }}>
+          Add
+        </button>
+      </form>
+
+      {categories.length === 0 && (
+        <div className="small" style={{ fontSize: "0.85rem" }}>
+          No categories yet.
+        </div>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {categories.map((c) => (
+          <div
+            key={c._id}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+              padding: "6px 10px",
+              borderRadius: 8,
+              border: "1px solid #e5e7eb",
+            }}
+          >
+            <span style={{ fontWeight: 600 }}>{c.name}</span>
+            <span style={{ display: "flex", gap: 6 }}>
+              <button type="button" className="btn" onClick={() => renameCategory(c)} style={{ ...buttonStyle, background: "#6b7280" }}>
+                Rename
+              </button>
+              <button type="button" className="btn" onClick={() => deleteCategory(c)} style={{ ...buttonStyle, background: "#e63946" }}>
+                Delete
+              </button>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
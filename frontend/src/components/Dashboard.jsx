@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import axios from "../axiosConfig";
+import { DEFAULT_CURRENCY, formatMoney, formatTotals } from "../money";
+import { formatDate } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.85rem",
+};
+
+const cardStyle = {
+  padding: 12,
+  borderRadius: 10,
+  border: "1px solid #e2e8f0",
+  background: "#f9fafb",
+};
+
+const cellStyle = {
+  padding: "6px 8px",
+  borderBottom: "1px solid #f3f4f6",
+  textAlign: "left",
+};
+
+const INTERVALS = { day: "Daily", week: "Weekly", month: "Monthly" };
+
+function Stat({ label, value }) {
+  return (
+    <div style={{ ...cardStyle, flex: "1 1 160px" }}>
+      <div className="small" style={{ fontSize: "0.8rem", color: "#6b7280" }}>
+        {label}
+      </div>
+      <div style={{ fontWeight: 700, fontSize: "1.05rem", marginTop: 4 }}>{value}</div>
+    </div>
+  );
+}
+
+function ChartCard({ title, children }) {
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontWeight: 600, fontSize: "0.95rem", marginBottom: 8 }}>{title}</div>
+      <div style={{ width: "100%", height: 260 }}>
+        <ResponsiveContainer>{children}</ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+// Spending trends: spend per day / week / month, average daily spend, largest debits and
+// what friends owed over time, filtered by friend and date range
+export default function Dashboard({ timezone }) {
+  const [friends, setFriends] = useState([]);
+  const [friendId, setFriendId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [groupBy, setGroupBy] = useState("day");
+  const [currency, setCurrency] = useState("");
+  // { key, spend, summary, loans } or { key, error } for the filters in `key`
+  const [result, setResult] = useState(null);
+
+  const key = JSON.stringify({ friendId, from, to, groupBy });
+  const invalidRange = from && to && from > to;
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API}/api/friends`)
+      .then(({ data }) => {
+        if (!cancelled) setFriends(data || []);
+      })
+      .catch((err) => console.error("loadFriends:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (invalidRange) return;
+    let cancelled = false;
+    const params = { friendId: friendId || undefined, from: from || undefined, to: to || undefined };
+    Promise.all([
+      axios.get(`${API}/api/analytics/spend`, { params: { ...params, interval: groupBy } }),
+      axios.get(`${API}/api/analytics/summary`, { params }),
+      axios.get(`${API}/api/analytics/loans`, { params: { ...params, interval: groupBy } }),
+    ])
+      .then(([spend, summary, loans]) => {
+        if (!cancelled) setResult({ key, spend: spend.data, summary: summary.data, loans: loans.data });
+      })
+      .catch((err) => {
+        console.error("loadAnalytics:", err);
+        if (!cancelled) setResult({ key, error: err?.response?.data?.error || err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, friendId, from, to, groupBy, invalidRange]);
+
+  const current = result && result.key === key ? result : null;
+  const loading = !invalidRange && !current;
+  const data = current && !current.error ? current : null;
+
+  // every total is per currency; the charts show one currency at a time
+  const currencies = data
+    ? [
+        ...new Set([
+          ...Object.keys(data.summary.totals),
+          ...data.loans.series.flatMap((s) => Object.keys(s.totals)),
+          ...data.spend.friends.map((f) => f.friend.currency),
+        ]),
+      ]
+    : [];
+  const shownCurrency = currencies.includes(currency) ? currency : currencies[0] || DEFAULT_CURRENCY;
+  const money = (n) => formatMoney(n, shownCurrency);
+  const axisMoney = (n) => money(Math.round(n));
+  const zone = data?.summary.timezone || timezone;
+
+  const spendData = data ? data.spend.series.map((s) => ({ period: s.period, amount: s.totals[shownCurrency] || 0 })) : [];
+  const friendData = data
+    ? data.spend.friends
+        .filter((f) => f.friend.currency === shownCurrency)
+        .map((f) => ({ name: f.friend.name, amount: f.total }))
+        .sort((a, b) => b.amount - a.amount)
+    : [];
+  const owedData = data ? data.loans.series.map((s) => ({ period: s.period, owed: s.totals[shownCurrency] || 0 })) : [];
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        <select value={friendId} onChange={(e) => setFriendId(e.target.value)} style={inputStyle}>
+          <option value="">All friends</option>
+          {friends.map((f) => (
+            <option key={f._id} value={f._id}>
+              {f.name}
+            </option>
+          ))}
+        </select>
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} title="From (empty = 30 days ago)" style={inputStyle} />
+        <span className="small">to</span>
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} title="To (empty = today)" style={inputStyle} />
+        <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} style={inputStyle}>
+          {Object.entries(INTERVALS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {currencies.length > 1 && (
+          <select value={shownCurrency} onChange={(e) => setCurrency(e.target.value)} title="Currency shown in the charts" style={inputStyle}>
+            {currencies.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        )}
+        {loading && <span className="small">Loading…</span>}
+      </div>
+
+      {invalidRange && (
+        <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem" }}>
+          The start date must be on or before the end date.
+        </div>
+      )}
+      {current?.error && (
+        <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem" }}>
+          Could not load analytics: {current.error}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+            <Stat label="Total spent" value={formatTotals(data.summary.totals)} />
+            <Stat label={`Average per day (${data.summary.days} days)`} value={formatTotals(data.summary.averageDaily)} />
+            <Stat label="Debits" value={data.summary.count} />
+          </div>
+
+          <ChartCard title={`${INTERVALS[groupBy]} spend (${shownCurrency})`}>
+            <BarChart data={spendData}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="period" fontSize={11} />
+              <YAxis tickFormatter={axisMoney} fontSize={11} width={80} />
+              <Tooltip formatter={(v) => [money(v), "Spent"]} />
+              <Bar dataKey="amount" fill="#16a34a" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ChartCard>
+
+          {!friendId && friendData.length > 0 && (
+            <ChartCard title={`Spend by friend (${shownCurrency})`}>
+              <BarChart data={friendData} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                <XAxis type="number" tickFormatter={axisMoney} fontSize={11} />
+                <YAxis type="category" dataKey="name" fontSize={11} width={100} />
+                <Tooltip formatter={(v) => [money(v), "Spent"]} />
+                <Bar dataKey="amount" fill="#2563eb" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ChartCard>
+          )}
+
+          <ChartCard title={`Owed to you (${shownCurrency}, incl. interest)`}>
+            <LineChart data={owedData}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="period" fontSize={11} />
+              <YAxis tickFormatter={axisMoney} fontSize={11} width={80} />
+              <Tooltip formatter={(v) => [money(v), "Owed"]} />
+              <Line type="monotone" dataKey="owed" stroke="#b91c1c" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ChartCard>
+
+          <div style={cardStyle}>
+            <div style={{ fontWeight: 600, fontSize: "0.95rem", marginBottom: 8 }}>Largest debits</div>
+            {data.summary.largest.length === 0 ? (
+              <div className="small" style={{ fontSize: "0.85rem" }}>
+                No debits in this range.
+              </div>
+            ) : (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.85rem" }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Date</th>
+                    <th style={cellStyle}>Friend</th>
+                    <th style={{ ...cellStyle, textAlign: "right" }}>Amount</th>
+                    <th style={cellStyle}>Note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.summary.largest.map((t) => (
+                    <tr key={t._id}>
+                      <td style={cellStyle}>{formatDate(t.date, zone)}</td>
+                      <td style={cellStyle}>{t.friend.name}</td>
+                      <td style={{ ...cellStyle, textAlign: "right", fontWeight: 600 }}>
+                        {formatMoney(t.amount, t.friend.currency)}
+                      </td>
+                      <td style={cellStyle}>{t.note || "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import React, { useState } from "react";
+import axios from "../axiosConfig";
+import { formatMoney } from "../money";
+import { formatDate } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.85rem",
+};
+
+const buttonStyle = {
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+  whiteSpace: "nowrap",
+};
+
+const cellStyle = {
+  padding: "6px 8px",
+  borderBottom: "1px solid #f3f4f6",
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
+const STATUS = {
+  ok: { label: "Ready", background: "#dcfce7", color: "#15803d" },
+  duplicate: { label: "Duplicate", background: "#fef9c3", color: "#a16207" },
+  error: { label: "Error", background: "#fee2e2", color: "#b91c1c" },
+};
+
+const KINDS = {
+  friends: { label: "Friends", hint: "name, whatsapp, savedAmount, totalBalance (language, currency optional)" },
+  transactions: {
+    label: "Transactions",
+    hint: "friend (WhatsApp or name), type (credit/debit/loan/repay), amount, note, date (YYYY-MM-DD or DD/MM/YYYY)",
+  },
+};
+
+// one preview row as table cells, per import kind
+function rowCells(kind, values, timezone) {
+  if (kind === "friends") {
+    return [
+      values.name,
+      values.whatsapp,
+      formatMoney(values.savedAmount, values.currency),
+      formatMoney(values.totalBalance, values.currency),
+      `${values.language} · ${values.currency}`,
+    ];
+  }
+  return [
+    values.friend,
+    values.type || "—",
+    values.amount > 0 ? formatMoney(values.amount, values.currency || undefined) : "—",
+    values.date ? formatDate(values.date, values.timezone || timezone) : "—",
+    values.note || "",
+  ];
+}
+
+const HEADINGS = {
+  friends: ["Name", "WhatsApp", "Saved", "Balance", "Language · Currency"],
+  transactions: ["Friend", "Type", "Amount", "Date", "Note"],
+};
+
+// Upload friends or historical transactions from a CSV / Excel file: map columns, check every row, import
+export default function ImportData({ timezone, onImported }) {
+  const [kind, setKind] = useState("friends");
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function upload(path, f, mapping) {
+    const form = new FormData();
+    form.append("file", f);
+    form.append("kind", kind);
+    if (mapping) form.append("mapping", JSON.stringify(mapping));
+    return axios.post(`${API}/api/import/${path}`, form);
+  }
+
+  async function runPreview(f, mapping) {
+    if (!f) return;
+    setBusy(true);
+    try {
+      const { data } = await upload("preview", f, mapping);
+      setPreview(data);
+    } catch (err) {
+      console.error("importPreview:", err);
+      setPreview(null);
+      alert("Could not read the file: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function chooseFile(e) {
+    const f = e.target.files?.[0] || null;
+    setFile(f);
+    setPreview(null);
+    runPreview(f, null);
+  }
+
+  function changeKind(next) {
+    setKind(next);
+    setFile(null);
+    setPreview(null);
+  }
+
+  function changeMapping(field, header) {
+    runPreview(file, { ...preview.mapping, [field]: header });
+  }
+
+  async function commit() {
+    const { summary } = preview;
+    if (!confirm(`Import ${summary.ok} ${KINDS[kind].label.toLowerCase()}${summary.duplicates ? ` and skip ${summary.duplicates} duplicate(s)` : ""}?`))
+      return;
+    setBusy(true);
+    try {
+      const { data } = await upload("commit", file, preview.mapping);
+      alert(`Imported ${data.imported} row(s)` + (data.skipped ? `, skipped ${data.skipped} duplicate(s)` : ""));
+      setFile(null);
+      setPreview(null);
+      onImported?.();
+    } catch (err) {
+      console.error("importCommit:", err);
+      if (err?.response?.data?.preview) setPreview(err.response.data.preview);
+      alert("Import failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const canImport = preview && !busy && !preview.missing.length && !preview.summary.errors && preview.summary.ok > 0;
+
+  return (
+    <div
+      className="card"
+      style={{
+        padding: 16,
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: "#ffffff",
+      }}
+    >
+      <h3 style={{ marginBottom: 4, fontSize: "1.1rem" }}>📥 Import from a spreadsheet</h3>
+      <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+        CSV or Excel (.xlsx), first row = column names. Expected columns: {KINDS[kind].hint}. Nothing is saved
+        unless every row is valid; rows already in the app are skipped.
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 12 }}>
+        <select value={kind} onChange={(e) => changeKind(e.target.value)} style={inputStyle}>
+          {Object.entries(KINDS).map(([k, v]) => (
+            <option key={k} value={k}>
+              {v.label}
+            </option>
+          ))}
+        </select>
+        {/* keyed by kind so switching clears the chosen file */}
+        <input key={kind} type="file" accept=".csv,.xlsx" onChange={chooseFile} style={{ fontSize: "0.85rem" }} />
+        {busy && <span className="small">Checking…</span>}
+      </div>
+
+      {preview && (
+        <>
+          <div style={{ fontWeight: 600, fontSize: "0.9rem", marginBottom: 6 }}>Columns</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginBottom: 12 }}>
+            {preview.fields.map((f) => (
+              <label
+                key={f.key}
+                style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: "0.8rem", color: "#4b5563" }}
+              >
+                {f.label}
+                {f.required ? " *" : ""}
+                <select
+                  value={preview.mapping[f.key] || ""}
+                  onChange={(e) => changeMapping(f.key, e.target.value)}
+                  disabled={busy}
+                  style={inputStyle}
+                >
+                  <option value="">— not in file —</option>
+                  {preview.columns.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {preview.missing.length > 0 ? (
+            <div className="small" style={{ fontSize: "0.85rem", color: "#b91c1c", marginBottom: 12 }}>
+              Choose a column for: {preview.missing.join(", ")}
+            </div>
+          ) : (
+            <div className="small" style={{ fontSize: "0.85rem", marginBottom: 8 }}>
+              {preview.summary.total} row(s): <strong style={{ color: "#15803d" }}>{preview.summary.ok} ready</strong>
+              {" · "}
+              <strong style={{ color: "#a16207" }}>{preview.summary.duplicates} duplicate(s)</strong>
+              {" · "}
+              <strong style={{ color: "#b91c1c" }}>{preview.summary.errors} with errors</strong>
+            </div>
+          )}
+
+          {preview.rows.length > 0 && (
+            <div style={{ maxHeight: 420, overflow: "auto", border: "1px solid #e5e7eb", borderRadius: 8 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.8rem" }}>
+                <thead style={{ position: "sticky", top: 0, background: "#f9fafb" }}>
+                  <tr>
+                    <th style={cellStyle}>Row</th>
+                    <th style={cellStyle}>Status</th>
+                    {HEADINGS[preview.kind].map((h) => (
+                      <th key={h} style={cellStyle}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((r) => (
+                    <tr key={r.line} style={{ background: r.status === "error" ? "#fff7f7" : "transparent" }}>
+                      <td style={cellStyle}>{r.line}</td>
+                      <td style={cellStyle}>
+                        <span
+                          style={{
+                            padding: "2px 8px",
+                            borderRadius: 999,
+                            background: STATUS[r.status].background,
+                            color: STATUS[r.status].color,
+                            fontWeight: 600,
+                            whiteSpace: "nowrap",
+                          }}
+                        >
+                          {STATUS[r.status].label}
+                        </span>
+                        {r.errors.map((e) => (
+                          <div key={e} style={{ color: "#b91c1c", marginTop: 4 }}>
+                            {e}
+                          </div>
+                        ))}
+                        {r.duplicateOf && (
+                          <div style={{ color: "#a16207", marginTop: 4 }}>
+                            {r.duplicateOf.line
+                              ? `Same number as row ${r.duplicateOf.line}`
+                              : r.duplicateOf.name
+                                ? `Already saved as ${r.duplicateOf.name}`
+                                : "Already in the ledger"}
+                          </div>
+                        )}
+                      </td>
+                      {rowCells(preview.kind, r.values, timezone).map((v, i) => (
+                        <td key={i} style={{ ...cellStyle, wordBreak: "break-word" }}>
+                          {v}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}>
+            <button
+              type="button"
+              className="btn"
+              onClick={commit}
+              disabled={!canImport}
+              style={{ ...buttonStyle, background: "#16a34a", opacity: canImport ? 1 : 0.6 }}
+            >
+              {busy ? "Working…" : `Import ${preview.summary.ok} row(s)`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,17 +1,45 @@
 import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+import ReminderSettings from "./ReminderSettings";
+import OverdueLoans from "./OverdueLoans";
+import StatementDownload from "./StatementDownload";
+import { LANGUAGES } from "../languages";
+import { CURRENCIES, DEFAULT_CURRENCY, formatMoney, formatTotals, sumByCurrency } from "../money";
+import { formatDate, formatDay } from "../dates";
+import { isDuplicateError, duplicateWarning } from "../duplicates";
 
 const API = import.meta.env.VITE_API || "http://localhost:5000";
 
-export default function LoanManager() {
+// What is still due on a loan entry: principal + unpaid interest (computed by the backend)
+const loanDue = (t) => Number(t.totalDue ?? t.outstanding ?? t.amount);
+
+export default function LoanManager({ timezone }) {
   const [friends, setFriends] = useState([]);
   const [selected, setSelected] = useState("");
   const [loans, setLoans] = useState([]);
   const [amount, setAmount] = useState("");
   const [reason, setReason] = useState("");
+  const [interestType, setInterestType] = useState("none");
+  const [interestRate, setInterestRate] = useState("");
+  const [interestStart, setInterestStart] = useState("");
+  const [dueDate, setDueDate] = useState("");
+
+  // Repayment fields
+  const [repayAmount, setRepayAmount] = useState("");
+  const [repayNote, setRepayNote] = useState("");
+  const [repayReceipt, setRepayReceipt] = useState(true);
 
   // New friend fields
   const [newName, setNewName] = useState("");
   const [newWhatsapp, setNewWhatsapp] = useState("");
+  const [newLanguage, setNewLanguage] = useState("en");
+  const [newCurrency, setNewCurrency] = useState(DEFAULT_CURRENCY);
+
+  // amounts of the selected friend, in their currency; dates in their timezone
+  const selectedFriend = friends.find((f) => f._id === selected);
+  const currency = selectedFriend?.currency || DEFAULT_CURRENCY;
+  const money = (n) => formatMoney(n, currency);
+  const friendTimezone = selectedFriend?.timezone || timezone;
 
   useEffect(() => {
     loadFriends();
@@ -23,8 +51,7 @@ export default function LoanManager() {
 
   async function loadFriends() {
     try {
-      const res = await fetch(`${API}/api/friends`);
-      const data = await res.json();
+      const { data } = await axios.get(`${API}/api/friends`);
       setFriends(data || []);
       if (!selected && data && data.length) setSelected(data[0]._id);
     } catch (err) {
@@ -35,8 +62,7 @@ export default function LoanManager() {
   async function loadLoans(friendId) {
     if (!friendId) return setLoans([]);
     try {
-      const res = await fetch(`${API}/api/loans/friend/${friendId}`);
-      const data = await res.json();
+      const { data } = await axios.get(`${API}/api/loans/friend/${friendId}`);
       setLoans(data.txs || []);
     } catch (err) {
       console.error("loadLoans:", err);
@@ -53,27 +79,28 @@ export default function LoanManager() {
     if (!whatsapp) return alert("Please enter WhatsApp number (e.g. +919876543210)");
 
     try {
-      const payload = { name, whatsapp, totalBalance: 0 };
-      const res = await fetch(`${API}/api/friends`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        return alert("Failed to add friend: " + (err.error || res.statusText));
+      const payload = { name, whatsapp, totalBalance: 0, language: newLanguage, currency: newCurrency };
+      let res;
+      try {
+        res = await axios.post(`${API}/api/friends`, payload);
+      } catch (err) {
+        if (!isDuplicateError(err)) throw err;
+        if (!window.confirm(duplicateWarning(err.response.data.duplicates))) return;
+        res = await axios.post(`${API}/api/friends`, { ...payload, allowDuplicate: true });
       }
-      const created = await res.json();
+      const created = res.data;
       await loadFriends();
       setSelected(created._id || created._doc?._id || "");
       setNewName("");
       setNewWhatsapp("");
+      setNewLanguage("en");
+      setNewCurrency(DEFAULT_CURRENCY);
       if (created._id || created._doc?._id) {
         loadLoans(created._id || created._doc._id);
       }
     } catch (err) {
       console.error("addFriend:", err);
-      alert("Error adding friend");
+      alert("Failed to add friend: " + (err?.response?.data?.error || err.message));
     }
   }
 
@@ -84,53 +111,101 @@ export default function LoanManager() {
     const amt = Number(amount);
     if (!amt || amt <= 0) return alert("Enter a valid amount");
     try {
-      const res = await fetch(`${API}/api/loans`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ friendId: selected, amount: amt, reason }),
+      const interest =
+        interestType === "none"
+          ? {}
+          : {
+              interestType,
+              interestRate: Number(interestRate) || 0,
+              interestStartDate: interestStart || undefined,
+            };
+      await axios.post(`${API}/api/loans`, {
+        friendId: selected,
+        amount: amt,
+        reason,
+        dueDate: dueDate || undefined,
+        ...interest,
       });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        return alert("Failed to add loan: " + (err.error || res.statusText));
-      }
       setAmount("");
       setReason("");
+      setDueDate("");
+      setInterestType("none");
+      setInterestRate("");
+      setInterestStart("");
       await loadLoans(selected);
       await loadFriends();
     } catch (err) {
       console.error("addLoan:", err);
-      alert("Error adding loan");
+      alert("Failed to add loan: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  // Open loans, oldest first — the order repayments are applied in
+  const openLoans = loans
+    .filter((t) => t.type === "loan" && loanDue(t) > 0)
+    .sort((a, b) => new Date(a.date || a.createdAt) - new Date(b.date || b.createdAt));
+
+  // Client-side preview of the backend's FIFO allocation
+  function previewAllocation(total) {
+    let left = Number(total) || 0;
+    const rows = [];
+    for (const loan of openLoans) {
+      if (left <= 0) break;
+      const due = loanDue(loan);
+      const pay = Math.min(left, due);
+      left -= pay;
+      rows.push({ loan, pay, remaining: due - pay });
+    }
+    return { rows, excess: left };
+  }
+
+  // Record a repayment (allocated oldest-first by the backend)
+  async function recordRepayment(e) {
+    e.preventDefault();
+    if (!selected) return alert("Select a friend first");
+    const amt = Number(repayAmount);
+    if (!amt || amt <= 0) return alert("Enter a valid amount");
+    if (previewAllocation(amt).excess > 0) return alert("Repayment is more than the friend owes");
+    try {
+      const res = await axios.post(`${API}/api/loans/repay`, {
+        friendId: selected,
+        amount: amt,
+        note: repayNote,
+        sendMessage: repayReceipt,
+      });
+      setRepayAmount("");
+      setRepayNote("");
+      await loadLoans(selected);
+      await loadFriends();
+      const sent = res.data.sendResult;
+      if (sent && !sent.success) alert("Repayment recorded, but the receipt failed to send.");
+    } catch (err) {
+      console.error("recordRepayment:", err);
+      alert("Failed to record repayment: " + (err?.response?.data?.error || err.message));
     }
   }
 
-  // Delete loan
-  async function deleteLoan(id) {
-    if (!confirm("Delete this loan?")) return;
+  // Reverse a loan or repayment: a linked counter-entry undoes it, both stay listed
+  async function reverseLoan(id) {
+    if (!confirm("Reverse this entry? It stays in the history, next to the entry that undoes it.")) return;
     try {
-      const res = await fetch(`${API}/api/loans/${id}`, { method: "DELETE" });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        return alert("Delete failed: " + (err.error || res.statusText));
-      }
+      await axios.delete(`${API}/api/loans/${id}`);
       await loadLoans(selected);
       await loadFriends();
     } catch (err) {
-      console.error("deleteLoan:", err);
+      console.error("reverseLoan:", err);
+      alert("Reversal failed: " + (err?.response?.data?.error || err.message));
     }
   }
 
   // Notify for a loan entry (exact reminder message for that loan)
   async function sendNotifyLoan(id) {
     try {
-      const res = await fetch(`${API}/api/loans/${id}/notify`, { method: "POST" });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        return alert("Notify failed: " + (err.error || res.statusText));
-      }
+      await axios.post(`${API}/api/loans/${id}/notify`);
       alert("Reminder sent for that loan entry!");
     } catch (err) {
       console.error("sendNotifyLoan:", err);
-      alert("Error sending reminder");
+      alert("Notify failed: " + (err?.response?.data?.error || err.message));
     }
   }
 
@@ -141,19 +216,15 @@ export default function LoanManager() {
     const owed = Number(friend?.owedAmount || 0);
     if (owed <= 0) return alert("Selected friend does not owe anything.");
 
-    const confirmMsg = `Send total owed reminder to ${friend.name} for ₹${owed}?`;
+    const confirmMsg = `Send total owed reminder to ${friend.name} for ${money(owed)}?`;
     if (!confirm(confirmMsg)) return;
 
     try {
-      const res = await fetch(`${API}/api/loans/friend/${selected}/notify`, { method: "POST" });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        return alert("Total notify failed: " + (err.error || res.statusText));
-      }
+      await axios.post(`${API}/api/loans/friend/${selected}/notify`);
       alert("Total reminder sent to " + friend.name);
     } catch (err) {
       console.error("notifyFriendTotal:", err);
-      alert("Error sending total reminder");
+      alert("Total notify failed: " + (err?.response?.data?.error || err.message));
     }
   }
 
@@ -190,7 +261,7 @@ export default function LoanManager() {
               whiteSpace: "nowrap",
             }}
           >
-            {f.name} (₹{f.owedAmount || 0})
+            {f.name} ({formatMoney(f.owedAmount, f.currency)})
           </button>
         ))}
       </div>
@@ -247,6 +318,30 @@ export default function LoanManager() {
             border: "1px solid #cbd5e1",
           }}
         />
+        <select
+          value={newLanguage}
+          onChange={(e) => setNewLanguage(e.target.value)}
+          title="Language of this friend's WhatsApp messages"
+          style={{ padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+        >
+          {LANGUAGES.map((l) => (
+            <option key={l.code} value={l.code}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={newCurrency}
+          onChange={(e) => setNewCurrency(e.target.value)}
+          title="Currency this friend's loans are kept in"
+          style={{ padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+        >
+          {CURRENCIES.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
         <button
           className="btn"
           type="submit"
@@ -266,6 +361,8 @@ export default function LoanManager() {
   onClick={() => {
     setNewName("");
     setNewWhatsapp("");
+    setNewLanguage("en");
+    setNewCurrency(DEFAULT_CURRENCY);
   }}
   style={{
     background: "#f3f4f6",      // light gray
@@ -305,12 +402,11 @@ export default function LoanManager() {
             Selected: {selected ? friends.find((x) => x._id === selected)?.name || "—" : "—"}
           </div>
           <div className="small" style={{ fontSize: "0.85rem" }}>
-            Overall owed: ₹
-            {friends.reduce((s, f) => s + Number(f.owedAmount || 0), 0)}
+            Overall owed: {formatTotals(sumByCurrency(friends, (f) => f.owedAmount))}
           </div>
           <div className="small" style={{ fontSize: "0.85rem" }}>
-            Selected owes: ₹
-            {selected ? friends.find((x) => x._id === selected)?.owedAmount || 0 : 0}
+            Selected owes:{" "}
+            {money(selected ? friends.find((x) => x._id === selected)?.owedAmount || 0 : 0)}
           </div>
         </div>
 
@@ -349,6 +445,17 @@ export default function LoanManager() {
         </div>
       </div>
 
+      {/* Statement of the selected friend */}
+      <div style={{ marginTop: 10 }}>
+        <StatementDownload friendId={selected} />
+      </div>
+
+      {/* Loans past their due date across all friends */}
+      <OverdueLoans refreshKey={loans} onSelect={setSelected} timezone={timezone} />
+
+      {/* Automatic reminder settings for the selected friend */}
+      <ReminderSettings key={selected} friendId={selected} defaultTimezone={timezone} />
+
       {/* Add loan – responsive row that wraps */}
       <form
         onSubmit={addLoan}
@@ -369,7 +476,7 @@ export default function LoanManager() {
             fontSize: "0.9rem",
           }}
         >
-          Amount (₹)
+          Amount ({currency})
           <input
             className="input"
             value={amount}
@@ -398,6 +505,54 @@ export default function LoanManager() {
           }}
         />
 
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: "0.9rem" }}>
+          Due
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            style={{ padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+          />
+        </label>
+
+        <select
+          value={interestType}
+          onChange={(e) => setInterestType(e.target.value)}
+          style={{ padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+        >
+          <option value="none">No interest</option>
+          <option value="simple">Simple interest</option>
+          <option value="compound">Compounded monthly</option>
+        </select>
+
+        {interestType !== "none" && (
+          <>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: "0.9rem" }}>
+              Rate (% / year)
+              <input
+                className="input"
+                value={interestRate}
+                onChange={(e) => setInterestRate(e.target.value)}
+                style={{
+                  width: 70,
+                  padding: "8px",
+                  borderRadius: 6,
+                  border: "1px solid #cbd5e1",
+                }}
+              />
+            </label>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: "0.9rem" }}>
+              From
+              <input
+                type="date"
+                value={interestStart}
+                onChange={(e) => setInterestStart(e.target.value)}
+                style={{ padding: "8px", borderRadius: 6, border: "1px solid #cbd5e1" }}
+              />
+            </label>
+          </>
+        )}
+
         <button
           className="btn"
           type="submit"
@@ -415,6 +570,128 @@ export default function LoanManager() {
         </button>
       </form>
 
+      {/* Record repayment – applied to the oldest open loans first */}
+      <form
+        onSubmit={recordRepayment}
+        style={{
+          marginTop: 12,
+          padding: 12,
+          borderRadius: 8,
+          border: "1px solid #e5e7eb",
+          background: "#f9fafb",
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: "0.95rem", marginBottom: 8 }}>💵 Record repayment</div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+          <label
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: 6,
+              alignItems: "center",
+              fontSize: "0.9rem",
+            }}
+          >
+            Amount ({currency})
+            <input
+              className="input"
+              value={repayAmount}
+              onChange={(e) => setRepayAmount(e.target.value)}
+              style={{
+                width: 120,
+                maxWidth: "100%",
+                padding: "8px",
+                borderRadius: 6,
+                border: "1px solid #cbd5e1",
+              }}
+            />
+          </label>
+
+          <input
+            className="input"
+            placeholder="Note (optional)"
+            value={repayNote}
+            onChange={(e) => setRepayNote(e.target.value)}
+            style={{
+              flex: "1 1 180px",
+              minWidth: 0,
+              padding: "8px",
+              borderRadius: 6,
+              border: "1px solid #cbd5e1",
+            }}
+          />
+
+          <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: "0.85rem" }}>
+            <input
+              type="checkbox"
+              checked={repayReceipt}
+              onChange={(e) => setRepayReceipt(e.target.checked)}
+            />
+            WhatsApp receipt
+          </label>
+
+          <button
+            className="btn"
+            type="submit"
+            disabled={!openLoans.length}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 6,
+              border: "none",
+              background: "#0d9488",
+              color: "#fff",
+              cursor: "pointer",
+              whiteSpace: "nowrap",
+              opacity: openLoans.length ? 1 : 0.6,
+            }}
+          >
+            Record repayment
+          </button>
+        </div>
+
+        {/* Per-loan remaining balances, and how this repayment would be split */}
+        {openLoans.length === 0 ? (
+          <div className="small" style={{ fontSize: "0.85rem", marginTop: 8 }}>
+            No open loans.
+          </div>
+        ) : (
+          <table style={{ width: "100%", marginTop: 8, fontSize: "0.85rem", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: "#6b7280" }}>
+                <th style={{ fontWeight: 600 }}>Loan</th>
+                <th style={{ fontWeight: 600 }}>Remaining</th>
+                {Number(repayAmount) > 0 && <th style={{ fontWeight: 600 }}>This payment</th>}
+                {Number(repayAmount) > 0 && <th style={{ fontWeight: 600 }}>After</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {openLoans.map((loan) => {
+                const row = previewAllocation(repayAmount).rows.find((r) => r.loan._id === loan._id);
+                const due = loanDue(loan);
+                return (
+                  <tr key={loan._id} style={{ borderTop: "1px solid #eee" }}>
+                    <td>
+                      {formatDay(loan.date || loan.createdAt, friendTimezone)} · {loan.reason || "—"}
+                    </td>
+                    <td>
+                      {money(due)} of {money(loan.amount)}
+                      {loan.interestDue > 0 ? ` (incl. ${money(loan.interestDue)} interest)` : ""}
+                    </td>
+                    {Number(repayAmount) > 0 && <td>{row ? money(row.pay) : "—"}</td>}
+                    {Number(repayAmount) > 0 && <td>{money(row ? row.remaining : due)}</td>}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        {previewAllocation(repayAmount).excess > 0 && (
+          <div className="small" style={{ fontSize: "0.85rem", marginTop: 6, color: "#b91c1c" }}>
+            {money(previewAllocation(repayAmount).excess)} more than owed
+          </div>
+        )}
+      </form>
+
       <hr style={{ margin: "16px 0" }} />
 
       <h4 style={{ fontSize: "1rem", marginBottom: 8 }}>Loan entries for selected friend</h4>
@@ -438,12 +715,55 @@ export default function LoanManager() {
             }}
           >
             <div style={{ minWidth: 0, flex: "1 1 200px" }}>
-              <div style={{ fontWeight: 700 }}>₹{t.amount}</div>
+              <div style={{ fontWeight: 700, color: t.type === "repay" ? "#0d9488" : undefined }}>
+                <span style={{ textDecoration: t.reversedBy ? "line-through" : undefined }}>
+                  {t.type === "repay" ? `Repaid ${money(t.amount)}` : money(t.amount)}
+                </span>
+                {(t.reversedBy || t.reversalOf) && (
+                  <span className="small" style={{ marginLeft: 8, fontSize: "0.75rem", fontWeight: 600, color: "#6b7280" }}>
+                    {t.reversedBy ? "↩ Reversed" : "↩ Reversal"}
+                  </span>
+                )}
+              </div>
+              {t.type === "loan" && !t.reversedBy && !t.reversalOf && (
+                <div className="small" style={{ fontSize: "0.8rem" }}>
+                  {loanDue(t) > 0 ? (
+                    <>
+                      Principal: {money(t.principal ?? t.outstanding ?? t.amount)}
+                      {t.interestType && t.interestType !== "none" && (
+                        <>
+                          {" "}
+                          · Interest ({t.interestRate}%{" "}
+                          {t.interestType === "compound" ? "monthly comp." : "simple"}):{" "}
+                          {money(t.interestDue || 0)}
+                        </>
+                      )}{" "}
+                      · <strong>Total due: {money(loanDue(t))}</strong>
+                    </>
+                  ) : (
+                    "✅ Paid off"
+                  )}
+                </div>
+              )}
+              {t.type === "loan" && t.dueDate && loanDue(t) > 0 && (
+                <div
+                  className="small"
+                  style={{
+                    fontSize: "0.8rem",
+                    color: t.status === "overdue" ? "#b91c1c" : "#4b5563",
+                    fontWeight: t.status === "overdue" ? 600 : undefined,
+                  }}
+                >
+                  Due {formatDay(t.dueDate, friendTimezone)}
+                  {t.status === "overdue" &&
+                    ` · ⚠️ ${t.daysOverdue} day${t.daysOverdue === 1 ? "" : "s"} overdue`}
+                </div>
+              )}
               <div className="small" style={{ fontSize: "0.85rem" }}>
-                {t.reason || "—"}
+                {t.reason || t.note || "—"}
               </div>
               <div className="small" style={{ fontSize: "0.8rem", color: "#6b7280" }}>
-                {new Date(t.createdAt).toLocaleString()}
+                {formatDate(t.createdAt, friendTimezone)}
               </div>
             </div>
             <div
@@ -456,6 +776,7 @@ export default function LoanManager() {
                 flex: "0 0 auto",
               }}
             >
+             {t.type === "loan" && !t.reversedBy && !t.reversalOf && (
              <button
   onClick={() => sendNotifyLoan(t._id)}
   style={{
@@ -474,23 +795,26 @@ export default function LoanManager() {
 >
   Notify
 </button>
+             )}
 
-              <button
-                className="btn"
-                onClick={() => deleteLoan(t._id)}
-                style={{
-                  padding: "6px 10px",
-                  borderRadius: 6,
-                  border: "none",
-                  background: "#e63946",
-                  color: "#fff",
-                  cursor: "pointer",
-                  fontSize: "0.85rem",
-                  whiteSpace: "nowrap",
-                }}
-              >
-                Delete
-              </button>
+              {!t.reversedBy && !t.reversalOf && (
+                <button
+                  className="btn"
+                  onClick={() => reverseLoan(t._id)}
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 6,
+                    border: "none",
+                    background: "#e63946",
+                    color: "#fff",
+                    cursor: "pointer",
+                    fontSize: "0.85rem",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Reverse
+                </button>
+              )}
             </div>
           </div>
         ))}
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import axios, { setAuthToken } from "../axiosConfig";
+
+const inputStyle = { padding: "8px", borderRadius: "6px", border: "1px solid #cbd5e1" };
+
+export default function Login({ onLogin }) {
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!email || !password) return alert("Email + password required");
+
+    try {
+      setBusy(true);
+      const res = await axios.post(`/api/auth/${mode}`, { name, email, password });
+      setAuthToken(res.data.token);
+      onLogin(res.data.user);
+    } catch (err) {
+      console.error(err);
+      alert(err?.response?.data?.error || "Login failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "16px",
+        boxSizing: "border-box",
+        background: "#f5f7fb",
+      }}
+    >
+      <div
+        className="card"
+        style={{
+          width: "100%",
+          maxWidth: 380,
+          padding: "20px",
+          borderRadius: "12px",
+          border: "1px solid #e2e8f0",
+          background: "#ffffff",
+          boxSizing: "border-box",
+        }}
+      >
+        <h1 style={{ fontSize: "1.4rem", marginBottom: "4px", textAlign: "center" }}>
+          WhatsApp Balance Manager
+        </h1>
+        <div className="small" style={{ textAlign: "center", marginBottom: "16px" }}>
+          {mode === "login" ? "Sign in to manage your friends" : "Create a manager account"}
+        </div>
+
+        <form onSubmit={submit} style={{ display: "grid", gap: 8, gridTemplateColumns: "1fr" }}>
+          {mode === "register" && (
+            <input
+              className="input"
+              placeholder="Your name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              style={inputStyle}
+            />
+          )}
+          <input
+            className="input"
+            type="email"
+            placeholder="Email"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            style={inputStyle}
+          />
+          <input
+            className="input"
+            type="password"
+            placeholder="Password"
+            autoComplete={mode === "login" ? "current-password" : "new-password"}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={inputStyle}
+          />
+          <button
+            className="btn"
+            type="submit"
+            disabled={busy}
+            style={{
+              padding: "8px 12px",
+              borderRadius: "6px",
+              border: "none",
+              background: "#2563eb",
+              color: "#fff",
+              cursor: "pointer",
+            }}
+          >
+            {busy ? "Please wait…" : mode === "login" ? "Log in" : "Create account"}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={() => setMode(mode === "login" ? "register" : "login")}
+          style={{
+            marginTop: 12,
+            width: "100%",
+            background: "none",
+            border: "none",
+            color: "#2563eb",
+            cursor: "pointer",
+            fontSize: "0.85rem",
+          }}
+        >
+          {mode === "login" ? "No account yet? Register" : "Already registered? Log in"}
+        </button>
+      </div>
+    </div>
+  );
+}
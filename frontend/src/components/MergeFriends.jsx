@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+import { formatMoney } from "../money";
+import { describeReasons } from "../duplicates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.85rem",
+};
+
+const buttonStyle = {
+  padding: "6px 10px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+};
+
+function FriendCard({ title, friend, color }) {
+  return (
+    <div style={{ flex: "1 1 200px", padding: "8px 10px", borderRadius: 8, border: `1px solid ${color}` }}>
+      <div className="small" style={{ fontSize: "0.75rem", fontWeight: 700, color }}>
+        {title}
+      </div>
+      <strong>{friend.name}</strong>
+      <div className="small" style={{ fontSize: "0.8rem", color: "#4b5563" }}>
+        {friend.whatsapp}
+        <br />
+        Balance {formatMoney(friend.totalBalance, friend.currency)} · Owes {formatMoney(friend.owedAmount, friend.currency)}
+      </div>
+    </div>
+  );
+}
+
+// Fold a duplicate friend into `friend` (or, swapped, `friend` into the duplicate): the ledger
+// moves to the friend kept, balances are recomputed and the other record is removed
+export default function MergeFriends({ friend, friends, onClose, onMerged }) {
+  // [{ _id, reasons }] of friends that look like `friend`, or null while loading
+  const [suggestions, setSuggestions] = useState(null);
+  const [chosenId, setChosenId] = useState("");
+  const [swapped, setSwapped] = useState(false);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API}/api/friends/duplicates`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        const matches = (data.pairs || [])
+          .filter((p) => p.friends.some((f) => f._id === friend._id))
+          .map((p) => ({ _id: p.friends.find((f) => f._id !== friend._id)._id, reasons: p.reasons }));
+        setSuggestions(matches);
+      })
+      .catch((err) => {
+        console.error("loadDuplicates:", err);
+        if (!cancelled) setSuggestions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [friend._id]);
+
+  const others = friends.filter((f) => f._id !== friend._id);
+  const suggested = (suggestions || []).filter((s) => others.some((f) => f._id === s._id));
+  const otherId = chosenId || suggested[0]?._id || "";
+  const other = others.find((f) => f._id === otherId) || null;
+  const keep = swapped && other ? other : friend;
+  const remove = swapped ? friend : other;
+  const currencyMismatch = other && other.currency !== friend.currency;
+
+  async function merge() {
+    if (!remove) return;
+    if (
+      !window.confirm(
+        `Merge ${remove.name} into ${keep.name}?\n\nAll of ${remove.name}'s transactions, messages and reminders move to ${keep.name}, ` +
+          `their balances are recomputed together and ${remove.name} is removed. This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    setMerging(true);
+    try {
+      const { data } = await axios.post(`${API}/api/friends/${keep._id}/merge`, { duplicateId: remove._id });
+      await onMerged?.();
+      alert(`Merged ${data.merged.name} into ${data.friend.name}: ${data.moved} ledger entr${data.moved === 1 ? "y" : "ies"} moved.`);
+      onClose();
+    } catch (err) {
+      console.error("mergeFriends:", err);
+      alert("Merging failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setMerging(false);
+    }
+  }
+
+  return (
+    <div
+      className="modal-bg"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 9999,
+        padding: "8px",
+        boxSizing: "border-box",
+      }}
+    >
+      <div
+        className="modal-card"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth: 560,
+          maxHeight: "80vh",
+          overflowY: "auto",
+          background: "#fff",
+          padding: 18,
+          borderRadius: 10,
+          boxSizing: "border-box",
+        }}
+      >
+        <h3 style={{ margin: "0 0 4px", fontSize: "1.1rem" }}>🔀 Merge duplicate · {friend.name}</h3>
+        <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+          Pick the other record of the same person. Their ledgers are combined into the one you keep.
+        </div>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+          <select value={otherId} onChange={(e) => setChosenId(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+            <option value="">{suggestions === null ? "Looking for duplicates…" : "Choose a friend"}</option>
+            {suggested.length > 0 && (
+              <optgroup label="Look like the same person">
+                {suggested.map((s) => {
+                  const f = others.find((o) => o._id === s._id);
+                  return (
+                    <option key={s._id} value={s._id}>
+                      {f.name} ({f.whatsapp}): {describeReasons(s.reasons)}
+                    </option>
+                  );
+                })}
+              </optgroup>
+            )}
+            <optgroup label="All friends">
+              {others
+                .filter((f) => !suggested.some((s) => s._id === f._id))
+                .map((f) => (
+                  <option key={f._id} value={f._id}>
+                    {f.name} ({f.whatsapp})
+                  </option>
+                ))}
+            </optgroup>
+          </select>
+          <button
+            type="button"
+            className="btn"
+            disabled={!other}
+            onClick={() => setSwapped((s) => !s)}
+            title="Keep the other record instead"
+            style={{ ...buttonStyle, background: "#6b7280" }}
+          >
+            ⇄ Swap
+          </button>
+        </div>
+
+        {suggestions !== null && suggested.length === 0 && !other && (
+          <div className="small" style={{ fontSize: "0.85rem", marginBottom: 12 }}>
+            No likely duplicates of {friend.name} were found; you can still pick any friend.
+          </div>
+        )}
+
+        {other && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 12 }}>
+            <FriendCard title="KEEP" friend={keep} color="#16a34a" />
+            <FriendCard title="MERGE IN AND REMOVE" friend={remove} color="#e63946" />
+          </div>
+        )}
+        {other && !currencyMismatch && (
+          <div className="small" style={{ fontSize: "0.85rem", marginBottom: 12 }}>
+            Afterwards {keep.name} holds about {formatMoney(Number(keep.totalBalance) + Number(remove.totalBalance), keep.currency)}{" "}
+            and owes about {formatMoney(Number(keep.owedAmount) + Number(remove.owedAmount), keep.currency)} (interest is
+            recomputed over the combined loans).
+          </div>
+        )}
+        {currencyMismatch && (
+          <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem", marginBottom: 12 }}>
+            {friend.name} uses {friend.currency} and {other.name} uses {other.currency}: only friends with the same
+            currency can be merged.
+          </div>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button type="button" className="btn" onClick={onClose} style={{ ...buttonStyle, background: "#9ca3af" }}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn"
+            disabled={!other || currencyMismatch || merging}
+            onClick={merge}
+            style={{ ...buttonStyle, background: "#7c3aed" }}
+          >
+            {merging ? "Merging…" : "Merge"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+import { formatMoney, formatTotals } from "../money";
+import { formatDay } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+// Friends with loans past their due date, most overdue first
+export default function OverdueLoans({ refreshKey, onSelect, timezone }) {
+  const [data, setData] = useState({ friends: [], totals: {}, count: 0 });
+  const [open, setOpen] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API}/api/loans/overdue`)
+      .then(({ data }) => {
+        if (!cancelled) setData(data);
+      })
+      .catch((err) => console.error("loadOverdue:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (!data.friends.length) return null;
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 8,
+        border: "1px solid #fecaca",
+        background: "#fef2f2",
+      }}
+    >
+      <div
+        onClick={() => setOpen((o) => !o)}
+        style={{ display: "flex", justifyContent: "space-between", cursor: "pointer", fontWeight: 700 }}
+      >
+        <span style={{ color: "#b91c1c", fontSize: "0.95rem" }}>
+          ⚠️ Overdue: {data.count} loan{data.count === 1 ? "" : "s"} · {formatTotals(data.totals)}
+        </span>
+        <span style={{ fontSize: "0.85rem", color: "#6b7280" }}>{open ? "Hide" : "Show"}</span>
+      </div>
+
+      {open && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
+          {data.friends.map((g) => (
+            <div
+              key={g.friend._id}
+              onClick={() => onSelect?.(g.friend._id)}
+              style={{
+                padding: 8,
+                borderRadius: 6,
+                background: "#fff",
+                border: "1px solid #fee2e2",
+                cursor: "pointer",
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8, fontWeight: 600 }}>
+                <span>{g.friend.name}</span>
+                <span style={{ color: "#b91c1c" }}>
+                  {formatMoney(g.totalOverdue, g.friend.currency)} · {g.maxDaysOverdue}d late
+                </span>
+              </div>
+              {g.loans.map((l) => (
+                <div key={l._id} className="small" style={{ fontSize: "0.8rem", color: "#4b5563" }}>
+                  {formatMoney(l.totalDue, g.friend.currency)} of {formatMoney(l.amount, g.friend.currency)}
+                  {l.reason ? ` · ${l.reason}` : ""} · due {formatDay(l.dueDate, g.friend.timezone || timezone)} ·{" "}
+                  <strong>{l.daysOverdue} day{l.daysOverdue === 1 ? "" : "s"} overdue</strong>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from "react";
+import axios from "../axiosConfig";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const EMPTY_FORM = {
+  enabled: true,
+  cadence: "weekly",
+  intervalDays: "3",
+  sendTime: "10:00",
+  quietHoursStart: "21:00",
+  quietHoursEnd: "09:00",
+  maxReminders: "",
+  timezone: "",
+};
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.85rem",
+};
+
+const labelStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 4,
+  fontSize: "0.8rem",
+  color: "#4b5563",
+};
+
+// Automatic reminder settings for the friend selected in the Loans Manager
+export default function ReminderSettings({ friendId, defaultTimezone }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [schedule, setSchedule] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!friendId) return;
+    let cancelled = false;
+    axios
+      .get(`${API}/api/reminders/friend/${friendId}`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        const s = data.schedule;
+        setSchedule(s || null);
+        setForm({
+          enabled: s ? s.enabled : false,
+          cadence: s?.cadence || EMPTY_FORM.cadence,
+          intervalDays: String(s?.intervalDays || EMPTY_FORM.intervalDays),
+          sendTime: s?.sendTime || EMPTY_FORM.sendTime,
+          quietHoursStart: s?.quietHoursStart || EMPTY_FORM.quietHoursStart,
+          quietHoursEnd: s?.quietHoursEnd || EMPTY_FORM.quietHoursEnd,
+          maxReminders: s?.maxReminders ? String(s.maxReminders) : "",
+          timezone: data.friend?.timezone || "",
+        });
+      })
+      .catch((err) => console.error("loadReminder:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [friendId]);
+
+  function update(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function save(e, extra = {}) {
+    e?.preventDefault();
+    if (form.cadence === "custom" && !(Number(form.intervalDays) >= 1))
+      return alert("Custom cadence needs an interval of at least 1 day");
+
+    setSaving(true);
+    try {
+      const { data } = await axios.put(`${API}/api/reminders/friend/${friendId}`, {
+        enabled: form.enabled,
+        cadence: form.cadence,
+        intervalDays: Number(form.intervalDays) || 1,
+        sendTime: form.sendTime,
+        quietHoursStart: form.quietHoursStart,
+        quietHoursEnd: form.quietHoursEnd,
+        maxReminders: form.maxReminders === "" ? null : Number(form.maxReminders),
+        timezone: form.timezone.trim() || null,
+        ...extra,
+      });
+      setSchedule(data.schedule);
+      alert("Reminder settings saved");
+    } catch (err) {
+      console.error("saveReminder:", err);
+      alert("Failed to save reminders: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function remove() {
+    if (!schedule) return;
+    if (!confirm("Remove automatic reminders for this friend?")) return;
+    try {
+      await axios.delete(`${API}/api/reminders/friend/${friendId}`);
+      setSchedule(null);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error("deleteReminder:", err);
+      alert("Delete failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  if (!friendId) return null;
+
+  return (
+    <form
+      onSubmit={save}
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 8,
+        border: "1px solid #e5e7eb",
+        background: "#f9fafb",
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: "0.95rem", marginBottom: 8 }}>⏰ Automatic reminders</div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, alignItems: "flex-end" }}>
+        <label style={{ ...labelStyle, flexDirection: "row", alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => update("enabled", e.target.checked)}
+          />
+          Enabled
+        </label>
+
+        <label style={labelStyle}>
+          Cadence
+          <select
+            value={form.cadence}
+            onChange={(e) => update("cadence", e.target.value)}
+            style={inputStyle}
+          >
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="custom">Every N days</option>
+          </select>
+        </label>
+
+        {form.cadence === "custom" && (
+          <label style={labelStyle}>
+            Days
+            <input
+              type="number"
+              min="1"
+              value={form.intervalDays}
+              onChange={(e) => update("intervalDays", e.target.value)}
+              style={{ ...inputStyle, width: 70 }}
+            />
+          </label>
+        )}
+
+        <label style={labelStyle}>
+          Send at
+          <input
+            type="time"
+            value={form.sendTime}
+            onChange={(e) => update("sendTime", e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={labelStyle}>
+          Quiet from
+          <input
+            type="time"
+            value={form.quietHoursStart}
+            onChange={(e) => update("quietHoursStart", e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={labelStyle}>
+          Quiet until
+          <input
+            type="time"
+            value={form.quietHoursEnd}
+            onChange={(e) => update("quietHoursEnd", e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={labelStyle}>
+          Max reminders
+          <input
+            type="number"
+            min="1"
+            placeholder="No limit"
+            value={form.maxReminders}
+            onChange={(e) => update("maxReminders", e.target.value)}
+            style={{ ...inputStyle, width: 90 }}
+          />
+        </label>
+
+        <label style={labelStyle}>
+          Timezone
+          <input
+            placeholder={defaultTimezone ? `Account (${defaultTimezone})` : "Account default"}
+            value={form.timezone}
+            onChange={(e) => update("timezone", e.target.value)}
+            style={{ ...inputStyle, width: 170 }}
+          />
+        </label>
+      </div>
+
+      {schedule && (
+        <div className="small" style={{ fontSize: "0.8rem", marginTop: 8 }}>
+          Sent: {schedule.remindersSent}
+          {schedule.maxReminders ? ` / ${schedule.maxReminders}` : ""} · Last:{" "}
+          {schedule.lastSentAt ? new Date(schedule.lastSentAt).toLocaleString() : "—"} · Next:{" "}
+          {schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : "—"}
+          {schedule.lastError ? ` · Last error: ${schedule.lastError}` : ""}
+        </div>
+      )}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 10 }}>
+        <button
+          className="btn"
+          type="submit"
+          disabled={saving}
+          style={{
+            padding: "6px 12px",
+            borderRadius: 6,
+            border: "none",
+            background: "#16a34a",
+            color: "#fff",
+            cursor: "pointer",
+            fontSize: "0.85rem",
+          }}
+        >
+          {saving ? "Saving…" : "Save reminders"}
+        </button>
+        {schedule && schedule.maxReminders && schedule.remindersSent >= schedule.maxReminders && (
+          <button
+            type="button"
+            className="btn"
+            onClick={(e) => save(e, { resetCount: true })}
+            style={{
+              padding: "6px 12px",
+              borderRadius: 6,
+              border: "none",
+              background: "#0077cc",
+              color: "#fff",
+              cursor: "pointer",
+              fontSize: "0.85rem",
+            }}
+          >
+            Reset count
+          </button>
+        )}
+        {schedule && (
+          <button
+            type="button"
+            className="btn"
+            onClick={remove}
+            style={{
+              padding: "6px 12px",
+              borderRadius: 6,
+              border: "none",
+              background: "#e63946",
+              color: "#fff",
+              cursor: "pointer",
+              fontSize: "0.85rem",
+            }}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
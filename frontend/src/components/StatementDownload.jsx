@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import axios from "../axiosConfig";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.8rem",
+};
+
+const buttonStyle = {
+  padding: "5px 10px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.8rem",
+  whiteSpace: "nowrap",
+};
+
+// save a Blob through a temporary <a download>
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// the API names the file in Content-Disposition; fall back to a generic name
+function fileNameFrom(headers, format) {
+  const match = /filename="?([^";]+)"?/.exec(headers["content-disposition"] || "");
+  return match ? match[1] : `statement.${format}`;
+}
+
+// Download a friend's statement (opening, running and closing balances) as CSV or PDF,
+// or send the PDF to the friend on WhatsApp
+export default function StatementDownload({ friendId }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [busy, setBusy] = useState("");
+
+  async function download(format) {
+    if (from && to && from > to) return alert("The start date must be on or before the end date");
+    setBusy(format);
+    try {
+      const res = await axios.get(`${API}/api/friends/${friendId}/statement`, {
+        params: { format, from: from || undefined, to: to || undefined },
+        responseType: "blob",
+      });
+      saveBlob(res.data, fileNameFrom(res.headers, format));
+    } catch (err) {
+      console.error("downloadStatement:", err);
+      // error bodies arrive as a Blob too
+      let message = err.message;
+      try {
+        message = JSON.parse(await err.response.data.text()).error || message;
+      } catch {
+        // not JSON
+      }
+      alert("Statement download failed: " + message);
+    } finally {
+      setBusy("");
+    }
+  }
+
+  // without dates the server sends this month so far
+  async function send() {
+    if (from && to && from > to) return alert("The start date must be on or before the end date");
+    if (!confirm("Send this statement to the friend on WhatsApp?")) return;
+    setBusy("send");
+    try {
+      await axios.post(`${API}/api/friends/${friendId}/statement/send`, {
+        from: from || undefined,
+        to: to || undefined,
+      });
+      alert("Statement sent on WhatsApp");
+    } catch (err) {
+      console.error("sendStatement:", err);
+      alert("Sending the statement failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  if (!friendId) return null;
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", fontSize: "0.8rem" }}>
+      <span style={{ fontWeight: 600 }}>Statement</span>
+      <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} title="From (empty = first entry)" style={inputStyle} />
+      <span>to</span>
+      <input type="date" value={to} onChange={(e) => setTo(e.target.value)} title="To (empty = today)" style={inputStyle} />
+      <button
+        type="button"
+        className="btn"
+        disabled={!!busy}
+        onClick={() => download("csv")}
+        style={{ ...buttonStyle, background: "#0f766e" }}
+      >
+        {busy === "csv" ? "…" : "⬇ CSV"}
+      </button>
+      <button
+        type="button"
+        className="btn"
+        disabled={!!busy}
+        onClick={() => download("pdf")}
+        style={{ ...buttonStyle, background: "#b91c1c" }}
+      >
+        {busy === "pdf" ? "…" : "⬇ PDF"}
+      </button>
+      <button
+        type="button"
+        className="btn"
+        disabled={!!busy}
+        onClick={send}
+        title="Empty dates = this month so far"
+        style={{ ...buttonStyle, background: "#16a34a" }}
+      >
+        {busy === "send" ? "Sending…" : "📤 Send on WhatsApp"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "../axiosConfig";
+import { LANGUAGES } from "../languages";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const inputStyle = {
+  padding: "8px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.9rem",
+};
+
+const buttonStyle = {
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "none",
+  color: "#fff",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+  whiteSpace: "nowrap",
+};
+
+const fetchTemplates = (language) =>
+  axios.get(`${API}/api/templates`, { params: { language } }).then((res) => res.data || []);
+
+// Edit the wording of every WhatsApp message the app sends ({{placeholder}} templates)
+export default function TemplateEditor() {
+  const [language, setLanguage] = useState("en");
+  const [templates, setTemplates] = useState([]);
+  const [friends, setFriends] = useState([]);
+  const [key, setKey] = useState("");
+  const [draft, setDraft] = useState("");
+  const [friendId, setFriendId] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const textRef = useRef(null);
+
+  const current = templates.find((t) => t.key === key);
+  const dirty = current && draft !== current.body;
+
+  useEffect(() => {
+    fetchTemplates("en")
+      .then((data) => {
+        setTemplates(data);
+        if (data.length) {
+          setKey(data[0].key);
+          setDraft(data[0].body);
+        }
+      })
+      .catch((err) => console.error("loadTemplates:", err));
+    axios
+      .get(`${API}/api/friends`)
+      .then(({ data }) => setFriends(data || []))
+      .catch((err) => console.error("loadFriends:", err));
+  }, []);
+
+  function selectTemplate(nextKey) {
+    if (dirty && !confirm("Discard unsaved changes to this template?")) return;
+    const t = templates.find((x) => x.key === nextKey);
+    setKey(nextKey);
+    setDraft(t ? t.body : "");
+    setPreview(null);
+  }
+
+  async function changeLanguage(code) {
+    if (dirty && !confirm("Discard unsaved changes to this template?")) return;
+    try {
+      const data = await fetchTemplates(code);
+      const t = data.find((x) => x.key === key) || data[0];
+      setLanguage(code);
+      setTemplates(data);
+      setKey(t ? t.key : "");
+      setDraft(t ? t.body : "");
+      setPreview(null);
+    } catch (err) {
+      console.error("loadTemplates:", err);
+      alert("Failed to load templates: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  function replaceTemplate(updated) {
+    setTemplates((list) => list.map((t) => (t.key === updated.key ? updated : t)));
+    setDraft(updated.body);
+  }
+
+  // insert {{name}} at the cursor
+  function insertPlaceholder(name) {
+    const el = textRef.current;
+    const tag = `{{${name}}}`;
+    const start = el ? el.selectionStart : draft.length;
+    const end = el ? el.selectionEnd : draft.length;
+    setDraft(draft.slice(0, start) + tag + draft.slice(end));
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.selectionStart = el.selectionEnd = start + tag.length;
+    });
+  }
+
+  async function runPreview() {
+    try {
+      const { data } = await axios.post(`${API}/api/templates/${key}/preview`, {
+        body: draft,
+        language,
+        friendId: friendId || undefined,
+      });
+      setPreview(data);
+    } catch (err) {
+      console.error("previewTemplate:", err);
+      setPreview({ error: err?.response?.data?.error || err.message });
+    }
+  }
+
+  async function save() {
+    setSaving(true);
+    try {
+      const { data } = await axios.put(`${API}/api/templates/${key}`, { body: draft, language });
+      replaceTemplate(data.template);
+      alert("Template saved");
+    } catch (err) {
+      console.error("saveTemplate:", err);
+      alert("Failed to save template: " + (err?.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function resetToDefault() {
+    if (!confirm("Go back to the built-in wording for this message?")) return;
+    try {
+      const { data } = await axios.delete(`${API}/api/templates/${key}`, { params: { language } });
+      replaceTemplate(data.template);
+      setPreview(null);
+    } catch (err) {
+      console.error("resetTemplate:", err);
+      alert("Reset failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  return (
+    <div
+      className="card"
+      style={{
+        padding: 16,
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: "#ffffff",
+      }}
+    >
+      <h3 style={{ marginBottom: 4, fontSize: "1.1rem" }}>✉️ Message templates</h3>
+      <div className="small" style={{ fontSize: "0.85rem", color: "#6b7280", marginBottom: 12 }}>
+        Use {"{{placeholder}}"} for values. Wrap optional lines in {"{{#name}}…{{/name}}"} to show them only
+        when the value is set.
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 12, alignItems: "center" }}>
+        <select
+          value={language}
+          onChange={(e) => changeLanguage(e.target.value)}
+          title="Each language has its own wording"
+          style={{ ...inputStyle, padding: "6px 8px", fontSize: "0.85rem" }}
+        >
+          {LANGUAGES.map((l) => (
+            <option key={l.code} value={l.code}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+        {templates.map((t) => (
+          <button
+            key={t.key}
+            type="button"
+            onClick={() => selectTemplate(t.key)}
+            style={{
+              padding: "6px 10px",
+              borderRadius: 999,
+              border: t.key === key ? "1px solid #2563eb" : "1px solid #d1d5db",
+              background: t.key === key ? "#eff6ff" : "#fff",
+              color: t.key === key ? "#1d4ed8" : "#374151",
+              cursor: "pointer",
+              fontSize: "0.85rem",
+            }}
+          >
+            {t.label}
+            {t.custom ? " •" : ""}
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 16 }}>
+          <div style={{ flex: "1 1 320px", minWidth: 0 }}>
+            <textarea
+              ref={textRef}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={16}
+              style={{
+                ...inputStyle,
+                width: "100%",
+                boxSizing: "border-box",
+                fontFamily: "monospace",
+                fontSize: "0.85rem",
+                resize: "vertical",
+              }}
+            />
+
+            <div style={{ fontWeight: 600, fontSize: "0.85rem", margin: "8px 0 4px" }}>Placeholders</div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+              {Object.entries(current.placeholders).map(([name, description]) => (
+                <button
+                  key={name}
+                  type="button"
+                  title={description}
+                  onClick={() => insertPlaceholder(name)}
+                  style={{
+                    padding: "2px 8px",
+                    borderRadius: 6,
+                    border: "1px solid #e5e7eb",
+                    background: "#f9fafb",
+                    cursor: "pointer",
+                    fontFamily: "monospace",
+                    fontSize: "0.8rem",
+                  }}
+                >
+                  {`{{${name}}}`}
+                </button>
+              ))}
+            </div>
+
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}>
+              <button
+                type="button"
+                className="btn"
+                onClick={save}
+                disabled={saving || !dirty}
+                style={{ ...buttonStyle, background: "#16a34a", opacity: saving || !dirty ? 0.6 : 1 }}
+              >
+                {saving ? "Saving…" : "Save template"}
+              </button>
+              {dirty && (
+                <button
+                  type="button"
+                  className="btn"
+                  onClick={() => setDraft(current.body)}
+                  style={{ ...buttonStyle, background: "#6b7280" }}
+                >
+                  Discard changes
+                </button>
+              )}
+              {current.custom && (
+                <button
+                  type="button"
+                  className="btn"
+                  onClick={resetToDefault}
+                  style={{ ...buttonStyle, background: "#e63946" }}
+                >
+                  Reset to default
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div style={{ flex: "1 1 280px", minWidth: 0 }}>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 8 }}>
+              <select value={friendId} onChange={(e) => setFriendId(e.target.value)} style={inputStyle}>
+                <option value="">Sample data</option>
+                {friends.map((f) => (
+                  <option key={f._id} value={f._id}>
+                    {f.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn"
+                onClick={runPreview}
+                style={{ ...buttonStyle, background: "#0077cc" }}
+              >
+                Preview
+              </button>
+            </div>
+
+            {preview?.error && (
+              <div className="small" style={{ fontSize: "0.85rem", color: "#b91c1c" }}>
+                {preview.error}
+              </div>
+            )}
+            {preview && !preview.error && (
+              <>
+                <div
+                  style={{
+                    whiteSpace: "pre-wrap",
+                    wordBreak: "break-word",
+                    padding: 12,
+                    borderRadius: 8,
+                    background: "#dcf8c6",
+                    fontSize: "0.9rem",
+                    lineHeight: 1.4,
+                  }}
+                >
+                  {preview.text}
+                </div>
+                {preview.unknown?.length > 0 && (
+                  <div className="small" style={{ fontSize: "0.8rem", color: "#b91c1c", marginTop: 6 }}>
+                    Unknown placeholder(s): {preview.unknown.join(", ")}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
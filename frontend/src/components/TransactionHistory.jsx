@@ -0,0 +1,473 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "../axiosConfig";
+import StatementDownload from "./StatementDownload";
+import { formatMoney } from "../money";
+import { formatDate } from "../dates";
+
+const API = import.meta.env.VITE_API || "http://localhost:5000";
+
+const PAGE_SIZE = 30;
+
+const inputStyle = {
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #cbd5e1",
+  fontSize: "0.8rem",
+};
+
+const chipStyle = {
+  padding: "2px 8px",
+  borderRadius: 999,
+  fontSize: "0.75rem",
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+// badge colours and the sign shown before the amount
+const TYPES = {
+  debit: { label: "Debit", color: "#b91c1c", background: "#fee2e2", sign: "−" },
+  credit: { label: "Credit", color: "#15803d", background: "#dcfce7", sign: "+" },
+  loan: { label: "Loan", color: "#b45309", background: "#fef3c7", sign: "" },
+  repay: { label: "Repay", color: "#1d4ed8", background: "#dbeafe", sign: "" },
+};
+
+const SORTS = {
+  "-date": "Newest first",
+  date: "Oldest first",
+  "-amount": "Largest first",
+  amount: "Smallest first",
+};
+
+const EMPTY_FILTERS = {
+  types: [],
+  category: "",
+  tag: "",
+  q: "",
+  minAmount: "",
+  maxAmount: "",
+  from: "",
+  to: "",
+  sort: "-date",
+};
+
+// query parameters for the history API (empty filters left out)
+function toParams(f) {
+  return {
+    type: f.types.join(",") || undefined,
+    category: f.category || undefined,
+    tag: f.tag.trim() || undefined,
+    q: f.q.trim() || undefined,
+    minAmount: f.minAmount === "" ? undefined : f.minAmount,
+    maxAmount: f.maxAmount === "" ? undefined : f.maxAmount,
+    from: f.from || undefined,
+    to: f.to || undefined,
+    sort: f.sort,
+    limit: PAGE_SIZE,
+  };
+}
+
+function filterProblem(f) {
+  if (f.from && f.to && f.from > f.to) return "The start date must be on or before the end date.";
+  if (f.minAmount !== "" && f.maxAmount !== "" && Number(f.minAmount) > Number(f.maxAmount))
+    return "The minimum amount must not be above the maximum.";
+  return "";
+}
+
+// A friend's ledger: type badges, filters, totals of the filtered entries and
+// infinite scroll (the next page loads when the list is scrolled near its end)
+export default function TransactionHistory({ friend, categories, timezone, onClose, onChange }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // { key, transactions, nextCursor, totals, categoryTotals } or { key, error } for the filters in `key`
+  const [page, setPage] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // bumped to reload the first page after a reversal
+  const [version, setVersion] = useState(0);
+  const loadingRef = useRef(false);
+
+  const problem = filterProblem(filters);
+  const key = JSON.stringify({ friendId: friend._id, version, ...toParams(filters) });
+  const currency = friend.currency;
+  const zone = friend.timezone || timezone;
+
+  // first page whenever the filters change (debounced while typing)
+  useEffect(() => {
+    if (problem) return;
+    let cancelled = false;
+    const { friendId, version: _version, ...params } = JSON.parse(key);
+    const timer = setTimeout(() => {
+      axios
+        .get(`${API}/api/friends/${friendId}/transactions`, { params })
+        .then(({ data }) => {
+          if (!cancelled) setPage({ key, ...data });
+        })
+        .catch((err) => {
+          console.error("loadHistory:", err);
+          if (!cancelled) setPage({ key, error: err?.response?.data?.error || err.message });
+        });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [key, problem]);
+
+  const current = page && page.key === key ? page : null;
+  const data = current && !current.error ? current : null;
+  const loading = !problem && !current;
+
+  async function loadMore() {
+    if (!data?.nextCursor || loadingRef.current) return;
+    loadingRef.current = true;
+    setLoadingMore(true);
+    try {
+      const { friendId, version: _version, ...params } = JSON.parse(key);
+      const res = await axios.get(`${API}/api/friends/${friendId}/transactions`, {
+        params: { ...params, cursor: data.nextCursor },
+      });
+      // ignore the page if the filters changed meanwhile
+      setPage((p) =>
+        p && p.key === key
+          ? { ...p, transactions: [...p.transactions, ...res.data.transactions], nextCursor: res.data.nextCursor }
+          : p
+      );
+    } catch (err) {
+      console.error("loadMoreHistory:", err);
+      alert("Loading more transactions failed: " + (err?.response?.data?.error || err.message));
+    } finally {
+      loadingRef.current = false;
+      setLoadingMore(false);
+    }
+  }
+
+  // a counter-entry undoes the transaction; both stay listed
+  async function reverse(t) {
+    const note = prompt(`Reverse this ${TYPES[t.type]?.label.toLowerCase() || "entry"} of ${formatMoney(t.amount, currency)}? Reason (optional):`, "");
+    if (note === null) return;
+    const notify = confirm(`Send ${friend.name} a correction message on WhatsApp?`);
+    try {
+      const res = await axios.post(`${API}/api/transactions/${t._id}/reverse`, { note, notify });
+      if (res.data.sent && !res.data.sent.success) alert("Reversed, but the correction message failed to send.");
+      setVersion((v) => v + 1);
+      onChange?.();
+    } catch (err) {
+      console.error("reverseTransaction:", err);
+      alert("Reversal failed: " + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  function onScroll(e) {
+    const el = e.currentTarget;
+    if (el.scrollTop + el.clientHeight >= el.scrollHeight - 120) loadMore();
+  }
+
+  const set = (name) => (e) => setFilters((f) => ({ ...f, [name]: e.target.value }));
+
+  function toggleType(type) {
+    setFilters((f) => ({
+      ...f,
+      types: f.types.includes(type) ? f.types.filter((t) => t !== type) : [...f.types, type],
+    }));
+  }
+
+  const filtered = JSON.stringify({ ...filters, sort: "-date" }) !== JSON.stringify(EMPTY_FILTERS);
+
+  return (
+    <div
+      className="modal-bg"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 9999,
+        padding: "8px",
+        boxSizing: "border-box",
+      }}
+    >
+      <div
+        className="modal-card"
+        onClick={(e) => e.stopPropagation()}
+        onScroll={onScroll}
+        style={{
+          width: "100%",
+          maxWidth: 760,
+          maxHeight: "80vh",
+          overflowY: "auto",
+          background: "#fff",
+          padding: 18,
+          borderRadius: 10,
+          boxSizing: "border-box",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "8px",
+            marginBottom: "8px",
+          }}
+        >
+          <h3 style={{ margin: 0, fontSize: "1.1rem" }}>Transaction History · {friend.name}</h3>
+          <button
+            className="btn"
+            style={{
+              padding: "6px 10px",
+              borderRadius: "6px",
+              border: "none",
+              background: "#ef4444",
+              color: "#fff",
+              cursor: "pointer",
+              fontSize: "0.85rem",
+              flexShrink: 0,
+            }}
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+
+        <StatementDownload friendId={friend._id} />
+
+        {/* filters */}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", marginTop: 10, fontSize: "0.8rem" }}>
+          <span style={{ fontWeight: 600 }}>Type</span>
+          {Object.entries(TYPES).map(([type, t]) => {
+            const on = filters.types.includes(type);
+            return (
+              <span
+                key={type}
+                onClick={() => toggleType(type)}
+                style={{
+                  ...chipStyle,
+                  color: on ? "#fff" : t.color,
+                  background: on ? t.color : t.background,
+                }}
+              >
+                {t.label}
+              </span>
+            );
+          })}
+          <select value={filters.sort} onChange={set("sort")} style={{ ...inputStyle, marginLeft: "auto" }}>
+            {Object.entries(SORTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", marginTop: 6, fontSize: "0.8rem" }}>
+          <input
+            type="search"
+            value={filters.q}
+            onChange={set("q")}
+            placeholder="Search note / reason"
+            style={{ ...inputStyle, flex: "1 1 160px" }}
+          />
+          <select value={filters.category} onChange={set("category")} style={inputStyle}>
+            <option value="">All categories</option>
+            <option value="none">No category</option>
+            {categories.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <input value={filters.tag} onChange={set("tag")} placeholder="Tag" style={{ ...inputStyle, width: 90 }} />
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", marginTop: 6, fontSize: "0.8rem" }}>
+          <span>Amount</span>
+          <input
+            type="number"
+            min="0"
+            value={filters.minAmount}
+            onChange={set("minAmount")}
+            placeholder="Min"
+            style={{ ...inputStyle, width: 80 }}
+          />
+          <span>–</span>
+          <input
+            type="number"
+            min="0"
+            value={filters.maxAmount}
+            onChange={set("maxAmount")}
+            placeholder="Max"
+            style={{ ...inputStyle, width: 80 }}
+          />
+          <span style={{ marginLeft: 6 }}>Dates</span>
+          <input type="date" value={filters.from} onChange={set("from")} title="From" style={inputStyle} />
+          <span>to</span>
+          <input type="date" value={filters.to} onChange={set("to")} title="To (inclusive)" style={inputStyle} />
+          {filtered && (
+            <button
+              type="button"
+              onClick={() => setFilters((f) => ({ ...EMPTY_FILTERS, sort: f.sort }))}
+              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #d1d5db", background: "#f3f4f6", cursor: "pointer", fontSize: "0.8rem" }}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+
+        {problem && (
+          <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem", marginTop: 8 }}>
+            {problem}
+          </div>
+        )}
+        {current?.error && (
+          <div className="small" style={{ color: "#b91c1c", fontSize: "0.85rem", marginTop: 8 }}>
+            Could not load transactions: {current.error}
+          </div>
+        )}
+        {loading && (
+          <div className="small" style={{ fontSize: "0.85rem", marginTop: 8 }}>
+            Loading…
+          </div>
+        )}
+
+        {data && (
+          <>
+            {/* totals of every matching entry, not just the loaded pages */}
+            <div
+              className="small"
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                gap: 12,
+                marginTop: 10,
+                padding: "8px 10px",
+                borderRadius: 8,
+                background: "#f9fafb",
+                border: "1px solid #e5e7eb",
+                fontSize: "0.8rem",
+              }}
+            >
+              <span style={{ fontWeight: 600 }}>{data.totals.count} entries</span>
+              {Object.entries(TYPES).map(([type, t]) =>
+                data.totals[type] ? (
+                  <span key={type} style={{ color: t.color }}>
+                    {t.label}s: {formatMoney(data.totals[type], currency)}
+                  </span>
+                ) : null
+              )}
+            </div>
+
+            {data.categoryTotals.length > 0 && (
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+                {data.categoryTotals.map((c) => (
+                  <span
+                    key={c.category?._id || "none"}
+                    className="small"
+                    onClick={() => setFilters((f) => ({ ...f, category: c.category?._id || "none" }))}
+                    title={`${c.count} transaction(s)`}
+                    style={{ ...chipStyle, fontWeight: 400, background: "#eff6ff", color: "#1d4ed8" }}
+                  >
+                    {c.category?.name || "No category"}: {formatMoney(c.totals.debit || 0, currency)} spent
+                    {c.totals.credit ? ` · +${formatMoney(c.totals.credit, currency)}` : ""}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <ul style={{ listStyle: "none", padding: 0, marginTop: 8 }}>
+              {data.transactions.length === 0 && (
+                <li className="small" style={{ fontSize: "0.85rem" }}>
+                  No transactions found.
+                </li>
+              )}
+              {data.transactions.map((t) => {
+                const type = TYPES[t.type] || TYPES.debit;
+                const reversed = !!t.reversedBy;
+                return (
+                  <li
+                    key={t._id}
+                    style={{
+                      marginBottom: "10px",
+                      borderBottom: "1px solid #f1f1f1",
+                      paddingBottom: 8,
+                    }}
+                  >
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: "8px", alignItems: "flex-start" }}>
+                      <strong style={{ wordBreak: "break-word", color: reversed ? "#9ca3af" : type.color }}>
+                        <span style={{ textDecoration: reversed ? "line-through" : undefined }}>
+                          {type.sign}
+                          {formatMoney(t.amount, currency)}
+                        </span>
+                        <span style={{ ...chipStyle, cursor: "default", marginLeft: 8, background: type.background, color: type.color }}>
+                          {type.label}
+                        </span>
+                        {reversed && (
+                          <span style={{ ...chipStyle, cursor: "default", marginLeft: 6, background: "#f3f4f6", color: "#4b5563" }}>
+                            Reversed
+                          </span>
+                        )}
+                      </strong>
+                      <div className="small" style={{ fontSize: "0.8rem", color: "#6b7280", whiteSpace: "nowrap" }}>
+                        {formatDate(t.date || t.createdAt, zone)}
+                        {!reversed && !t.reversalOf && (
+                          <button
+                            type="button"
+                            onClick={() => reverse(t)}
+                            title="Undo with a counter-entry"
+                            style={{ marginLeft: 8, padding: "2px 6px", borderRadius: 6, border: "1px solid #d1d5db", background: "#fff", cursor: "pointer", fontSize: "0.75rem" }}
+                          >
+                            ↩ Reverse
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    {t.reversalOf && (
+                      <div className="small" style={{ marginTop: 4, fontSize: "0.8rem", color: "#6b7280" }}>
+                        ↩ Reverses the {TYPES[t.reversalOf.type]?.label.toLowerCase()} of {formatMoney(t.reversalOf.amount, currency)} from{" "}
+                        {formatDate(t.reversalOf.date, zone)}
+                      </div>
+                    )}
+                    {reversed && (
+                      <div className="small" style={{ marginTop: 4, fontSize: "0.8rem", color: "#6b7280" }}>
+                        ↩ Reversed on {formatDate(t.reversedBy.date, zone)}
+                        {t.reversedBy.note ? ` · ${t.reversedBy.note}` : ""}
+                      </div>
+                    )}
+                    {t.mergedFromName && (
+                      <div className="small" style={{ marginTop: 4, fontSize: "0.8rem", color: "#6b7280" }}>
+                        🔀 Merged in from the duplicate “{t.mergedFromName}”
+                      </div>
+                    )}
+                    <div className="small" style={{ marginTop: 6, fontSize: "0.85rem", color: "#4b5563" }}>
+                      {t.note || t.reason || "—"}
+                      {t.category && <span style={{ marginLeft: 8, color: "#1d4ed8", fontWeight: 600 }}>· {t.category.name}</span>}
+                      {(t.tags || []).map((tag) => (
+                        <span key={tag} style={{ marginLeft: 6, color: "#6b7280" }}>
+                          #{tag}
+                        </span>
+                      ))}
+                      {t.newBalance !== null && t.newBalance !== undefined && (
+                        <span style={{ float: "right", color: "#6b7280" }}>Balance {formatMoney(t.newBalance, currency)}</span>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            {data.nextCursor && (
+              <div style={{ textAlign: "center" }}>
+                <button
+                  type="button"
+                  disabled={loadingMore}
+                  onClick={loadMore}
+                  style={{ padding: "4px 10px", borderRadius: 6, border: "1px solid #d1d5db", background: "#f3f4f6", cursor: "pointer", fontSize: "0.8rem" }}
+                >
+                  {loadingMore ? "Loading…" : "Load more"}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+// Date formatting in a friend's (or the account's) IANA timezone, so the UI shows the
+// same day and time as the WhatsApp messages. An undefined zone falls back to the browser's.
+
+// offered in the account timezone picker; any IANA zone is accepted by the API
+export const TIMEZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+
+// the zone the backend uses for a user's friends without their own timezone
+export const accountTimezone = (user) => user?.timezone || user?.defaultTimezone || undefined;
+
+function format(d, timeZone, options) {
+  if (!d) return "—";
+  try {
+    return new Date(d).toLocaleString(undefined, { ...options, timeZone });
+  } catch {
+    // unknown zone: show the browser's local time rather than nothing
+    return new Date(d).toLocaleString(undefined, options);
+  }
+}
+
+// "19/10/2026, 14:05:00"
+export const formatDate = (d, timeZone) => format(d, timeZone, {});
+
+// "19/10/2026"
+export const formatDay = (d, timeZone) =>
+  format(d, timeZone, { year: "numeric", month: "numeric", day: "numeric" });
@@ -0,0 +1,22 @@
+// Duplicate-friend warnings from POST /api/friends (409 with `duplicates`) and merge suggestions
+// from GET /api/friends/duplicates; both list why two friends look alike in `reasons`
+
+export const REASONS = {
+  phone: "same WhatsApp number",
+  name: "similar name",
+};
+
+export const describeReasons = (reasons = []) => reasons.map((r) => REASONS[r] || r).join(" and ");
+
+// the add-friend request was refused because the friend may already exist
+export const isDuplicateError = (err) =>
+  err?.response?.status === 409 && Array.isArray(err.response.data?.duplicates);
+
+// confirm() text listing the friends a new one looks like
+export function duplicateWarning(duplicates) {
+  const lines = duplicates.map(
+    ({ friend, reasons }) =>
+      `• ${friend.name} (${friend.whatsapp}): ${describeReasons(reasons)}${friend.archivedAt ? " [archived]" : ""}`
+  );
+  return `This friend may already exist:\n${lines.join("\n")}\n\nAdd them anyway? (Duplicates can be merged later.)`;
+}
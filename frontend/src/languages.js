@@ -0,0 +1,6 @@
+// Languages a friend's WhatsApp messages can be sent in (codes match backend/utils/i18n.js)
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी (Hindi)" },
+  { code: "or", label: "ଓଡ଼ିଆ (Odia)" },
+];
@@ -0,0 +1,50 @@
+// The one money formatter for the UI. Amounts are kept in the friend's currency (ISO 4217).
+export const DEFAULT_CURRENCY = "INR";
+
+// offered in the Add Friend forms; any ISO 4217 code is accepted by the API
+export const CURRENCIES = ["INR", "USD", "EUR", "GBP", "AED", "SGD", "CAD", "AUD", "NPR", "JPY"];
+
+const formatters = new Map();
+
+function formatter(currency, whole) {
+  const key = `${currency}|${whole}`;
+  if (!formatters.has(key)) {
+    // whole amounts without decimals ("₹500"), others with the currency's usual digits ("$12.50")
+    formatters.set(
+      key,
+      new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        ...(whole ? { minimumFractionDigits: 0 } : {}),
+      })
+    );
+  }
+  return formatters.get(key);
+}
+
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const n = Number(amount);
+  const value = Number.isNaN(n) ? 0 : n;
+  try {
+    return formatter(currency || DEFAULT_CURRENCY, Number.isInteger(value)).format(value);
+  } catch {
+    return formatter(DEFAULT_CURRENCY, Number.isInteger(value)).format(value);
+  }
+}
+
+// { INR: 1200, USD: 35 } → "₹1,200 · $35"
+export function formatTotals(totals) {
+  const entries = Object.entries(totals || {}).filter(([, v]) => Number(v) !== 0);
+  if (!entries.length) return formatMoney(0);
+  return entries.map(([code, v]) => formatMoney(v, code)).join(" · ");
+}
+
+// sum `pick(row)` per row.currency
+export function sumByCurrency(rows, pick) {
+  const totals = {};
+  for (const row of rows || []) {
+    const code = row.currency || DEFAULT_CURRENCY;
+    totals[code] = Math.round(((totals[code] || 0) + Number(pick(row) || 0)) * 100) / 100;
+  }
+  return totals;
+}